@@ -0,0 +1,219 @@
+/**
+ * Tests for the on-disk commit cache
+ * Covers incremental refresh, ETag conditional requests and cache clearing
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  fetchCommitsCached,
+  fetchNormalizedCommits,
+  clearCache,
+  parseArgs,
+} = require("../titles");
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+const apiCommit = (sha, date) => ({
+  sha,
+  commit: { message: `feat: commit ${sha}`, author: { date } },
+  html_url: `https://github.com/test/repo/commit/${sha}`,
+  author: { login: "user1" }
+});
+
+const mockCommitsResponse = (commits, etag = null) => ({
+  ok: true,
+  status: 200,
+  headers: new Map(etag ? [["etag", etag]] : []),
+  json: async () => commits
+});
+
+const notModifiedResponse = () => ({
+  ok: false,
+  status: 304,
+  headers: new Map(),
+  json: async () => []
+});
+
+describe("fetchCommitsCached", () => {
+  let cacheDir;
+  const params = {
+    owner: "test",
+    repo: "repo",
+    branch: "main",
+    startISO: "2025-01-01T00:00:00.000Z",
+    endISO: "2025-01-15T00:00:00.000Z",
+    retries: 1
+  };
+
+  beforeEach(() => {
+    fetch.mockReset();
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "titles-cache-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  test("should serve a covered range from the cache without requests", async () => {
+    fetch.mockResolvedValueOnce(
+      mockCommitsResponse([
+        apiCommit("b", "2025-01-10T10:00:00Z"),
+        apiCommit("a", "2025-01-05T10:00:00Z")
+      ])
+    );
+
+    const first = await fetchCommitsCached({ ...params, cacheDir });
+    expect(first.map((i) => i.sha)).toEqual(["b", "a"]);
+    expect(fs.readdirSync(cacheDir)).toHaveLength(1);
+
+    const second = await fetchCommitsCached({
+      ...params,
+      startISO: "2025-01-08T00:00:00.000Z",
+      cacheDir
+    });
+    expect(second.map((i) => i.sha)).toEqual(["b"]);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("should only fetch commits newer than the newest cached one", async () => {
+    fetch
+      .mockResolvedValueOnce(mockCommitsResponse([apiCommit("a", "2025-01-05T10:00:00Z")]))
+      .mockResolvedValueOnce(
+        mockCommitsResponse(
+          [apiCommit("c", "2025-01-20T10:00:00Z"), apiCommit("a", "2025-01-05T10:00:00Z")],
+          "\"etag-1\""
+        )
+      )
+      .mockResolvedValueOnce(notModifiedResponse());
+
+    await fetchCommitsCached({ ...params, cacheDir });
+
+    const extended = { ...params, endISO: "2025-01-31T00:00:00.000Z", cacheDir };
+    const items = await fetchCommitsCached(extended);
+    expect(items.map((i) => i.sha)).toEqual(["c", "a"]);
+
+    const deltaUrl = new URL(fetch.mock.calls[1][0]);
+    expect(deltaUrl.searchParams.get("since")).toBe("2025-01-05T10:00:00Z");
+    expect(fetch.mock.calls[1][1].headers["If-None-Match"]).toBeUndefined();
+
+    // Once the range is covered, widening it again sends the stored ETag
+    const later = await fetchCommitsCached({ ...extended, endISO: "2025-02-28T00:00:00.000Z" });
+    expect(later.map((i) => i.sha)).toEqual(["c", "a"]);
+    expect(fetch.mock.calls[2][1].headers["If-None-Match"]).toBe("\"etag-1\"");
+    expect(new URL(fetch.mock.calls[2][0]).searchParams.get("since")).toBe("2025-01-20T10:00:00Z");
+  });
+
+  test("should select commits by committer date, like GitHub's since/until", async () => {
+    // Rebased commits: authored before the range, committed inside it
+    const rebased = (sha, authored, committed) => ({
+      ...apiCommit(sha, authored),
+      commit: { message: `fix: commit ${sha}`, author: { date: authored }, committer: { date: committed } }
+    });
+    fetch
+      .mockResolvedValueOnce(mockCommitsResponse([rebased("r", "2024-12-20T10:00:00Z", "2025-01-10T10:00:00Z")]))
+      .mockResolvedValueOnce(mockCommitsResponse([rebased("s", "2024-12-21T10:00:00Z", "2025-01-20T10:00:00Z")]));
+
+    const first = await fetchCommitsCached({ ...params, cacheDir });
+    expect(first.map((i) => i.sha)).toEqual(["r"]);
+    expect(first[0].date).toBe("2024-12-20T10:00:00Z");
+
+    const extended = await fetchCommitsCached({ ...params, endISO: "2025-01-31T00:00:00.000Z", cacheDir });
+    expect(extended.map((i) => i.sha)).toEqual(["s", "r"]);
+    expect(new URL(fetch.mock.calls[1][0]).searchParams.get("since")).toBe("2025-01-10T10:00:00Z");
+  });
+
+  test("should fetch older history before the cached range", async () => {
+    fetch
+      .mockResolvedValueOnce(mockCommitsResponse([apiCommit("b", "2025-01-10T10:00:00Z")]))
+      .mockResolvedValueOnce(mockCommitsResponse([apiCommit("old", "2024-12-20T10:00:00Z")]));
+
+    await fetchCommitsCached({ ...params, cacheDir });
+    const items = await fetchCommitsCached({
+      ...params,
+      startISO: "2024-12-01T00:00:00.000Z",
+      cacheDir
+    });
+
+    expect(items.map((i) => i.sha)).toEqual(["b", "old"]);
+    expect(new URL(fetch.mock.calls[1][0]).searchParams.get("until")).toBe(params.startISO);
+  });
+
+  test("should keep separate entries per branch and filter", async () => {
+    fetch.mockResolvedValue(mockCommitsResponse([apiCommit("a", "2025-01-05T10:00:00Z")]));
+
+    await fetchCommitsCached({ ...params, cacheDir });
+    await fetchCommitsCached({ ...params, branch: "develop", cacheDir });
+    await fetchCommitsCached({ ...params, author: "user1", cacheDir });
+
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(fs.readdirSync(cacheDir)).toHaveLength(3);
+  });
+
+  test("should bypass the cache when --max is set or no cache directory is given", async () => {
+    fetch.mockResolvedValue(mockCommitsResponse([apiCommit("a", "2025-01-05T10:00:00Z")]));
+
+    await fetchNormalizedCommits({ ...params, max: 1, cacheDir });
+    await fetchNormalizedCommits(params);
+
+    expect(fs.readdirSync(cacheDir)).toHaveLength(0);
+  });
+
+  test("should not cache results cut short by a rate limit", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    fetch
+      .mockResolvedValueOnce({
+        ...mockCommitsResponse([apiCommit("a", "2025-01-05T10:00:00Z")]),
+        headers: new Map([["link", "<https://api.github.com/repos/test/repo/commits?page=2>; rel=\"next\""]])
+      })
+      .mockResolvedValueOnce({
+        ok: false,
+        status: 429,
+        headers: new Map([["retry-after", "60"]]),
+        text: async () => ""
+      });
+    const onPartial = jest.fn();
+
+    const items = await fetchCommitsCached({ ...params, cacheDir, onPartial });
+
+    expect(items.map((i) => i.sha)).toEqual(["a"]);
+    expect(onPartial).toHaveBeenCalledTimes(1);
+    expect(fs.readdirSync(cacheDir)).toHaveLength(0);
+  });
+
+  test("should ignore unreadable cache files", async () => {
+    fetch.mockResolvedValue(mockCommitsResponse([apiCommit("a", "2025-01-05T10:00:00Z")]));
+
+    await fetchCommitsCached({ ...params, cacheDir });
+    const [file] = fs.readdirSync(cacheDir);
+    fs.writeFileSync(path.join(cacheDir, file), "{ not json");
+
+    const items = await fetchCommitsCached({ ...params, cacheDir });
+    expect(items.map((i) => i.sha)).toEqual(["a"]);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("clearCache", () => {
+  test("should remove cache entries and leave other files alone", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "titles-cache-"));
+    fs.writeFileSync(path.join(dir, `${"a".repeat(40)}.json`), "{}");
+    fs.writeFileSync(path.join(dir, "notes.txt"), "keep me");
+
+    expect(clearCache(dir)).toBe(1);
+    expect(fs.readdirSync(dir)).toEqual(["notes.txt"]);
+    expect(clearCache(path.join(dir, "missing"))).toBe(0);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("should parse the cache flags", () => {
+    expect(parseArgs(["--no-cache", "--cache-dir", "/tmp/c"])).toEqual({
+      noCache: true,
+      cacheDir: "/tmp/c"
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests for user-defined categorization rules (`categories` in the config file)
+ * Covers pattern/prefix/emoji matchers, labels, validation and their use in
+ * statistics, the timesheet and the summary
+ */
+
+// The optional re2 engine that validateRegex requires, backed by RegExp
+jest.mock("re2", () => RegExp, { virtual: true });
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  categorizeCommit,
+  categoryLabel,
+  compileCategoryRules,
+  generateStats,
+  loadConfig,
+  outputSummary,
+  outputTimesheet,
+} = require("../titles");
+
+const categories = [
+  { pattern: "^[A-Z][A-Z0-9]+-\\d+\\b", category: "ticket", label: "JIRA" },
+  { emoji: ["🐛", ":bug:"], category: "bugfix", label: "BUG" },
+  { emoji: "✨", category: "feature" },
+  { prefix: "hotfix", category: "bugfix" }
+];
+
+describe("Category rules", () => {
+  test("should match rules in order before the built-in categories", () => {
+    expect(categorizeCommit("PROJ-123 Fix login", categories)).toBe("ticket");
+    expect(categorizeCommit("🐛 Fix crash on start", categories)).toBe("bugfix");
+    expect(categorizeCommit(":bug: Fix crash on start", categories)).toBe("bugfix");
+    expect(categorizeCommit("✨ Add dark mode", categories)).toBe("feature");
+    expect(categorizeCommit("HOTFIX: broken build", categories)).toBe("bugfix");
+    expect(categorizeCommit("feat: add login", categories)).toBe("feature");
+    expect(categorizeCommit("Update README", categories)).toBe("other");
+  });
+
+  test("should use rule labels for display", () => {
+    expect(categoryLabel("ticket", categories)).toBe("JIRA");
+    expect(categoryLabel("bugfix", categories)).toBe("BUG");
+    expect(categoryLabel("feature", categories)).toBe("FEATURE");
+    expect(categoryLabel("documentation")).toBe("DOCUMENTATION");
+  });
+
+  test("should reject invalid rules", () => {
+    expect(() => compileCategoryRules([{ pattern: "x" }])).toThrow("Invalid category rule #1: needs a \"category\" name");
+    expect(() => compileCategoryRules([categories[0], { category: "x" }])).toThrow(
+      "Invalid category rule #2: needs a \"pattern\", \"prefix\" or \"emoji\""
+    );
+    expect(() => compileCategoryRules([{ pattern: "(", category: "x" }])).toThrow("Invalid category rule #1: invalid pattern");
+    expect(() => compileCategoryRules([{ pattern: "(a+)\\1", category: "x" }])).toThrow(
+      "Invalid category rule #1: invalid pattern (Invalid regex pattern for --categories: Pattern for --categories contains potentially dangerous constructs)"
+    );
+    expect(() => compileCategoryRules({ category: "x" })).toThrow("categories must be a list of rules");
+  });
+
+  test("should be validated when the configuration file is loaded", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "titles-config-"));
+    const file = path.join(dir, "config.json");
+    const base = { owner: "o", repo: "r", branch: "main", start: "2025-01-01", end: "2025-01-31" };
+
+    fs.writeFileSync(file, JSON.stringify({ ...base, categories }));
+    expect(loadConfig(file).categories).toHaveLength(4);
+
+    fs.writeFileSync(file, JSON.stringify({ ...base, categories: [{ prefix: "x" }] }));
+    expect(() => loadConfig(file)).toThrow("Invalid category rule #1");
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+describe("Category rules in reports", () => {
+  const items = [
+    { sha: "c1", title: "PROJ-1 Add login", date: "2025-01-15T10:00:00Z", author_login: "user1" },
+    { sha: "c2", title: "🐛 Fix crash", date: "2025-01-15T09:00:00Z", author_login: "user1" },
+    { sha: "c3", title: "PROJ-2 Fix logout", date: "2025-01-14T09:00:00Z", author_login: "user2" }
+  ];
+  const args = { owner: "test", repo: "repo", branch: "main", categories };
+
+  test("should count types with the rules", () => {
+    expect(generateStats(items, { categories }).byType).toEqual({ ticket: 2, bugfix: 1 });
+    expect(generateStats(items).byType).toEqual({ other: 3 });
+  });
+
+  test("should label timesheet entries and summarize the categories", () => {
+    expect(outputTimesheet(items, args).split("\n").slice(0, 3)).toEqual([
+      "15/01/2025:",
+      "• [JIRA] PROJ-1 Add login",
+      "• [BUG] 🐛 Fix crash"
+    ]);
+    expect(outputSummary(items, args, "start", "end")).toContain("- **JIRA**: 2 (66.7%)\n- **BUG**: 1 (33.3%)");
+  });
+
+  test("should label the types of the lines changed summary", () => {
+    const withStats = items.map((it, i) => ({ ...it, additions: 10 * (i + 1), deletions: 1, changed_files: 1 }));
+    const summary = outputSummary(withStats, args, "start", "end");
+    const byType = summary.split("### By Type\n\n")[1].split("\n\n")[0];
+
+    expect(byType.split("\n").map((line) => line.split(":")[0])).toEqual(["- **JIRA**", "- **BUG**"]);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for the changelog format
+ * Covers release sections built from Conventional Commits types and merging
+ * a new section into an existing CHANGELOG.md
+ */
+
+const { outputChangelog, mergeChangelog, formatOutput, parseArgs } = require("../titles");
+
+const commit = (sha, title, author = "user1", extra = {}) => ({
+  sha: `${sha}000000000`,
+  title,
+  date: "2025-01-15T10:00:00Z",
+  html_url: `https://github.com/test/repo/commit/${sha}000000000`,
+  author_login: author,
+  ...extra
+});
+
+describe("outputChangelog", () => {
+  const items = [
+    commit("a1", "feat(api)!: drop v1 endpoints"),
+    commit("b2", "feat(api): add search", "user2", {
+      pull_requests: [{ number: 42, title: "Search", url: "https://github.com/test/repo/pull/42", labels: [] }]
+    }),
+    commit("c3", "fix: handle empty results", "user2", { co_authors: ["Jane Doe"] }),
+    commit("d4", "perf: cache lookups"),
+    commit("e5", "chore: bump deps"),
+    commit("f6", "docs: update README")
+  ];
+  const args = { owner: "test", repo: "repo", release: "1.2.0" };
+
+  test("should group changes into release sections and credit contributors", () => {
+    expect(outputChangelog(items, args, "2025-01-01T00:00:00Z", "2025-01-31T23:59:59Z")).toBe(
+      [
+        "## [1.2.0] - 2025-01-31",
+        "",
+        "### Breaking Changes",
+        "",
+        "- **api:** drop v1 endpoints ([a100000](https://github.com/test/repo/commit/a1000000000))",
+        "",
+        "### Features",
+        "",
+        "- **api:** add search ([b200000](https://github.com/test/repo/commit/b2000000000)) ([#42](https://github.com/test/repo/pull/42))",
+        "",
+        "### Bug Fixes",
+        "",
+        "- handle empty results ([c300000](https://github.com/test/repo/commit/c3000000000))",
+        "",
+        "### Performance",
+        "",
+        "- cache lookups ([d400000](https://github.com/test/repo/commit/d4000000000))",
+        "",
+        "### Contributors",
+        "",
+        "- @user1 (4 commits)",
+        "- @user2 (2 commits)",
+        "- Jane Doe (1 commit)"
+      ].join("\n")
+    );
+  });
+
+  test("should default to Unreleased and say when nothing is notable", () => {
+    const output = formatOutput("changelog", [commit("e5", "chore: bump deps")], {}, "start", "2025-02-01T00:00:00Z");
+
+    expect(output.split("\n").slice(0, 3)).toEqual(["## [Unreleased]", "", "No notable changes."]);
+  });
+
+  test("should link pull request items by number", () => {
+    const pr = {
+      ...commit("m1", "feat: add login"),
+      kind: "pr",
+      number: 7,
+      html_url: "https://github.com/test/repo/pull/7"
+    };
+
+    expect(outputChangelog([pr], args, "start", "2025-01-31T00:00:00Z")).toContain(
+      "- add login ([#7](https://github.com/test/repo/pull/7))"
+    );
+  });
+
+  test("should parse --release", () => {
+    expect(parseArgs(["--format", "changelog", "--release", "v2.0.0"])).toEqual({ format: "changelog", release: "v2.0.0" });
+  });
+});
+
+describe("mergeChangelog", () => {
+  const existing = [
+    "# Changelog",
+    "",
+    "All notable changes to this project are documented here.",
+    "",
+    "## [1.1.0] - 2025-01-01",
+    "",
+    "### Features",
+    "",
+    "- old feature",
+    "",
+    "## [1.0.0] - 2024-12-01",
+    "",
+    "- first release",
+    ""
+  ].join("\n");
+
+  test("should insert the new release above the previous ones", () => {
+    const merged = mergeChangelog(existing, "## [1.2.0] - 2025-02-01\n\n### Bug Fixes\n\n- new fix");
+
+    expect(merged).toBe(
+      [
+        "# Changelog",
+        "",
+        "All notable changes to this project are documented here.",
+        "",
+        "## [1.2.0] - 2025-02-01",
+        "",
+        "### Bug Fixes",
+        "",
+        "- new fix",
+        "",
+        "## [1.1.0] - 2025-01-01",
+        "",
+        "### Features",
+        "",
+        "- old feature",
+        "",
+        "## [1.0.0] - 2024-12-01",
+        "",
+        "- first release",
+        ""
+      ].join("\n")
+    );
+  });
+
+  test("should replace the section of the same version", () => {
+    const merged = mergeChangelog(existing, "## [1.1.0] - 2025-01-02\n\n- rewritten");
+
+    expect(merged).toContain("## [1.1.0] - 2025-01-02\n\n- rewritten\n\n## [1.0.0] - 2024-12-01");
+    expect(merged).not.toContain("old feature");
+  });
+
+  test("should replace the Unreleased section, with or without a date", () => {
+    const unreleased = "# Changelog\n\n## [Unreleased] - 2025-01-20\n\n- draft\n\n## [1.0.0] - 2024-12-01\n\n- first release\n";
+    const merged = mergeChangelog(unreleased, "## [Unreleased]\n\n- current");
+
+    expect(merged).toBe("# Changelog\n\n## [Unreleased]\n\n- current\n\n## [1.0.0] - 2024-12-01\n\n- first release\n");
+    expect(mergeChangelog(merged, "## [Unreleased]\n\n- later")).not.toContain("- current");
+  });
+
+  test("should start a new changelog", () => {
+    expect(mergeChangelog("", "## [Unreleased]\n\n- x")).toBe("# Changelog\n\n## [Unreleased]\n\n- x\n");
+    expect(mergeChangelog("# Changelog\n", "## [1.0.0] - 2025-02-01")).toBe("# Changelog\n\n## [1.0.0] - 2025-02-01\n");
+  });
+});
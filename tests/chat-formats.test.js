@@ -0,0 +1,207 @@
+/**
+ * Tests for the Slack and Microsoft Teams message formats
+ * Covers the Block Kit and Adaptive Card payloads, escaping, --message-limit
+ * and splitting long digests into several messages
+ */
+
+const {
+  outputSlack,
+  outputTeams,
+  chatLimits,
+  formatOutput,
+  parseArgs,
+} = require("../titles");
+
+const items = [
+  {
+    sha: "a1b2c3d",
+    title: "feat(api)!: drop <v1> & co",
+    date: "2025-01-15T10:00:00Z",
+    html_url: "https://github.com/acme/web/commit/a1b2c3d",
+    author_login: "user1",
+    pull_requests: [{ number: 4, title: "Drop v1", url: "https://github.com/acme/web/pull/4" }],
+  },
+  { sha: "b2c3d4e", title: "fix: handle empty results", date: "2025-01-14T10:00:00Z", author_login: "user2" },
+];
+const args = { owner: "acme", repo: "web", branch: "main" };
+const start = "2025-01-14T00:00:00Z";
+const end = "2025-01-15T23:59:59Z";
+
+// One commit per day over many days, to fill messages
+const manyItems = Array.from({ length: 120 }, (_, i) => ({
+  sha: `c${i}`,
+  title: `feat: change number ${i} with a fairly descriptive title`,
+  date: new Date(Date.UTC(2025, 0, 1) + i * 86400000).toISOString(),
+  html_url: `https://github.com/acme/web/commit/c${i}`,
+  author_login: `user${i % 3}`,
+}));
+
+const messagesOf = (output) => output.split("\n").map((line) => JSON.parse(line));
+
+describe("outputSlack", () => {
+  test("should build one Block Kit message with facts, statistics and commits", () => {
+    const [message, ...rest] = messagesOf(outputSlack(items, args, start, end));
+
+    expect(rest).toEqual([]);
+    expect(message.text).toBe("Commit Summary: acme/web");
+    expect(message.blocks[0]).toEqual({
+      type: "header",
+      text: { type: "plain_text", text: "Commit Summary: acme/web", emoji: true },
+    });
+    expect(message.blocks[1].fields.map((field) => field.text)).toEqual([
+      "*Branch*\nmain",
+      "*Date Range*\n2025-01-14T00:00:00Z to 2025-01-15T23:59:59Z",
+      "*Total Commits*\n2",
+      "*Average per Day*\n1.0",
+    ]);
+    expect(message.blocks.slice(2).map((block) => block.text.text)).toEqual([
+      "*Commit Types*\n• FEATURE: 1 (50.0%)\n• BUGFIX: 1 (50.0%)",
+      "*Top Contributors*\n• user1: 1 commits (50.0%)\n• user2: 1 commits (50.0%)",
+      "*2025-01-15 (1 commits)*\n• [BREAKING] <https://github.com/acme/web/commit/a1b2c3d|feat(api)!: drop &lt;v1&gt; &amp; co> (<https://github.com/acme/web/pull/4|#4>) (user1)",
+      "*2025-01-14 (1 commits)*\n• fix: handle empty results (user2)",
+    ]);
+  });
+
+  test("should group multi-repository runs by repository and show partial results", () => {
+    const tagged = items.map((it, i) => ({ ...it, repository: i === 0 ? "acme/web" : "acme/api" }));
+    const partial = [{ owner: "acme", repo: "api", fetched: 1, resetAt: "12:00:00" }];
+    const [message] = messagesOf(
+      outputSlack(tagged, { repositories: [{ owner: "acme", repo: "api" }, { owner: "acme", repo: "web" }], partial }, start, end)
+    );
+    const texts = message.blocks.slice(2).map((block) => block.text?.text || block.elements[0].text);
+
+    expect(texts[0]).toMatch(/^:warning: Partial results: GitHub rate limit reached for acme\/api/);
+    expect(texts[1]).toBe("*Repositories*\n• acme/web: 1 commits (50.0%)\n• acme/api: 1 commits (50.0%)");
+    expect(texts.slice(4)).toEqual([
+      "*acme/api · 2025-01-14 (1 commits)*\n• fix: handle empty results (user2)",
+      expect.stringMatching(/^\*acme\/web · 2025-01-15 \(1 commits\)\*\n• \[BREAKING\] </),
+    ]);
+  });
+
+  test("should split long digests into numbered messages within the limits", () => {
+    const messages = messagesOf(outputSlack(manyItems, args, start, end));
+
+    // 2 + 120 sections do not fit the 50 blocks of a message
+    expect(messages).toHaveLength(3);
+    expect(messages.map((message) => message.text)).toEqual([
+      "Commit Summary: acme/web (1/3)",
+      "Commit Summary: acme/web (2/3)",
+      "Commit Summary: acme/web (3/3)",
+    ]);
+    expect(messages.every((message) => message.blocks.length <= 50)).toBe(true);
+    expect(messages.flatMap((message) => message.blocks).filter((block) => block.type === "section")).toHaveLength(
+      123
+    );
+  });
+
+  test("should split sections longer than a block and follow --message-limit", () => {
+    const oneDay = manyItems.map((it) => ({ ...it, date: "2025-01-15T10:00:00Z" }));
+    const output = outputSlack(oneDay, { ...args, messageLimit: "4000" }, start, end);
+    const messages = messagesOf(output);
+    const headings = messages
+      .flatMap((message) => message.blocks)
+      .filter((block) => block.text?.text?.startsWith("*2025-01-15"))
+      .map((block) => block.text.text.split("\n")[0]);
+
+    expect(output.split("\n").every((line) => Buffer.byteLength(line) <= 4000)).toBe(true);
+    expect(headings[0]).toBe("*2025-01-15 (120 commits)*");
+    expect(headings.slice(1).every((heading) => heading === "*2025-01-15 (120 commits) (continued)*")).toBe(true);
+    expect(
+      messages
+        .flatMap((message) => message.blocks)
+        .map((block) => block.text?.text || "")
+        .join("\n")
+        .match(/change number \d+ /g)
+    ).toHaveLength(120);
+  });
+
+  test("should label commit types like the summary", () => {
+    const categories = [{ prefix: "fix:", category: "bugfix", label: "BUG" }];
+    const [message] = messagesOf(outputSlack(items, { ...args, categories }, start, end));
+    const [card] = messagesOf(outputTeams(items, { ...args, categories }, start, end));
+
+    expect(message.blocks[2].text.text).toBe("*Commit Types*\n• FEATURE: 1 (50.0%)\n• BUG: 1 (50.0%)");
+    expect(card.attachments[0].content.body[3].text).toBe("- FEATURE: 1 (50.0%)\r- BUG: 1 (50.0%)");
+  });
+
+  test("should count bytes of non-ASCII digests against --message-limit", () => {
+    const wide = manyItems.map((it) => ({ ...it, date: "2025-01-15T10:00:00Z", title: `修正: 変更番号 ${it.sha} ${"変".repeat(60)}` }));
+    const output = outputSlack(wide, { ...args, messageLimit: "2000" }, start, end);
+
+    expect(output.split("\n").every((line) => Buffer.byteLength(line) <= 2000)).toBe(true);
+    expect(output.match(/変更番号 c\d+ /g)).toHaveLength(120);
+  });
+
+  test("should shorten long titles before adding links and entities", () => {
+    const long = [{ ...items[0], pull_requests: [], title: `fix: ${"a & b ".repeat(300)}` }];
+    const [message] = messagesOf(outputSlack(long, { ...args, messageLimit: "2000" }, start, end));
+    const line = message.blocks[4].text.text.split("\n")[1];
+
+    expect(Buffer.byteLength(line)).toBeLessThanOrEqual(500);
+    expect(line).toMatch(/^• <https:\/\/github\.com\/acme\/web\/commit\/a1b2c3d\|fix: (a &amp; b )*[a &]*…> \(user1\)$/);
+    expect(line.replace(/&(amp|lt|gt);/g, "")).not.toContain("&");
+  });
+});
+
+describe("outputTeams", () => {
+  test("should build an Adaptive Card message", () => {
+    const [message, ...rest] = messagesOf(formatOutput("teams", items, args, start, end));
+    const card = message.attachments[0];
+
+    expect(rest).toEqual([]);
+    expect(message.type).toBe("message");
+    expect(card.contentType).toBe("application/vnd.microsoft.card.adaptive");
+    expect(card.content).toMatchObject({ type: "AdaptiveCard", version: "1.4" });
+    expect(card.content.body[0]).toMatchObject({ type: "TextBlock", text: "Commit Summary: acme/web", size: "Large" });
+    expect(card.content.body[1].facts).toEqual([
+      { title: "Branch", value: "main" },
+      { title: "Date Range", value: "2025-01-14T00:00:00Z to 2025-01-15T23:59:59Z" },
+      { title: "Total Commits", value: "2" },
+      { title: "Average per Day", value: "1.0" },
+    ]);
+    expect(card.content.body.slice(6, 8).map((block) => block.text)).toEqual([
+      "2025-01-15 (1 commits)",
+      "- [BREAKING] [feat(api)!: drop <v1> & co](https://github.com/acme/web/commit/a1b2c3d) ([#4](https://github.com/acme/web/pull/4)) (user1)",
+    ]);
+    expect(card.content.body[3].text).toBe("- FEATURE: 1 (50.0%)\r- BUGFIX: 1 (50.0%)");
+  });
+
+  test("should escape markdown in titles", () => {
+    const [message] = messagesOf(
+      outputTeams([{ ...items[1], title: "fix: *all* the_things [wip] `now`" }], args, start, end)
+    );
+
+    expect(message.attachments[0].content.body.at(-1).text).toBe(
+      "- fix: \\*all\\* the\\_things \\[wip\\] \\`now\\` (user2)"
+    );
+  });
+
+  test("should split cards larger than the message limit", () => {
+    const output = outputTeams(manyItems, { ...args, messageLimit: 5000 }, start, end);
+    const messages = messagesOf(output);
+    const titles = messages.map((message) => message.attachments[0].content.body[0].text);
+
+    expect(messages.length).toBeGreaterThan(1);
+    expect(titles[0]).toBe(`Commit Summary: acme/web (1/${messages.length})`);
+    expect(output.split("\n").every((line) => Buffer.byteLength(line) <= 5000)).toBe(true);
+    expect(messagesOf(outputTeams(manyItems.slice(0, 20), args, start, end))).toHaveLength(1);
+  });
+});
+
+describe("chatLimits", () => {
+  test("should use each platform's limits and --message-limit", () => {
+    expect(chatLimits("slack")).toEqual({ text: 3000, blocks: 50, message: 40000 });
+    expect(chatLimits("teams", { messageLimit: "4000" })).toEqual({ text: 2000, blocks: Infinity, message: 4000 });
+    expect(() => chatLimits("slack", { messageLimit: "big" })).toThrow(
+      "--message-limit must be a number of bytes of at least 1000 (got big)"
+    );
+    expect(() => chatLimits("teams", { messageLimit: 500 })).toThrow("--message-limit must be a number of bytes");
+  });
+
+  test("should parse the flag", () => {
+    expect(parseArgs(["--format", "slack", "--message-limit", "4000"])).toEqual({
+      format: "slack",
+      messageLimit: "4000",
+    });
+  });
+});
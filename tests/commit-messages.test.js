@@ -0,0 +1,164 @@
+/**
+ * Tests for full commit messages (--with-body)
+ * Covers trailer parsing, co-author credit, the --trailer filter and the
+ * body/trailer columns in csv output
+ */
+
+const {
+  parseTrailers,
+  messageDetails,
+  parseTrailerFilter,
+  normalizeCommit,
+  normalizeGraphQLCommit,
+  fetchNormalizedCommits,
+  filterItems,
+  generateStats,
+  outputCSV,
+  outputNDJSON,
+  parseArgs,
+} = require("../titles");
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+const message = [
+  "feat: pair on login",
+  "",
+  "Adds the login form and session handling.",
+  "",
+  "Co-authored-by: Jane Doe <12345+jane@users.noreply.github.com>",
+  "Co-authored-by: Bob <bob@example.com>",
+  "Reviewed-by: Alice <alice@example.com>",
+  "Refs #12",
+  "Signed-off-by: Dev <dev@example.com>"
+].join("\n");
+
+describe("parseTrailers", () => {
+  test("should parse the trailers of the last paragraph", () => {
+    expect(parseTrailers(message)).toEqual({
+      "Co-authored-by": ["Jane Doe <12345+jane@users.noreply.github.com>", "Bob <bob@example.com>"],
+      "Reviewed-by": ["Alice <alice@example.com>"],
+      Refs: ["#12"],
+      "Signed-off-by": ["Dev <dev@example.com>"]
+    });
+  });
+
+  test("should normalize keys and join continuation lines", () => {
+    expect(parseTrailers("fix: x\n\nFIXES: #3\nNote: a long\n  explanation")).toEqual({
+      Fixes: ["#3"],
+      Note: ["a long explanation"]
+    });
+  });
+
+  test("should ignore prose paragraphs and subject-only messages", () => {
+    expect(parseTrailers("fix: x\n\nThis fixes: the bug\nfor real")).toEqual({});
+    expect(parseTrailers("Signed-off-by: Dev <dev@example.com>")).toEqual({});
+    expect(parseTrailers(undefined)).toEqual({});
+  });
+});
+
+describe("messageDetails", () => {
+  test("should keep the body and resolve co-authors", () => {
+    const details = messageDetails(message);
+
+    expect(details.body.startsWith("Adds the login form and session handling.\n\nCo-authored-by:")).toBe(true);
+    expect(details.co_authors).toEqual(["jane", "Bob"]);
+  });
+
+  test("should be added by the normalizers only when asked", () => {
+    const apiCommit = { sha: "c1", commit: { message, author: { date: "2025-01-15T10:00:00Z" } } };
+
+    expect(normalizeCommit(apiCommit).body).toBeUndefined();
+    expect(normalizeCommit(apiCommit, { withBody: true })).toMatchObject({
+      title: "feat: pair on login",
+      co_authors: ["jane", "Bob"],
+      trailers: { Refs: ["#12"] }
+    });
+    expect(normalizeGraphQLCommit({ oid: "c1", message }, { withBody: true }).co_authors).toEqual(["jane", "Bob"]);
+  });
+
+  test("should be passed through fetchNormalizedCommits", async () => {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      status: 200,
+      headers: new Map(),
+      json: async () => [{ sha: "c1", commit: { message, author: { date: "2025-01-15T10:00:00Z" } } }]
+    });
+
+    const [item] = await fetchNormalizedCommits({
+      owner: "test",
+      repo: "repo",
+      startISO: "2025-01-01T00:00:00Z",
+      endISO: "2025-01-31T00:00:00Z",
+      retries: 1,
+      withBody: true
+    });
+
+    expect(item.trailers["Signed-off-by"]).toEqual(["Dev <dev@example.com>"]);
+  });
+});
+
+describe("--trailer filter", () => {
+  const items = [
+    { sha: "c1", title: "feat: pair on login", ...messageDetails(message) },
+    { sha: "c2", title: "fix: typo", ...messageDetails("fix: typo\n\nFixes: #7") },
+    { sha: "c3", title: "chore: bump", ...messageDetails("chore: bump") }
+  ];
+
+  test("should parse the filter", () => {
+    expect(parseTrailerFilter("reviewed-by=Alice")).toEqual({ key: "Reviewed-by", value: "Alice" });
+    expect(parseTrailerFilter("Fixes")).toEqual({ key: "Fixes", value: null });
+    expect(parseTrailerFilter(undefined)).toBeNull();
+    expect(() => parseTrailerFilter("=x")).toThrow("--trailer must be a trailer key or key=value");
+    expect(parseArgs(["--with-body", "--trailer", "Fixes"])).toEqual({ withBody: true, trailer: "Fixes" });
+  });
+
+  test("should keep commits with a matching trailer", () => {
+    const keep = (spec) => filterItems(items, { trailer: parseTrailerFilter(spec) }).map((i) => i.sha);
+
+    expect(keep("Fixes")).toEqual(["c2"]);
+    expect(keep("reviewed-by=alice")).toEqual(["c1"]);
+    expect(keep("Co-authored-by=bob@example")).toEqual(["c1"]);
+    expect(keep("Reviewed-by=carol")).toEqual([]);
+  });
+});
+
+describe("Trailer output and statistics", () => {
+  const items = [
+    {
+      sha: "c1",
+      title: "feat: pair on login",
+      date: "2025-01-15T10:00:00Z",
+      author_login: "dev",
+      additions: 10,
+      deletions: 2,
+      changed_files: 1,
+      ...messageDetails(message)
+    },
+    { sha: "c2", title: "fix: typo", date: "2025-01-14T10:00:00Z", author_login: "jane", ...messageDetails("fix: typo") }
+  ];
+
+  test("should credit co-authors in per-author stats", () => {
+    const stats = generateStats(items);
+
+    expect(stats.total).toBe(2);
+    expect(stats.byAuthor).toEqual({ dev: 1, jane: 2, Bob: 1 });
+    expect(stats.diff.byAuthor.Bob).toEqual({ additions: 10, deletions: 2 });
+  });
+
+  test("should add body and trailer columns to csv", () => {
+    const lines = outputCSV(items).split("\n");
+
+    expect(lines[0].endsWith(",body,co_authors,signed_off_by,reviewed_by,refs,fixes")).toBe(true);
+    expect(lines.join("\n")).toContain(
+      "\",jane;Bob,Dev <dev@example.com>,Alice <alice@example.com>,#12,\n"
+    );
+  });
+
+  test("should include trailers in ndjson", () => {
+    const first = JSON.parse(outputNDJSON(items).split("\n")[0]);
+
+    expect(first.trailers.Refs).toEqual(["#12"]);
+    expect(first.co_authors).toEqual(["jane", "Bob"]);
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Tests for Conventional Commits parsing
+ * Covers type/scope/breaking extraction, categorization and scope grouping
+ * and breaking change flags in the grouped, timesheet and summary formats
+ */
+
+const {
+  parseConventionalCommit,
+  categorizeCommit,
+  normalizeCommit,
+  generateStats,
+  groupByScope,
+  validateGroupBy,
+  outputGrouped,
+  outputTimesheet,
+  outputSummary,
+  parseArgs,
+} = require("../titles");
+
+describe("parseConventionalCommit", () => {
+  test("should extract type, scope, breaking flag and description", () => {
+    expect(parseConventionalCommit("feat(api): add search")).toEqual({
+      type: "feat",
+      scope: "api",
+      breaking: false,
+      description: "add search"
+    });
+    expect(parseConventionalCommit("fix!: drop legacy tokens")).toEqual({
+      type: "fix",
+      scope: null,
+      breaking: true,
+      description: "drop legacy tokens"
+    });
+    expect(parseConventionalCommit("refactor(Core)!: rename module").scope).toBe("Core");
+  });
+
+  test("should detect BREAKING CHANGE footers", () => {
+    expect(parseConventionalCommit("feat: new config\n\nBREAKING CHANGE: config.json is renamed").breaking).toBe(true);
+    expect(parseConventionalCommit("feat: new config\n\nBREAKING-CHANGE: renamed").breaking).toBe(true);
+    expect(parseConventionalCommit("feat: new config\n\nNot a BREAKING CHANGE: really").breaking).toBe(false);
+    expect(
+      parseConventionalCommit("feat: new config\n\nBREAKING CHANGE: describe it here\n\n- [x] Tests added").breaking
+    ).toBe(false);
+    expect(
+      parseConventionalCommit("feat: new config\n\nMoves files.\n\nRefs: #12\nBREAKING CHANGE: renamed").breaking
+    ).toBe(true);
+  });
+
+  test("should return null for other titles", () => {
+    expect(parseConventionalCommit("Update README")).toBeNull();
+    expect(parseConventionalCommit("WIP: login form")).toBeNull();
+    expect(parseConventionalCommit("Merge: main into release")).toBeNull();
+    expect(parseConventionalCommit("JIRA: PROJ-12 fix login")).toBeNull();
+    expect(parseConventionalCommit("Refactor(Core)!: rename module")).toBeNull();
+    expect(parseConventionalCommit("note:no space")).toBeNull();
+    expect(parseConventionalCommit("Merge pull request #1 from user/branch")).toBeNull();
+    expect(parseConventionalCommit("")).toBeNull();
+    expect(parseConventionalCommit(undefined)).toBeNull();
+  });
+
+  test("should categorize breaking and scoped titles", () => {
+    expect(categorizeCommit("feat!: remove v1 API")).toBe("feature");
+    expect(categorizeCommit("fix(ui)!: change button API")).toBe("bugfix");
+    expect(categorizeCommit("wip: experiments")).toBe("other");
+    expect(categorizeCommit("Fix(ui):align buttons")).toBe("bugfix");
+    expect(categorizeCommit("constructor: x")).toBe("other");
+  });
+
+  test("should be stored on normalized items", () => {
+    const item = normalizeCommit({
+      sha: "c1",
+      commit: { message: "perf(db): batch writes\n\nBREAKING CHANGE: needs v2 schema" }
+    });
+
+    expect(item.conventional).toEqual({
+      type: "perf",
+      scope: "db",
+      breaking: true,
+      description: "batch writes"
+    });
+  });
+});
+
+describe("Scopes and breaking changes in reports", () => {
+  const items = [
+    { sha: "c1", title: "feat(api)!: drop v1 endpoints", date: "2025-01-15T10:00:00Z", author_login: "user1", html_url: "https://github.com/test/repo/commit/c1" },
+    { sha: "c2", title: "fix(ui): align buttons", date: "2025-01-15T09:00:00Z", author_login: "user2" },
+    { sha: "c3", title: "Update README", date: "2025-01-14T09:00:00Z", author_login: "user1" },
+    { sha: "c4", title: "feat(api): add search", date: "2025-01-14T08:00:00Z", author_login: "user2" }
+  ];
+
+  test("should validate and parse --group-by", () => {
+    expect(validateGroupBy(undefined)).toBe("date");
+    expect(validateGroupBy("Scope")).toBe("scope");
+    expect(() => validateGroupBy("author")).toThrow("--group-by must be one of: date, scope");
+    expect(parseArgs(["--group-by", "scope"])).toEqual({ groupBy: "scope" });
+  });
+
+  test("should group by scope with unscoped commits last", () => {
+    const groups = groupByScope(items);
+
+    expect(Object.keys(groups)).toEqual(["api", "ui", "(no scope)"]);
+    expect(groups.api.map((it) => it.sha)).toEqual(["c1", "c4"]);
+  });
+
+  test("should group the grouped format by scope and flag breaking changes", () => {
+    expect(outputGrouped(items, { groupBy: "scope" })).toBe(
+      [
+        "",
+        "api (2 commits):",
+        "  • [BREAKING] feat(api)!: drop v1 endpoints",
+        "  • feat(api): add search",
+        "",
+        "ui (1 commits):",
+        "  • fix(ui): align buttons",
+        "",
+        "(no scope) (1 commits):",
+        "  • Update README"
+      ].join("\n")
+    );
+    expect(outputGrouped(items)).toContain("2025-01-15 (2 commits):\n  • [BREAKING] feat(api)!: drop v1 endpoints");
+  });
+
+  test("should list each day's commits under their scope in the timesheet", () => {
+    expect(outputTimesheet(items, { groupBy: "scope" }).split("\n").slice(0, 5)).toEqual([
+      "15/01/2025:",
+      "  api:",
+      "  • [FEATURE] [BREAKING] feat(api)!: drop v1 endpoints",
+      "  ui:",
+      "  • [BUGFIX] fix(ui): align buttons"
+    ]);
+    expect(outputTimesheet(items)).toContain("• [OTHER] Update README");
+  });
+
+  test("should count scopes and list breaking changes in the summary", () => {
+    const stats = generateStats(items);
+    expect(stats.byScope).toEqual({ api: 2, ui: 1 });
+    expect(stats.breaking).toBe(1);
+
+    const summary = outputSummary(items, { owner: "test", repo: "repo", branch: "main" }, "start", "end");
+    expect(summary).toContain("## Scopes\n\n- **api**: 2 commits\n- **ui**: 1 commits");
+    expect(summary).toContain(
+      "## Breaking Changes (1)\n\n- [feat(api)!: drop v1 endpoints](https://github.com/test/repo/commit/c1) (user1)"
+    );
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Tests for natural-language date expressions and named periods (--period)
+ * Covers weekdays, boundaries, calendar and sprint periods, quarters and ISO
+ * weeks, and how --start/--end and --period use them
+ */
+
+const {
+  parseRelativeDate,
+  resolvePeriod,
+  resolveDateRange,
+  validateDate,
+  getCommits,
+  parseArgs,
+} = require("../titles");
+
+// Wednesday, 15 January 2025, 10:00 local time
+const now = new Date(2025, 0, 15, 10, 0, 0);
+const local = (year, month, day, ...time) => new Date(year, month - 1, day, ...time);
+const lastMoment = (year, month, day) => local(year, month, day, 23, 59, 59, 999);
+
+describe("parseRelativeDate expressions", () => {
+  test("should parse hours and minutes ago", () => {
+    expect(parseRelativeDate("3 hours ago", { now })).toEqual(local(2025, 1, 15, 7));
+    expect(parseRelativeDate("90 minutes ago", { now })).toEqual(local(2025, 1, 15, 8, 30));
+    expect(parseRelativeDate("now", { now })).toEqual(now);
+  });
+
+  test("should parse weekdays", () => {
+    expect(parseRelativeDate("last monday", { now })).toEqual(local(2025, 1, 13));
+    expect(parseRelativeDate("last wednesday", { now })).toEqual(local(2025, 1, 8));
+    expect(parseRelativeDate("This Friday", { now })).toEqual(local(2025, 1, 17));
+    expect(parseRelativeDate("last funday", { now })).toBeNull();
+  });
+
+  test("should parse the start and end of periods", () => {
+    expect(parseRelativeDate("start of quarter", { now })).toEqual(local(2025, 1, 1));
+    expect(parseRelativeDate("start of week", { now })).toEqual(local(2025, 1, 13));
+    expect(parseRelativeDate("beginning of last month", { now })).toEqual(local(2024, 12, 1));
+    expect(parseRelativeDate("end of last month", { now })).toEqual(lastMoment(2024, 12, 31));
+    expect(parseRelativeDate("start of nothing", { now })).toBeNull();
+  });
+
+  test("should return the first moment of periods", () => {
+    expect(parseRelativeDate("this week", { now })).toEqual(local(2025, 1, 13));
+    expect(parseRelativeDate("last month", { now })).toEqual(local(2024, 12, 1));
+    expect(parseRelativeDate("last quarter", { now })).toEqual(local(2024, 10, 1));
+    expect(parseRelativeDate("last year", { now })).toEqual(local(2024, 1, 1));
+    expect(parseRelativeDate("Q3 2025", { now })).toEqual(local(2025, 7, 1));
+    expect(parseRelativeDate("2025-Q4", { now })).toEqual(local(2025, 10, 1));
+    expect(parseRelativeDate("q2", { now })).toEqual(local(2025, 4, 1));
+  });
+
+  test("should parse ISO weeks", () => {
+    expect(parseRelativeDate("2025-W34", { now })).toEqual(local(2025, 8, 18));
+    expect(parseRelativeDate("2025W01", { now })).toEqual(local(2024, 12, 30));
+    expect(parseRelativeDate("2026-W53", { now })).toEqual(local(2026, 12, 28));
+    expect(parseRelativeDate("2025-W54", { now })).toBeNull();
+  });
+
+  test("should parse sprints from the configured cadence", () => {
+    // Default: two-week sprints, one of them starting on Monday 2024-01-01
+    expect(parseRelativeDate("this sprint", { now })).toEqual(local(2025, 1, 13));
+    expect(parseRelativeDate("last sprint", { now })).toEqual(local(2024, 12, 30));
+    expect(parseRelativeDate("last sprint", { now, sprintLength: 10, sprintAnchor: "2025-01-06" })).toEqual(
+      local(2024, 12, 27)
+    );
+    expect(() => parseRelativeDate("last sprint", { now, sprintLength: "0" })).toThrow(
+      "--sprint-length must be a positive number of days"
+    );
+    expect(() => parseRelativeDate("last sprint", { now, sprintAnchor: "soon" })).toThrow(
+      "--sprint-anchor is not a valid date: soon"
+    );
+  });
+});
+
+describe("Periods as --start and --end", () => {
+  test("should use the last moment of a period as --end", () => {
+    expect(validateDate("last month", "end", { now })).toEqual(lastMoment(2024, 12, 31));
+    expect(validateDate("last month", "start", { now })).toEqual(local(2024, 12, 1));
+    // Points in time are unchanged
+    expect(validateDate("today", "end", { now })).toEqual(local(2025, 1, 15));
+  });
+
+  test("should resolve a range of periods", () => {
+    const { startISO, endISO } = resolveDateRange("Q3 2025", "Q3 2025", { now });
+    expect(startISO).toBe(local(2025, 7, 1).toISOString());
+    expect(endISO).toBe(lastMoment(2025, 9, 30).toISOString());
+  });
+});
+
+describe("resolvePeriod", () => {
+  test("should return both ends of named periods", () => {
+    expect(resolvePeriod("last-week", { now })).toEqual({ start: local(2025, 1, 6), end: lastMoment(2025, 1, 12) });
+    expect(resolvePeriod("this-month", { now })).toEqual({ start: local(2025, 1, 1), end: lastMoment(2025, 1, 31) });
+    expect(resolvePeriod("today", { now })).toEqual({ start: local(2025, 1, 15), end: lastMoment(2025, 1, 15) });
+    expect(resolvePeriod("yesterday", { now }).start).toEqual(local(2025, 1, 14));
+    expect(resolvePeriod("Q3-2025", { now }).end).toEqual(lastMoment(2025, 9, 30));
+    expect(resolvePeriod("2025-W34", { now }).end).toEqual(lastMoment(2025, 8, 24));
+    expect(resolvePeriod("last sprint", { now, sprintLength: 10, sprintAnchor: "2025-01-06" })).toEqual({
+      start: local(2024, 12, 27),
+      end: lastMoment(2025, 1, 5),
+    });
+  });
+
+  test("should reject points in time and unknown names", () => {
+    expect(() => resolvePeriod("start-of-month", { now })).toThrow("--period must be a period such as last-week");
+    expect(() => resolvePeriod("3 days ago", { now })).toThrow("(got 3 days ago)");
+    expect(() => resolvePeriod(undefined, { now })).toThrow("--period must be a period");
+  });
+
+  test("should parse the flags and reject --period with --start", async () => {
+    expect(parseArgs(["--period", "last-sprint", "--sprint-length", "10", "--sprint-anchor", "2025-01-06"])).toEqual({
+      period: "last-sprint",
+      sprintLength: "10",
+      sprintAnchor: "2025-01-06",
+    });
+    await expect(getCommits({ owner: "o", repo: "r", branch: "main", period: "last-week", start: "today" })).rejects.toThrow(
+      "--period cannot be combined with --start or --end"
+    );
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Tests for diff stats (--with-stats)
+ * Covers per-commit lookups and their cache, local numstat, and the lines
+ * changed statistics in generateStats and the summary
+ */
+
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  enrichWithStats,
+  fetchLocalCommits,
+  generateStats,
+  outputCSV,
+  outputSummary,
+  parseArgs,
+} = require("../titles");
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+const jsonResponse = (body) => ({
+  ok: true,
+  status: 200,
+  headers: new Map(),
+  json: async () => body
+});
+
+const commitItems = [
+  { sha: "c1", title: "feat: add login", date: "2025-01-15T10:00:00Z", author_login: "user1", html_url: "https://github.com/test/repo/commit/c1" },
+  { sha: "c2", title: "fix: typo", date: "2025-01-14T10:00:00Z", author_login: "user2", html_url: "https://github.com/test/repo/commit/c2" }
+];
+
+const apiCommitDetail = (additions, deletions, files) => ({
+  stats: { additions, deletions, total: additions + deletions },
+  files: Array.from({ length: files }, (_, i) => ({ filename: `f${i}.js` }))
+});
+
+describe("enrichWithStats", () => {
+  let cacheDir;
+  const options = { owner: "test", repo: "repo", retries: 1 };
+
+  beforeEach(() => {
+    fetch.mockReset();
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "titles-stats-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  test("should add additions, deletions and changed files to each commit", async () => {
+    fetch.mockImplementation(async (url) =>
+      url.endsWith("/commits/c1") ? jsonResponse(apiCommitDetail(120, 30, 4)) : jsonResponse(apiCommitDetail(1, 1, 1))
+    );
+
+    const items = await enrichWithStats(commitItems, options);
+
+    expect(items[0]).toMatchObject({ sha: "c1", additions: 120, deletions: 30, changed_files: 4 });
+    expect(items[1]).toMatchObject({ sha: "c2", additions: 1, deletions: 1, changed_files: 1 });
+    expect(fetch.mock.calls.map(([url]) => url).sort()).toEqual([
+      "https://api.github.com/repos/test/repo/commits/c1",
+      "https://api.github.com/repos/test/repo/commits/c2"
+    ]);
+  });
+
+  test("should skip items with stats and look up pull requests by number", async () => {
+    fetch.mockResolvedValue(jsonResponse({ additions: 50, deletions: 5, changed_files: 3 }));
+
+    const items = await enrichWithStats(
+      [
+        { ...commitItems[0], additions: 7, deletions: 0, changed_files: 1 },
+        { ...commitItems[1], kind: "pr", number: 42, repository: "org/web" }
+      ],
+      options
+    );
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch.mock.calls[0][0]).toBe("https://api.github.com/repos/org/web/pulls/42");
+    expect(items[0].additions).toBe(7);
+    expect(items[1]).toMatchObject({ additions: 50, deletions: 5, changed_files: 3 });
+  });
+
+  test("should leave commits GitHub does not know without stats", async () => {
+    fetch.mockResolvedValue({ ok: false, status: 404, headers: new Map(), text: async () => "" });
+
+    const items = await enrichWithStats([commitItems[0]], options);
+
+    expect(items[0].additions).toBeUndefined();
+  });
+
+  test("should only look up each commit once with a cache directory", async () => {
+    fetch.mockResolvedValue(jsonResponse(apiCommitDetail(10, 2, 1)));
+
+    await enrichWithStats([commitItems[0]], { ...options, cacheDir });
+    const items = await enrichWithStats(commitItems, { ...options, cacheDir });
+
+    expect(items.map((it) => it.additions)).toEqual([10, 10]);
+    expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+      "https://api.github.com/repos/test/repo/commits/c1",
+      "https://api.github.com/repos/test/repo/commits/c2"
+    ]);
+    expect(fs.readdirSync(cacheDir)).toHaveLength(1);
+  });
+
+  test("should parse the flag", () => {
+    expect(parseArgs(["--with-stats"])).toEqual({ withStats: true });
+  });
+});
+
+describe("Local diff stats", () => {
+  let repoDir;
+
+  const git = (args) =>
+    execFileSync("git", args, {
+      cwd: repoDir,
+      encoding: "utf8",
+      stdio: "pipe",
+      env: {
+        ...process.env,
+        GIT_AUTHOR_NAME: "Dev",
+        GIT_AUTHOR_EMAIL: "dev@example.com",
+        GIT_AUTHOR_DATE: "2025-01-15T10:00:00Z",
+        GIT_COMMITTER_NAME: "Dev",
+        GIT_COMMITTER_EMAIL: "dev@example.com",
+        GIT_COMMITTER_DATE: "2025-01-15T10:00:00Z"
+      }
+    });
+
+  beforeAll(() => {
+    repoDir = fs.mkdtempSync(path.join(os.tmpdir(), "titles-local-stats-"));
+    git(["init", "-q"]);
+    git(["checkout", "-q", "-b", "main"]);
+    fs.writeFileSync(path.join(repoDir, "a.txt"), "one\ntwo\nthree\n");
+    fs.writeFileSync(path.join(repoDir, "b.bin"), Buffer.from([0, 1, 2, 0]));
+    git(["add", "."]);
+    git(["commit", "-q", "-m", "feat: add files"]);
+    fs.writeFileSync(path.join(repoDir, "a.txt"), "one\n2\n");
+    git(["commit", "-q", "-am", "fix: edit a"]);
+    git(["commit", "-q", "--allow-empty", "-m", "chore: empty"]);
+  });
+
+  afterAll(() => {
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  });
+
+  test("should read additions and deletions from git", async () => {
+    const items = await fetchLocalCommits({
+      startISO: "2025-01-01T00:00:00Z",
+      endISO: "2025-01-31T00:00:00Z",
+      branch: "main",
+      cwd: repoDir,
+      withStats: true
+    });
+
+    expect(items.map(({ title, additions, deletions, changed_files }) => [title, additions, deletions, changed_files])).toEqual([
+      ["chore: empty", 0, 0, 0],
+      ["fix: edit a", 1, 2, 1],
+      ["feat: add files", 3, 0, 2]
+    ]);
+  });
+});
+
+describe("Lines changed statistics", () => {
+  const items = [
+    { ...commitItems[0], additions: 120, deletions: 30, changed_files: 4 },
+    { ...commitItems[1], additions: 2, deletions: 8, changed_files: 1 },
+    { sha: "c3", title: "feat: add signup", date: "2025-01-14T18:00:00Z", author_login: "user1", additions: 40, deletions: 0, changed_files: 2 }
+  ];
+
+  test("should total lines per author, type and day", () => {
+    const { diff } = generateStats(items);
+
+    expect(diff).toMatchObject({ additions: 162, deletions: 38, changedFiles: 7 });
+    expect(diff.byAuthor).toEqual({
+      user1: { additions: 160, deletions: 30 },
+      user2: { additions: 2, deletions: 8 }
+    });
+    expect(diff.byType.feature).toEqual({ additions: 160, deletions: 30 });
+    expect(diff.byDate).toEqual({
+      "2025-01-15": { additions: 120, deletions: 30 },
+      "2025-01-14": { additions: 42, deletions: 8 }
+    });
+    expect(diff.largest.map((it) => it.sha)).toEqual(["c1", "c3", "c2"]);
+  });
+
+  test("should leave diff empty without stats", () => {
+    expect(generateStats(commitItems).diff).toBeNull();
+  });
+
+  test("should report lines changed in the summary and csv", () => {
+    const summary = outputSummary(items, { owner: "test", repo: "repo", branch: "main" }, "start", "end");
+
+    expect(summary).toContain("## Lines Changed");
+    expect(summary).toContain("**Total:** +162 / -38 in 7 files");
+    expect(summary).toContain("- **user1**: +160 / -30");
+    expect(summary).toContain("- **2025-01-14**: +42 / -8");
+    expect(summary).toContain(
+      "- [feat: add login](https://github.com/test/repo/commit/c1): +120 / -30 in 4 files (user1)"
+    );
+    expect(outputSummary(commitItems, {}, "start", "end")).not.toContain("Lines Changed");
+
+    const [header, row] = outputCSV(items).split("\n");
+    expect(header.endsWith(",additions,deletions,changed_files")).toBe(true);
+    expect(row.endsWith(",120,30,4")).toBe(true);
+  });
+});
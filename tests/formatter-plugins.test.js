@@ -0,0 +1,151 @@
+/**
+ * Tests for the formatter registry and formatter plugins
+ * Covers registering formats, loading plugin modules (--format ./module.js
+ * and the "formatters" configuration map), --help and streamed output
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+
+const {
+  FORMATTERS,
+  registerFormatter,
+  registerFormatterModules,
+  loadFormatterModule,
+  resolveFormatter,
+  formatOutput,
+  helpText,
+  runMetadata,
+  writeOutputStream,
+  outputText,
+} = require("../titles");
+
+const items = [
+  { sha: "a1", title: "feat: add search", date: "2025-01-15T10:00:00Z", author_login: "user1" },
+  { sha: "b2", title: "fix: handle empty results", date: "2025-01-14T10:00:00Z", author_login: "user2" },
+];
+const args = { owner: "test", repo: "repo", branch: "main" };
+const start = "2025-01-14T00:00:00Z";
+const end = "2025-01-15T23:59:59Z";
+
+let dir;
+let moduleCount = 0;
+
+// Each module gets a fresh file name, as required modules are cached
+const writeModule = (source, extension = ".js") => {
+  const file = path.join(dir, `format-${++moduleCount}${extension}`);
+  fs.writeFileSync(file, source);
+  return file;
+};
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "titles-formatters-"));
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("Formatter registry", () => {
+  test("should register the built-in formats", () => {
+    expect(Object.keys(FORMATTERS)).toEqual(
+      expect.arrayContaining(["text", "timesheet", "json", "changelog", "harvest", "toggl", "tempo"])
+    );
+    expect(resolveFormatter("TEXT")).toBe(outputText);
+  });
+
+  test("should register new formats and list them in --help", () => {
+    registerFormatter("Titles-Only", (list) => list.map((it) => it.title).join(" | "), {
+      description: "Titles on one line\nseparated by bars",
+    });
+
+    expect(formatOutput("titles-only", items, args, start, end)).toBe("feat: add search | fix: handle empty results");
+    expect(helpText()).toContain(
+      "  titles-only - Titles on one line\n                separated by bars\n"
+    );
+    expect(helpText()).toContain("  text        - Simple list of commit titles\n");
+  });
+
+  test("should reject invalid and duplicate formats", () => {
+    expect(() => registerFormatter("json", () => "")).toThrow("Format \"json\" is already registered");
+    expect(() => registerFormatter("my format", () => "")).toThrow("Format names must start with a letter");
+    expect(() => registerFormatter("broken", "nope")).toThrow("Format \"broken\" needs a formatter function");
+    expect(() => resolveFormatter("yaml")).toThrow("Unknown --format yaml. Use text|");
+  });
+});
+
+describe("Formatter plugins", () => {
+  test("should load a module exporting a function", () => {
+    const file = writeModule(
+      "module.exports = (items, { stats, metadata, args }) =>\n" +
+        "  `${metadata.title} ${metadata.start}: ${stats.total} commits by ${Object.keys(stats.byAuthor).join(\", \")} (${args.branch})`;\n"
+    );
+
+    expect(formatOutput(file, items, args, start, end)).toBe(
+      "test/repo 2025-01-14T00:00:00Z: 2 commits by user1, user2 (main)"
+    );
+  });
+
+  test("should load a module exporting an object and resolve relative paths", () => {
+    const file = writeModule(
+      "module.exports = {\n" +
+        "  description: \"Commit count\",\n" +
+        "  format: async (items) => `${items.length} commits`,\n" +
+        "};\n"
+    );
+    const plugin = loadFormatterModule(path.basename(file), dir);
+
+    expect(plugin.description).toBe("Commit count");
+    return expect(plugin.format(items, args, start, end)).resolves.toBe("2 commits");
+  });
+
+  test("should register the formatters of the configuration", () => {
+    const file = writeModule("module.exports = { description: \"Release notes\", format: () => \"notes\" };\n");
+
+    registerFormatterModules({ notes: `./${path.basename(file)}` }, dir);
+
+    expect(formatOutput("notes", items, args, start, end)).toBe("notes");
+    expect(helpText()).toContain("  notes       - Release notes");
+    expect(() => registerFormatterModules(["./x.js"], dir)).toThrow("formatters must map format names to module paths");
+    expect(() => registerFormatterModules({ empty: "" }, dir)).toThrow("formatters.empty must be a module path");
+  });
+
+  test("should report modules that cannot be used", () => {
+    expect(() => loadFormatterModule("./missing.js", dir)).toThrow("Formatter module not found: ./missing.js");
+    expect(() => loadFormatterModule(writeModule("module.exports = { name: \"x\" };\n"))).toThrow(
+      "must export a function or an object with a format function"
+    );
+    expect(() => loadFormatterModule(writeModule("module.exports = ;\n"))).toThrow(
+      "Failed to load formatter module"
+    );
+  });
+
+  test("should describe the run for plugins", () => {
+    const metadata = runMetadata(
+      { repositories: [{ owner: "test", repo: "api", branch: "main" }, { owner: "test", repo: "web" }], from: "v1" },
+      start,
+      end
+    );
+
+    expect(metadata).toMatchObject({
+      title: "2 repositories",
+      repositories: ["test/api", "test/web"],
+      from: "v1",
+      partial: null,
+    });
+  });
+});
+
+describe("writeOutputStream", () => {
+  test("should write streamed output to a file", async () => {
+    const file = path.join(dir, "streamed.txt");
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    await writeOutputStream(Readable.from(["line 1\n", "line 2\n"]), file);
+
+    expect(fs.readFileSync(file, "utf8")).toBe("line 1\nline 2\n");
+    expect(console.error).toHaveBeenCalledWith(`Output written to: ${file}`);
+  });
+});
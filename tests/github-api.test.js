@@ -6,6 +6,18 @@
 const _fs = require("fs");
 const _path = require("path");
 
+const {
+  detectRateLimit,
+  fetchCommits,
+  fetchCommitsGraphQL,
+  fetchNormalizedCommits,
+  getEnvToken,
+  normalizeGraphQLCommit,
+  outputJSON,
+  outputMarkdown,
+  validateApi,
+} = require("../titles");
+
 // Mock fetch globally
 global.fetch = jest.fn();
 
@@ -198,4 +210,453 @@ describe("GitHub API Integration", () => {
       await expect(fetch("https://api.github.com/repos/test/test/commits")).rejects.toThrow("Connection refused");
     });
   });
-});
\ No newline at end of file
+
+  describe("Rate limits", () => {
+    const pageResponse = (sha, next) => ({
+      ok: true,
+      status: 200,
+      headers: new Map(next ? [["link", `<${next}>; rel="next"`]] : []),
+      json: async () => [{ sha, commit: { message: `commit ${sha}` } }]
+    });
+
+    const rateLimitedResponse = (headers) => ({
+      ok: false,
+      status: 403,
+      statusText: "Forbidden",
+      headers: new Map(headers),
+      text: async () => "API rate limit exceeded"
+    });
+
+    const params = {
+      owner: "test",
+      repo: "repo",
+      startISO: "2025-01-01T00:00:00Z",
+      endISO: "2025-01-31T00:00:00Z",
+      retries: 1
+    };
+
+    let consoleSpy;
+    beforeEach(() => {
+      consoleSpy = jest.spyOn(console, "error").mockImplementation(() => {});
+    });
+
+    test("should detect primary and secondary rate limits", () => {
+      const reset = Math.floor(Date.now() / 1000) + 120;
+      const primary = detectRateLimit(
+        rateLimitedResponse([["x-ratelimit-remaining", "0"], ["x-ratelimit-reset", String(reset)]])
+      );
+      expect(primary.reason).toBe("rate limit");
+      expect(primary.waitMs).toBeGreaterThan(110000);
+
+      const secondary = detectRateLimit({ status: 429, headers: new Map([["retry-after", "30"]]) });
+      expect(secondary).toMatchObject({ reason: "secondary rate limit", waitMs: 30000 });
+
+      expect(detectRateLimit({ status: 403, headers: new Map() }, "Resource not accessible")).toBeNull();
+      expect(detectRateLimit({ status: 500, headers: new Map() })).toBeNull();
+    });
+
+    test("should return partial results when a later page is rate limited", async () => {
+      fetch
+        .mockResolvedValueOnce(pageResponse("a", "https://api.github.com/repos/test/repo/commits?page=2"))
+        .mockResolvedValueOnce(rateLimitedResponse([["retry-after", "60"]]));
+      const onPartial = jest.fn();
+
+      const commits = await fetchCommits({ ...params, onPartial });
+
+      expect(commits.map((c) => c.sha)).toEqual(["a"]);
+      expect(onPartial).toHaveBeenCalledWith(
+        expect.objectContaining({ owner: "test", repo: "repo", reason: "secondary rate limit", fetched: 1 })
+      );
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining("returning the 1 commits fetched so far"));
+    });
+
+    test("should fail clearly when the first page is rate limited", async () => {
+      fetch.mockResolvedValueOnce(rateLimitedResponse([["retry-after", "60"]]));
+
+      await expect(fetchCommits(params)).rejects.toThrow("use --wait-on-rate-limit");
+    });
+
+    test("should wait for the limit to reset and retry the same page", async () => {
+      const next = "https://api.github.com/repos/test/repo/commits?page=2";
+      fetch
+        .mockResolvedValueOnce(pageResponse("a", next))
+        .mockResolvedValueOnce(rateLimitedResponse([["retry-after", "0"]]))
+        .mockResolvedValueOnce(pageResponse("b"));
+
+      const commits = await fetchCommits({ ...params, waitOnRateLimit: true });
+
+      expect(commits.map((c) => c.sha)).toEqual(["a", "b"]);
+      expect(fetch.mock.calls[1][0]).toBe(next);
+      expect(fetch.mock.calls[2][0]).toBe(next);
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining("secondary rate limit reached; waiting until"));
+    });
+
+    test("should mark partial results in report output", () => {
+      const args = {
+        owner: "test",
+        repo: "repo",
+        branch: "main",
+        partial: [{ owner: "test", repo: "repo", fetched: 100, resetAt: "2025-01-31T10:00:00.000Z" }]
+      };
+
+      expect(JSON.parse(outputJSON([], args, "start", "end")).partial).toEqual(args.partial);
+      expect(outputMarkdown([], args, "start", "end")).toContain(
+        "> **Partial results: GitHub rate limit reached for test/repo after 100 commits"
+      );
+      expect(outputMarkdown([], { ...args, partial: undefined }, "start", "end")).not.toContain("Partial results");
+    });
+  });
+
+  describe("Retries", () => {
+    const params = {
+      owner: "test",
+      repo: "repo",
+      startISO: "2025-01-01T00:00:00Z",
+      endISO: "2025-01-31T00:00:00Z",
+      retries: 3
+    };
+
+    const okResponse = () => ({
+      ok: true,
+      status: 200,
+      headers: new Map(),
+      json: async () => [{ sha: "abc123", commit: { message: "feat: ok" } }]
+    });
+
+    const errorResponse = (status, headers = []) => ({
+      ok: false,
+      status,
+      statusText: "Service Unavailable",
+      headers: new Map(headers),
+      text: async () => ""
+    });
+
+    let consoleSpy;
+    beforeEach(() => {
+      fetch.mockReset();
+      consoleSpy = jest.spyOn(console, "error").mockImplementation(() => {});
+      // Shortest jittered backoff (half of the exponential delay)
+      jest.spyOn(Math, "random").mockReturnValue(0);
+    });
+
+    test("should retry 5xx responses honoring Retry-After", async () => {
+      fetch
+        .mockResolvedValueOnce(errorResponse(502, [["retry-after", "0"]]))
+        .mockResolvedValueOnce(errorResponse(503, [["retry-after", "0"]]))
+        .mockResolvedValueOnce(okResponse());
+
+      const commits = await fetchCommits({ ...params, verbose: true });
+
+      expect(commits).toHaveLength(1);
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringMatching(/^Retry 1\/2 for .* after HTTP 502/));
+    });
+
+    test("should retry 429 responses", async () => {
+      fetch
+        .mockResolvedValueOnce(errorResponse(429, [["retry-after", "0"]]))
+        .mockResolvedValueOnce(okResponse());
+
+      await expect(fetchCommits(params)).resolves.toHaveLength(1);
+    });
+
+    test("should give up after the last attempt and report the status", async () => {
+      fetch.mockResolvedValue(errorResponse(500, [["retry-after", "0"]]));
+
+      await expect(fetchCommits(params)).rejects.toThrow("GitHub API error 500");
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test("should not retry client errors", async () => {
+      fetch.mockResolvedValue(errorResponse(404));
+
+      await expect(fetchCommits(params)).rejects.toThrow("Repository not found");
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test("should leave long Retry-After waits to the rate limit handling", async () => {
+      fetch.mockResolvedValue(errorResponse(429, [["retry-after", "3600"]]));
+
+      await expect(fetchCommits(params)).rejects.toThrow("use --wait-on-rate-limit");
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test("should time out each attempt separately", async () => {
+      fetch
+        .mockImplementationOnce(
+          (url, { signal }) =>
+            new Promise((resolve, reject) => {
+              signal.addEventListener("abort", () => {
+                const error = new Error("aborted");
+                error.name = "AbortError";
+                reject(error);
+              });
+            })
+        )
+        .mockResolvedValueOnce(okResponse());
+
+      const commits = await fetchCommits({ ...params, timeout: 20, verbose: true });
+
+      expect(commits).toHaveLength(1);
+      expect(fetch.mock.calls[0][1].signal).not.toBe(fetch.mock.calls[1][1].signal);
+      expect(fetch.mock.calls[1][1].signal.aborted).toBe(false);
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining("after a 20ms timeout; waiting 0.5s"));
+    });
+  });
+
+  describe("GitHub Enterprise Server", () => {
+    test("should send REST requests to the configured API URL", async () => {
+      mockGitHubResponse([]);
+
+      await fetchCommits({
+        owner: "team",
+        repo: "app",
+        startISO: "2025-01-01T00:00:00Z",
+        endISO: "2025-01-31T00:00:00Z",
+        retries: 1,
+        apiUrl: "https://ghe.example.com/api/v3"
+      });
+
+      expect(fetch.mock.calls[0][0]).toMatch(/^https:\/\/ghe\.example\.com\/api\/v3\/repos\/team\/app\/commits\?/);
+    });
+
+    test("should only use enterprise tokens for enterprise hosts", () => {
+      const saved = { ...process.env };
+      try {
+        process.env.GITHUB_TOKEN = "ghp_dotcom";
+        delete process.env.GH_ENTERPRISE_TOKEN;
+        delete process.env.GITHUB_ENTERPRISE_TOKEN;
+
+        expect(getEnvToken()).toBe("ghp_dotcom");
+        expect(getEnvToken("ghe.example.com")).toBeNull();
+
+        process.env.GITHUB_ENTERPRISE_TOKEN = "ghe_token";
+        expect(getEnvToken("ghe.example.com")).toBe("ghe_token");
+        process.env.GH_ENTERPRISE_TOKEN = "gh_ghe_token";
+        expect(getEnvToken("ghe.example.com")).toBe("gh_ghe_token");
+      } finally {
+        process.env = saved;
+      }
+    });
+  });
+
+  describe("GraphQL backend", () => {
+    const graphqlNode = {
+      oid: "abc123",
+      message: "feat: add feature\n\nBody text",
+      url: "https://github.com/test/repo/commit/abc123",
+      committedDate: "2025-01-15T11:00:00Z",
+      additions: 10,
+      deletions: 2,
+      changedFilesIfAvailable: 3,
+      author: { date: "2025-01-15T10:00:00Z", user: { login: "testuser" } },
+      committer: { user: { login: "web-flow" } },
+      associatedPullRequests: {
+        nodes: [
+          {
+            number: 42,
+            title: "Add feature",
+            url: "https://github.com/test/repo/pull/42",
+            mergedAt: "2025-01-15T12:00:00Z",
+            labels: { nodes: [{ name: "enhancement" }] }
+          }
+        ]
+      }
+    };
+
+    const mockGraphQLResponse = (data, errors) => ({
+      ok: true,
+      status: 200,
+      headers: new Map([["x-ratelimit-remaining", "4999"]]),
+      json: async () => ({ data, errors })
+    });
+
+    const historyData = (nodes, hasNextPage = false) => ({
+      repository: {
+        object: {
+          history: { pageInfo: { hasNextPage, endCursor: hasNextPage ? "cursor1" : null }, nodes }
+        }
+      }
+    });
+
+    const params = {
+      owner: "test",
+      repo: "repo",
+      startISO: "2025-01-01T00:00:00Z",
+      endISO: "2025-01-31T00:00:00Z",
+      token: "ghp_testtokenvalue1234567890",
+      retries: 1
+    };
+
+    test("should normalize GraphQL commit nodes like REST commits", () => {
+      expect(normalizeGraphQLCommit(graphqlNode)).toEqual({
+        sha: "abc123",
+        title: "feat: add feature",
+        date: "2025-01-15T10:00:00Z",
+        html_url: "https://github.com/test/repo/commit/abc123",
+        author_login: "testuser",
+        committer_login: "web-flow",
+        additions: 10,
+        deletions: 2,
+        changed_files: 3,
+        pull_requests: [
+          {
+            number: 42,
+            title: "Add feature",
+            url: "https://github.com/test/repo/pull/42",
+            merged_at: "2025-01-15T12:00:00Z",
+            labels: ["enhancement"]
+          }
+        ],
+        conventional: { type: "feat", scope: null, breaking: false, description: "add feature" }
+      });
+    });
+
+    test("should page through history using cursors", async () => {
+      fetch
+        .mockResolvedValueOnce(mockGraphQLResponse(historyData([graphqlNode], true)))
+        .mockResolvedValueOnce(mockGraphQLResponse(historyData([{ ...graphqlNode, oid: "def456" }])));
+
+      const items = await fetchCommitsGraphQL({ ...params, branch: "main" });
+
+      expect(items.map((i) => i.sha)).toEqual(["abc123", "def456"]);
+      const firstBody = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(firstBody.variables).toMatchObject({ expression: "main", cursor: null });
+      const secondBody = JSON.parse(fetch.mock.calls[1][1].body);
+      expect(secondBody.variables.cursor).toBe("cursor1");
+      expect(fetch.mock.calls[0][1].headers.Authorization).toBe(`Bearer ${params.token}`);
+    });
+
+    test("should resolve the author login to a user id", async () => {
+      fetch
+        .mockResolvedValueOnce(mockGraphQLResponse({ user: { id: "U_123" } }))
+        .mockResolvedValueOnce(mockGraphQLResponse(historyData([graphqlNode])));
+
+      await fetchCommitsGraphQL({ ...params, author: "testuser" });
+
+      const historyBody = JSON.parse(fetch.mock.calls[1][1].body);
+      expect(historyBody.variables.author).toEqual({ id: "U_123" });
+      expect(historyBody.variables.expression).toBe("HEAD");
+    });
+
+    test("should treat an unknown author login as an e-mail address", async () => {
+      fetch
+        .mockResolvedValueOnce(
+          mockGraphQLResponse({ user: null }, [
+            { type: "NOT_FOUND", path: ["user"], message: "Could not resolve to a User with the login of 'dev@example.com'." }
+          ])
+        )
+        .mockResolvedValueOnce(mockGraphQLResponse(historyData([graphqlNode])));
+
+      await fetchCommitsGraphQL({ ...params, author: "dev@example.com" });
+
+      const historyBody = JSON.parse(fetch.mock.calls[1][1].body);
+      expect(historyBody.variables.author).toEqual({ emails: ["dev@example.com"] });
+    });
+
+    test("should not fall back to an e-mail filter when the author lookup fails", async () => {
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 401,
+        headers: new Map(),
+        text: async () => "Bad credentials"
+      });
+
+      await expect(fetchCommitsGraphQL({ ...params, author: "testuser" })).rejects.toThrow(
+        "Authentication failed: check your GitHub token"
+      );
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      fetch.mockReset();
+      fetch.mockResolvedValueOnce(mockGraphQLResponse(null, [{ message: "Something went wrong" }]));
+      await expect(fetchCommitsGraphQL({ ...params, author: "testuser" })).rejects.toThrow(
+        "GitHub GraphQL error: Something went wrong"
+      );
+    });
+
+    test("should filter by committer client-side", async () => {
+      fetch.mockResolvedValueOnce(mockGraphQLResponse(historyData([graphqlNode])));
+
+      const items = await fetchCommitsGraphQL({ ...params, committer: "someone-else" });
+      expect(items).toEqual([]);
+    });
+
+    test("should require a token", async () => {
+      await expect(fetchCommitsGraphQL({ ...params, token: "" })).rejects.toThrow(
+        "--api graphql requires a GitHub token"
+      );
+    });
+
+    test("should surface GraphQL errors", async () => {
+      fetch.mockResolvedValueOnce(
+        mockGraphQLResponse(null, [{ message: "Something went wrong" }])
+      );
+
+      await expect(fetchCommitsGraphQL(params)).rejects.toThrow(
+        "GitHub GraphQL error: Something went wrong"
+      );
+    });
+
+    test("should keep the pages fetched before a rate limit", async () => {
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      fetch
+        .mockResolvedValueOnce(mockGraphQLResponse(historyData([graphqlNode], true)))
+        .mockResolvedValueOnce(mockGraphQLResponse(null, [{ type: "RATE_LIMITED", message: "API rate limit exceeded" }]));
+      const onPartial = jest.fn();
+
+      const items = await fetchCommitsGraphQL({ ...params, onPartial });
+
+      expect(items.map((i) => i.sha)).toEqual(["abc123"]);
+      expect(onPartial).toHaveBeenCalledWith(expect.objectContaining({ reason: "rate limit", fetched: 1 }));
+
+      fetch.mockResolvedValueOnce(mockGraphQLResponse(null, [{ type: "RATE_LIMITED", message: "API rate limit exceeded" }]));
+      await expect(fetchCommitsGraphQL(params)).rejects.toThrow("use --wait-on-rate-limit");
+    });
+
+    test("should wait for GraphQL rate limits", async () => {
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      fetch
+        .mockResolvedValueOnce({
+          ok: false,
+          status: 403,
+          headers: new Map([["retry-after", "0"]]),
+          text: async () => "You have exceeded a secondary rate limit"
+        })
+        .mockResolvedValueOnce(mockGraphQLResponse(historyData([graphqlNode])));
+
+      const items = await fetchCommitsGraphQL({ ...params, waitOnRateLimit: true });
+
+      expect(items.map((i) => i.sha)).toEqual(["abc123"]);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test("should report missing repositories", async () => {
+      fetch.mockResolvedValueOnce(mockGraphQLResponse({ repository: null }));
+
+      await expect(fetchCommitsGraphQL(params)).rejects.toThrow("Repository not found: test/repo");
+    });
+
+    test("should dispatch to the selected backend", async () => {
+      fetch.mockResolvedValueOnce(mockGraphQLResponse(historyData([graphqlNode])));
+
+      const items = await fetchNormalizedCommits({ ...params, api: "graphql" });
+
+      expect(items[0].pull_requests[0].number).toBe(42);
+      expect(fetch.mock.calls[0][0]).toBe("https://api.github.com/graphql");
+    });
+
+    test("should use the GitHub Enterprise GraphQL endpoint", async () => {
+      fetch.mockResolvedValueOnce(mockGraphQLResponse(historyData([graphqlNode])));
+
+      await fetchCommitsGraphQL({ ...params, apiUrl: "https://ghe.example.com/api/v3" });
+
+      expect(fetch.mock.calls[0][0]).toBe("https://ghe.example.com/api/graphql");
+    });
+
+    test("should validate the backend name", () => {
+      expect(validateApi(undefined)).toBe("rest");
+      expect(validateApi("GraphQL")).toBe("graphql");
+      expect(() => validateApi("soap")).toThrow("--api must be one of: rest, graphql");
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Tests for working hours estimation (--estimate-hours)
+ * Covers sessions, padding, working hours windows, per-day, weekly and
+ * breakdown totals, and the timesheet output
+ */
+
+const {
+  estimateHours,
+  hoursOptions,
+  parseWorkingHours,
+  outputTimesheet,
+  parseArgs,
+} = require("../titles");
+
+const commit = (sha, title, date, extra = {}) => ({
+  sha,
+  title,
+  date,
+  author_login: "dev",
+  ...extra,
+});
+
+// Wednesday 15 January 2025: one session of 09:00-10:30 plus a late commit;
+// Monday 20 January 2025 (the next ISO week): a single commit
+const items = [
+  commit("e5", "fix: urgent", "2025-01-20T11:00:00Z", { repository: "test/api" }),
+  commit("d4", "docs: notes", "2025-01-15T18:00:00Z", { repository: "test/web" }),
+  commit("c3", "fix: edge case", "2025-01-15T10:30:00Z", { repository: "test/api" }),
+  commit("b2", "feat: search", "2025-01-15T09:30:00Z", { repository: "test/api" }),
+  commit("a1", "feat: start", "2025-01-15T09:00:00Z", { repository: "test/web" }),
+];
+
+describe("estimateHours", () => {
+  test("should credit padding to the first commit of each session", () => {
+    const { total, byDay, byWeek } = estimateHours(items);
+
+    // 0.5 padding + 0.5 + 1 in the morning session, 0.5 padding in the evening
+    expect(byDay["2025-01-15"].hours).toBe(2.5);
+    expect(byDay["2025-01-20"].hours).toBe(0.5);
+    expect(byWeek).toEqual({ "2025-W03": 2.5, "2025-W04": 0.5 });
+    expect(total).toBe(3);
+  });
+
+  test("should break hours down by repository and type", () => {
+    const { byDay } = estimateHours(items);
+
+    expect(byDay["2025-01-15"].byRepository).toEqual({ "test/web": 1, "test/api": 1.5 });
+    expect(byDay["2025-01-15"].byType).toEqual({ feature: 1, bugfix: 1, documentation: 0.5 });
+  });
+
+  test("should use the session gap and padding", () => {
+    // A gap of 8 hours joins the evening commit to the morning session
+    expect(estimateHours(items, { sessionGap: 480 }).byDay["2025-01-15"].hours).toBe(9.5);
+    expect(estimateHours(items, { sessionPadding: 0 }).byDay["2025-01-15"].hours).toBe(1.5);
+  });
+
+  test("should keep the sessions of different authors apart", () => {
+    const shared = [
+      commit("b2", "feat: b", "2025-01-15T10:00:00Z", { author_login: "other" }),
+      commit("a1", "feat: a", "2025-01-15T09:00:00Z"),
+    ];
+
+    expect(estimateHours(shared).total).toBe(1);
+  });
+
+  test("should only count time inside the working hours", () => {
+    const workingHours = parseWorkingHours("09:15-17:00");
+    const { byDay } = estimateHours(items, { workingHours });
+
+    // 09:15-09:30, 09:30-10:30; the 09:00 and 18:00 commits fall outside
+    expect(byDay["2025-01-15"].hours).toBe(1.25);
+  });
+
+  test("should read days and working hours in the time zone", () => {
+    const evening = [commit("a1", "feat: late", "2025-01-15T09:30:00Z")];
+
+    // 20:30 in Sydney, on 15 January
+    expect(Object.keys(estimateHours(evening, { timezone: "Australia/Sydney" }).byDay)).toEqual(["2025-01-15"]);
+    expect(
+      estimateHours(evening, {
+        timezone: "Australia/Sydney",
+        workingHours: parseWorkingHours("09:00-17:00"),
+      }).total
+    ).toBe(0);
+  });
+});
+
+describe("Hours options", () => {
+  test("should parse working hours", () => {
+    expect(parseWorkingHours("09:00-17:30")).toEqual({ start: 540, end: 1050 });
+    expect(parseWorkingHours(" 8:30 - 12:00 ")).toEqual({ start: 510, end: 720 });
+    expect(parseWorkingHours(undefined)).toBeNull();
+    expect(() => parseWorkingHours("17:00-09:00")).toThrow("--working-hours must look like 09:00-17:30 (got 17:00-09:00)");
+    expect(() => parseWorkingHours("9-5")).toThrow("--working-hours must look like");
+    expect(() => parseWorkingHours("09:75-17:00")).toThrow("--working-hours must look like");
+  });
+
+  test("should validate and default the options", () => {
+    expect(hoursOptions({})).toMatchObject({ sessionGap: 120, sessionPadding: 30, workingHours: null, hoursBy: [] });
+    expect(hoursOptions({ sessionGap: "90", hoursBy: "Type, repository" })).toMatchObject({
+      sessionGap: 90,
+      hoursBy: ["type", "repository"],
+    });
+    expect(() => hoursOptions({ sessionGap: "soon" })).toThrow("--session-gap must be a number of minutes");
+    expect(() => hoursOptions({ sessionPadding: "-5" })).toThrow("--session-padding must be a number of minutes");
+    expect(() => hoursOptions({ hoursBy: "author" })).toThrow("--hours-by must list any of: repository, type");
+  });
+
+  test("should parse the flags", () => {
+    expect(
+      parseArgs([
+        "--estimate-hours",
+        "--session-gap",
+        "90",
+        "--session-padding",
+        "15",
+        "--working-hours",
+        "09:00-17:00",
+        "--hours-by",
+        "type",
+      ])
+    ).toEqual({
+      estimateHours: true,
+      sessionGap: "90",
+      sessionPadding: "15",
+      workingHours: "09:00-17:00",
+      hoursBy: "type",
+    });
+  });
+});
+
+describe("Timesheet with estimated hours", () => {
+  test("should show hours per day, week and in total", () => {
+    const output = outputTimesheet(items, { estimateHours: true, hoursBy: "type,repository" });
+
+    expect(output.split("\n")).toEqual([
+      "20/01/2025 (0.5h):",
+      "  Hours by type: BUGFIX 0.5h",
+      "  Hours by repository: test/api 0.5h",
+      "• [BUGFIX] fix: urgent",
+      "",
+      "15/01/2025 (2.5h):",
+      "  Hours by type: FEATURE 1.0h, BUGFIX 1.0h, DOCUMENTATION 0.5h",
+      "  Hours by repository: test/api 1.5h, test/web 1.0h",
+      "• [DOCUMENTATION] docs: notes",
+      "• [BUGFIX] fix: edge case",
+      "• [FEATURE] feat: search",
+      "• [FEATURE] feat: start",
+      "",
+      "Week 2025-W03: 2.5h",
+      "Week 2025-W04: 0.5h",
+      "Total: 3.0h (estimated from commit times)",
+    ]);
+  });
+
+  test("should leave the timesheet unchanged without --estimate-hours", () => {
+    expect(outputTimesheet(items.slice(0, 1))).toBe("20/01/2025:\n• [BUGFIX] fix: urgent\n");
+  });
+});
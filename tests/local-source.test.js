@@ -0,0 +1,130 @@
+/**
+ * Tests for the local git source (--source local)
+ * Builds a throwaway repository in a temp directory and reads it with git log
+ */
+
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+
+const {
+  fetchLocalCommits,
+  fetchNormalizedCommits,
+  getCommits,
+  validateSource,
+} = require("../titles");
+
+describe("Local git source", () => {
+  let repoDir;
+
+  const git = (args, env = {}) =>
+    execFileSync("git", args, {
+      cwd: repoDir,
+      encoding: "utf8",
+      stdio: "pipe",
+      env: { ...process.env, ...env }
+    });
+
+  const commit = (message, name, email, date) =>
+    git(["commit", "--allow-empty", "-q", "-m", message], {
+      GIT_AUTHOR_NAME: name,
+      GIT_AUTHOR_EMAIL: email,
+      GIT_AUTHOR_DATE: date,
+      GIT_COMMITTER_NAME: name,
+      GIT_COMMITTER_EMAIL: email,
+      GIT_COMMITTER_DATE: date
+    });
+
+  const range = {
+    startISO: "2025-01-01T00:00:00Z",
+    endISO: "2025-01-31T00:00:00Z"
+  };
+
+  beforeAll(() => {
+    repoDir = fs.mkdtempSync(path.join(os.tmpdir(), "titles-local-"));
+    git(["init", "-q"]);
+    git(["checkout", "-q", "-b", "main"]);
+    commit("chore: before range", "Dev", "dev@example.com", "2024-12-20T10:00:00Z");
+    commit("feat: add feature\n\nLonger body", "Dev", "12345+devlogin@users.noreply.github.com", "2025-01-15T10:00:00Z");
+    commit("fix: resolve bug", "Other Person", "other@example.com", "2025-01-16T10:00:00Z");
+  });
+
+  afterAll(() => {
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  });
+
+  test("should read commits in the date range as normalized items", async () => {
+    const items = await fetchLocalCommits({
+      ...range,
+      owner: "acme",
+      repo: "widget",
+      branch: "main",
+      cwd: repoDir
+    });
+
+    expect(items.map((i) => i.title)).toEqual(["fix: resolve bug", "feat: add feature"]);
+    expect(items[1]).toMatchObject({
+      date: "2025-01-15T10:00:00Z",
+      author_login: "devlogin",
+      committer_login: "devlogin"
+    });
+    expect(items[0].author_login).toBe("Other Person");
+    expect(items[0].sha).toMatch(/^[0-9a-f]{40}$/);
+    expect(items[0].html_url).toBe(`https://github.com/acme/widget/commit/${items[0].sha}`);
+  });
+
+  test("should leave html_url empty without a GitHub remote", async () => {
+    const items = await fetchLocalCommits({ ...range, cwd: repoDir });
+    expect(items[0].html_url).toBeNull();
+  });
+
+  test("should pass author and max filters to git", async () => {
+    const byAuthor = await fetchLocalCommits({ ...range, author: "Other", cwd: repoDir });
+    expect(byAuthor.map((i) => i.title)).toEqual(["fix: resolve bug"]);
+
+    const limited = await fetchLocalCommits({ ...range, max: 1, cwd: repoDir });
+    expect(limited).toHaveLength(1);
+  });
+
+  test("should keep message bodies when asked", async () => {
+    const items = await fetchLocalCommits({ ...range, withBody: true, cwd: repoDir });
+    expect(items[1]).toMatchObject({ body: "Longer body", trailers: {}, co_authors: [] });
+    expect(items[0].body).toBe("");
+  });
+
+  test("should report unknown branches", async () => {
+    await expect(
+      fetchLocalCommits({ ...range, branch: "does-not-exist", cwd: repoDir })
+    ).rejects.toThrow("git log failed");
+  });
+
+  test("should never pass the branch to git as an option", async () => {
+    const output = path.join(repoDir, "leaked.txt");
+
+    await expect(
+      fetchLocalCommits({ ...range, branch: `--output=${output}`, cwd: repoDir })
+    ).rejects.toThrow("git log failed");
+    expect(fs.existsSync(output)).toBe(false);
+  });
+
+  test("should be selectable through fetchNormalizedCommits and getCommits", async () => {
+    const viaDispatch = await fetchNormalizedCommits({ ...range, source: "local", cwd: repoDir });
+    expect(viaDispatch).toHaveLength(2);
+
+    const viaLibrary = await getCommits({
+      source: "local",
+      cwd: repoDir,
+      start: "2025-01-01T00:00:00Z",
+      end: "2025-01-31T00:00:00Z",
+      includePattern: /^fix/
+    });
+    expect(viaLibrary.map((i) => i.title)).toEqual(["fix: resolve bug"]);
+  });
+
+  test("should validate the source name", () => {
+    expect(validateSource(undefined)).toBe("github");
+    expect(validateSource("LOCAL")).toBe("local");
+    expect(() => validateSource("svn")).toThrow("--source must be one of: github, local");
+  });
+});
@@ -0,0 +1,326 @@
+/**
+ * Tests for multi-repository runs
+ * Covers --repos parsing, concurrent fetching and repository-aware output
+ */
+
+const {
+  parseRepoList,
+  fetchRepositories,
+  listRepositories,
+  filterRepositories,
+  groupByRepository,
+  generateStats,
+  outputGrouped,
+  outputSummary,
+  outputMarkdown,
+  outputHTML,
+  outputCSV,
+} = require("../titles");
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+const mockCommitsResponse = (commits) => ({
+  ok: true,
+  status: 200,
+  headers: new Map([["x-ratelimit-remaining", "4999"]]),
+  json: async () => commits
+});
+
+const apiCommit = (sha, message, date, login) => ({
+  sha,
+  commit: { message, author: { date } },
+  html_url: `https://github.com/test/repo/commit/${sha}`,
+  author: { login }
+});
+
+const multiRepoItems = [
+  {
+    sha: "a1",
+    title: "feat: add endpoint",
+    date: "2025-01-15T10:00:00Z",
+    author_login: "user1",
+    html_url: "https://github.com/user/api/commit/a1",
+    repository: "user/api"
+  },
+  {
+    sha: "w1",
+    title: "fix: button alignment",
+    date: "2025-01-16T09:00:00Z",
+    author_login: "user2",
+    html_url: "https://github.com/user/web/commit/w1",
+    repository: "user/web"
+  },
+  {
+    sha: "w2",
+    title: "docs: update README",
+    date: "2025-01-16T11:00:00Z",
+    author_login: "user2",
+    html_url: "https://github.com/user/web/commit/w2",
+    repository: "user/web"
+  }
+];
+
+const multiRepoArgs = {
+  repositories: [
+    { owner: "user", repo: "api", branch: "main" },
+    { owner: "user", repo: "web", branch: null }
+  ]
+};
+
+describe("parseRepoList", () => {
+  test("should parse a comma-separated list", () => {
+    expect(parseRepoList("user/api, user/web")).toEqual([
+      { owner: "user", repo: "api", branch: null },
+      { owner: "user", repo: "web", branch: null }
+    ]);
+  });
+
+  test("should apply per-repository and default branches", () => {
+    expect(parseRepoList("user/api,user/web:develop", "main")).toEqual([
+      { owner: "user", repo: "api", branch: "main" },
+      { owner: "user", repo: "web", branch: "develop" }
+    ]);
+  });
+
+  test("should accept config arrays with strings and objects", () => {
+    expect(parseRepoList(["user/api", { owner: "org", repo: "web", branch: "dev" }])).toEqual([
+      { owner: "user", repo: "api", branch: null },
+      { owner: "org", repo: "web", branch: "dev" }
+    ]);
+  });
+
+  test("should drop duplicate entries", () => {
+    expect(parseRepoList("user/api,user/api")).toHaveLength(1);
+  });
+
+  test("should reject malformed entries", () => {
+    expect(() => parseRepoList("user")).toThrow("must look like owner/repo");
+    expect(() => parseRepoList("bad@owner/repo")).toThrow("--owner contains invalid characters");
+    expect(() => parseRepoList(" , ")).toThrow("--repos must list at least one repository");
+    expect(() => parseRepoList(42)).toThrow("--repos must be a comma-separated list or an array");
+  });
+});
+
+describe("fetchRepositories", () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  test("should tag items with their repository and sort newest first", async () => {
+    fetch.mockImplementation(async (url) => {
+      if (url.includes("/repos/user/api/")) {
+        return mockCommitsResponse([apiCommit("a1", "feat: add endpoint", "2025-01-15T10:00:00Z", "user1")]);
+      }
+      return mockCommitsResponse([apiCommit("w1", "fix: button alignment", "2025-01-16T09:00:00Z", "user2")]);
+    });
+
+    const items = await fetchRepositories(parseRepoList("user/api,user/web:develop"), {
+      startISO: "2025-01-01T00:00:00Z",
+      endISO: "2025-01-31T00:00:00Z",
+      retries: 1
+    });
+
+    expect(items.map((i) => [i.sha, i.repository])).toEqual([
+      ["w1", "user/web"],
+      ["a1", "user/api"]
+    ]);
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    const webUrl = new URL(fetch.mock.calls.find(([url]) => url.includes("/web/"))[0]);
+    expect(webUrl.searchParams.get("sha")).toBe("develop");
+    const apiUrl = new URL(fetch.mock.calls.find(([url]) => url.includes("/api/"))[0]);
+    expect(apiUrl.searchParams.has("sha")).toBe(false);
+  });
+
+  test("should keep the other repositories when one is rate limited before its first page", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    fetch.mockImplementation(async (url) => {
+      if (url.includes("/repos/user/api/")) {
+        return {
+          ok: false,
+          status: 403,
+          headers: new Map([["retry-after", "60"]]),
+          text: async () => "You have exceeded a secondary rate limit"
+        };
+      }
+      return mockCommitsResponse([apiCommit("w1", "fix: button alignment", "2025-01-16T09:00:00Z", "user2")]);
+    });
+    const onPartial = jest.fn();
+
+    const items = await fetchRepositories(parseRepoList("user/api,user/web"), { retries: 1, onPartial });
+
+    expect(items.map((i) => i.sha)).toEqual(["w1"]);
+    expect(onPartial).toHaveBeenCalledWith(
+      expect.objectContaining({ owner: "user", repo: "api", reason: "secondary rate limit", fetched: 0 })
+    );
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringContaining("secondary rate limit reached for user/api before any commits were fetched")
+    );
+  });
+
+  test("should prefix errors with the failing repository", async () => {
+    fetch.mockResolvedValue({
+      ok: false,
+      status: 404,
+      statusText: "Not Found",
+      headers: new Map(),
+      text: async () => ""
+    });
+
+    await expect(
+      fetchRepositories(parseRepoList("user/missing"), { retries: 1 })
+    ).rejects.toThrow("user/missing: Repository not found");
+  });
+});
+
+describe("listRepositories", () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  test("should page through organization repositories", async () => {
+    fetch
+      .mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        headers: new Map([["link", "<https://api.github.com/orgs/my-org/repos?page=2>; rel=\"next\""]]),
+        json: async () => [{ name: "api" }]
+      })
+      .mockResolvedValueOnce(mockCommitsResponse([{ name: "web" }]));
+
+    const repos = await listRepositories({ org: "my-org", retries: 1 });
+
+    expect(repos.map((r) => r.name)).toEqual(["api", "web"]);
+    expect(fetch.mock.calls[0][0]).toContain("/orgs/my-org/repos");
+  });
+
+  test("should fall back to the user endpoint", async () => {
+    fetch
+      .mockResolvedValueOnce({ ok: false, status: 404, headers: new Map() })
+      .mockResolvedValueOnce(mockCommitsResponse([{ name: "dotfiles" }]));
+
+    const repos = await listRepositories({ org: "someone", retries: 1 });
+
+    expect(repos).toEqual([{ name: "dotfiles" }]);
+    expect(fetch.mock.calls[1][0]).toContain("/users/someone/repos");
+  });
+
+  test("should wait for rate limits or report them", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const limited = {
+      ok: false,
+      status: 403,
+      headers: new Map([["retry-after", "0"]]),
+      text: async () => ""
+    };
+    fetch
+      .mockResolvedValueOnce(limited)
+      .mockResolvedValueOnce(mockCommitsResponse([{ name: "api" }]))
+      .mockResolvedValueOnce(limited);
+
+    const repos = await listRepositories({ org: "my-org", retries: 1, waitOnRateLimit: true });
+
+    expect(repos).toEqual([{ name: "api" }]);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    await expect(listRepositories({ org: "my-org", retries: 1 })).rejects.toThrow(
+      "GitHub secondary rate limit exceeded"
+    );
+  });
+
+  test("should fail when neither an organization nor a user exists", async () => {
+    fetch.mockResolvedValue({ ok: false, status: 404, headers: new Map() });
+
+    await expect(listRepositories({ org: "nobody", retries: 1 })).rejects.toThrow(
+      "Organization or user not found: nobody"
+    );
+  });
+});
+
+describe("filterRepositories", () => {
+  const repos = [
+    { name: "api-server", topics: ["backend"] },
+    { name: "api-client", topics: ["frontend"] },
+    { name: "web", topics: ["Frontend"] },
+    { name: "old-api", archived: true, topics: ["backend"] },
+    { name: "forked-lib", fork: true }
+  ];
+  const names = (list) => list.map((r) => r.name);
+
+  test("should skip archived repositories and forks by default", () => {
+    expect(names(filterRepositories(repos))).toEqual(["api-server", "api-client", "web"]);
+  });
+
+  test("should include archived repositories and forks when asked", () => {
+    expect(filterRepositories(repos, { includeArchived: true, includeForks: true })).toHaveLength(5);
+  });
+
+  test("should apply include and exclude globs", () => {
+    expect(names(filterRepositories(repos, { includeRepos: "api-*" }))).toEqual(["api-server", "api-client"]);
+    expect(names(filterRepositories(repos, { includeRepos: "api-*", excludeRepos: "*-client" }))).toEqual([
+      "api-server"
+    ]);
+    expect(names(filterRepositories(repos, { includeRepos: ["WEB"] }))).toEqual(["web"]);
+  });
+
+  test("should filter by topics case-insensitively", () => {
+    expect(names(filterRepositories(repos, { topics: "frontend" }))).toEqual(["api-client", "web"]);
+  });
+});
+
+describe("Repository-aware output", () => {
+  test("should group items by repository name", () => {
+    const groups = groupByRepository(multiRepoItems);
+    expect(Object.keys(groups)).toEqual(["user/api", "user/web"]);
+    expect(groups["user/web"]).toHaveLength(2);
+  });
+
+  test("should count commits per repository in stats", () => {
+    const stats = generateStats(multiRepoItems);
+    expect(stats.byRepository).toEqual({ "user/api": 1, "user/web": 2 });
+  });
+
+  test("should section grouped output by repository", () => {
+    const output = outputGrouped(multiRepoItems);
+    expect(output).toContain("=== user/api (1 commits) ===");
+    expect(output).toContain("=== user/web (2 commits) ===");
+    expect(output.indexOf("user/api")).toBeLessThan(output.indexOf("user/web"));
+  });
+
+  test("should list repositories in the summary", () => {
+    const output = outputSummary(multiRepoItems, multiRepoArgs, "start", "end");
+    expect(output).toContain("# Commit Summary: 2 repositories");
+    expect(output).toContain("**Repositories:** user/api (main), user/web");
+    expect(output).toContain("## Repositories");
+    expect(output).toContain("- **user/web**: 2 commits (66.7%)");
+  });
+
+  test("should title organization-wide reports with the organization", () => {
+    const output = outputSummary(multiRepoItems, { ...multiRepoArgs, org: "user" }, "start", "end");
+    expect(output).toContain("# Commit Summary: user (2 repositories)");
+  });
+
+  test("should section markdown and HTML output by repository", () => {
+    const markdown = outputMarkdown(multiRepoItems, multiRepoArgs, "start", "end");
+    expect(markdown).toContain("## user/api (1 commits)");
+    expect(markdown).not.toContain("## Commits by Date");
+
+    const html = outputHTML(multiRepoItems, multiRepoArgs, "start", "end");
+    expect(html).toContain("<h2 class=\"repository-header\">user/web (2 commits)</h2>");
+  });
+
+  test("should add a repository column to CSV output", () => {
+    const [header, firstRow] = outputCSV(multiRepoItems).split("\n");
+    expect(header).toBe("repository,sha,date,author_login,committer_login,title,html_url");
+    expect(firstRow.startsWith("user/api,a1,")).toBe(true);
+  });
+
+  test("should keep single-repository output unchanged", () => {
+    const single = multiRepoItems.map(({ repository: _repository, ...rest }) => rest);
+    const args = { owner: "user", repo: "api", branch: "main" };
+
+    expect(outputCSV(single).split("\n")[0]).toBe("sha,date,author_login,committer_login,title,html_url");
+    expect(outputSummary(single, args, "start", "end")).not.toContain("## Repositories");
+    expect(outputMarkdown(single, args, "start", "end")).toContain("**Branch:** main");
+  });
+});
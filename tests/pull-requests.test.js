@@ -0,0 +1,309 @@
+/**
+ * Tests for pull request reporting
+ * Covers --mode prs (merged pull requests, deduplication against commits) and
+ * --with-prs enrichment of commits
+ */
+
+const {
+  fetchPullRequests,
+  fetchNormalizedCommits,
+  normalizePullRequest,
+  mergePullRequestItems,
+  parseLinkedIssues,
+  enrichWithPullRequests,
+  generateStats,
+  validateMode,
+  outputCSV,
+  outputMarkdown,
+  outputSummary,
+  outputTimesheet,
+} = require("../titles");
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+const jsonResponse = (body, headers = []) => ({
+  ok: true,
+  status: 200,
+  headers: new Map(headers),
+  json: async () => body
+});
+
+const apiPullRequest = (number, mergedAt, overrides = {}) => ({
+  number,
+  title: `PR ${number}`,
+  html_url: `https://github.com/test/repo/pull/${number}`,
+  user: { login: "user1" },
+  labels: [{ name: "enhancement" }],
+  merged_at: mergedAt,
+  updated_at: mergedAt || "2025-01-20T00:00:00Z",
+  merge_commit_sha: `merge${number}`,
+  body: `Fixes #${number + 100}`,
+  ...overrides
+});
+
+const params = {
+  owner: "test",
+  repo: "repo",
+  branch: "main",
+  startISO: "2025-01-01T00:00:00Z",
+  endISO: "2025-01-31T00:00:00Z",
+  retries: 1
+};
+
+describe("parseLinkedIssues", () => {
+  test("should find issues referenced with closing keywords", () => {
+    expect(
+      parseLinkedIssues("Fixes #12, resolves org/api#3 and closes https://github.com/a/b/issues/9")
+    ).toEqual(["#12", "org/api#3", "a/b#9"]);
+  });
+
+  test("should ignore plain references and duplicates", () => {
+    expect(parseLinkedIssues("Refs #5. Fix #7, fixed #7")).toEqual(["#7"]);
+    expect(parseLinkedIssues(null)).toEqual([]);
+  });
+});
+
+describe("normalizePullRequest", () => {
+  test("should map pull requests to the item shape", () => {
+    expect(normalizePullRequest(apiPullRequest(42, "2025-01-15T10:00:00Z"))).toEqual({
+      sha: "merge42",
+      title: "PR 42",
+      date: "2025-01-15T10:00:00Z",
+      html_url: "https://github.com/test/repo/pull/42",
+      author_login: "user1",
+      committer_login: null,
+      kind: "pr",
+      number: 42,
+      labels: ["enhancement"],
+      merged_at: "2025-01-15T10:00:00Z",
+      linked_issues: ["#142"],
+      conventional: null
+    });
+  });
+});
+
+describe("fetchPullRequests", () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  test("should keep pull requests merged in range and stop at older pages", async () => {
+    fetch
+      .mockResolvedValueOnce(
+        jsonResponse(
+          [
+            apiPullRequest(3, "2025-02-02T00:00:00Z"),
+            apiPullRequest(2, "2025-01-20T00:00:00Z"),
+            apiPullRequest(9, null, { updated_at: "2025-01-18T00:00:00Z" }),
+            apiPullRequest(1, "2025-01-10T00:00:00Z", { user: { login: "other" } })
+          ],
+          [["link", "<https://api.github.com/repos/test/repo/pulls?page=2>; rel=\"next\""]]
+        )
+      )
+      .mockResolvedValueOnce(jsonResponse([apiPullRequest(0, "2024-12-01T00:00:00Z")]));
+
+    const prs = await fetchPullRequests(params);
+
+    expect(prs.map((pr) => pr.number)).toEqual([2, 1]);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    const url = new URL(fetch.mock.calls[0][0]);
+    expect(url.pathname).toBe("/repos/test/repo/pulls");
+    expect(url.searchParams.get("base")).toBe("main");
+    expect(url.searchParams.get("state")).toBe("closed");
+
+    fetch.mockResolvedValueOnce(jsonResponse([apiPullRequest(1, "2025-01-10T00:00:00Z", { user: { login: "other" } })]));
+    const byAuthor = await fetchPullRequests({ ...params, author: "OTHER" });
+    expect(byAuthor.map((pr) => pr.number)).toEqual([1]);
+  });
+
+  test("should look up the default branch when none is given", async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse({ default_branch: "trunk" }))
+      .mockResolvedValueOnce(jsonResponse([]));
+
+    await fetchPullRequests({ ...params, branch: null });
+
+    expect(fetch.mock.calls[0][0]).toBe("https://api.github.com/repos/test/repo");
+    expect(new URL(fetch.mock.calls[1][0]).searchParams.get("base")).toBe("trunk");
+  });
+
+  test("should report missing repositories", async () => {
+    fetch.mockResolvedValueOnce({ ok: false, status: 404, headers: new Map(), text: async () => "" });
+
+    await expect(fetchPullRequests(params)).rejects.toThrow("Repository not found: test/repo");
+  });
+});
+
+describe("mergePullRequestItems", () => {
+  const prItems = [normalizePullRequest(apiPullRequest(42, "2025-01-15T10:00:00Z"))];
+  const commit = (sha, title, date = "2025-01-14T10:00:00Z") => ({ sha, title, date, author_login: "user1" });
+
+  test("should drop commits that came through the pull requests", () => {
+    const items = mergePullRequestItems(prItems, [
+      commit("merge42", "Squashed change"),
+      commit("c1", "feat: add login (#42)"),
+      commit("c2", "Merge pull request #42 from user1/login"),
+      commit("c3", "fix: unrelated hotfix", "2025-01-16T10:00:00Z"),
+      commit("c4", "feat: other PR (#7)")
+    ]);
+
+    expect(items.map((it) => it.sha)).toEqual(["c3", "merge42", "c4"]);
+    expect(items[1].kind).toBe("pr");
+  });
+
+  test("should drop the other commits of rebase-merged pull requests", () => {
+    const pr42 = { number: 42, title: "PR 42", url: "https://github.com/test/repo/pull/42", merged_at: null, labels: [] };
+    const items = mergePullRequestItems(prItems, [
+      { ...commit("merge42", "feat: add login form"), pull_requests: [pr42] },
+      { ...commit("r1", "feat: add login route"), pull_requests: [pr42] },
+      { ...commit("r2", "fix: other change"), pull_requests: [{ ...pr42, number: 7 }] },
+      { ...commit("r3", "chore: bump deps"), pull_requests: [] }
+    ]);
+
+    expect(items.map((it) => it.sha)).toEqual(["merge42", "r2", "r3"]);
+  });
+});
+
+describe("--mode prs", () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  test("should validate the mode name", () => {
+    expect(validateMode(undefined)).toBe("commits");
+    expect(validateMode("PRs")).toBe("prs");
+    expect(() => validateMode("issues")).toThrow("--mode must be one of: commits, prs");
+  });
+
+  test("should fetch pull requests and direct commits together", async () => {
+    fetch.mockImplementation(async (url) => {
+      if (url.includes("/commits/c8/pulls")) {
+        return jsonResponse([apiPullRequest(42, "2025-01-15T10:00:00Z")]);
+      }
+      if (url.includes("/commits/")) {
+        return jsonResponse([]);
+      }
+      if (url.includes("/pulls")) {
+        return jsonResponse([apiPullRequest(42, "2025-01-15T10:00:00Z")]);
+      }
+      return jsonResponse([
+        { sha: "merge42", commit: { message: "feat: add login form", author: { date: "2025-01-15T10:00:00Z" } } },
+        { sha: "c8", commit: { message: "feat: add login route", author: { date: "2025-01-15T09:59:00Z" } } },
+        { sha: "c9", commit: { message: "chore: bump deps", author: { date: "2025-01-12T10:00:00Z" } } }
+      ]);
+    });
+
+    const log = jest.spyOn(console, "error").mockImplementation(() => {});
+    const items = await fetchNormalizedCommits({ ...params, mode: "prs" });
+    expect(log).toHaveBeenCalledWith("Checking the pull requests of 2 commits in test/repo (one API request each)");
+    log.mockRestore();
+
+    // c8 was rebased onto main with PR 42: a new SHA and a plain title
+    expect(items.map((it) => [it.kind || "commit", it.sha])).toEqual([
+      ["pr", "merge42"],
+      ["commit", "c9"]
+    ]);
+    expect(fetch.mock.calls.map(([url]) => url).filter((url) => url.includes("/commits/")).sort()).toEqual([
+      "https://api.github.com/repos/test/repo/commits/c8/pulls",
+      "https://api.github.com/repos/test/repo/commits/c9/pulls"
+    ]);
+  });
+
+  test("should show pull request numbers and details in reports", () => {
+    const items = [
+      normalizePullRequest(apiPullRequest(42, "2025-01-15T10:00:00Z", { title: "feat: add login" })),
+      { sha: "c9", title: "chore: bump deps", date: "2025-01-12T10:00:00Z", author_login: "user1" }
+    ];
+    const args = { owner: "test", repo: "repo", branch: "main", mode: "prs" };
+
+    expect(outputTimesheet(items)).toContain("• [FEATURE] feat: add login (#42)");
+    expect(outputMarkdown(items, args, "start", "end")).toContain(
+      "- [feat: add login (#42)](https://github.com/test/repo/pull/42) (user1)"
+    );
+    expect(outputSummary(items, args, "start", "end")).toContain(
+      "**Merged Pull Requests:** 1 (plus 1 direct commits)"
+    );
+
+    const [header, prRow, commitRow] = outputCSV(items).split("\n");
+    expect(header).toBe(
+      "sha,date,author_login,committer_login,title,html_url,kind,number,labels,merged_at,linked_issues"
+    );
+    expect(prRow.endsWith(",pr,42,enhancement,2025-01-15T10:00:00Z,#142")).toBe(true);
+    expect(commitRow.endsWith(",commit,,,,")).toBe(true);
+  });
+});
+
+describe("--with-prs", () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  const commitItems = [
+    { sha: "c1", title: "feat: add login", date: "2025-01-15T10:00:00Z", author_login: "user1", html_url: "https://github.com/test/repo/commit/c1" },
+    { sha: "c2", title: "fix: typo", date: "2025-01-14T10:00:00Z", author_login: "user1", html_url: "https://github.com/test/repo/commit/c2" }
+  ];
+
+  test("should attach each commit's pull requests", async () => {
+    fetch.mockImplementation(async (url) =>
+      url.endsWith("/commits/c1/pulls")
+        ? jsonResponse([apiPullRequest(42, "2025-01-15T12:00:00Z", { labels: [{ name: "feature" }, { name: "ui" }] })])
+        : jsonResponse([])
+    );
+
+    const items = await enrichWithPullRequests(commitItems, { owner: "test", repo: "repo", retries: 1 });
+
+    expect(items[0].pull_requests).toEqual([
+      {
+        number: 42,
+        title: "PR 42",
+        url: "https://github.com/test/repo/pull/42",
+        merged_at: "2025-01-15T12:00:00Z",
+        labels: ["feature", "ui"]
+      }
+    ]);
+    expect(items[1].pull_requests).toEqual([]);
+    expect(fetch.mock.calls.map(([url]) => url).sort()).toEqual([
+      "https://api.github.com/repos/test/repo/commits/c1/pulls",
+      "https://api.github.com/repos/test/repo/commits/c2/pulls"
+    ]);
+  });
+
+  test("should use each item's repository and skip items that already have pull requests", async () => {
+    fetch.mockResolvedValue(jsonResponse([]));
+
+    await enrichWithPullRequests(
+      [
+        { ...commitItems[0], repository: "org/web" },
+        { ...commitItems[1], pull_requests: [] },
+        normalizePullRequest(apiPullRequest(7, "2025-01-10T00:00:00Z"))
+      ],
+      { owner: "test", repo: "repo", retries: 1 }
+    );
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch.mock.calls[0][0]).toBe("https://api.github.com/repos/org/web/commits/c1/pulls");
+  });
+
+  test("should surface pull requests in markdown, csv and the summary", () => {
+    const pr = { number: 42, title: "Add login", url: "https://github.com/test/repo/pull/42", merged_at: null, labels: ["feature", "ui"] };
+    const items = [
+      { ...commitItems[0], pull_requests: [pr] },
+      { ...commitItems[1], pull_requests: [{ ...pr, number: 43, labels: ["feature"] }] }
+    ];
+    const args = { owner: "test", repo: "repo", branch: "main" };
+
+    expect(outputMarkdown(items, args, "start", "end")).toContain(
+      "- [feat: add login](https://github.com/test/repo/commit/c1) ([#42](https://github.com/test/repo/pull/42)) (user1)"
+    );
+
+    const [header, row] = outputCSV(items).split("\n");
+    expect(header.endsWith(",pr_numbers,pr_labels")).toBe(true);
+    expect(row.endsWith(",42,feature;ui")).toBe(true);
+
+    expect(generateStats(items).byLabel).toEqual({ feature: 2, ui: 1 });
+    const summary = outputSummary(items, args, "start", "end");
+    expect(summary).toContain("## Pull Request Labels");
+    expect(summary).toContain("- **feature**: 2 commits");
+  });
+});
@@ -0,0 +1,276 @@
+/**
+ * Tests for ref ranges (--from, --to, --since-last-tag)
+ * Covers ref validation, the GitHub compare API, tag lookup and the local
+ * "git log from..to" path
+ */
+
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  validateRef,
+  resolveRefRange,
+  fetchCommitRange,
+  findLastTag,
+  compareTagVersions,
+  fetchNormalizedCommits,
+  fetchLocalCommits,
+  getCommits,
+  itemDateRange,
+  outputJSON,
+  outputSummary,
+  parseArgs,
+} = require("../titles");
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+const respond = (body, { status = 200, link } = {}) => ({
+  ok: status < 400,
+  status,
+  headers: new Map(link ? [["link", link]] : []),
+  json: async () => body,
+  text: async () => JSON.stringify(body),
+});
+
+const apiCommit = (sha, date, login, email = `${login}@example.com`) => ({
+  sha,
+  html_url: `https://github.com/test/repo/commit/${sha}`,
+  author: { login },
+  committer: { login },
+  commit: {
+    message: `feat: ${sha}`,
+    author: { name: login, email, date },
+    committer: { name: login, email, date },
+  },
+});
+
+const github = { owner: "test", repo: "repo", branch: "main", retries: 1 };
+
+describe("Ref range options", () => {
+  test("should validate refs", () => {
+    expect(validateRef(" v1.0.7 ", "from")).toBe("v1.0.7");
+    expect(validateRef("feature/login", "to")).toBe("feature/login");
+    expect(() => validateRef("", "from")).toThrow("--from must be a tag, commit SHA or branch name");
+    expect(() => validateRef("v1..v2", "from")).toThrow("--from is not a valid git ref: v1..v2");
+    expect(() => validateRef("--all", "to")).toThrow("--to is not a valid git ref");
+  });
+
+  test("should resolve --from and --to", async () => {
+    expect(await resolveRefRange({})).toBeNull();
+    expect(await resolveRefRange({ from: "v1.0.7", to: "v1.0.8" })).toEqual({ from: "v1.0.7", to: "v1.0.8" });
+    expect(await resolveRefRange({ from: "v1.0.7", branch: "main" })).toEqual({ from: "v1.0.7", to: "main" });
+    await expect(resolveRefRange({ to: "v1.0.8" })).rejects.toThrow("--to needs --from or --since-last-tag");
+    await expect(resolveRefRange({ from: "v1", to: "--all" })).rejects.toThrow("--to is not a valid git ref: --all");
+    await expect(resolveRefRange({ sinceLastTag: true, branch: "--output=x" })).rejects.toThrow(
+      "--branch is not a valid git ref: --output=x"
+    );
+    await expect(resolveRefRange({ from: "v1", sinceLastTag: true })).rejects.toThrow(
+      "--from cannot be combined with --since-last-tag"
+    );
+  });
+
+  test("should parse the flags", () => {
+    expect(parseArgs(["--from", "v1.0.7", "--to", "v1.0.8", "--since-last-tag"])).toEqual({
+      from: "v1.0.7",
+      to: "v1.0.8",
+      sinceLastTag: true,
+    });
+  });
+
+  test("should derive the date range from the fetched items", () => {
+    expect(
+      itemDateRange([{ date: "2025-01-15T10:00:00Z" }, { date: "2025-01-02T08:00:00Z" }, { date: null }])
+    ).toEqual({ startISO: "2025-01-02T08:00:00.000Z", endISO: "2025-01-15T10:00:00.000Z" });
+  });
+
+  test("should show the range in report metadata", () => {
+    const args = { owner: "test", repo: "repo", branch: "main", from: "v1.0.7", to: "v1.0.8" };
+    const items = [{ sha: "c1", title: "feat: x", date: "2025-01-15T10:00:00Z", author_login: "user1" }];
+
+    expect(JSON.parse(outputJSON(items, args, "s", "e"))).toMatchObject({ from: "v1.0.7", to: "v1.0.8" });
+    expect(outputSummary(items, args, "s", "e")).toContain("**Commit Range:** v1.0.7..v1.0.8");
+  });
+});
+
+describe("GitHub ref ranges", () => {
+  test("should page through the compare API and return newest first", async () => {
+    fetch
+      .mockResolvedValueOnce(
+        respond(
+          { commits: [apiCommit("a1", "2025-01-01T10:00:00Z", "user1")] },
+          { link: "<https://api.github.com/next>; rel=\"next\"" }
+        )
+      )
+      .mockResolvedValueOnce(respond({ commits: [apiCommit("b2", "2025-01-02T10:00:00Z", "user2")] }));
+
+    const items = await fetchNormalizedCommits({ ...github, from: "v1.0.7", to: "v1.0.8", cacheDir: "/unused" });
+
+    expect(fetch.mock.calls[0][0]).toBe(
+      "https://api.github.com/repos/test/repo/compare/v1.0.7...v1.0.8?per_page=100"
+    );
+    expect(items.map((it) => it.sha)).toEqual(["b2", "a1"]);
+    expect(items[0]).toMatchObject({ title: "feat: b2", author_login: "user2" });
+  });
+
+  test("should filter by author and committer login, email or name", async () => {
+    const commits = [
+      apiCommit("a1", "2025-01-01T10:00:00Z", "user1"),
+      apiCommit("b2", "2025-01-02T10:00:00Z", "user2", "dev@corp.example"),
+    ];
+    fetch.mockResolvedValue(respond({ commits }));
+
+    const shas = async (filters) =>
+      (await fetchCommitRange({ ...github, from: "v1", ...filters })).map((c) => c.sha);
+
+    expect(await shas({ author: "USER1" })).toEqual(["a1"]);
+    expect(await shas({ author: "dev@corp.example" })).toEqual(["b2"]);
+    expect(await shas({ committer: "nobody" })).toEqual([]);
+    expect(await shas({ max: 1 })).toEqual(["b2"]);
+    expect(fetch.mock.calls[0][0]).toContain("/compare/v1...main?");
+  });
+
+  test("should report unknown refs", async () => {
+    fetch.mockResolvedValueOnce(respond({ message: "Not Found" }, { status: 404 }));
+
+    await expect(fetchCommitRange({ ...github, from: "v9" })).rejects.toThrow(
+      "Not found: test/repo v9...main (check the repository, --from and --to)"
+    );
+  });
+
+  test("should find the highest version tag contained in the branch", async () => {
+    fetch
+      .mockResolvedValueOnce(
+        respond([{ name: "v1.0.7" }, { name: "v2.0.0-rc1" }], {
+          link: "<https://api.github.com/repos/test/repo/tags?per_page=100&page=2>; rel=\"next\"",
+        })
+      )
+      .mockResolvedValueOnce(respond([{ name: "v1.0.8" }, { name: "v1.10.0" }]))
+      .mockResolvedValueOnce(respond({ status: "diverged" }))
+      .mockResolvedValueOnce(respond({ status: "diverged" }))
+      .mockResolvedValueOnce(respond({ status: "ahead" }));
+
+    expect(await resolveRefRange({ ...github, sinceLastTag: true })).toEqual({ from: "v1.0.8", to: "main" });
+    expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+      "https://api.github.com/repos/test/repo/tags?per_page=100",
+      "https://api.github.com/repos/test/repo/tags?per_page=100&page=2",
+      "https://api.github.com/repos/test/repo/compare/v2.0.0-rc1...main?per_page=1",
+      "https://api.github.com/repos/test/repo/compare/v1.10.0...main?per_page=1",
+      "https://api.github.com/repos/test/repo/compare/v1.0.8...main?per_page=1",
+    ]);
+  });
+
+  test("should order tags by tagged commit date with a token", async () => {
+    const tagPage = (names, endCursor) =>
+      respond({
+        data: {
+          repository: {
+            refs: {
+              pageInfo: { hasNextPage: Boolean(endCursor), endCursor },
+              nodes: names.map((name) => ({ name })),
+            },
+          },
+        },
+      });
+    fetch
+      .mockResolvedValueOnce(tagPage(["nightly", "v2.0.0"], "c1"))
+      .mockResolvedValueOnce(tagPage(["v1.0.8"], null))
+      .mockResolvedValueOnce(respond({ status: "ahead" }));
+
+    expect(await findLastTag({ ...github, ref: "main", token: "t" })).toBe("nightly");
+    expect(fetch).toHaveBeenCalledTimes(3);
+    const [url, init] = fetch.mock.calls[1];
+    expect(url).toBe("https://api.github.com/graphql");
+    expect(JSON.parse(init.body).query).toContain("orderBy: { field: TAG_COMMIT_DATE, direction: DESC }");
+    expect(JSON.parse(init.body).variables).toEqual({ owner: "test", repo: "repo", cursor: "c1" });
+    expect(fetch.mock.calls[2][0]).toBe("https://api.github.com/repos/test/repo/compare/nightly...main?per_page=1");
+  });
+
+  test("should sort tags by version", () => {
+    expect(["v1.2.0", "release", "1.10.0", "v2.0.0-rc.2", "v2.0.0", "v2.0.0-rc.10", "latest"].sort(compareTagVersions)).toEqual([
+      "v2.0.0",
+      "v2.0.0-rc.10",
+      "v2.0.0-rc.2",
+      "1.10.0",
+      "v1.2.0",
+      "release",
+      "latest",
+    ]);
+  });
+
+  test("should fail when no tag is found", async () => {
+    fetch.mockResolvedValueOnce(respond([]));
+
+    await expect(findLastTag({ ...github, ref: "main" })).rejects.toThrow(
+      "--since-last-tag found no tag in the history of main"
+    );
+  });
+
+  test("should reject ref ranges across repositories and in prs mode", async () => {
+    await expect(getCommits({ repos: "a/b,c/d", from: "v1" })).rejects.toThrow(
+      "--from, --to and --since-last-tag cannot be combined with --repos or --org"
+    );
+    await expect(getCommits({ ...github, from: "v1", mode: "prs", token: "t" })).rejects.toThrow(
+      "--mode prs cannot be combined with --from, --to or --since-last-tag"
+    );
+  });
+});
+
+describe("Local ref ranges", () => {
+  let repoDir;
+
+  const git = (args, env = {}) =>
+    execFileSync("git", args, {
+      cwd: repoDir,
+      encoding: "utf8",
+      stdio: "pipe",
+      env: { ...process.env, ...env },
+    });
+
+  const commit = (message, date) =>
+    git(["commit", "--allow-empty", "-q", "-m", message], {
+      GIT_AUTHOR_NAME: "Dev",
+      GIT_AUTHOR_EMAIL: "dev@example.com",
+      GIT_AUTHOR_DATE: date,
+      GIT_COMMITTER_NAME: "Dev",
+      GIT_COMMITTER_EMAIL: "dev@example.com",
+      GIT_COMMITTER_DATE: date,
+    });
+
+  beforeAll(() => {
+    repoDir = fs.mkdtempSync(path.join(os.tmpdir(), "titles-refs-"));
+    git(["init", "-q"]);
+    git(["checkout", "-q", "-b", "main"]);
+    commit("chore: initial", "2025-01-01T10:00:00Z");
+    git(["tag", "v1.0.7"]);
+    commit("feat: add search", "2025-01-05T10:00:00Z");
+    commit("fix: handle empty results", "2025-01-06T10:00:00Z");
+    git(["tag", "v1.0.8"]);
+    commit("perf: cache lookups", "2025-01-10T10:00:00Z");
+  });
+
+  afterAll(() => {
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  });
+
+  test("should read the commits between two tags", async () => {
+    const items = await fetchLocalCommits({ from: "v1.0.7", to: "v1.0.8", cwd: repoDir });
+
+    expect(items.map((it) => it.title)).toEqual(["fix: handle empty results", "feat: add search"]);
+  });
+
+  test("should start after the last tag", async () => {
+    expect(await findLastTag({ source: "local", ref: "main", cwd: repoDir })).toBe("v1.0.8");
+    await expect(findLastTag({ source: "local", ref: "v1.0.7^", cwd: repoDir })).rejects.toThrow(
+      "--since-last-tag found no tag"
+    );
+    await expect(findLastTag({ source: "local", ref: "--dirty", cwd: repoDir })).rejects.toThrow(
+      "--since-last-tag found no tag"
+    );
+
+    const items = await getCommits({ source: "local", branch: "main", sinceLastTag: true, cwd: repoDir });
+    expect(items.map((it) => it.title)).toEqual(["perf: cache lookups"]);
+  });
+});
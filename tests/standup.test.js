@@ -0,0 +1,132 @@
+/**
+ * Tests for the standup format
+ * Covers "last workday" (weekends and holidays), --holidays and the
+ * per-repository standup text with pull requests
+ */
+
+const {
+  parseRelativeDate,
+  resolvePeriod,
+  validateHolidays,
+  outputStandup,
+  formatOutput,
+  parseArgs,
+} = require("../titles");
+
+// Monday, 13 January 2025, 10:00 local time
+const monday = new Date(2025, 0, 13, 10, 0, 0);
+const local = (year, month, day, ...time) => new Date(year, month - 1, day, ...time);
+
+describe("last workday", () => {
+  test("should skip weekends", () => {
+    expect(parseRelativeDate("last workday", { now: monday })).toEqual(local(2025, 1, 10));
+    expect(parseRelativeDate("previous working day", { now: local(2025, 1, 15, 9) })).toEqual(local(2025, 1, 14));
+    expect(parseRelativeDate("last workday", { now: local(2025, 1, 12, 9) })).toEqual(local(2025, 1, 10));
+  });
+
+  test("should skip holidays", () => {
+    expect(parseRelativeDate("last workday", { now: monday, holidays: "2025-01-10, 2025-01-09" })).toEqual(
+      local(2025, 1, 8)
+    );
+  });
+
+  test("should be a whole-day period", () => {
+    expect(resolvePeriod("last-workday", { now: monday })).toEqual({
+      start: local(2025, 1, 10),
+      end: local(2025, 1, 10, 23, 59, 59, 999),
+    });
+    expect(resolvePeriod("last-workday", { now: monday, timezone: "UTC" }).start.toISOString()).toBe(
+      "2025-01-10T00:00:00.000Z"
+    );
+  });
+});
+
+describe("validateHolidays", () => {
+  test("should accept lists of days", () => {
+    expect(validateHolidays("2025-12-25, 2025-12-26")).toEqual(["2025-12-25", "2025-12-26"]);
+    expect(validateHolidays(["2025-01-01"])).toEqual(["2025-01-01"]);
+    expect(validateHolidays(undefined)).toEqual([]);
+  });
+
+  test("should reject anything else", () => {
+    expect(() => validateHolidays("25/12/2025")).toThrow("--holidays must list days as YYYY-MM-DD (got 25/12/2025)");
+    expect(() => validateHolidays("2025-02-30")).toThrow("(got 2025-02-30)");
+    expect(() => parseRelativeDate("last workday", { holidays: "xmas" })).toThrow("--holidays must list days");
+  });
+
+  test("should parse the flag", () => {
+    expect(parseArgs(["--format", "standup", "--holidays", "2025-12-25"])).toEqual({
+      format: "standup",
+      holidays: "2025-12-25",
+    });
+  });
+});
+
+describe("outputStandup", () => {
+  const args = { owner: "acme", repo: "web", author: "alice", timezone: "UTC" };
+  const start = "2025-01-10T00:00:00.000Z";
+  const end = "2025-01-13T10:00:00.000Z";
+  const pr = { number: 42, title: "Add search", url: "https://github.com/acme/web/pull/42", labels: [] };
+
+  test("should list the work per repository, oldest first, with pull requests once", () => {
+    const items = [
+      { sha: "d4", title: "fix(api)!: drop v1 search", date: "2025-01-13T09:00:00Z", repository: "acme/api" },
+      { sha: "c3", title: "fix: handle empty results", date: "2025-01-10T16:00:00Z", repository: "acme/web" },
+      {
+        sha: "b2",
+        title: "feat: search results page",
+        date: "2025-01-10T11:00:00Z",
+        repository: "acme/web",
+        pull_requests: [pr],
+      },
+      {
+        sha: "a1",
+        title: "feat: search index",
+        date: "2025-01-10T10:00:00Z",
+        repository: "acme/web",
+        pull_requests: [pr],
+      },
+    ];
+
+    expect(outputStandup(items, args, start, end)).toBe(
+      [
+        "*Standup for alice* (Fri 10 Jan – Mon 13 Jan)",
+        "*acme/api*",
+        "• [BREAKING] fix(api)!: drop v1 search",
+        "*acme/web*",
+        "• Add search (#42)",
+        "• fix: handle empty results",
+      ].join("\n")
+    );
+  });
+
+  test("should keep separate commits and pull requests with the same title", () => {
+    const other = { ...pr, number: 43, url: "https://github.com/acme/web/pull/43" };
+    const items = [
+      { sha: "d4", title: "fix: typo", date: "2025-01-13T09:00:00Z", pull_requests: [other] },
+      { sha: "c3", title: "fix: typo", date: "2025-01-10T16:00:00Z", pull_requests: [pr] },
+      { sha: "b2", title: "fix: typo", date: "2025-01-10T11:00:00Z" },
+      { sha: "a1", title: "fix: typo", date: "2025-01-10T10:00:00Z" },
+    ];
+
+    expect(outputStandup(items, args, start, end).split("\n").slice(1)).toEqual([
+      "*acme/web*",
+      "• fix: typo",
+      "• fix: typo",
+      "• Add search (#42)",
+      "• Add search (#43)",
+    ]);
+  });
+
+  test("should use the run's repository and list --mode prs items", () => {
+    const items = [{ sha: "m1", kind: "pr", number: 7, title: "Add login", date: "2025-01-10T12:00:00Z" }];
+
+    expect(formatOutput("standup", items, { ...args, author: undefined }, start, "2025-01-10T23:59:59.999Z")).toBe(
+      "*Standup* (Fri 10 Jan)\n*acme/web*\n• Add login (#7)"
+    );
+  });
+
+  test("should say when there is nothing to report", () => {
+    expect(outputStandup([], args, start, end)).toBe("*Standup for alice* (Fri 10 Jan – Mon 13 Jan)\n• No commits");
+  });
+});
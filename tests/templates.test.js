@@ -0,0 +1,199 @@
+/**
+ * Tests for user-defined output templates (--template)
+ * Covers the template language (values, sections, helpers, standalone tags),
+ * the template context and loading template files
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  renderTemplate,
+  templateContext,
+  formatDatePattern,
+  loadTemplate,
+  parseArgs,
+} = require("../titles");
+
+const items = [
+  {
+    sha: "a1b2c3d4e5f6",
+    title: "feat(api)!: drop v1 endpoints",
+    date: "2025-01-15T10:30:00Z",
+    html_url: "https://github.com/test/repo/commit/a1b2c3d4e5f6",
+    author_login: "user1",
+  },
+  {
+    sha: "b2c3d4e5f6a1",
+    title: "fix: handle empty results",
+    date: "2025-01-15T09:00:00Z",
+    html_url: "https://github.com/test/repo/commit/b2c3d4e5f6a1",
+    author_login: "user2",
+  },
+  {
+    sha: "c3d4e5f6a1b2",
+    title: "feat: add search",
+    date: "2025-01-14T16:00:00Z",
+    html_url: "https://github.com/test/repo/commit/c3d4e5f6a1b2",
+    author_login: "user1",
+  },
+];
+const args = { owner: "test", repo: "repo", branch: "main" };
+const start = "2025-01-14T00:00:00Z";
+const end = "2025-01-15T23:59:59Z";
+
+describe("Template language", () => {
+  test("should insert values and dotted names", () => {
+    expect(renderTemplate("{{name}} has {{stats.total}} ({{missing}})", { name: "repo", stats: { total: 3 } })).toBe(
+      "repo has 3 ()"
+    );
+  });
+
+  test("should repeat sections for lists and render inverted sections when empty", () => {
+    const template = "{{#items}}[{{.}}]{{/items}}{{^items}}none{{/items}}";
+
+    expect(renderTemplate(template, { items: ["a", "b"] })).toBe("[a][b]");
+    expect(renderTemplate(template, { items: [] })).toBe("none");
+    expect(renderTemplate("{{#flag}}yes{{/flag}}{{^flag}}no{{/flag}}", { flag: true })).toBe("yes");
+  });
+
+  test("should look names up from the innermost context outwards", () => {
+    const template = "{{#people}}{{name}}@{{team}} {{/people}}";
+
+    expect(renderTemplate(template, { team: "core", people: [{ name: "a" }, { name: "b", team: "web" }] })).toBe(
+      "a@core b@web "
+    );
+  });
+
+  test("should leave no blank lines for standalone section and comment tags", () => {
+    const template = ["{{! list }}", "{{#items}}", "- {{.}}", "{{/items}}", "done"].join("\n");
+
+    expect(renderTemplate(template, { items: ["a", "b"] })).toBe("- a\n- b\ndone");
+  });
+
+  test("should call helpers", () => {
+    const context = { title: "feat: a rather long title", labels: ["bug", "ui"], date: "2025-01-15T22:30:00Z" };
+
+    expect(renderTemplate("{{truncate title 10}}|{{upper \"x\"}}|{{lower \"Y\"}}", context)).toBe("feat: a r…|X|y");
+    expect(renderTemplate("{{join labels \" / \"}}", context)).toBe("bug / ui");
+    expect(renderTemplate("{{date date \"DD/MM/YYYY\"}}", context)).toBe("15/01/2025");
+    expect(renderTemplate("{{date date \"DD/MM HH:mm\"}}", { ...context, timezone: "Australia/Sydney" })).toBe(
+      "16/01 09:30"
+    );
+  });
+
+  test("should report malformed templates", () => {
+    expect(() => renderTemplate("{{#days}}x", {})).toThrow("Template error: unclosed section {{#days}}");
+    expect(() => renderTemplate("{{#a}}x{{/b}}", {})).toThrow("Template error: unexpected {{/b}}");
+    expect(() => renderTemplate("{{shout title}}", {})).toThrow(
+      "Template error: unknown helper \"shout\" in {{shout title}}"
+    );
+  });
+});
+
+describe("formatDatePattern", () => {
+  test("should format date tokens", () => {
+    expect(formatDatePattern("2025-01-15T10:30:05Z", "ddd DD MMM YYYY HH:mm:ss")).toBe("Wed 15 Jan 2025 10:30:05");
+    expect(formatDatePattern(null, "YYYY")).toBe("");
+    expect(formatDatePattern("soon", "YYYY")).toBe("");
+  });
+});
+
+describe("templateContext", () => {
+  test("should provide metadata, stats and enriched commits", () => {
+    const context = templateContext(items, args, start, end);
+
+    expect(context).toMatchObject({
+      title: "test/repo",
+      branch: "main",
+      start,
+      end,
+      total: 3,
+      partial: null,
+    });
+    expect(context.stats.byType).toEqual({ feature: 2, bugfix: 1 });
+    expect(context.commits[0]).toMatchObject({
+      short_sha: "a1b2c3d",
+      author: "user1",
+      url: "https://github.com/test/repo/commit/a1b2c3d4e5f6",
+      type: "feature",
+      label: "FEATURE",
+      scope: "api",
+      breaking: true,
+      day: "2025-01-15",
+    });
+  });
+
+  test("should group commits by day, author and type", () => {
+    const context = templateContext(items, args, start, end);
+
+    expect(context.days.map((d) => [d.date, d.count])).toEqual([
+      ["2025-01-15", 2],
+      ["2025-01-14", 1],
+    ]);
+    expect(context.authors.map((a) => [a.name, a.count])).toEqual([
+      ["user1", 2],
+      ["user2", 1],
+    ]);
+    expect(context.types.map((t) => [t.type, t.label, t.count])).toEqual([
+      ["feature", "FEATURE", 2],
+      ["bugfix", "BUGFIX", 1],
+    ]);
+    expect(context.repositories).toEqual([]);
+  });
+
+  test("should render a standup layout", () => {
+    const template = [
+      "Standup for {{title}} ({{total}} commits)",
+      "{{#days}}",
+      "{{date}}:",
+      "{{#commits}}",
+      "  - {{title}} ({{short_sha}}){{#breaking}} BREAKING{{/breaking}}",
+      "{{/commits}}",
+      "{{/days}}",
+      "By author: {{#authors}}{{name}} {{count}}; {{/authors}}",
+    ].join("\n");
+
+    expect(renderTemplate(template, templateContext(items, args, start, end))).toBe(
+      [
+        "Standup for test/repo (3 commits)",
+        "2025-01-15:",
+        "  - feat(api)!: drop v1 endpoints (a1b2c3d) BREAKING",
+        "  - fix: handle empty results (b2c3d4e)",
+        "2025-01-14:",
+        "  - feat: add search (c3d4e5f)",
+        "By author: user1 2; user2 1; ",
+      ].join("\n")
+    );
+  });
+});
+
+describe("loadTemplate", () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "titles-template-"));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("should read template files and check them", () => {
+    const good = path.join(dir, "good.tpl");
+    const bad = path.join(dir, "bad.tpl");
+    fs.writeFileSync(good, "{{#commits}}{{title}}\n{{/commits}}");
+    fs.writeFileSync(bad, "{{#commits}}{{title}}");
+
+    expect(loadTemplate(good)).toBe("{{#commits}}{{title}}\n{{/commits}}");
+    expect(() => loadTemplate(bad)).toThrow(`Template error: unclosed section {{#commits}} (in ${bad})`);
+    fs.writeFileSync(bad, "{{shout title}}");
+    expect(() => loadTemplate(bad)).toThrow("Template error: unknown helper \"shout\"");
+    expect(() => loadTemplate(path.join(dir, "missing.tpl"))).toThrow("Template file not found");
+  });
+
+  test("should parse the flag", () => {
+    expect(parseArgs(["--template", "standup.tpl"])).toEqual({ template: "standup.tpl" });
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Tests for the time-tracking export formats (harvest, toggl, tempo)
+ * Covers the project mapping, per-day entries with estimated hours and the
+ * import layouts of each tracker
+ */
+
+const {
+  parseProjects,
+  parseAuthors,
+  timesheetEntries,
+  outputHarvest,
+  outputToggl,
+  outputTempo,
+  formatOutput,
+  parseArgs,
+} = require("../titles");
+
+const commit = (sha, title, date, extra = {}) => ({
+  sha,
+  title,
+  date,
+  author_login: "dev",
+  ...extra,
+});
+
+// A 09:00-10:30 session on 15 January across two repositories, and a single
+// commit on 16 January
+const items = [
+  commit("d4", "fix: login redirect", "2025-01-16T14:00:00Z", { repository: "acme/web" }),
+  commit("c3", "fix: handle \"empty\", null", "2025-01-15T10:30:00Z", { repository: "acme/api" }),
+  commit("b2", "feat: add search", "2025-01-15T09:30:00Z", { repository: "acme/web" }),
+  commit("a1", "feat: search page", "2025-01-15T09:00:00Z", { repository: "acme/web" }),
+];
+
+describe("parseProjects", () => {
+  test("should parse repo=project pairs and configuration objects", () => {
+    expect(parseProjects("acme/web=Website, api=WEB-12")).toEqual({
+      "acme/web": { project: "Website" },
+      api: { project: "WEB-12" },
+    });
+    expect(parseProjects({ "Acme/Web": { project: "Website", client: "Acme Inc", issue: "WEB-1" } })).toEqual({
+      "acme/web": { project: "Website", client: "Acme Inc", issue: "WEB-1" },
+    });
+    expect(parseProjects(undefined)).toEqual({});
+  });
+
+  test("should reject malformed mappings", () => {
+    expect(() => parseProjects("acme/web")).toThrow(
+      "--projects must map repositories to projects, e.g. owner/repo=Website"
+    );
+    expect(() => parseProjects({ web: 42 })).toThrow("--projects must map repositories");
+  });
+
+  test("should parse the flag", () => {
+    expect(parseArgs(["--format", "harvest", "--projects", "web=Website"])).toEqual({
+      format: "harvest",
+      projects: "web=Website",
+    });
+  });
+});
+
+describe("parseAuthors", () => {
+  test("should parse login=accountId pairs and configuration objects", () => {
+    expect(parseAuthors("Dev=5b10a2844c20165700ede21g, ops=712020:c0ffee")).toEqual({
+      dev: "5b10a2844c20165700ede21g",
+      ops: "712020:c0ffee",
+    });
+    expect(parseAuthors({ Dev: "5b10a2844c20165700ede21g" })).toEqual({ dev: "5b10a2844c20165700ede21g" });
+    expect(parseAuthors(undefined)).toEqual({});
+  });
+
+  test("should reject malformed mappings", () => {
+    expect(() => parseAuthors("dev")).toThrow(
+      "--authors must map GitHub logins to Jira account IDs, e.g. octocat=5b10a2844c20165700ede21g"
+    );
+    expect(() => parseAuthors({ dev: 42 })).toThrow("--authors must map GitHub logins");
+  });
+});
+
+describe("timesheetEntries", () => {
+  test("should build one entry per day and repository", () => {
+    const entries = timesheetEntries(items, { projects: "acme/web=Website" });
+
+    expect(entries).toEqual([
+      {
+        date: "2025-01-15",
+        start: new Date("2025-01-15T10:00:00Z"),
+        repository: "acme/api",
+        project: "api",
+        client: "acme",
+        task: "Development",
+        authors: ["dev"],
+        description: "fix: handle \"empty\", null",
+        hours: 1,
+      },
+      {
+        date: "2025-01-15",
+        start: new Date("2025-01-15T08:30:00Z"),
+        repository: "acme/web",
+        project: "Website",
+        client: "acme",
+        task: "Development",
+        authors: ["dev"],
+        description: "feat: search page; feat: add search",
+        hours: 1,
+      },
+      {
+        date: "2025-01-16",
+        start: new Date("2025-01-16T13:30:00Z"),
+        repository: "acme/web",
+        project: "Website",
+        client: "acme",
+        task: "Development",
+        authors: ["dev"],
+        description: "fix: login redirect",
+        hours: 0.5,
+      },
+    ]);
+  });
+
+  test("should use the run's repository and the hours options", () => {
+    const single = items.slice(2).map(({ repository: _repository, ...it }) => it);
+    const entries = timesheetEntries(single, { owner: "acme", repo: "web", sessionPadding: "60" });
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ repository: "acme/web", project: "web", hours: 1.5 });
+    expect(entries[0].start).toEqual(new Date("2025-01-15T08:00:00Z"));
+  });
+
+  test("should leave out days without estimated hours", () => {
+    expect(timesheetEntries(items, { workingHours: "13:00-17:00" }).map((e) => e.date)).toEqual(["2025-01-16"]);
+  });
+});
+
+describe("Time-tracking formats", () => {
+  const args = { projects: { "acme/web": { project: "Website", client: "Acme Inc", task: "Frontend" } } };
+
+  test("should write a Harvest import CSV", () => {
+    expect(outputHarvest(items, args).split("\n")).toEqual([
+      "Date,Client,Project,Task,Notes,Hours",
+      "2025-01-15,acme,api,Development,\"fix: handle \"\"empty\"\", null\",1.00",
+      "2025-01-15,Acme Inc,Website,Frontend,feat: search page; feat: add search,1.00",
+      "2025-01-16,Acme Inc,Website,Frontend,fix: login redirect,0.50",
+    ]);
+  });
+
+  test("should write a Toggl Track import CSV in the time zone", () => {
+    const lines = outputToggl(items, { ...args, timezone: "Australia/Sydney" }).split("\n");
+
+    expect(lines[0]).toBe("Start date,Start time,Duration,Project,Client,Task,Description");
+    // 08:30 UTC is 19:30 in Sydney
+    expect(lines[2]).toBe("2025-01-15,19:30:00,01:00:00,Website,Acme Inc,Frontend,feat: search page; feat: add search");
+    expect(lines[3]).toBe("2025-01-17,00:30:00,00:30:00,Website,Acme Inc,Frontend,fix: login redirect");
+  });
+
+  test("should write Tempo worklogs against the mapped issues", () => {
+    const worklogs = JSON.parse(
+      formatOutput("tempo", items, {
+        projects: { "acme/web": { issue: "WEB-7" }, api: "API-3" },
+        authors: "dev=5b10a2844c20165700ede21g",
+      })
+    );
+
+    expect(worklogs).toEqual([
+      {
+        issueKey: "API-3",
+        authorAccountId: "5b10a2844c20165700ede21g",
+        startDate: "2025-01-15",
+        startTime: "10:00:00",
+        timeSpentSeconds: 3600,
+        description: "fix: handle \"empty\", null",
+      },
+      {
+        issueKey: "WEB-7",
+        authorAccountId: "5b10a2844c20165700ede21g",
+        startDate: "2025-01-15",
+        startTime: "08:30:00",
+        timeSpentSeconds: 3600,
+        description: "feat: search page; feat: add search",
+      },
+      {
+        issueKey: "WEB-7",
+        authorAccountId: "5b10a2844c20165700ede21g",
+        startDate: "2025-01-16",
+        startTime: "13:30:00",
+        timeSpentSeconds: 1800,
+        description: "fix: login redirect",
+      },
+    ]);
+  });
+
+  test("should write the Jira issue ID for Tempo's API v4", () => {
+    const worklogs = JSON.parse(
+      outputTempo(items.slice(0, 1), {
+        projects: { "acme/web": { issueId: 10042 } },
+        authors: { dev: "5b10a2844c20165700ede21g" },
+      })
+    );
+
+    expect(worklogs[0]).toMatchObject({ issueId: "10042", authorAccountId: "5b10a2844c20165700ede21g" });
+    expect(worklogs[0]).not.toHaveProperty("issueKey");
+  });
+
+  test("should require a Jira issue for Tempo", () => {
+    expect(() => outputTempo(items, args)).toThrow(
+      "--format tempo needs a Jira issue for acme/api; map it with --projects, e.g. acme/api=PROJ-123"
+    );
+  });
+
+  test("should require a Jira account for every author", () => {
+    const projects = "acme/web=WEB-7,api=API-3";
+
+    expect(() => outputTempo(items, { projects })).toThrow(
+      "--format tempo needs a Jira account ID for dev; map it with --authors, e.g. dev=5b10a2844c20165700ede21g"
+    );
+
+    const shared = [...items, commit("e5", "docs: search", "2025-01-16T14:30:00Z", { repository: "acme/web", author_login: "ops" })];
+    expect(() => outputTempo(shared, { projects, authors: "dev=557058:aaa,ops=557058:bbb" })).toThrow(
+      "--format tempo logs each worklog for one person, but acme/web on 2025-01-16 has commits by dev, ops; pick one with --author"
+    );
+  });
+});
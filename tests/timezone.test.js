@@ -0,0 +1,148 @@
+/**
+ * Tests for explicit time zones (--timezone)
+ * Covers zone validation, range boundaries, day grouping, timesheet and
+ * changelog dates, and rendered timestamps
+ */
+
+const {
+  validateTimezone,
+  formatTimestamp,
+  parseRelativeDate,
+  resolvePeriod,
+  resolveDateRange,
+  validateDate,
+  groupByDate,
+  generateStats,
+  outputTimesheet,
+  outputSummary,
+  outputJSON,
+  outputNDJSON,
+  outputCSV,
+  outputChangelog,
+  parseArgs,
+} = require("../titles");
+
+const sydney = "Australia/Sydney";
+
+// Evening commits in Sydney are still the previous day in UTC
+const items = [
+  { sha: "c1", title: "feat: evening work", date: "2025-01-15T09:30:00Z", author_login: "dev" },
+  { sha: "c2", title: "fix: morning fix", date: "2025-01-14T22:00:00Z", author_login: "dev" },
+  { sha: "c3", title: "docs: earlier", date: "2025-01-14T03:00:00Z", author_login: "dev" },
+];
+
+describe("validateTimezone", () => {
+  test("should accept IANA names and return them canonically", () => {
+    expect(validateTimezone("australia/sydney")).toBe(sydney);
+    expect(validateTimezone("UTC")).toBe("UTC");
+    expect(validateTimezone(undefined)).toBeUndefined();
+    expect(validateTimezone("local")).toBe(Intl.DateTimeFormat().resolvedOptions().timeZone);
+  });
+
+  test("should reject unknown zones", () => {
+    expect(() => validateTimezone("Mars/Olympus")).toThrow(
+      "--timezone must be an IANA time zone name, e.g. Australia/Sydney (got Mars/Olympus)"
+    );
+    expect(() => parseRelativeDate("today", { timezone: "Nowhere" })).toThrow("--timezone must be");
+  });
+
+  test("should parse the flag", () => {
+    expect(parseArgs(["--timezone", sydney])).toEqual({ timezone: sydney });
+  });
+});
+
+describe("Range boundaries in a time zone", () => {
+  // 01:00 on Thursday 16 January in Sydney
+  const now = new Date("2025-01-15T14:00:00Z");
+
+  test("should start days at midnight in the zone", () => {
+    expect(parseRelativeDate("today", { now, timezone: sydney }).toISOString()).toBe("2025-01-15T13:00:00.000Z");
+    expect(parseRelativeDate("today", { now, timezone: "UTC" }).toISOString()).toBe("2025-01-15T00:00:00.000Z");
+    expect(parseRelativeDate("last monday", { now, timezone: sydney }).toISOString()).toBe(
+      "2025-01-12T13:00:00.000Z"
+    );
+  });
+
+  test("should compute periods in the zone", () => {
+    const lastWeek = resolvePeriod("last-week", { now, timezone: sydney });
+    expect(lastWeek.start.toISOString()).toBe("2025-01-05T13:00:00.000Z");
+    expect(lastWeek.end.toISOString()).toBe("2025-01-12T12:59:59.999Z");
+
+    // Daylight saving ends on 6 April 2025 in Sydney (+11:00 -> +10:00)
+    const quarter = resolvePeriod("Q1-2025", { now, timezone: sydney });
+    expect(quarter.end.toISOString()).toBe("2025-03-31T12:59:59.999Z");
+    expect(resolvePeriod("2025-W15", { now, timezone: sydney }).end.toISOString()).toBe(
+      "2025-04-13T13:59:59.999Z"
+    );
+  });
+
+  test("should read plain dates and times as wall-clock times in the zone", () => {
+    expect(validateDate("2025-01-15", "start", { timezone: sydney }).toISOString()).toBe("2025-01-14T13:00:00.000Z");
+    expect(validateDate("2025-01-15T09:30", "start", { timezone: sydney }).toISOString()).toBe(
+      "2025-01-14T22:30:00.000Z"
+    );
+    // Explicit offsets are kept
+    expect(validateDate("2025-01-15T00:00:00Z", "start", { timezone: sydney }).toISOString()).toBe(
+      "2025-01-15T00:00:00.000Z"
+    );
+  });
+
+  test("should extend same-day ranges to the end of the day in the zone", () => {
+    expect(resolveDateRange("2025-01-15", "2025-01-15", { timezone: sydney })).toEqual({
+      startISO: "2025-01-14T13:00:00.000Z",
+      endISO: "2025-01-15T12:59:59.999Z",
+    });
+    // A 25-hour day
+    expect(resolveDateRange("2025-04-06", "2025-04-06", { timezone: sydney }).endISO).toBe(
+      "2025-04-06T13:59:59.999Z"
+    );
+  });
+});
+
+describe("Days and timestamps in reports", () => {
+  const args = { owner: "test", repo: "repo", branch: "main", timezone: sydney };
+
+  test("should group by day in the zone and keep UTC days without one", () => {
+    expect(Object.keys(groupByDate(items, sydney))).toEqual(["2025-01-15", "2025-01-14"]);
+    expect(groupByDate(items, sydney)["2025-01-15"].map((it) => it.sha)).toEqual(["c1", "c2"]);
+    expect(Object.keys(groupByDate(items))).toEqual(["2025-01-15", "2025-01-14"]);
+    expect(groupByDate(items)["2025-01-15"].map((it) => it.sha)).toEqual(["c1"]);
+    expect(generateStats(items, { timezone: sydney }).byDate).toEqual({ "2025-01-15": 2, "2025-01-14": 1 });
+  });
+
+  test("should put evening commits on the right timesheet day", () => {
+    expect(outputTimesheet(items, args).split("\n").slice(0, 3)).toEqual([
+      "15/01/2025:",
+      "• [FEATURE] feat: evening work",
+      "• [BUGFIX] fix: morning fix",
+    ]);
+  });
+
+  test("should render timestamps with the zone's offset", () => {
+    expect(formatTimestamp("2025-01-15T09:30:00Z", sydney)).toBe("2025-01-15T20:30:00+11:00");
+    expect(formatTimestamp("2025-07-15T09:30:00Z", sydney)).toBe("2025-07-15T19:30:00+10:00");
+    expect(formatTimestamp("2025-01-15T09:30:00Z", "America/St_Johns")).toBe("2025-01-15T06:00:00-03:30");
+    expect(formatTimestamp("2025-01-15T09:30:00Z")).toBe("2025-01-15T09:30:00Z");
+
+    const start = "2025-01-13T13:00:00.000Z";
+    const end = "2025-01-15T12:59:59.999Z";
+    expect(outputSummary(items, args, start, end)).toContain(
+      "**Date Range:** 2025-01-14T00:00:00+11:00 to 2025-01-15T23:59:59+11:00"
+    );
+    const json = JSON.parse(outputJSON(items, args, start, end));
+    expect(json).toMatchObject({ start: "2025-01-14T00:00:00+11:00", timezone: sydney });
+    expect(json.commits.map((it) => it.date)).toEqual([
+      "2025-01-15T20:30:00+11:00",
+      "2025-01-15T09:00:00+11:00",
+      "2025-01-14T14:00:00+11:00",
+    ]);
+    expect(JSON.parse(outputNDJSON(items, args).split("\n")[0]).date).toBe("2025-01-15T20:30:00+11:00");
+    expect(JSON.parse(outputJSON(items, { ...args, timezone: undefined }, start, end)).commits[0].date).toBe(
+      "2025-01-15T09:30:00Z"
+    );
+    expect(outputCSV(items, args).split("\n")[1]).toBe(
+      "c1,2025-01-15T20:30:00+11:00,dev,,feat: evening work,"
+    );
+    expect(outputChangelog(items, { ...args, release: "1.0.0" }, start, end)).toMatch(/^## \[1\.0\.0\] - 2025-01-15/);
+  });
+});
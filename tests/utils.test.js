@@ -7,139 +7,23 @@ const fs = require("fs");
 const path = require("path");
 const os = require("os");
 
-// Since titles.js is a CLI script, we'll implement the core functions here for testing
-// These are simplified versions of the functions from titles.js
-
-function parseRelativeDate(dateStr) {
-  const now = new Date();
-  const lower = dateStr.toLowerCase().trim();
-
-  if (lower === "today") {
-    return new Date(now.getFullYear(), now.getMonth(), now.getDate());
-  }
-  if (lower === "yesterday") {
-    return new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
-  }
-
-  const match = lower.match(/^(\d+)\s+(day|week|month|year)s?\s+ago$/);
-  if (match) {
-    const [, amount, unit] = match;
-    const num = parseInt(amount);
-
-    switch (unit) {
-    case "day":
-      return new Date(now.getTime() - num * 24 * 60 * 60 * 1000);
-    case "week":
-      return new Date(now.getTime() - num * 7 * 24 * 60 * 60 * 1000);
-    case "month":
-      return new Date(now.getFullYear(), now.getMonth() - num, now.getDate());
-    case "year":
-      return new Date(now.getFullYear() - num, now.getMonth(), now.getDate());
-    }
-  }
-
-  return null;
-}
-
-function categorizeCommit(title) {
-  if (!title || typeof title !== "string") return "other";
-  
-  const lower = title.toLowerCase();
-
-  // Handle conventional commit format with optional scope: type(scope): message
-  if (lower.match(/^feat(\([^)]*\))?:/)) return "feature";
-  if (lower.match(/^fix(\([^)]*\))?:/)) return "bugfix";
-  if (lower.match(/^docs(\([^)]*\))?:/)) return "documentation";
-  if (lower.match(/^style(\([^)]*\))?:/)) return "style";
-  if (lower.match(/^refactor(\([^)]*\))?:/)) return "refactor";
-  if (lower.match(/^test(\([^)]*\))?:/)) return "test";
-  if (lower.match(/^chore(\([^)]*\))?:/)) return "chore";
-  if (lower.match(/^perf(\([^)]*\))?:/)) return "performance";
-  if (lower.match(/^ci(\([^)]*\))?:/)) return "ci";
-  if (lower.match(/^build(\([^)]*\))?:/)) return "build";
-  if (lower.match(/^revert(\([^)]*\))?:/)) return "revert";
-  if (lower.startsWith("merge")) return "merge";
-
-  return "other";
-}
-
-function generateStats(items) {
-  const stats = {
-    total: items.length,
-    byType: {},
-    byAuthor: {},
-    byDate: {},
-    averagePerDay: 0,
-  };
-
-  const dateCounts = {};
-
-  for (const item of items) {
-    if (!item.title) continue;
-
-    // Count by type
-    const type = categorizeCommit(item.title);
-    stats.byType[type] = (stats.byType[type] || 0) + 1;
-
-    // Count by author
-    const author = item.author_login || "Unknown";
-    stats.byAuthor[author] = (stats.byAuthor[author] || 0) + 1;
-
-    // Count by date
-    if (item.date) {
-      const date = new Date(item.date).toISOString().split("T")[0];
-      dateCounts[date] = (dateCounts[date] || 0) + 1;
-    }
-  }
-
-  // Calculate average per day
-  const uniqueDays = Object.keys(dateCounts).length;
-  stats.averagePerDay =
-    uniqueDays > 0 ? (stats.total / uniqueDays).toFixed(1) : 0;
-  stats.byDate = dateCounts;
-
-  return stats;
-}
-
-function validateOwner(owner) {
-  if (!owner || typeof owner !== "string" || owner.trim() === "") {
-    throw new Error("--owner must be a non-empty string");
-  }
-  const trimmed = owner.trim();
-  if (!/^[a-zA-Z0-9_-]+$/.test(trimmed)) {
-    throw new Error(
-      "--owner contains invalid characters (use letters, numbers, hyphens, underscores)"
-    );
-  }
-  return trimmed;
-}
-
-function loadConfig(configPath) {
-  try {
-    const fullPath = path.resolve(configPath);
-    if (!fs.existsSync(fullPath)) {
-      throw new Error(`Configuration file not found: ${configPath}`);
-    }
-
-    const content = fs.readFileSync(fullPath, "utf8");
-    const config = JSON.parse(content);
-
-    // Validate required fields
-    const required = ["owner", "repo", "branch", "start", "end"];
-    for (const field of required) {
-      if (!config[field]) {
-        throw new Error(`Missing required field in config: ${field}`);
-      }
-    }
-
-    return config;
-  } catch (err) {
-    if (err instanceof SyntaxError) {
-      throw new Error(`Invalid JSON in configuration file: ${err.message}`);
-    }
-    throw err;
-  }
-}
+const {
+  parseRelativeDate,
+  categorizeCommit,
+  generateStats,
+  validateOwner,
+  validateRepo,
+  validateBranch,
+  validateMax,
+  validateDate,
+  resolveDateRange,
+  loadConfig,
+  parseGitRemote,
+  resolveApiUrl,
+  normalizeCommit,
+  filterItems,
+  parseArgs,
+} = require("../titles");
 
 describe("parseRelativeDate", () => {
   beforeEach(() => {
@@ -413,6 +297,160 @@ describe("validateOwner", () => {
   });
 });
 
+describe("validateRepo", () => {
+  test("should accept and trim valid repository names", () => {
+    expect(validateRepo("my-repo")).toBe("my-repo");
+    expect(validateRepo(" project.name ")).toBe("project.name");
+  });
+
+  test("should reject invalid repository names", () => {
+    expect(() => validateRepo("")).toThrow("--repo must be a non-empty string");
+    expect(() => validateRepo("invalid/repo")).toThrow("--repo contains invalid characters");
+  });
+});
+
+describe("validateBranch", () => {
+  test("should accept and trim branch names", () => {
+    expect(validateBranch(" feature/login ")).toBe("feature/login");
+  });
+
+  test("should reject names git would read as options", () => {
+    expect(() => validateBranch("")).toThrow("--branch must be a non-empty string");
+    expect(() => validateBranch("--output=/tmp/x")).toThrow("--branch is not a valid branch name: --output=/tmp/x");
+  });
+});
+
+describe("validateMax", () => {
+  test("should return undefined when not provided", () => {
+    expect(validateMax(undefined)).toBeUndefined();
+  });
+
+  test("should parse positive integers", () => {
+    expect(validateMax("50")).toBe(50);
+  });
+
+  test("should reject invalid values", () => {
+    expect(() => validateMax("abc")).toThrow("--max must be a positive integer");
+    expect(() => validateMax("-1")).toThrow("--max must be a positive integer");
+    expect(() => validateMax("20000")).toThrow("--max cannot exceed 10,000");
+  });
+});
+
+describe("validateDate", () => {
+  test("should parse absolute dates", () => {
+    expect(validateDate("2025-01-15", "start").toISOString()).toBe("2025-01-15T00:00:00.000Z");
+  });
+
+  test("should accept Date objects", () => {
+    const date = new Date("2025-01-15T10:00:00Z");
+    expect(validateDate(date, "start")).toBe(date);
+  });
+
+  test("should reject invalid dates", () => {
+    expect(() => validateDate("not a date", "start")).toThrow("--start is not a valid date");
+    expect(() => validateDate(new Date("invalid"), "end")).toThrow("--end is not a valid date");
+    expect(() => validateDate(undefined, "end")).toThrow("--end must be a valid date string");
+  });
+});
+
+describe("resolveDateRange", () => {
+  test("should convert a range to ISO strings", () => {
+    const { startISO, endISO } = resolveDateRange("2025-01-01T00:00:00Z", "2025-01-31T00:00:00Z");
+    expect(startISO).toBe("2025-01-01T00:00:00.000Z");
+    expect(endISO).toBe("2025-01-31T00:00:00.000Z");
+  });
+
+  test("should extend same-day ranges to the end of the day", () => {
+    const start = new Date(2025, 0, 15);
+    const { endISO } = resolveDateRange(start, new Date(2025, 0, 15));
+    expect(new Date(endISO).getTime()).toBe(new Date(2025, 0, 15, 23, 59, 59, 999).getTime());
+  });
+
+  test("should reject ranges where start is after end", () => {
+    expect(() => resolveDateRange("2025-02-01", "2025-01-01")).toThrow(
+      "--start date must be before or equal to --end date"
+    );
+  });
+});
+
+describe("normalizeCommit", () => {
+  test("should map API commits to normalized items", () => {
+    const item = normalizeCommit({
+      sha: "abc123",
+      commit: {
+        message: "feat: add feature\n\nLonger description",
+        author: { date: "2025-01-15T10:00:00Z" }
+      },
+      html_url: "https://github.com/user/repo/commit/abc123",
+      author: { login: "user1" },
+      committer: { login: "web-flow" }
+    });
+
+    expect(item).toEqual({
+      sha: "abc123",
+      title: "feat: add feature",
+      date: "2025-01-15T10:00:00Z",
+      html_url: "https://github.com/user/repo/commit/abc123",
+      author_login: "user1",
+      committer_login: "web-flow",
+      conventional: { type: "feat", scope: null, breaking: false, description: "add feature" }
+    });
+  });
+
+  test("should fall back to committer date and null logins", () => {
+    const item = normalizeCommit({
+      sha: "def456",
+      commit: { message: "fix: bug", committer: { date: "2025-01-16T10:00:00Z" } }
+    });
+
+    expect(item.date).toBe("2025-01-16T10:00:00Z");
+    expect(item.author_login).toBeNull();
+    expect(item.committer_login).toBeNull();
+  });
+});
+
+describe("filterItems", () => {
+  const items = [
+    { title: "feat: add feature" },
+    { title: "Merge pull request #1 from user/branch" },
+    { title: "chore: bump deps" }
+  ];
+
+  test("should return items unchanged without filters", () => {
+    expect(filterItems(items)).toEqual(items);
+  });
+
+  test("should exclude merge commits", () => {
+    expect(filterItems(items, { excludeMerges: true })).toHaveLength(2);
+  });
+
+  test("should apply include and exclude patterns", () => {
+    expect(filterItems(items, { excludePattern: /^chore/i })).toHaveLength(2);
+    expect(filterItems(items, { includePattern: /^feat/i })).toEqual([items[0]]);
+  });
+});
+
+describe("parseArgs", () => {
+  test("should parse value and boolean flags", () => {
+    expect(parseArgs(["--owner", "user", "--verbose", "--include-forks"])).toEqual({
+      owner: "user",
+      verbose: true,
+      includeForks: true
+    });
+  });
+
+  test("should camelCase multi-word flags to match config keys", () => {
+    const args = parseArgs(["--exclude-pattern", "^chore", "--include-repos", "api-*", "--org", "my-org"]);
+    expect(args.excludePattern).toBe("^chore");
+    expect(args.includeRepos).toBe("api-*");
+    expect(args.org).toBe("my-org");
+  });
+
+  test("should throw when a value is missing", () => {
+    expect(() => parseArgs(["--owner"])).toThrow("Missing value for --owner");
+  });
+});
+
 // Test for loadConfig function
 describe("loadConfig", () => {
   const tmpDir = os.tmpdir();
@@ -479,34 +517,23 @@ describe("loadConfig", () => {
     
     expect(() => loadConfig(configPath)).toThrow("Missing required field in config: branch");
   });
-});
-
-// Add git auto-detection function tests
-describe("parseGitRemote", () => {
-  function parseGitRemote(remoteUrl) {
-    if (!remoteUrl) return null;
-
-    // Handle HTTPS URLs: https://github.com/owner/repo.git
-    const httpsMatch = remoteUrl.match(/https:\/\/github\.com\/([^/]+)\/([^/]+?)(?:\.git)?$/);
-    if (httpsMatch) {
-      return { owner: httpsMatch[1], repo: httpsMatch[2] };
-    }
 
-    // Handle SSH URLs: git@github.com:owner/repo.git
-    const sshMatch = remoteUrl.match(/git@github\.com:([^/]+)\/([^/]+?)(?:\.git)?$/);
-    if (sshMatch) {
-      return { owner: sshMatch[1], repo: sshMatch[2] };
-    }
+  test("should accept a repos list instead of owner/repo/branch", () => {
+    const config = {
+      repos: ["user/api", "user/web:develop"],
+      start: "2025-01-01",
+      end: "2025-01-31"
+    };
 
-    // Handle GitHub CLI URLs: gh:owner/repo
-    const ghMatch = remoteUrl.match(/gh:([^/]+)\/([^/]+)$/);
-    if (ghMatch) {
-      return { owner: ghMatch[1], repo: ghMatch[2] };
-    }
+    const configPath = path.join(tmpDir, "test-config.json");
+    fs.writeFileSync(configPath, JSON.stringify(config));
 
-    return null;
-  }
+    expect(loadConfig(configPath)).toEqual(config);
+  });
+});
 
+// Add git auto-detection function tests
+describe("parseGitRemote", () => {
   test("should parse HTTPS GitHub URLs", () => {
     expect(parseGitRemote("https://github.com/user/repo.git")).toEqual({
       owner: "user",
@@ -556,4 +583,50 @@ describe("parseGitRemote", () => {
       repo: "project.name"
     });
   });
+  test("should parse remotes on a GitHub Enterprise host", () => {
+    const host = "ghe.example.com";
+    expect(parseGitRemote("https://ghe.example.com/team/app.git", host)).toEqual({
+      owner: "team",
+      repo: "app"
+    });
+    expect(parseGitRemote("git@ghe.example.com:team/app.git", host)).toEqual({
+      owner: "team",
+      repo: "app"
+    });
+    expect(parseGitRemote("ssh://git@ghe.example.com:2222/team/app.git", host)).toEqual({
+      owner: "team",
+      repo: "app"
+    });
+    expect(parseGitRemote("https://github.com/user/repo.git", host)).toEqual({
+      owner: "user",
+      repo: "repo"
+    });
+  });
+
+  test("should ignore enterprise remotes unless their host is given", () => {
+    expect(parseGitRemote("git@ghe.example.com:team/app.git")).toBeNull();
+    expect(parseGitRemote("https://ghe.example.com.evil.org/team/app.git", "ghe.example.com")).toBeNull();
+  });
+});
+
+describe("resolveApiUrl", () => {
+  test("should default to api.github.com", () => {
+    expect(resolveApiUrl()).toBe("https://api.github.com");
+    expect(resolveApiUrl(undefined, "github.com")).toBe("https://api.github.com");
+  });
+
+  test("should derive the enterprise API from GH_HOST", () => {
+    expect(resolveApiUrl(undefined, "GHE.example.com")).toBe("https://ghe.example.com/api/v3");
+  });
+
+  test("should prefer an explicit URL and strip trailing slashes", () => {
+    expect(resolveApiUrl("https://ghe.example.com/api/v3/", "other.example.com")).toBe(
+      "https://ghe.example.com/api/v3"
+    );
+  });
+
+  test("should reject invalid URLs", () => {
+    expect(() => resolveApiUrl("ghe.example.com")).toThrow("--api-url is not a valid URL");
+    expect(() => resolveApiUrl("ftp://ghe.example.com")).toThrow("--api-url must use http or https");
+  });
 });
\ No newline at end of file
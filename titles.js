@@ -20,8 +20,18 @@
  */
 
 // Requires Node 18+ (uses global fetch)
-const { readFileSync, writeFileSync, existsSync, mkdirSync } = require("fs");
-const { dirname, resolve } = require("path");
+const {
+  readFileSync,
+  writeFileSync,
+  existsSync,
+  mkdirSync,
+  readdirSync,
+  renameSync,
+  unlinkSync,
+  createWriteStream,
+} = require("fs");
+const { dirname, resolve, join } = require("path");
+const { pipeline } = require("stream/promises");
 
 const HELP = `
 Fetch commit titles from a GitHub repo/branch within a date range.
@@ -35,6 +45,38 @@ Required (unless using --config or --auto):
   --branch <branch>
   --start <ISO date, YYYY-MM-DD, or relative date>
   --end   <ISO date, YYYY-MM-DD, or relative date>
+  (or --period <name> to set both, e.g. last-week)
+
+Named period (replaces --start/--end):
+  --period <name>                 today, yesterday, this-week, last-week, this-month, last-month,
+                                  this-quarter, last-quarter, this-year, last-year, this-sprint,
+                                  last-sprint, Q3-2025 or 2025-W34
+  --sprint-length <days>          Sprint length for this/last sprint (default: 14)
+  --sprint-anchor <date>          A day on which a sprint started (default: 2024-01-01)
+  --holidays <YYYY-MM-DD,...>     Days skipped by "last workday" and --format standup
+
+Time zone:
+  --timezone <zone>               IANA time zone (e.g. Australia/Sydney, or "local") for relative and
+                                  plain dates, day grouping, timesheet dates and report timestamps;
+                                  without it, ranges use the system zone and days are grouped in UTC
+
+Ref range (replaces --start/--end):
+  --from <ref>                    Tag, commit SHA or branch to start after, e.g. v1.0.7
+  --to <ref>                      Tag, commit SHA or branch to end at (default: --branch)
+  --since-last-tag                Start after the most recent tag in the history of --to
+
+Multiple repositories (replaces --owner/--repo):
+  --repos <owner/repo,...>        Comma-separated repositories, fetched concurrently.
+                                  Use owner/repo:branch to pick a branch per repository;
+                                  otherwise --branch or each repository's default branch is used.
+
+Organization-wide mode (replaces --owner/--repo):
+  --org <orgOrUser>               Fetch every repository of an organization or user (default branches)
+  --include-repos <globs>         Only repositories whose names match, e.g. "api-*,web"
+  --exclude-repos <globs>         Skip repositories whose names match
+  --topics <topic,...>            Only repositories tagged with at least one of these topics
+  --include-archived              Include archived repositories (skipped by default)
+  --include-forks                 Include forks (skipped by default)
 
 Optional:
   --author <github-username>      Filter by commit author (as on GitHub)
@@ -42,30 +84,74 @@ Optional:
   --exclude-merges                Skip commits whose title starts with "Merge"
   --exclude-pattern <regex>       Skip commits matching regex pattern
   --include-pattern <regex>       Only include commits matching regex pattern
-  --format <text|grouped|timesheet|summary|json|ndjson|csv|markdown|html> Output format (default: text)
+  --format <text|grouped|timesheet|summary|json|ndjson|csv|markdown|html|changelog|standup|harvest|toggl|tempo|slack|teams>
+                                  Output format (default: text), or the path of a formatter module,
+                                  e.g. ./my-format.js (see README "Formatter Plugins")
+  --template <file>               Render output with your own template instead of --format (loops over
+                                  days, commits, authors and types; stats, metadata and helpers for
+                                  dates and truncation; see README "Output Templates")
   --output <file>                 Write output to file instead of stdout
   --token <token>                 GitHub token; otherwise uses env GITHUB_TOKEN or GitHub CLI
-  --max <n>                       Hard cap number of commits scanned (default: none)
+  --max <n>                       Hard cap number of commits scanned per repository (default: none)
   --verbose                       Show progress and rate limit info
   --config <file>                 Load configuration from JSON file
-  --retry <n>                     Number of retries for failed requests (default: 3)
-  --timeout <ms>                  Request timeout in milliseconds (default: 30000)
+  --retry <n>                     Attempts per request; network errors, timeouts, 429 and 5xx
+                                  responses are retried with backoff (default: 3)
+  --timeout <ms>                  Timeout per request attempt in milliseconds (default: 30000)
   --stats                         Show commit statistics in verbose mode
+  --api <rest|graphql>            API backend (default: rest). graphql requires a token and also
+                                  returns additions/deletions and associated pull requests per commit
+  --source <github|local>         Where commits come from (default: github). local reads "git log" in the
+                                  current clone: no token or network needed, owner/repo/branch are detected
+  --with-prs                      Look up the pull request(s) of every commit and add their number, title,
+                                  URL and labels (markdown links #123, csv/json columns, labels in summary)
+  --with-stats                    Add lines added/removed and files changed to every commit (looked up once
+                                  and cached); summary shows lines changed per author, type, day and the
+                                  largest commits
+  --with-body                     Keep full commit message bodies and parse trailers (Co-authored-by,
+                                  Signed-off-by, Reviewed-by, Refs, Fixes) into json/ndjson/csv; co-authors
+                                  count toward per-author stats
+  --trailer <key[=value]>         Only include commits with this trailer, e.g. Reviewed-by=alice or Fixes
+                                  (implies --with-body)
+  --group-by <date|scope>         Group grouped/timesheet output by day (default) or by Conventional
+                                  Commits scope, e.g. feat(api): ... is listed under "api"
+  --estimate-hours                Timesheet: estimate hours worked per day from commit times, with
+                                  weekly and overall totals (an author's commits less than
+                                  --session-gap apart form one session)
+  --session-gap <minutes>         Gap that ends a work session (default: 120)
+  --session-padding <minutes>     Time credited before the first commit of a session (default: 30)
+  --working-hours <HH:MM-HH:MM>   Only count time inside this daily window, e.g. 09:00-17:30
+  --hours-by <repository,type>    Also break each day's hours down by repository and/or commit type
+  --projects <repo=project,...>   Time-tracking project (or Jira issue for tempo) of each repository,
+                                  e.g. "acme/web=Website,api=WEB-12" (default: the repository name)
+  --authors <login=accountId,...> Jira account ID of each commit author, required by --format tempo
+  --message-limit <bytes>         Largest slack/teams message payload before the digest is split into
+                                  several messages (default: 40000 for slack, 28000 for teams)
+  --release <version>             Version heading for --format changelog (default: Unreleased)
+  --mode <commits|prs>            Report commits (default) or pull requests merged into the branch; prs
+                                  lists each PR once (title, number, author, labels, linked issues) plus
+                                  commits pushed directly, dropping squash/merge commits of those PRs;
+                                  on the REST API every other commit costs one request to find its PR
+  --api-url <url>                 GitHub Enterprise Server API base URL, e.g. https://ghe.example.com/api/v3
+                                  (default: https://HOST/api/v3 when GH_HOST is set, else https://api.github.com)
+  --cache-dir <dir>               Cache directory (default: $XDG_CACHE_HOME or ~/.cache, /github-commit-titles)
+  --no-cache                      Fetch everything from GitHub and leave the cache untouched
+  --wait-on-rate-limit            When a GitHub rate limit is hit, wait for it to reset (with a countdown)
+                                  instead of stopping with the commits fetched so far
   -h, --help
 
+Commands:
+  cache clear [--cache-dir <dir>] Remove all cached commits
+  standup [options]               Same as --format standup: what you did since the last working day
+
 Relative dates supported:
-  "today", "yesterday", "7 days ago", "2 weeks ago", "1 month ago", etc.
+  "now", "today", "yesterday", "7 days ago", "3 hours ago", "2 weeks ago", "1 month ago", etc.
+  "last monday", "this friday", "start of quarter", "end of last month"
+  "last workday" (the day before today, skipping weekends and --holidays)
+  Periods: "this week", "last month", "last quarter", "last sprint", "Q3 2025", "2025-W34"
+  (weeks start on Monday; as --end, a period means its last moment)
 
 Output formats:
-  text      - Simple list of commit titles
-  grouped   - Commits grouped by date with emojis
-  timesheet - Clean format optimized for copying to timesheets (DD/MM/YYYY format)
-  summary   - Statistical summary with commit types and contributors
-  json      - Structured JSON with metadata
-  ndjson    - Newline-delimited JSON
-  csv       - Comma-separated values
-  markdown  - Formatted markdown with links
-  html      - Styled HTML page
 
 Configuration file format:
   {
@@ -79,17 +165,37 @@ Configuration file format:
     "output": "commits.json"
   }
 
+  For multiple repositories, replace owner/repo/branch with a "repos" array of
+  "owner/repo", "owner/repo:branch" or { "owner", "repo", "branch" } entries,
+  or with "org" (plus optional includeRepos, excludeRepos, topics,
+  includeArchived and includeForks).
+
+  "formatters": { "name": "./path/to/module.js" } adds formatter plugins, used
+  as --format name and listed above (paths are relative to the config file).
+
 Notes:
 - Date filtering uses GitHub API 'since' (exclusive) and 'until' (inclusive-ish by time). Provide explicit times if needed.
+- Ref ranges list the commits reachable from --to but not from --from (git log from..to, or the GitHub compare
+  API); author/pattern filters and all formats work the same, the dates shown are those of the oldest and newest
+  commit, and results are not cached. They need a single repository and cannot be used with --mode prs.
 - Auth strongly recommended (rate limit 5,000/hr). Without auth it's 60/hr.
 - Use --verbose to see progress and rate limit information.
+- Without --wait-on-rate-limit, hitting a rate limit mid-run keeps the pages already fetched: a warning is
+  printed and json/summary/markdown/html output is marked as partial.
+- Fetched commits are cached per repository and branch; later runs only request commits newer than the
+  newest cached one (a conditional request that does not use rate limit when nothing changed).
 - Authentication sources (in order): --token, GITHUB_TOKEN env var, GitHub CLI ('gh auth login')
+- GitHub Enterprise Server: set --api-url (or "apiUrl" in the config file) or GH_HOST. Tokens come from
+  GH_ENTERPRISE_TOKEN/GITHUB_ENTERPRISE_TOKEN (never GITHUB_TOKEN), then 'gh auth login --hostname HOST',
+  and --auto recognizes remotes on that host.
 - Configuration file values are overridden by command line arguments.
 
 Examples:
   # Auto-detect from current git repository
   node titles.js --auto --start "7 days ago" --end "today" --format timesheet
   node titles.js --auto --start "1 week ago" --end "today" --author your-username --format summary --verbose
+  node titles.js --auto --period last-week --format timesheet
+  node titles.js --auto --period last-sprint --sprint-length 10 --sprint-anchor 2025-01-06 --format summary
 
   # Traditional usage with explicit parameters
   GITHUB_TOKEN=ghp_xxx node titles.js --owner user --repo repo --branch main --start 2025-08-01 --end 2025-08-22 --author username --exclude-merges --format json
@@ -97,7 +203,21 @@ Examples:
   node titles.js --owner user --repo repo --start "7 days ago" --end "today" --format grouped --output commits.txt
   node titles.js --owner user --repo repo --start "7 days ago" --end "today" --format timesheet --output timesheet.txt
   node titles.js --owner user --repo repo --start "7 days ago" --end "today" --format summary --output summary.md
-  node titles.js --owner user --repo repo --start "7 days ago" --end "today" --format markdown --output CHANGELOG.md
+  node titles.js --owner user --repo repo --start "7 days ago" --end "today" --format changelog --release 1.2.0 --output CHANGELOG.md
+
+  # Release notes between two tags, or for everything since the last tag
+  node titles.js --owner user --repo repo --branch main --from v1.0.7 --to v1.0.8 --format changelog --release 1.0.8
+  node titles.js --source local --since-last-tag --format changelog --output CHANGELOG.md
+
+  # Several repositories in one report
+  node titles.js --repos user/api,user/web:develop --start "7 days ago" --end "today" --format summary
+
+  # Everything you did across an organization this week
+  node titles.js --org my-org --exclude-repos "*-archive" --author your-username --start "7 days ago" --end "today" --format timesheet
+
+  # GitHub Enterprise Server
+  node titles.js --api-url https://ghe.example.com/api/v3 --auto --start "7 days ago" --end "today"
+  GH_HOST=ghe.example.com node titles.js --owner team --repo app --branch main --start "7 days ago" --end "today"
 `;
 
 /**
@@ -107,128 +227,821 @@ Examples:
  */
 
 /**
- * Parses relative date strings into Date objects
+ * Default sprint cadence for "this sprint" and "last sprint": two weeks,
+ * starting on Monday 2024-01-01 (override with --sprint-length/--sprint-anchor)
+ */
+const DEFAULT_SPRINT_LENGTH = 14;
+const DEFAULT_SPRINT_ANCHOR = "2024-01-01";
+
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+/**
+ * Validates an IANA time zone name (--timezone)
  *
- * Supports formats like "today", "yesterday", "7 days ago", "2 weeks ago", etc.
+ * "local" stands for the system time zone (TZ environment variable).
  *
- * @param {string} dateStr - The relative date string to parse
- * @returns {Date|null} The parsed Date object or null if invalid
+ * @param {string} [timezone] - Time zone name, e.g. "Australia/Sydney"
+ * @returns {string|undefined} The canonical zone name, or undefined when not set
+ * @throws {Error} If the zone is unknown
  *
  * @example
- * parseRelativeDate("today") // Returns Date object for today at midnight
- * parseRelativeDate("7 days ago") // Returns Date object for 7 days ago
- * parseRelativeDate("2 weeks ago") // Returns Date object for 2 weeks ago
+ * validateTimezone("australia/sydney") // Returns "Australia/Sydney"
+ * validateTimezone("Mars/Base") // Throws Error
  */
-function parseRelativeDate(dateStr) {
-  const now = new Date();
-  const lower = dateStr.toLowerCase().trim();
+function validateTimezone(timezone) {
+  if (!timezone) return undefined;
+  const name = timezone.toString().trim();
+  try {
+    const formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone: name.toLowerCase() === "local" ? undefined : name,
+    });
+    return formatter.resolvedOptions().timeZone;
+  } catch {
+    throw new Error(
+      `--timezone must be an IANA time zone name, e.g. Australia/Sydney (got ${timezone})`
+    );
+  }
+}
+
+const zoneFormatters = new Map();
+
+/**
+ * Reads the calendar fields of a moment, in a time zone or the system zone
+ *
+ * @param {Date|string} date - The moment
+ * @param {string} [timezone] - IANA time zone; the system zone when not set
+ * @returns {{year: number, month: number, day: number, weekday: number,
+ *   hour: number, minute: number, second: number}} Fields (month 0-11, weekday 0 = Sunday)
+ */
+function calendarFields(date, timezone) {
+  const d = new Date(date);
+  if (!timezone) {
+    return {
+      year: d.getFullYear(),
+      month: d.getMonth(),
+      day: d.getDate(),
+      weekday: d.getDay(),
+      hour: d.getHours(),
+      minute: d.getMinutes(),
+      second: d.getSeconds(),
+    };
+  }
+
+  if (!zoneFormatters.has(timezone)) {
+    zoneFormatters.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+  const parts = {};
+  for (const { type, value } of zoneFormatters.get(timezone).formatToParts(d)) {
+    parts[type] = Number(value);
+  }
+  return {
+    year: parts.year,
+    month: parts.month - 1,
+    day: parts.day,
+    weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay(),
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+/**
+ * Builds the moment a wall-clock time occurs, in a time zone or the system zone
+ *
+ * Fields may overflow like with the Date constructor (day 0 is the last day of
+ * the previous month). Times skipped by a daylight saving change move forward.
+ *
+ * @param {string} [timezone] - IANA time zone; the system zone when not set
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {number} [day=1] - Day of the month
+ * @param {number} [hour=0] - Hours
+ * @param {number} [minute=0] - Minutes
+ * @param {number} [second=0] - Seconds
+ * @param {number} [ms=0] - Milliseconds
+ * @returns {Date} The moment
+ */
+function zonedDate(
+  timezone,
+  year,
+  month,
+  day = 1,
+  hour = 0,
+  minute = 0,
+  second = 0,
+  ms = 0
+) {
+  if (!timezone) return new Date(year, month, day, hour, minute, second, ms);
+
+  const wallClock = Date.UTC(year, month, day, hour, minute, second, ms);
+  // The offset at the guess can differ from the offset at the result around
+  // daylight saving changes, so correct once
+  const guess = wallClock - zoneOffset(wallClock, timezone) * 60000;
+  return new Date(wallClock - zoneOffset(guess, timezone) * 60000);
+}
+
+/**
+ * Returns the UTC offset of a time zone at a moment
+ *
+ * @param {Date|number} date - The moment
+ * @param {string} timezone - IANA time zone
+ * @returns {number} Offset in minutes, e.g. 660 for UTC+11
+ */
+function zoneOffset(date, timezone) {
+  const time = new Date(date).getTime();
+  const f = calendarFields(time, timezone);
+  const asUTC = Date.UTC(f.year, f.month, f.day, f.hour, f.minute, f.second);
+  return Math.round((asUTC - Math.floor(time / 1000) * 1000) / 60000);
+}
+
+/**
+ * Returns midnight of a date, moved by a number of days
+ *
+ * @param {Date} date - Any moment of the day
+ * @param {number} [days=0] - Days to add (negative to go back)
+ * @param {string} [timezone] - IANA time zone; the system zone when not set
+ * @returns {Date} Midnight of the resulting day
+ */
+function startOfDay(date, days = 0, timezone) {
+  const { year, month, day } = calendarFields(date, timezone);
+  return zonedDate(timezone, year, month, day + days);
+}
+
+/**
+ * Returns the calendar day of a moment as YYYY-MM-DD
+ *
+ * Without a time zone the UTC day is used, as the API dates are in UTC.
+ *
+ * @param {Date|string} date - The moment
+ * @param {string} [timezone] - IANA time zone
+ * @returns {string} The day, e.g. "2025-01-15"
+ */
+function dayKey(date, timezone) {
+  if (!timezone) return new Date(date).toISOString().split("T")[0];
+  const { year, month, day } = calendarFields(date, timezone);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${year}-${pad(month + 1)}-${pad(day)}`;
+}
+
+/**
+ * Renders a moment for reports: unchanged ISO without a time zone, else the
+ * wall-clock time in that zone with its UTC offset
+ *
+ * @param {Date|string} date - The moment
+ * @param {string} [timezone] - IANA time zone
+ * @returns {string} E.g. "2025-01-15T21:00:00+11:00"
+ *
+ * @example
+ * formatTimestamp("2025-01-15T10:00:00Z", "Australia/Sydney") // Returns "2025-01-15T21:00:00+11:00"
+ */
+function formatTimestamp(date, timezone) {
+  if (!date || !timezone) return date;
+  const f = calendarFields(date, timezone);
+  const offset = zoneOffset(date, timezone);
+  const pad = (n) => String(Math.abs(n)).padStart(2, "0");
+  const sign = offset < 0 ? "-" : "+";
+  return `${dayKey(date, timezone)}T${pad(f.hour)}:${pad(f.minute)}:${pad(
+    f.second
+  )}${sign}${pad(Math.trunc(offset / 60))}:${pad(offset % 60)}`;
+}
 
+/**
+ * Computes a calendar period relative to now
+ *
+ * Weeks start on Monday (ISO 8601). Sprints are `sprintLength` days long and
+ * one of them starts on `sprintAnchor`. Each period ends one millisecond
+ * before the next one starts.
+ *
+ * @param {string} unit - "day", "week", "month", "quarter", "year" or "sprint"
+ * @param {number} offset - 0 for the current period, -1 for the previous one
+ * @param {Object} options - parseRelativeDate options
+ * @returns {{start: Date, end: Date}} The period
+ */
+function periodSpan(
+  unit,
+  offset,
+  { now, sprintLength, sprintAnchor, timezone }
+) {
+  const { year, month, weekday } = calendarFields(now, timezone);
+  const midnight = (date, days) => startOfDay(date, days, timezone);
+  let start;
+  let next;
+
+  if (unit === "day" || unit === "week") {
+    const length = unit === "day" ? 1 : 7;
+    const fromMonday = (weekday + 6) % 7;
+    start = midnight(now, (unit === "day" ? 0 : -fromMonday) + offset * length);
+    next = midnight(start, length);
+  } else if (unit === "sprint") {
+    // A plain YYYY-MM-DD anchor is a calendar day, not midnight UTC
+    const day = String(sprintAnchor).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const anchor = day
+      ? zonedDate(timezone, Number(day[1]), Number(day[2]) - 1, Number(day[3]))
+      : midnight(validateDate(sprintAnchor, "sprint-anchor"), 0);
+    const elapsed = Math.round((midnight(now, 0) - anchor) / 86400000);
+    const index = Math.floor(elapsed / sprintLength) + offset;
+    start = midnight(anchor, index * sprintLength);
+    next = midnight(anchor, (index + 1) * sprintLength);
+  } else if (unit === "year") {
+    start = zonedDate(timezone, year + offset, 0);
+    next = zonedDate(timezone, year + offset + 1, 0);
+  } else {
+    const months = unit === "quarter" ? 3 : 1;
+    const first = Math.floor(month / months) * months + offset * months;
+    start = zonedDate(timezone, year, first);
+    next = zonedDate(timezone, year, first + months);
+  }
+
+  return { start, end: new Date(next.getTime() - 1) };
+}
+
+/**
+ * Finds the most recent working day before today
+ *
+ * Saturdays, Sundays and the `holidays` are skipped.
+ *
+ * @param {Object} options - parseRelativeDate options (now, timezone, holidays)
+ * @returns {{start: Date, end: Date}} First and last moment of that day
+ *
+ * @example
+ * // On Monday 13 January 2025
+ * lastWorkday(dateOptions({ holidays: ["2025-01-10"] })) // Thursday 9 January
+ */
+function lastWorkday({ now, timezone, holidays = [] }) {
+  const pad = (n) => String(n).padStart(2, "0");
+  let start = startOfDay(now, -1, timezone);
+  for (;;) {
+    const { year, month, day, weekday } = calendarFields(start, timezone);
+    const key = `${year}-${pad(month + 1)}-${pad(day)}`;
+    if (weekday !== 0 && weekday !== 6 && !holidays.includes(key)) break;
+    start = startOfDay(start, -1, timezone);
+  }
+  return {
+    start,
+    end: new Date(startOfDay(start, 1, timezone).getTime() - 1),
+  };
+}
+
+/**
+ * Parses a date expression into the span of time it names
+ *
+ * Points in time ("today", "3 hours ago", "last monday", "start of quarter")
+ * have the same start and end; periods ("last month", "Q3 2025",
+ * "2025-W34", "this sprint") span from their first to their last millisecond.
+ * Days start at midnight in `options.timezone` (default: the system zone).
+ *
+ * @param {string} dateStr - The expression (case-insensitive)
+ * @param {Object} options - parseRelativeDate options
+ * @returns {{start: Date, end: Date}|null} The span, or null if not recognized
+ */
+function parseDateExpression(dateStr, options) {
+  const { now, timezone } = options;
+  const lower = dateStr.toLowerCase().trim().replace(/\s+/g, " ");
+  const point = (date) => ({ start: date, end: date });
+  const today = calendarFields(now, timezone);
+  const midnight = (date, days) => startOfDay(date, days, timezone);
+
+  if (lower === "now") return point(new Date(now));
   if (lower === "today") {
     // For "today", return the start of today (midnight)
-    return new Date(now.getFullYear(), now.getMonth(), now.getDate());
-  }
-  if (lower === "yesterday") {
-    return new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+    return point(midnight(now, 0));
   }
+  if (lower === "yesterday") return point(midnight(now, -1));
 
-  const match = lower.match(/^(\d+)\s+(day|week|month|year)s?\s+ago$/);
+  const match = lower.match(
+    /^(\d+) (minute|hour|day|week|month|year)s? ago$/
+  );
   if (match) {
     const [, amount, unit] = match;
     const num = parseInt(amount);
 
-    switch (unit) {
-      case "day":
-        return new Date(now.getTime() - num * 24 * 60 * 60 * 1000);
-      case "week":
-        return new Date(now.getTime() - num * 7 * 24 * 60 * 60 * 1000);
-      case "month":
-        return new Date(now.getFullYear(), now.getMonth() - num, now.getDate());
-      case "year":
-        return new Date(now.getFullYear() - num, now.getMonth(), now.getDate());
+    const unitMs = {
+      minute: 60 * 1000,
+      hour: 60 * 60 * 1000,
+      day: 24 * 60 * 60 * 1000,
+      week: 7 * 24 * 60 * 60 * 1000,
+    };
+    if (unitMs[unit]) {
+      return point(new Date(now.getTime() - num * unitMs[unit]));
+    }
+    const years = unit === "year" ? num : 0;
+    const months = unit === "month" ? num : 0;
+    return point(
+      zonedDate(
+        timezone,
+        today.year - years,
+        today.month - months,
+        today.day
+      )
+    );
+  }
+
+  // "last friday" is the most recent Friday before today, "this friday" the
+  // Friday of the current week
+  const weekday = lower.match(/^(last|this) (\w+day)$/);
+  if (weekday && WEEKDAYS.includes(weekday[2])) {
+    const target = WEEKDAYS.indexOf(weekday[2]);
+    if (weekday[1] === "last") {
+      return point(midnight(now, -((today.weekday - target + 6) % 7) - 1));
     }
+    const monday = midnight(now, -((today.weekday + 6) % 7));
+    return point(midnight(monday, (target + 6) % 7));
+  }
+
+  // "start of quarter", "end of last month", "beginning of 2025-W34"
+  const boundary = lower.match(/^(start|beginning|end) of (.+)$/);
+  if (boundary) {
+    const [, edge, rest] = boundary;
+    const span = parseDateExpression(
+      /^(day|week|month|quarter|year|sprint)$/.test(rest) ? `this ${rest}` : rest,
+      options
+    );
+    if (!span) return null;
+    return point(edge === "end" ? span.end : span.start);
+  }
+
+  // The most recent day before today that is not a weekend day or holiday
+  if (/^(last|previous) (workday|working day|work day)$/.test(lower)) {
+    return lastWorkday(options);
+  }
+
+  const relative = lower.match(
+    /^(this|last|previous) (day|week|month|quarter|year|sprint)$/
+  );
+  if (relative) {
+    return periodSpan(relative[2], relative[1] === "this" ? 0 : -1, options);
+  }
+
+  // "Q3 2025", "2025-Q3" or "Q3" (this year)
+  const quarter = lower.match(/^q([1-4])(?:[ -](\d{4}))?$/);
+  const yearQuarter = lower.match(/^(\d{4})[ -]q([1-4])$/);
+  if (quarter || yearQuarter) {
+    const q = Number(quarter ? quarter[1] : yearQuarter[2]);
+    const yearText = quarter ? quarter[2] : yearQuarter[1];
+    const year = yearText ? Number(yearText) : today.year;
+    return {
+      start: zonedDate(timezone, year, (q - 1) * 3),
+      end: new Date(zonedDate(timezone, year, q * 3).getTime() - 1),
+    };
+  }
+
+  // ISO week "2025-W34": week 1 is the week that contains January 4th
+  const isoWeek = lower.match(/^(\d{4})-?w(\d{1,2})$/);
+  if (isoWeek) {
+    const week = Number(isoWeek[2]);
+    if (week < 1 || week > 53) return null;
+    const year = Number(isoWeek[1]);
+    const jan4Weekday = new Date(Date.UTC(year, 0, 4)).getUTCDay();
+    const start = zonedDate(
+      timezone,
+      year,
+      0,
+      4 - ((jan4Weekday + 6) % 7) + (week - 1) * 7
+    );
+    return { start, end: new Date(midnight(start, 7).getTime() - 1) };
   }
 
   return null;
 }
 
+/**
+ * Fills in the defaults of the date expression options
+ *
+ * @param {Object} [options] - Date expression options
+ * @param {Date} [options.now] - Reference time (default: the current time)
+ * @param {number|string} [options.sprintLength=14] - Sprint length in days
+ * @param {string|Date} [options.sprintAnchor="2024-01-01"] - A day on which a sprint started
+ * @param {string} [options.timezone] - IANA time zone in which days start (default: the system zone)
+ * @param {string|Array} [options.holidays] - Days skipped by "last workday" (YYYY-MM-DD)
+ * @returns {Object} Options with now, sprintLength, sprintAnchor, timezone and holidays set
+ * @throws {Error} If the sprint length is not a positive integer, the zone is
+ *   unknown or a holiday is not a YYYY-MM-DD day
+ */
+function dateOptions({
+  now,
+  sprintLength,
+  sprintAnchor,
+  timezone,
+  holidays,
+} = {}) {
+  const length = Number(sprintLength ?? DEFAULT_SPRINT_LENGTH);
+  if (!Number.isInteger(length) || length <= 0) {
+    throw new Error("--sprint-length must be a positive number of days");
+  }
+  return {
+    now: now || new Date(),
+    sprintLength: length,
+    sprintAnchor: sprintAnchor || DEFAULT_SPRINT_ANCHOR,
+    timezone: validateTimezone(timezone),
+    holidays: validateHolidays(holidays),
+  };
+}
+
+/**
+ * Validates the days skipped by "last workday" (--holidays)
+ *
+ * @param {string|Array} [holidays] - "2025-12-25,2025-12-26" or a list of days
+ * @returns {Array<string>} Days as YYYY-MM-DD
+ * @throws {Error} If a day is not a valid YYYY-MM-DD date
+ *
+ * @example
+ * validateHolidays("2025-12-25, 2025-12-26") // Returns ["2025-12-25", "2025-12-26"]
+ */
+function validateHolidays(holidays) {
+  return splitList(holidays).map((day) => {
+    const time = Date.parse(`${day}T00:00:00Z`);
+    const valid =
+      /^\d{4}-\d{2}-\d{2}$/.test(day) &&
+      !isNaN(time) &&
+      new Date(time).toISOString().startsWith(day);
+    if (!valid) {
+      throw new Error(`--holidays must list days as YYYY-MM-DD (got ${day})`);
+    }
+    return day;
+  });
+}
+
+/**
+ * Parses relative date strings into Date objects
+ *
+ * Supports "now", "today", "yesterday", "N minutes/hours/days/weeks/months/years
+ * ago", "last monday", "this friday", "start of quarter", "end of last month",
+ * and periods such as "this week", "last month", "last quarter", "last sprint",
+ * "Q3 2025" and "2025-W34". Weeks start on Monday; a period returns its
+ * first moment (see validateDate for --end).
+ *
+ * @param {string} dateStr - The relative date string to parse
+ * @param {Object} [options] - Reference time, sprint cadence and time zone (see dateOptions)
+ * @returns {Date|null} The parsed Date object or null if invalid
+ *
+ * @example
+ * parseRelativeDate("today") // Returns Date object for today at midnight
+ * parseRelativeDate("7 days ago") // Returns Date object for 7 days ago
+ * parseRelativeDate("last month") // Returns Date object for the 1st of last month
+ * parseRelativeDate("last sprint", { sprintLength: 10, sprintAnchor: "2025-01-06" })
+ */
+function parseRelativeDate(dateStr, options) {
+  const span = parseDateExpression(dateStr, dateOptions(options));
+  return span ? span.start : null;
+}
+
+/**
+ * Parses a named period that sets both ends of the date range (--period)
+ *
+ * Accepts the period expressions of parseRelativeDate plus "today" and
+ * "yesterday" as whole days; dashes may replace spaces, as in "last-week".
+ *
+ * @param {string} period - Period name, e.g. "last-week", "this-month", "Q3-2025" or "2025-W34"
+ * @param {Object} [options] - Reference time, sprint cadence and time zone (see dateOptions)
+ * @returns {{start: Date, end: Date}} First and last moment of the period
+ * @throws {Error} If the name is not a period
+ *
+ * @example
+ * resolvePeriod("last-week") // Returns Monday 00:00 to Sunday 23:59:59.999 of last week
+ */
+function resolvePeriod(period, options) {
+  const resolved = dateOptions(options);
+  const name = (period || "").toString().trim().toLowerCase();
+  const days = { today: 0, yesterday: -1 };
+  if (name in days) return periodSpan("day", days[name], resolved);
+
+  const span =
+    parseDateExpression(name, resolved) ||
+    parseDateExpression(name.replace(/-/g, " "), resolved);
+  if (!span || span.start.getTime() === span.end.getTime()) {
+    throw new Error(
+      `--period must be a period such as last-week, this-month, last-quarter, last-sprint, Q3-2025 or 2025-W34 (got ${period})`
+    );
+  }
+  return span;
+}
+
+/**
+ * Maps conventional commit prefixes to the category names used in stats and output
+ */
+const COMMIT_TYPE_CATEGORIES = {
+  feat: "feature",
+  fix: "bugfix",
+  docs: "documentation",
+  style: "style",
+  refactor: "refactor",
+  test: "test",
+  chore: "chore",
+  perf: "performance",
+  ci: "ci",
+  build: "build",
+  revert: "revert",
+};
+
+/**
+ * Parses a Conventional Commits message
+ *
+ * Reads the header ("type(scope)!: description") and the footers of a
+ * message following https://www.conventionalcommits.org/en/v1.0.0/. The type
+ * must be lower case and the colon followed by a space, so titles such as
+ * "WIP: x", "JIRA: x" or "Note:x" are not conventional commits. A "!" before
+ * the colon or a "BREAKING CHANGE:" (or "BREAKING-CHANGE:") footer in the
+ * trailer block (see parseTrailers) marks a breaking change.
+ *
+ * @param {string} message - Commit title or full commit message
+ * @returns {{type: string, scope: string|null, breaking: boolean, description: string}|null}
+ *   Parsed commit, or null when the title is not a conventional commit
+ *
+ * @example
+ * parseConventionalCommit("feat(api)!: drop v1 endpoints")
+ * // Returns { type: "feat", scope: "api", breaking: true, description: "drop v1 endpoints" }
+ * parseConventionalCommit("Update README") // Returns null
+ */
+function parseConventionalCommit(message) {
+  if (!message || typeof message !== "string") return null;
+
+  const header = message.split("\n")[0];
+  const match = header
+    .trim()
+    .match(/^([a-z][a-z0-9-]*)(?:\(([^)]*)\))?(!)?: +(.*)$/);
+  if (!match) return null;
+
+  const trailers = parseTrailers(message);
+  return {
+    type: match[1],
+    scope: match[2]?.trim() || null,
+    breaking:
+      Boolean(match[3]) ||
+      Boolean(trailers["BREAKING CHANGE"] || trailers["Breaking-change"]),
+    description: match[4].trim(),
+  };
+}
+
+/**
+ * Returns an item's parsed Conventional Commit
+ *
+ * Uses the `conventional` field set by the normalizers and parses the title
+ * for items built elsewhere (e.g. passed in through the library API).
+ *
+ * @param {Object} item - Normalized item
+ * @returns {Object|null} Parsed commit (see parseConventionalCommit)
+ */
+function conventionalOf(item) {
+  return item.conventional !== undefined
+    ? item.conventional
+    : parseConventionalCommit(item.title);
+}
+
+/**
+ * Compiled category rules, cached per rules array
+ */
+const compiledCategoryRules = new WeakMap();
+
+/**
+ * Validates and compiles user-defined categorization rules
+ *
+ * Rules come from the `categories` array of the configuration file and are
+ * tried in order before the built-in Conventional Commits categories. Each
+ * rule names a `category`, an optional display `label` (default: the
+ * category in upper case) and one matcher:
+ * - `pattern`: regular expression tested against the title (case-insensitive),
+ *   checked and compiled by validateRegex like --include-pattern
+ * - `prefix`: title starts with this text (case-insensitive)
+ * - `emoji`: title starts with this emoji or gitmoji shortcode; a list is accepted
+ *
+ * @param {Array} [rules] - Rules from the configuration file
+ * @returns {Array<{category: string, label: string, test: Function}>} Compiled rules
+ * @throws {Error} If a rule has no category, no matcher or an invalid pattern
+ *
+ * @example
+ * compileCategoryRules([{ pattern: "^[A-Z]+-\\d+ ", category: "ticket", label: "JIRA" }])
+ */
+function compileCategoryRules(rules) {
+  if (!rules) return [];
+  if (!Array.isArray(rules)) {
+    throw new Error("categories must be a list of rules");
+  }
+  if (compiledCategoryRules.has(rules)) return compiledCategoryRules.get(rules);
+
+  const compiled = rules.map((rule, index) => {
+    const where = `Invalid category rule #${index + 1}`;
+    if (!rule || typeof rule.category !== "string" || !rule.category.trim()) {
+      throw new Error(`${where}: needs a "category" name`);
+    }
+
+    let test;
+    if (rule.pattern) {
+      let regex;
+      try {
+        regex = validateRegex(`${rule.pattern}`, "categories");
+      } catch (_err) {
+        throw new Error(`${where}: invalid pattern (${_err.message})`);
+      }
+      test = (title) => regex.test(title);
+    } else if (rule.prefix) {
+      const prefix = `${rule.prefix}`.toLowerCase();
+      test = (title) => title.toLowerCase().startsWith(prefix);
+    } else if (rule.emoji) {
+      const emojis = [].concat(rule.emoji).map((e) => `${e}`);
+      test = (title) => emojis.some((e) => title.trimStart().startsWith(e));
+    } else {
+      throw new Error(`${where}: needs a "pattern", "prefix" or "emoji"`);
+    }
+
+    const category = rule.category.trim();
+    return {
+      category,
+      label: rule.label ? `${rule.label}` : category.toUpperCase(),
+      test,
+    };
+  });
+
+  compiledCategoryRules.set(rules, compiled);
+  return compiled;
+}
+
 /**
  * Categorizes commit titles based on conventional commit prefixes
  *
  * Analyzes the commit title to determine its type based on common commit message
- * conventions. This is used for statistics and output formatting.
+ * conventions. This is used for statistics and output formatting. User-defined
+ * rules (the `categories` configuration) are tried first. Unlike
+ * parseConventionalCommit, known types match in any case and without a space
+ * after the colon ("FEAT:add feature").
  *
  * @param {string} title - The commit title to categorize
+ * @param {Array} [rules] - Category rules (see compileCategoryRules)
  * @returns {string} The commit type category
  *
  * @example
  * categorizeCommit("feat: add new feature") // Returns "feature"
- * categorizeCommit("fix: resolve bug") // Returns "bugfix"
+ * categorizeCommit("fix(ui)!: resolve bug") // Returns "bugfix"
  * categorizeCommit("docs: update README") // Returns "documentation"
+ * categorizeCommit("PROJ-1 Fix login", [{ pattern: "^PROJ-", category: "jira" }]) // Returns "jira"
  */
-function categorizeCommit(title) {
-  const lower = title.toLowerCase();
-
-  if (lower.startsWith("feat:")) return "feature";
-  if (lower.startsWith("fix:")) return "bugfix";
-  if (lower.startsWith("docs:")) return "documentation";
-  if (lower.startsWith("style:")) return "style";
-  if (lower.startsWith("refactor:")) return "refactor";
-  if (lower.startsWith("test:")) return "test";
-  if (lower.startsWith("chore:")) return "chore";
-  if (lower.startsWith("perf:")) return "performance";
-  if (lower.startsWith("ci:")) return "ci";
-  if (lower.startsWith("build:")) return "build";
-  if (lower.startsWith("revert:")) return "revert";
-  if (lower.startsWith("merge")) return "merge";
+function categorizeCommit(title, rules) {
+  if (!title || typeof title !== "string") return "other";
+
+  const rule = compileCategoryRules(rules).find((r) => r.test(title));
+  if (rule) return rule.category;
+
+  const match = /^(\w+)(?:\([^)]*\))?!?:/.exec(title.trim());
+  const type = match ? match[1].toLowerCase() : null;
+  if (type && Object.hasOwn(COMMIT_TYPE_CATEGORIES, type)) {
+    return COMMIT_TYPE_CATEGORIES[type];
+  }
+  if (title.toLowerCase().startsWith("merge")) return "merge";
 
   return "other";
 }
 
+/**
+ * Returns the display label of a category, e.g. for timesheet "[TYPE]" prefixes
+ *
+ * @param {string} category - Category from categorizeCommit
+ * @param {Array} [rules] - Category rules (see compileCategoryRules)
+ * @returns {string} The label of the first rule for that category, or the category in upper case
+ *
+ * @example
+ * categoryLabel("bugfix") // Returns "BUGFIX"
+ * categoryLabel("jira", [{ prefix: "PROJ-", category: "jira", label: "TICKET" }]) // Returns "TICKET"
+ */
+function categoryLabel(category, rules) {
+  const rule = compileCategoryRules(rules).find((r) => r.category === category);
+  return rule ? rule.label : category.toUpperCase();
+}
+
 /**
  * Generates statistical analysis of commit data
  *
  * Analyzes commit items to produce comprehensive statistics including:
  * - Total commit count
  * - Breakdown by commit type
- * - Breakdown by author
+ * - Breakdown by author (co-authors from Co-authored-by trailers are credited too)
  * - Breakdown by date
+ * - Breakdown by repository (for multi-repository runs)
+ * - Breakdown by pull request label (when items carry pull requests)
+ * - Breakdown by Conventional Commits scope, and the number of breaking changes
  * - Average commits per day
+ * - Lines added/removed in total, per author, type and day, and the largest
+ *   commits (`diff`, when items carry diff stats; null otherwise)
  *
  * @param {Array} items - Array of commit objects with title, author_login, and date properties
- * @returns {Object} Statistics object with total, byType, byAuthor, byDate, and averagePerDay
+ * @param {Object} [options] - Statistics options
+ * @param {Array} [options.categories] - Category rules for byType (see compileCategoryRules)
+ * @param {string} [options.timezone] - IANA time zone for byDate days (default: UTC)
+ * @returns {Object} Statistics object with total, byType, byAuthor, byDate, byRepository, byLabel, byScope,
+ *   breaking, averagePerDay and diff
  *
  * @example
  * const stats = generateStats(commits);
  * console.log(`Total commits: ${stats.total}`);
  * console.log(`Average per day: ${stats.averagePerDay}`);
  */
-function generateStats(items) {
+function generateStats(items, { categories, timezone } = {}) {
   const stats = {
     total: items.length,
     byType: {},
     byAuthor: {},
     byDate: {},
+    byRepository: {},
+    byLabel: {},
+    byScope: {},
+    breaking: 0,
     averagePerDay: 0,
+    diff: null,
   };
 
   const dateCounts = {};
+  const withDiff = items.filter((it) => it.title && hasDiffStats(it));
+  if (withDiff.length > 0) {
+    stats.diff = {
+      additions: 0,
+      deletions: 0,
+      changedFiles: 0,
+      byAuthor: {},
+      byType: {},
+      byDate: {},
+      largest: [...withDiff]
+        .sort(
+          (a, b) => b.additions + b.deletions - (a.additions + a.deletions)
+        )
+        .slice(0, 5),
+    };
+  }
+  const addLines = (table, name, item) => {
+    if (!table[name]) table[name] = { additions: 0, deletions: 0 };
+    table[name].additions += item.additions;
+    table[name].deletions += item.deletions;
+  };
 
   for (const item of items) {
     if (!item.title) continue;
 
     // Count by type
-    const type = categorizeCommit(item.title);
+    const type = categorizeCommit(item.title, categories);
     stats.byType[type] = (stats.byType[type] || 0) + 1;
 
-    // Count by author
+    // Count by author, crediting co-authors (withBody) as well
     const author = item.author_login || "Unknown";
-    stats.byAuthor[author] = (stats.byAuthor[author] || 0) + 1;
+    const credited = new Set([author, ...(item.co_authors || [])]);
+    for (const name of credited) {
+      stats.byAuthor[name] = (stats.byAuthor[name] || 0) + 1;
+    }
+
+    // Count by repository (multi-repository runs only)
+    if (item.repository) {
+      stats.byRepository[item.repository] =
+        (stats.byRepository[item.repository] || 0) + 1;
+    }
+
+    // Count by pull request label (--with-prs, GraphQL or --mode prs)
+    const labels = new Set([
+      ...(item.labels || []),
+      ...(item.pull_requests || []).flatMap((pr) => pr.labels || []),
+    ]);
+    for (const label of labels) {
+      stats.byLabel[label] = (stats.byLabel[label] || 0) + 1;
+    }
+
+    // Count by Conventional Commits scope and breaking changes
+    const conventional = conventionalOf(item);
+    if (conventional?.scope) {
+      stats.byScope[conventional.scope] =
+        (stats.byScope[conventional.scope] || 0) + 1;
+    }
+    if (conventional?.breaking) stats.breaking++;
 
     // Count by date
-    if (item.date) {
-      const date = new Date(item.date).toISOString().split("T")[0];
+    const date = item.date ? dayKey(item.date, timezone) : null;
+    if (date) {
       dateCounts[date] = (dateCounts[date] || 0) + 1;
     }
+
+    // Lines changed (--with-stats, GraphQL)
+    if (stats.diff && hasDiffStats(item)) {
+      stats.diff.additions += item.additions;
+      stats.diff.deletions += item.deletions;
+      stats.diff.changedFiles += item.changed_files || 0;
+      for (const name of credited) addLines(stats.diff.byAuthor, name, item);
+      addLines(stats.diff.byType, type, item);
+      if (date) addLines(stats.diff.byDate, date, item);
+    }
   }
 
   // Calculate average per day
@@ -241,54 +1054,346 @@ function generateStats(items) {
 }
 
 /**
- * Retrieves GitHub authentication token from GitHub CLI
- *
- * Attempts to get a GitHub token using two methods:
- * 1. Reads the GitHub CLI configuration file (~/.config/gh/hosts.yml)
- * 2. Executes the 'gh auth token' command
- *
- * This allows users to authenticate using GitHub CLI without manually
- * providing tokens via environment variables or command line.
+ * Default gap after which a new work session starts, in minutes
+ */
+const DEFAULT_SESSION_GAP = 120;
+
+/**
+ * Default time credited before the first commit of a session, in minutes
+ */
+const DEFAULT_SESSION_PADDING = 30;
+
+/**
+ * Breakdowns accepted by --hours-by
+ */
+const HOURS_BREAKDOWNS = ["repository", "type"];
+
+/**
+ * Parses a working hours window such as "09:00-17:30"
  *
- * @returns {string|null} The GitHub token or null if not available
+ * @param {string} [spec] - Window as HH:MM-HH:MM
+ * @returns {{start: number, end: number}|null} Minutes after midnight, or null when not set
+ * @throws {Error} If the window is malformed or ends before it starts
  *
  * @example
- * const token = getGitHubCLIToken();
- * if (token) {
- *   console.log("Using GitHub CLI token");
- * }
+ * parseWorkingHours("09:00-17:30") // Returns { start: 540, end: 1050 }
  */
-function getGitHubCLIToken() {
-  try {
-    // Method 1: Try to read GitHub CLI config file
-    const os = require("os");
-    const homeDir = os.homedir();
-    const configPath = require("path").join(
-      homeDir,
-      ".config",
-      "gh",
-      "hosts.yml"
+function parseWorkingHours(spec) {
+  if (!spec) return null;
+  const match = spec
+    .toString()
+    .trim()
+    .match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  const [, startHour, startMinute, endHour, endMinute] = (match || [])
+    .map(Number);
+  const start = startHour * 60 + startMinute;
+  const end = endHour * 60 + endMinute;
+  const validMinutes = startMinute < 60 && endMinute < 60;
+  if (!match || !validMinutes || !(start < end) || end > 24 * 60) {
+    throw new Error(
+      `--working-hours must look like 09:00-17:30 (got ${spec})`
     );
+  }
+  return { start, end };
+}
 
-    if (existsSync(configPath)) {
-      const yaml = require("yaml");
-      const config = yaml.parse(readFileSync(configPath, "utf8"));
+/**
+ * Validates the hours estimation options of a run
+ *
+ * @param {Object} args - Command line arguments or configuration values
+ * @param {number|string} [args.sessionGap=120] - Minutes between commits that end a session
+ * @param {number|string} [args.sessionPadding=30] - Minutes credited before a session's first commit
+ * @param {string} [args.workingHours] - Only count time inside this daily window (HH:MM-HH:MM)
+ * @param {string|Array} [args.hoursBy] - Breakdowns: "repository" and/or "type"
+ * @param {string} [args.timezone] - IANA time zone for days and the working hours window
+ * @param {Array} [args.categories] - Category rules for the type breakdown
+ * @returns {Object} Options for estimateHours
+ * @throws {Error} If an option is invalid
+ */
+function hoursOptions(args = {}) {
+  const minutes = (value, fallback, name) => {
+    const num = Number(value ?? fallback);
+    if (!Number.isFinite(num) || num < 0) {
+      throw new Error(`--${name} must be a number of minutes`);
+    }
+    return num;
+  };
 
-      // Look for the default GitHub host
-      const githubHost = config["github.com"] || config["api.github.com"];
-      if (githubHost && githubHost.oauth_token) {
-        return githubHost.oauth_token;
-      }
+  const hoursBy = splitList(args.hoursBy).map((name) => name.toLowerCase());
+  for (const name of hoursBy) {
+    if (!HOURS_BREAKDOWNS.includes(name)) {
+      throw new Error(
+        `--hours-by must list any of: ${HOURS_BREAKDOWNS.join(", ")}`
+      );
     }
-  } catch {
-    // Silently fail - GitHub CLI might not be installed or configured
-    // This could be due to missing yaml package, invalid config, etc.
   }
 
-  try {
-    // Method 2: Try to execute 'gh auth token' command
-    const { execSync } = require("child_process");
-    const token = execSync("gh auth token", {
+  return {
+    sessionGap: minutes(args.sessionGap, DEFAULT_SESSION_GAP, "session-gap"),
+    sessionPadding: minutes(
+      args.sessionPadding,
+      DEFAULT_SESSION_PADDING,
+      "session-padding"
+    ),
+    workingHours: parseWorkingHours(args.workingHours),
+    hoursBy,
+    timezone: args.timezone,
+    categories: args.categories,
+  };
+}
+
+/**
+ * Returns the ISO week of a day, e.g. "2025-W03"
+ *
+ * @param {string} day - Day as YYYY-MM-DD
+ * @returns {string} ISO week year and number
+ */
+function isoWeekOf(day) {
+  const [year, month, date] = day.split("-").map(Number);
+  const d = new Date(Date.UTC(year, month - 1, date));
+  // The Thursday of the same week decides the ISO year
+  d.setUTCDate(d.getUTCDate() + 3 - ((d.getUTCDay() + 6) % 7));
+  const weekYear = d.getUTCFullYear();
+  const week = Math.floor((d - Date.UTC(weekYear, 0, 1)) / 604800000) + 1;
+  return `${weekYear}-W${String(week).padStart(2, "0")}`;
+}
+
+/**
+ * Estimates hours worked from commit timestamps
+ *
+ * Each author's commits are split into sessions: a commit less than
+ * `sessionGap` minutes after the previous one continues the session and is
+ * credited the time since that commit; the first commit of a session is
+ * credited `sessionPadding` minutes. With `workingHours`, only time inside
+ * that window of the commit's day counts. Time is credited to the day (in
+ * `timezone`, UTC when not set) of the commit it ends at.
+ *
+ * @param {Array} items - Normalized items
+ * @param {Object} [options] - Options from hoursOptions
+ * @returns {{total: number, byDay: Object, byWeek: Object}} Hours in total,
+ *   per day ({ hours, byRepository, byType }) and per ISO week
+ *
+ * @example
+ * const { byDay } = estimateHours(commits, hoursOptions({ sessionGap: 90 }));
+ * // byDay["2025-01-15"]: { hours: 3.5, byRepository: {}, byType: { feature: 2, bugfix: 1.5 } }
+ */
+function estimateHours(items, options = {}) {
+  const {
+    sessionGap = DEFAULT_SESSION_GAP,
+    sessionPadding = DEFAULT_SESSION_PADDING,
+    workingHours = null,
+    timezone,
+    categories,
+  } = options;
+  const result = { total: 0, byDay: {}, byWeek: {} };
+  const add = (map, key, hours) => {
+    map[key] = (map[key] || 0) + hours;
+  };
+
+  const byAuthor = {};
+  for (const item of items) {
+    if (!item.date) continue;
+    const author = item.author_login || "Unknown";
+    (byAuthor[author] = byAuthor[author] || []).push(item);
+  }
+
+  for (const authorItems of Object.values(byAuthor)) {
+    const sorted = authorItems
+      .map((item) => ({ item, time: Date.parse(item.date) }))
+      .sort((a, b) => a.time - b.time);
+
+    let previous = null;
+    for (const { item, time } of sorted) {
+      const sinceLast = previous === null ? Infinity : time - previous;
+      const credited =
+        sinceLast <= sessionGap * 60000 ? sinceLast : sessionPadding * 60000;
+      previous = time;
+
+      const day = dayKey(item.date, timezone);
+      let from = time - credited;
+      let to = time;
+      if (workingHours) {
+        // Working hours are read in the same zone as the day
+        const zone = timezone || "UTC";
+        const { year, month, day: date } = calendarFields(item.date, zone);
+        const windowAt = (minutes) =>
+          zonedDate(zone, year, month, date, 0, minutes).getTime();
+        from = Math.max(from, windowAt(workingHours.start));
+        to = Math.min(to, windowAt(workingHours.end));
+      }
+      const hours = Math.max(to - from, 0) / 3600000;
+      if (hours === 0) continue;
+
+      const entry = (result.byDay[day] = result.byDay[day] || {
+        hours: 0,
+        byRepository: {},
+        byType: {},
+      });
+      entry.hours += hours;
+      if (item.repository) add(entry.byRepository, item.repository, hours);
+      add(entry.byType, categorizeCommit(item.title, categories), hours);
+      add(result.byWeek, isoWeekOf(day), hours);
+      result.total += hours;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * REST API base URL for github.com
+ */
+const DEFAULT_API_URL = "https://api.github.com";
+
+/**
+ * Resolves the REST API base URL for github.com or a GitHub Enterprise Server
+ *
+ * An explicit --api-url wins; otherwise a GH_HOST other than github.com
+ * (the GitHub CLI convention) maps to that server's /api/v3 endpoint.
+ *
+ * @param {string} [apiUrl] - Explicit API base URL
+ * @param {string} [host] - GitHub host name, usually from GH_HOST
+ * @returns {string} API base URL without a trailing slash
+ * @throws {Error} If apiUrl is not an http(s) URL
+ *
+ * @example
+ * resolveApiUrl() // Returns "https://api.github.com"
+ * resolveApiUrl(undefined, "github.example.com") // Returns "https://github.example.com/api/v3"
+ */
+function resolveApiUrl(apiUrl, host) {
+  if (apiUrl) {
+    let parsed;
+    try {
+      parsed = new URL(apiUrl);
+    } catch {
+      throw new Error(`--api-url is not a valid URL: ${apiUrl}`);
+    }
+    if (!/^https?:$/.test(parsed.protocol)) {
+      throw new Error("--api-url must use http or https");
+    }
+    return parsed.toString().replace(/\/+$/, "");
+  }
+
+  const hostname = (host || "").trim().toLowerCase();
+  if (hostname && hostname !== "github.com" && hostname !== "api.github.com") {
+    return `https://${hostname}/api/v3`;
+  }
+
+  return DEFAULT_API_URL;
+}
+
+/**
+ * Returns the web host name (as used in git remotes and hosts.yml) for an API base URL
+ *
+ * @param {string} [apiUrl] - API base URL from resolveApiUrl
+ * @returns {string} Host name, e.g. "github.com" or "github.example.com"
+ */
+function webHostFor(apiUrl = DEFAULT_API_URL) {
+  const { host } = new URL(apiUrl);
+  return host === "api.github.com" ? "github.com" : host;
+}
+
+/**
+ * Returns the web base URL used for commit links, e.g. "https://github.com"
+ *
+ * @param {string} [apiUrl] - API base URL from resolveApiUrl
+ * @returns {string} Web base URL without a trailing slash
+ */
+function webUrlFor(apiUrl = DEFAULT_API_URL) {
+  return `${new URL(apiUrl).protocol}//${webHostFor(apiUrl)}`;
+}
+
+/**
+ * Returns the GraphQL endpoint for an API base URL
+ *
+ * @param {string} [apiUrl] - API base URL from resolveApiUrl
+ * @returns {string} GraphQL endpoint URL
+ *
+ * @example
+ * graphqlUrlFor("https://api.github.com") // Returns "https://api.github.com/graphql"
+ * graphqlUrlFor("https://github.example.com/api/v3") // Returns "https://github.example.com/api/graphql"
+ */
+function graphqlUrlFor(apiUrl = DEFAULT_API_URL) {
+  if (/\/api\/v3$/.test(apiUrl)) {
+    return apiUrl.replace(/\/api\/v3$/, "/api/graphql");
+  }
+  return `${apiUrl}/graphql`;
+}
+
+/**
+ * Returns the token set in the environment for a GitHub host
+ *
+ * github.com uses GITHUB_TOKEN; GitHub Enterprise Server hosts only use
+ * GH_ENTERPRISE_TOKEN or GITHUB_ENTERPRISE_TOKEN, as the GitHub CLI does, so
+ * a github.com token is never sent to another server.
+ *
+ * @param {string} [host="github.com"] - GitHub host name
+ * @returns {string|null} The token or null if none is set
+ */
+function getEnvToken(host = "github.com") {
+  if (host !== "github.com") {
+    return (
+      process.env.GH_ENTERPRISE_TOKEN ||
+      process.env.GITHUB_ENTERPRISE_TOKEN ||
+      null
+    );
+  }
+  return process.env.GITHUB_TOKEN || null;
+}
+
+/**
+ * Retrieves GitHub authentication token from GitHub CLI
+ *
+ * Attempts to get a GitHub token using two methods:
+ * 1. Reads the GitHub CLI configuration file (~/.config/gh/hosts.yml)
+ * 2. Executes the 'gh auth token' command
+ *
+ * This allows users to authenticate using GitHub CLI without manually
+ * providing tokens via environment variables or command line.
+ *
+ * @param {string} [host="github.com"] - GitHub host to look up (GitHub Enterprise Server host name)
+ * @returns {string|null} The GitHub token or null if not available
+ *
+ * @example
+ * const token = getGitHubCLIToken();
+ * if (token) {
+ *   console.log("Using GitHub CLI token");
+ * }
+ */
+function getGitHubCLIToken(host = "github.com") {
+  try {
+    // Method 1: Try to read GitHub CLI config file
+    const os = require("os");
+    const homeDir = os.homedir();
+    const configPath = require("path").join(
+      homeDir,
+      ".config",
+      "gh",
+      "hosts.yml"
+    );
+
+    if (existsSync(configPath)) {
+      const yaml = require("yaml");
+      const config = yaml.parse(readFileSync(configPath, "utf8"));
+
+      // Look for the requested GitHub host
+      const hostConfig =
+        host === "github.com"
+          ? config["github.com"] || config["api.github.com"]
+          : config[host];
+      if (hostConfig && hostConfig.oauth_token) {
+        return hostConfig.oauth_token;
+      }
+    }
+  } catch {
+    // Silently fail - GitHub CLI might not be installed or configured
+    // This could be due to missing yaml package, invalid config, etc.
+  }
+
+  try {
+    // Method 2: Try to execute 'gh auth token' command
+    const { execFileSync } = require("child_process");
+    const token = execFileSync("gh", ["auth", "token", "--hostname", host], {
       encoding: "utf8",
       stdio: "pipe",
     }).trim();
@@ -327,13 +1432,17 @@ function loadConfig(configPath) {
     const content = readFileSync(fullPath, "utf8");
     const config = JSON.parse(content);
 
-    // Validate required fields
-    const required = ["owner", "repo", "branch", "start", "end"];
+    // Validate required fields ("repos" or "org" replaces owner/repo/branch)
+    const required =
+      config.repos || config.org
+        ? ["start", "end"]
+        : ["owner", "repo", "branch", "start", "end"];
     for (const field of required) {
       if (!config[field]) {
         throw new Error(`Missing required field in config: ${field}`);
       }
     }
+    compileCategoryRules(config.categories);
 
     return config;
   } catch (_err) {
@@ -413,27 +1522,39 @@ function getCurrentBranch() {
 /**
  * Extracts owner and repo from git remote URL
  *
+ * Remotes on github.com are always recognized; pass the host of a GitHub
+ * Enterprise Server to recognize its remotes as well.
+ *
  * @param {string} remoteUrl - Git remote URL (HTTPS or SSH)
+ * @param {string} [host="github.com"] - Additional GitHub host to accept
  * @returns {Object|null} Object with owner and repo properties, or null if parsing fails
  *
  * @example
  * parseGitRemote("https://github.com/user/repo.git") // Returns { owner: "user", repo: "repo" }
  * parseGitRemote("git@github.com:user/repo.git") // Returns { owner: "user", repo: "repo" }
+ * parseGitRemote("git@ghe.example.com:user/repo.git", "ghe.example.com") // Returns { owner: "user", repo: "repo" }
  */
-function parseGitRemote(remoteUrl) {
+function parseGitRemote(remoteUrl, host = "github.com") {
   if (!remoteUrl) return null;
 
+  const hosts = [...new Set(["github.com", host.toLowerCase()])]
+    .map((h) => h.replace(/[.]/g, "\\."))
+    .join("|");
+
   // Handle HTTPS URLs: https://github.com/owner/repo.git
   const httpsMatch = remoteUrl.match(
-    /https:\/\/github\.com\/([^/]+)\/([^/]+?)(?:\.git)?$/
+    new RegExp(`https://(?:${hosts})/([^/]+)/([^/]+?)(?:\\.git)?$`, "i")
   );
   if (httpsMatch) {
     return { owner: httpsMatch[1], repo: httpsMatch[2] };
   }
 
-  // Handle SSH URLs: git@github.com:owner/repo.git
+  // Handle SSH URLs: git@github.com:owner/repo.git or ssh://git@github.com/owner/repo.git
   const sshMatch = remoteUrl.match(
-    /git@github\.com:([^/]+)\/([^/]+?)(?:\.git)?$/
+    new RegExp(
+      `(?:git@(?:${hosts}):|ssh://git@(?:${hosts})(?::\\d+)?/)([^/]+)/([^/]+?)(?:\\.git)?$`,
+      "i"
+    )
   );
   if (sshMatch) {
     return { owner: sshMatch[1], repo: sshMatch[2] };
@@ -452,9 +1573,10 @@ function parseGitRemote(remoteUrl) {
  * Gets git remote information from the current repository
  *
  * @param {string} remoteName - Name of the remote (default: "origin")
+ * @param {string} [host="github.com"] - Additional GitHub host to accept (see parseGitRemote)
  * @returns {Object|null} Object with owner and repo, or null if not found
  */
-function _getGitRemoteInfo(remoteName = "origin") {
+function _getGitRemoteInfo(remoteName = "origin", host = "github.com") {
   try {
     const { execSync } = require("child_process");
     const remoteUrl = execSync(`git remote get-url ${remoteName}`, {
@@ -462,7 +1584,7 @@ function _getGitRemoteInfo(remoteName = "origin") {
       stdio: "pipe",
     }).trim();
 
-    return parseGitRemote(remoteUrl);
+    return parseGitRemote(remoteUrl, host);
   } catch {
     return null;
   }
@@ -477,13 +1599,14 @@ function _getGitRemoteInfo(remoteName = "origin") {
  * - Current branch
  * - Remote URL information
  *
+ * @param {string} [host="github.com"] - Additional GitHub host whose remotes are recognized
  * @returns {Object} Object containing detected git information
  *
  * @example
  * const gitInfo = autoDetectGitInfo();
  * // Returns: { owner: "user", repo: "repo", branch: "main", isGitRepo: true, remotes: [...] }
  */
-function autoDetectGitInfo() {
+function autoDetectGitInfo(host = "github.com") {
   const info = {
     isGitRepo: false,
     owner: null,
@@ -517,7 +1640,7 @@ function autoDetectGitInfo() {
     for (const line of remoteLines) {
       const [name, url] = line.split("\t");
       const cleanUrl = url.replace(" (fetch)", "");
-      const parsed = parseGitRemote(cleanUrl);
+      const parsed = parseGitRemote(cleanUrl, host);
 
       if (parsed) {
         info.remotes.push({
@@ -570,12 +1693,13 @@ function validateOwner(owner) {
   if (!owner || typeof owner !== "string" || owner.trim() === "") {
     throw new Error("--owner must be a non-empty string");
   }
-  if (!/^[a-zA-Z0-9_-]+$/.test(owner)) {
+  const trimmed = owner.trim();
+  if (!/^[a-zA-Z0-9_-]+$/.test(trimmed)) {
     throw new Error(
       "--owner contains invalid characters (use letters, numbers, hyphens, underscores)"
     );
   }
-  return owner.trim();
+  return trimmed;
 }
 
 /**
@@ -595,48 +1719,146 @@ function validateRepo(repo) {
   if (!repo || typeof repo !== "string" || repo.trim() === "") {
     throw new Error("--repo must be a non-empty string");
   }
-  if (!/^[a-zA-Z0-9._-]+$/.test(repo)) {
+  const trimmed = repo.trim();
+  if (!/^[a-zA-Z0-9._-]+$/.test(trimmed)) {
     throw new Error("--repo contains invalid characters");
   }
-  return repo.trim();
+  return trimmed;
 }
 
 function validateBranch(branch) {
   if (!branch || typeof branch !== "string" || branch.trim() === "") {
     throw new Error("--branch must be a non-empty string");
   }
-  return branch.trim();
+  const trimmed = branch.trim();
+  // "-x" would be read as an option by git
+  if (trimmed.startsWith("-")) {
+    throw new Error(`--branch is not a valid branch name: ${trimmed}`);
+  }
+  return trimmed;
+}
+
+/**
+ * Parses and validates a list of repositories for multi-repository runs
+ *
+ * Accepts the comma-separated --repos value or the "repos" array from a
+ * configuration file. Entries are "owner/repo", "owner/repo:branch" or
+ * objects with owner, repo and optional branch properties. Entries without a
+ * branch use defaultBranch, or the repository's default branch when that is
+ * not set either.
+ *
+ * @param {string|Array} repos - Repository list
+ * @param {string} [defaultBranch] - Branch used for entries that do not name one
+ * @returns {Array<{owner: string, repo: string, branch: string|null}>} Validated repositories
+ * @throws {Error} If the list is empty or an entry is malformed
+ *
+ * @example
+ * parseRepoList("user/api,user/web:develop", "main")
+ * // Returns: [{ owner: "user", repo: "api", branch: "main" }, { owner: "user", repo: "web", branch: "develop" }]
+ */
+function parseRepoList(repos, defaultBranch) {
+  const entries = typeof repos === "string" ? repos.split(",") : repos;
+  if (!Array.isArray(entries)) {
+    throw new Error("--repos must be a comma-separated list or an array");
+  }
+
+  const targets = [];
+  const seen = new Set();
+
+  for (const entry of entries) {
+    let owner, repo, branch;
+    if (entry && typeof entry === "object") {
+      ({ owner, repo, branch } = entry);
+    } else {
+      const text = (entry ?? "").toString().trim();
+      if (text === "") continue;
+
+      const match = text.match(/^([^/:]+)\/([^/:]+)(?::(.+))?$/);
+      if (!match) {
+        throw new Error(
+          `--repos entry "${text}" must look like owner/repo or owner/repo:branch`
+        );
+      }
+      [, owner, repo, branch] = match;
+    }
+
+    const branchName = branch || defaultBranch;
+    const target = {
+      owner: validateOwner(owner),
+      repo: validateRepo(repo),
+      branch: branchName ? validateBranch(branchName) : null,
+    };
+
+    const key = `${target.owner}/${target.repo}:${target.branch || ""}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      targets.push(target);
+    }
+  }
+
+  if (targets.length === 0) {
+    throw new Error("--repos must list at least one repository");
+  }
+
+  return targets;
 }
 
 /**
  * Validates and parses date parameters
  *
- * Supports both relative dates ("today", "7 days ago") and absolute dates
- * (ISO format, YYYY-MM-DD). Performs sanity checks to ensure dates are reasonable.
+ * Supports both relative dates ("today", "7 days ago", "last month") and
+ * absolute dates (ISO format, YYYY-MM-DD). Performs sanity checks to ensure
+ * dates are reasonable. A period such as "last month" stands for its first
+ * moment, except for "end", where it stands for its last.
  *
- * @param {string} date - The date string to validate
+ * @param {string|Date} date - The date string (or Date object) to validate
  * @param {string} name - The parameter name for error messages
+ * @param {Object} [options] - Reference time, sprint cadence and time zone (see dateOptions)
  * @returns {Date} The parsed Date object
  * @throws {Error} If date is invalid or unreasonable
  *
  * @example
  * validateDate("2025-01-01", "start") // Returns Date object
  * validateDate("7 days ago", "end") // Returns Date object
+ * validateDate("last month", "end") // Returns the last moment of last month
  * validateDate("invalid", "start") // Throws Error
  */
-function validateDate(date, name) {
+function validateDate(date, name, options) {
+  if (date instanceof Date) {
+    if (Number.isNaN(date.valueOf())) {
+      throw new Error(`--${name} is not a valid date`);
+    }
+    return date;
+  }
+
   if (!date || typeof date !== "string") {
     throw new Error(`--${name} must be a valid date string`);
   }
 
   // Try relative date first
-  const relativeDate = parseRelativeDate(date);
-  if (relativeDate) {
-    return relativeDate;
+  const resolved = dateOptions(options);
+  const span = parseDateExpression(date, resolved);
+  if (span) {
+    return name === "end" ? span.end : span.start;
   }
 
-  // Try absolute date
-  const dt = new Date(date);
+  // Try absolute date; with a time zone, dates and times without a UTC
+  // offset are wall-clock times in that zone
+  const wallClock =
+    resolved.timezone &&
+    date
+      .trim()
+      .match(
+        /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?$/
+      );
+  const dt = wallClock
+    ? zonedDate(
+      resolved.timezone,
+      Number(wallClock[1]),
+      Number(wallClock[2]) - 1,
+      ...wallClock.slice(3).map((field) => Number(field || 0))
+    )
+    : new Date(date);
   if (Number.isNaN(dt.valueOf())) {
     throw new Error(`--${name} is not a valid date: ${date}`);
   }
@@ -651,6 +1873,51 @@ function validateDate(date, name) {
   return dt;
 }
 
+/**
+ * Validates a start/end pair and converts it to the ISO range sent to the API
+ *
+ * When both dates fall on the same day, the end is moved to the end of that
+ * day so that "--start today --end today" covers the whole day. Days are
+ * taken in `options.timezone` when set, else in the system time zone.
+ *
+ * @param {string|Date} start - Range start (absolute or relative)
+ * @param {string|Date} end - Range end (absolute or relative)
+ * @param {Object} [options] - Reference time, sprint cadence and time zone (see dateOptions)
+ * @returns {{startISO: string, endISO: string}} The ISO range
+ * @throws {Error} If either date is invalid or start is after end
+ *
+ * @example
+ * resolveDateRange("2025-01-01", "2025-01-31")
+ * // Returns: { startISO: "2025-01-01T00:00:00.000Z", endISO: "2025-01-31T00:00:00.000Z" }
+ */
+function resolveDateRange(start, end, options) {
+  const startDate = validateDate(start, "start", options);
+  const endDate = validateDate(end, "end", options);
+
+  // Validate date range (allow same day for start/end)
+  if (startDate > endDate) {
+    throw new Error("--start date must be before or equal to --end date");
+  }
+
+  const startISO = startDate.toISOString();
+  let endISO = endDate.toISOString();
+
+  // If both dates are the same day, set end to end of that day
+  const timezone = dateOptions(options).timezone;
+  const startDay = calendarFields(startDate, timezone);
+  const endDay = calendarFields(endDate, timezone);
+  if (
+    startDay.year === endDay.year &&
+    startDay.month === endDay.month &&
+    startDay.day === endDay.day
+  ) {
+    const nextDay = startOfDay(endDate, 1, timezone);
+    endISO = new Date(nextDay.getTime() - 1).toISOString();
+  }
+
+  return { startISO, endISO };
+}
+
 function validateMax(max) {
   if (!max) return undefined;
 
@@ -750,6 +2017,7 @@ function parseArgs(argv) {
   const flags = new Set([
     "--owner",
     "--repo",
+    "--repos",
     "--branch",
     "--start",
     "--end",
@@ -764,35 +2032,69 @@ function parseArgs(argv) {
     "--timeout",
     "--exclude-pattern",
     "--include-pattern",
+    "--org",
+    "--include-repos",
+    "--exclude-repos",
+    "--topics",
+    "--api",
+    "--source",
+    "--api-url",
+    "--cache-dir",
+    "--mode",
+    "--trailer",
+    "--group-by",
+    "--release",
+    "--from",
+    "--to",
+    "--period",
+    "--sprint-length",
+    "--sprint-anchor",
+    "--timezone",
+    "--session-gap",
+    "--session-padding",
+    "--working-hours",
+    "--hours-by",
+    "--projects",
+    "--authors",
+    "--template",
+    "--holidays",
+    "--message-limit",
+  ]);
+  const booleanFlags = new Set([
+    "--exclude-merges",
+    "--verbose",
+    "--stats",
+    "--auto",
+    "--include-archived",
+    "--include-forks",
+    "--no-cache",
+    "--wait-on-rate-limit",
+    "--with-prs",
+    "--with-stats",
+    "--with-body",
+    "--since-last-tag",
+    "--estimate-hours",
   ]);
 
+  // "--exclude-pattern" -> "excludePattern", matching configuration file keys
+  const toKey = (flag) =>
+    flag.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+
   for (let i = 0; i < argv.length; i++) {
     const a = argv[i];
     if (a === "-h" || a === "--help") {
       args.help = true;
       continue;
     }
-    if (a === "--exclude-merges") {
-      args.excludeMerges = true;
-      continue;
-    }
-    if (a === "--verbose") {
-      args.verbose = true;
-      continue;
-    }
-    if (a === "--stats") {
-      args.stats = true;
-      continue;
-    }
-    if (a === "--auto") {
-      args.auto = true;
+    if (booleanFlags.has(a)) {
+      args[toKey(a)] = true;
       continue;
     }
     if (flags.has(a)) {
       if (i + 1 >= argv.length) {
         throw new Error(`Missing value for ${a}`);
       }
-      args[a.slice(2)] = argv[++i];
+      args[toKey(a)] = argv[++i];
     } else {
       // Collect unknown args for better error reporting
       if (!args.unknownArgs) args.unknownArgs = [];
@@ -830,12 +2132,27 @@ function firstLine(msg = "") {
   return msg.split("\n")[0].trim();
 }
 
+function splitList(value) {
+  // Accept "a, b" from the CLI or ["a", "b"] from a config file
+  const list = Array.isArray(value) ? value : (value || "").split(",");
+  return list.map((v) => `${v}`.trim()).filter(Boolean);
+}
+
 function toCSVCell(s) {
   const v = (s ?? "").toString();
   if (/[",\n]/.test(v)) return `"${v.replace(/"/g, '""')}"`;
   return v;
 }
 
+function githubHeaders(token) {
+  const headers = {
+    Accept: "application/vnd.github+json",
+    "User-Agent": "commit-title-scraper/1.0",
+  };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  return headers;
+}
+
 function checkRateLimit(headers, verbose = false) {
   const remaining = headers.get("x-ratelimit-remaining");
   const reset = headers.get("x-ratelimit-reset");
@@ -856,116 +2173,366 @@ function checkRateLimit(headers, verbose = false) {
   return { remaining: parseInt(remaining), reset };
 }
 
-async function fetchWithRetry(url, options, retries = 3, timeout = 30000) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
+/**
+ * Converts a Retry-After header (seconds or HTTP date) to milliseconds
+ *
+ * @param {string} [value] - Retry-After header value
+ * @returns {number|null} Delay in milliseconds, or null if absent or invalid
+ */
+function retryAfterMs(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
 
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const response = await fetch(url, {
-        ...options,
-        signal: controller.signal,
-      });
-      clearTimeout(timeoutId);
-      return response;
-    } catch (_err) {
-      if (attempt === retries) {
-        clearTimeout(timeoutId);
-        // Provide more specific error messages
-        if (_err.code === "ENOTFOUND") {
-          throw new Error(
-            "Network error: Could not resolve host. Check your internet connection."
-          );
-        } else if (_err.code === "ECONNREFUSED") {
-          throw new Error(
-            "Network error: Connection refused. Check your internet connection."
-          );
-        } else if (_err.name === "AbortError") {
-          throw new Error(`Request timeout after ${timeout}ms`);
-        } else {
-          throw new Error(`Network error: ${_err.message}`);
-        }
-      }
+/**
+ * Detects a rate-limited response and how long to wait before retrying
+ *
+ * Recognizes the primary rate limit (403/429 with x-ratelimit-remaining: 0,
+ * lifted at x-ratelimit-reset) and secondary rate limits (Retry-After, or a
+ * 403/429 whose message mentions them, which GitHub asks to retry after at
+ * least a minute).
+ *
+ * @param {Response} resp - Fetch response
+ * @param {string} [bodyText=""] - Response body, used to recognize secondary limits
+ * @returns {{reason: string, waitMs: number, resetAt: string}|null} Rate limit details, or null
+ *
+ * @example
+ * const limit = detectRateLimit(resp, await resp.text());
+ * if (limit) console.error(`Retry at ${limit.resetAt}`);
+ */
+function detectRateLimit(resp, bodyText = "") {
+  if (resp.status !== 403 && resp.status !== 429) return null;
+
+  const retryAfter = retryAfterMs(resp.headers.get("retry-after"));
+  const remaining = resp.headers.get("x-ratelimit-remaining");
+  const reset = resp.headers.get("x-ratelimit-reset");
+
+  let reason = "secondary rate limit";
+  let waitMs;
+  if (retryAfter !== null) {
+    waitMs = retryAfter;
+  } else if (remaining === "0" && reset) {
+    reason = "rate limit";
+    // One extra second so the request lands after the reset
+    waitMs = parseInt(reset, 10) * 1000 - Date.now() + 1000;
+  } else if (resp.status === 429 || /rate limit/i.test(bodyText)) {
+    waitMs = 60000;
+  } else {
+    return null;
+  }
 
-      if (_err.name === "AbortError") {
-        throw new Error(`Request timeout after ${timeout}ms`);
-      }
+  waitMs = Math.max(waitMs, 0);
+  return {
+    reason,
+    waitMs,
+    resetAt: new Date(Date.now() + waitMs).toISOString(),
+  };
+}
+
+/**
+ * Formats a duration for progress messages, e.g. "12m 05s"
+ *
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Human-readable duration
+ */
+function formatDuration(ms) {
+  const total = Math.ceil(ms / 1000);
+  const minutes = Math.floor(total / 60);
+  const seconds = total % 60;
+  return minutes > 0
+    ? `${minutes}m ${String(seconds).padStart(2, "0")}s`
+    : `${seconds}s`;
+}
 
-      // Wait before retrying (exponential backoff)
-      const delay = Math.min(1000 * Math.pow(2, attempt - 1), 10000);
-      await new Promise((resolve) => setTimeout(resolve, delay));
+/**
+ * Sleeps until a rate limit is lifted, showing a countdown on stderr
+ *
+ * The countdown updates every second on a terminal and once a minute
+ * otherwise (e.g. in CI logs).
+ *
+ * @param {{reason: string, waitMs: number, resetAt: string}} limit - Result of detectRateLimit
+ */
+async function waitForRateLimit({ reason, waitMs, resetAt }) {
+  const until = Date.now() + waitMs;
+  const tty = Boolean(process.stderr.isTTY);
+  const tick = tty ? 1000 : 60000;
+
+  console.error(`GitHub ${reason} reached; waiting until ${resetAt}`);
+  while (Date.now() < until) {
+    const left = until - Date.now();
+    if (tty) {
+      process.stderr.write(`\rResuming in ${formatDuration(left)}   `);
+    } else {
+      console.error(`Resuming in ${formatDuration(left)}`);
     }
+    await new Promise((resolve) => setTimeout(resolve, Math.min(tick, left)));
   }
+  if (tty) process.stderr.write("\n");
 }
 
 /**
- * API and Network Functions
- * ========================
- * Functions for interacting with GitHub API and handling network requests
+ * Builds the error for a rate limit the run does not wait for
+ *
+ * @param {{reason: string, waitMs: number, resetAt: string}} limit - Result of detectRateLimit
+ * @returns {Error} Error whose `rateLimit` property holds the limit details
  */
+function rateLimitError(limit) {
+  const error = new Error(
+    `GitHub ${limit.reason} exceeded (resets at ${limit.resetAt}); use --wait-on-rate-limit to wait for it`
+  );
+  error.rateLimit = limit;
+  return error;
+}
 
 /**
- * Fetches commits from GitHub API with pagination and error handling
- *
- * Makes requests to the GitHub API to fetch commits within a date range.
- * Handles pagination automatically, rate limiting, and provides detailed
- * error messages for common API issues.
+ * Sends a GET request to the GitHub REST API
  *
- * @param {Object} params - Parameters for the API request
- * @param {string} params.owner - GitHub owner (username or organization)
- * @param {string} params.repo - GitHub repository name
- * @param {string} params.branch - Branch name to fetch commits from
- * @param {string} params.startISO - Start date in ISO format
- * @param {string} params.endISO - End date in ISO format
- * @param {string} [params.author] - Filter by commit author
- * @param {string} [params.committer] - Filter by committer
- * @param {string} [params.token] - GitHub authentication token
- * @param {number} [params.max] - Maximum number of commits to fetch
- * @param {boolean} [params.verbose=false] - Enable verbose logging
- * @param {number} [params.retries=3] - Number of retry attempts
- * @param {number} [params.timeout=30000] - Request timeout in milliseconds
- * @returns {Promise<Array>} Array of commit objects from GitHub API
- * @throws {Error} If API request fails or returns an error status
+ * Retries like fetchWithRetry, waits for rate limits when asked to and turns
+ * other failures into errors. 404 responses are returned so callers can word
+ * (or ignore) them.
  *
- * @example
- * const commits = await fetchCommits({
- *   owner: "user",
- *   repo: "repo",
- *   branch: "main",
- *   startISO: "2025-01-01T00:00:00Z",
- *   endISO: "2025-01-31T23:59:59Z",
- *   token: "ghp_xxx",
- *   verbose: true
- * });
+ * @param {string} url - API URL
+ * @param {Object} options - Request options
+ * @param {string} [options.token] - GitHub authentication token
+ * @param {boolean} [options.verbose=false] - Enable verbose logging
+ * @param {number} [options.retries=3] - Number of retry attempts
+ * @param {number} [options.timeout=30000] - Request timeout in milliseconds
+ * @param {boolean} [options.waitOnRateLimit=false] - Wait for rate limits to reset instead of failing
+ * @returns {Promise<Response>} A successful or 404 response
+ * @throws {Error} If the request fails, is unauthorized or is rate limited (see rateLimitError)
  */
-async function fetchCommits({
-  owner,
-  repo,
-  branch,
-  startISO,
-  endISO,
-  author,
+async function githubGet(
+  url,
+  {
+    token,
+    verbose = false,
+    retries = 3,
+    timeout = 30000,
+    waitOnRateLimit = false,
+  }
+) {
+  const resp = await fetchWithRetry(
+    url,
+    { headers: githubHeaders(token) },
+    retries,
+    timeout,
+    verbose
+  );
+  checkRateLimit(resp.headers, verbose);
+  if (resp.ok || resp.status === 404) return resp;
+
+  const bodyText = await resp.text().catch(() => "");
+  const limit = detectRateLimit(resp, bodyText);
+  if (limit && waitOnRateLimit) {
+    await waitForRateLimit(limit);
+    return githubGet(url, { token, verbose, retries, timeout, waitOnRateLimit });
+  }
+  if (limit) throw rateLimitError(limit);
+  if (resp.status === 401) {
+    throw new Error("Authentication failed: check your GitHub token");
+  }
+  throw new Error(
+    `GitHub API error ${resp.status}: ${bodyText || resp.statusText}`
+  );
+}
+
+/**
+ * HTTP statuses worth retrying: transient server errors and 429 Too Many Requests
+ */
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+/**
+ * Longest Retry-After honored by fetchWithRetry; longer waits are left to the
+ * rate limit handling of the caller (see detectRateLimit)
+ */
+const MAX_RETRY_AFTER_MS = 60000;
+
+/**
+ * Returns the backoff delay before the next attempt
+ *
+ * Exponential (1s, 2s, 4s, ... capped at 10s) with "equal jitter": half the
+ * delay is fixed and half is random, so parallel requests do not retry in lockstep.
+ *
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt) {
+  const delay = Math.min(1000 * Math.pow(2, attempt - 1), 10000);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+/**
+ * Fetches a URL, retrying network errors, timeouts and retryable HTTP statuses
+ *
+ * Each attempt gets its own timeout. Between attempts it waits for the
+ * response's Retry-After (when present and at most a minute) or a jittered
+ * exponential backoff. After the last attempt a retryable response is
+ * returned as-is so callers can report it; network errors are thrown.
+ *
+ * @param {string} url - URL to fetch
+ * @param {Object} options - fetch options
+ * @param {number} [retries=3] - Maximum number of attempts
+ * @param {number} [timeout=30000] - Timeout per attempt in milliseconds
+ * @param {boolean} [verbose=false] - Log each retry to stderr
+ * @returns {Promise<Response>} The response
+ * @throws {Error} If every attempt fails with a network error or timeout
+ */
+async function fetchWithRetry(
+  url,
+  options,
+  retries = 3,
+  timeout = 30000,
+  verbose = false
+) {
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    let response;
+    let failure;
+    try {
+      response = await fetch(url, {
+        ...options,
+        signal: controller.signal,
+      });
+    } catch (_err) {
+      failure = _err;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (response && !RETRYABLE_STATUSES.has(response.status)) {
+      return response;
+    }
+
+    let delay = backoffDelay(attempt);
+    if (response) {
+      const retryAfter = retryAfterMs(response.headers.get("retry-after"));
+      // Long waits are rate limits; the caller decides whether to wait for them
+      if (retryAfter !== null && retryAfter > MAX_RETRY_AFTER_MS) {
+        return response;
+      }
+      if (retryAfter !== null) delay = retryAfter;
+    }
+
+    if (attempt === retries) {
+      if (response) return response;
+
+      // Provide more specific error messages
+      if (failure.code === "ENOTFOUND") {
+        throw new Error(
+          "Network error: Could not resolve host. Check your internet connection."
+        );
+      } else if (failure.code === "ECONNREFUSED") {
+        throw new Error(
+          "Network error: Connection refused. Check your internet connection."
+        );
+      } else if (failure.name === "AbortError") {
+        throw new Error(`Request timeout after ${timeout}ms`);
+      } else {
+        throw new Error(`Network error: ${failure.message}`);
+      }
+    }
+
+    if (verbose) {
+      let cause;
+      if (response) {
+        cause = `HTTP ${response.status}${
+          response.statusText ? ` ${response.statusText}` : ""
+        }`;
+      } else if (failure.name === "AbortError") {
+        cause = `a ${timeout}ms timeout`;
+      } else {
+        cause = failure.message;
+      }
+      console.error(
+        `Retry ${attempt}/${retries - 1} for ${url} after ${cause}; waiting ${(
+          delay / 1000
+        ).toFixed(1)}s`
+      );
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+}
+
+/**
+ * API and Network Functions
+ * ========================
+ * Functions for interacting with GitHub API and handling network requests
+ */
+
+/**
+ * Fetches commits from GitHub API with pagination and error handling
+ *
+ * Makes requests to the GitHub API to fetch commits within a date range.
+ * Handles pagination automatically, rate limiting, and provides detailed
+ * error messages for common API issues.
+ *
+ * @param {Object} params - Parameters for the API request
+ * @param {string} params.owner - GitHub owner (username or organization)
+ * @param {string} params.repo - GitHub repository name
+ * @param {string} [params.branch] - Branch name to fetch commits from (default: the repository's default branch)
+ * @param {string} params.startISO - Start date in ISO format
+ * @param {string} params.endISO - End date in ISO format
+ * @param {string} [params.author] - Filter by commit author
+ * @param {string} [params.committer] - Filter by committer
+ * @param {string} [params.token] - GitHub authentication token
+ * @param {number} [params.max] - Maximum number of commits to fetch
+ * @param {boolean} [params.verbose=false] - Enable verbose logging
+ * @param {number} [params.retries=3] - Number of retry attempts
+ * @param {number} [params.timeout=30000] - Request timeout in milliseconds
+ * @param {string} [params.apiUrl="https://api.github.com"] - API base URL (GitHub Enterprise Server: https://HOST/api/v3)
+ * @param {Object} [params.conditional] - Makes the first page a conditional request: `etag` is sent as
+ *   If-None-Match and replaced by the response's ETag; on 304 Not Modified `notModified` is set and [] is returned
+ * @param {boolean} [params.waitOnRateLimit=false] - Sleep until a primary or secondary rate limit is lifted
+ *   and continue, instead of stopping early
+ * @param {Function} [params.onPartial] - Called with { owner, repo, branch, reason, resetAt, fetched } when a
+ *   rate limit stops pagination early; the commits fetched so far are then returned
+ * @returns {Promise<Array>} Array of commit objects from GitHub API
+ * @throws {Error} If API request fails or returns an error status, or a rate limit is hit before any page
+ *
+ * @example
+ * const commits = await fetchCommits({
+ *   owner: "user",
+ *   repo: "repo",
+ *   branch: "main",
+ *   startISO: "2025-01-01T00:00:00Z",
+ *   endISO: "2025-01-31T23:59:59Z",
+ *   token: "ghp_xxx",
+ *   verbose: true
+ * });
+ */
+async function fetchCommits({
+  owner,
+  repo,
+  branch,
+  startISO,
+  endISO,
+  author,
   committer,
   token,
   max,
   verbose = false,
   retries = 3,
   timeout = 30000,
+  apiUrl = DEFAULT_API_URL,
+  conditional,
+  waitOnRateLimit = false,
+  onPartial,
 }) {
   const per_page = 100;
-  let url = new URL(`https://api.github.com/repos/${owner}/${repo}/commits`);
-  url.searchParams.set("sha", branch);
+  let url = new URL(`${apiUrl}/repos/${owner}/${repo}/commits`);
+  if (branch) url.searchParams.set("sha", branch);
   url.searchParams.set("per_page", per_page.toString());
   url.searchParams.set("since", startISO);
   url.searchParams.set("until", endISO);
   if (author) url.searchParams.set("author", author);
   if (committer) url.searchParams.set("committer", committer);
 
-  const headers = {
-    Accept: "application/vnd.github+json",
-    "User-Agent": "commit-title-scraper/1.0",
-  };
-  if (token) headers.Authorization = `Bearer ${token}`;
+  const headers = githubHeaders(token);
 
   const all = [];
   let next = url.toString();
@@ -979,13 +2546,59 @@ async function fetchCommits({
       );
     }
 
-    const resp = await fetchWithRetry(next, { headers }, retries, timeout);
+    const firstPageConditional = conditional && pageCount === 1;
+    const requestHeaders =
+      firstPageConditional && conditional.etag
+        ? { ...headers, "If-None-Match": conditional.etag }
+        : headers;
+    const resp = await fetchWithRetry(
+      next,
+      { headers: requestHeaders },
+      retries,
+      timeout,
+      verbose
+    );
 
     // Check rate limits
-    checkRateLimit(resp.headers, verbose);
+    const rateLimit = checkRateLimit(resp.headers, verbose);
+
+    // Nothing changed since the ETag was issued (does not count against the rate limit)
+    if (firstPageConditional && resp.status === 304) {
+      conditional.notModified = true;
+      if (verbose) console.error("Not modified since last fetch (304)");
+      return [];
+    }
+    if (firstPageConditional) {
+      conditional.etag = resp.headers.get("etag") || null;
+    }
 
     if (!resp.ok) {
       const bodyText = await resp.text().catch(() => "");
+
+      const limit = detectRateLimit(resp, bodyText);
+      if (limit && waitOnRateLimit) {
+        await waitForRateLimit(limit);
+        pageCount--; // Request the same page again
+        continue;
+      }
+      if (limit && all.length > 0) {
+        console.error(
+          `Warning: GitHub ${limit.reason} reached for ${owner}/${repo}; returning the ${all.length} commits fetched so far (resets at ${limit.resetAt})`
+        );
+        if (onPartial) {
+          onPartial({
+            owner,
+            repo,
+            branch: branch || null,
+            reason: limit.reason,
+            resetAt: limit.resetAt,
+            fetched: all.length,
+          });
+        }
+        break;
+      }
+      if (limit) throw rateLimitError(limit);
+
       let errorMsg = `GitHub API error ${resp.status}: ${
         bodyText || resp.statusText
       }`;
@@ -1018,6 +2631,21 @@ async function fetchCommits({
     const links = parseLinkHeader(resp.headers.get("link"));
     next = links.next || null;
 
+    // The next request would be rejected, so wait for the reset up front
+    if (
+      next &&
+      waitOnRateLimit &&
+      rateLimit.remaining === 0 &&
+      rateLimit.reset
+    ) {
+      const resetMs = parseInt(rateLimit.reset, 10) * 1000;
+      await waitForRateLimit({
+        reason: "rate limit",
+        waitMs: Math.max(resetMs - Date.now(), 0) + 1000,
+        resetAt: new Date(resetMs).toISOString(),
+      });
+    }
+
     // Add a small delay to be respectful to GitHub's API
     if (next && !token) {
       await new Promise((resolve) => setTimeout(resolve, 100));
@@ -1032,324 +2660,4628 @@ async function fetchCommits({
 }
 
 /**
- * Output Formatting Functions
- * ==========================
- * Functions for formatting commit data into different output formats
+ * Commit history query for the GraphQL backend
+ *
+ * `object(expression:)` resolves a branch name, or "HEAD" for the default branch.
+ * Each page carries the author, associated pull requests and diff stats so no
+ * per-commit follow-up requests are needed.
  */
+const GRAPHQL_HISTORY_QUERY = `
+query (
+  $owner: String!
+  $repo: String!
+  $expression: String!
+  $since: GitTimestamp
+  $until: GitTimestamp
+  $author: CommitAuthor
+  $first: Int!
+  $cursor: String
+) {
+  repository(owner: $owner, name: $repo) {
+    object(expression: $expression) {
+      ... on Commit {
+        history(
+          first: $first
+          after: $cursor
+          since: $since
+          until: $until
+          author: $author
+        ) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            oid
+            message
+            url
+            committedDate
+            additions
+            deletions
+            changedFilesIfAvailable
+            author {
+              date
+              user {
+                login
+              }
+            }
+            committer {
+              user {
+                login
+              }
+            }
+            associatedPullRequests(first: 5) {
+              nodes {
+                number
+                title
+                url
+                mergedAt
+                labels(first: 20) {
+                  nodes {
+                    name
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}`;
 
 /**
- * Groups commit items by date for organized output
- *
- * Takes an array of commit items and groups them by date (YYYY-MM-DD format).
- * Returns an object with dates as keys and arrays of commits as values,
- * sorted with newest dates first.
+ * Number of commits requested per GraphQL page (smaller than REST because
+ * each node also resolves diff stats and pull requests)
+ */
+const GRAPHQL_PAGE_SIZE = 50;
+
+/**
+ * Sends a query to the GitHub GraphQL API
  *
- * @param {Array} items - Array of commit objects with date property
- * @returns {Object} Object with dates as keys and commit arrays as values
+ * Rate limits are recognized like REST ones (see detectRateLimit), plus the
+ * RATE_LIMITED error GitHub returns with a 200 response when the GraphQL
+ * point budget is used up.
  *
- * @example
- * const grouped = groupByDate(commits);
- * // Returns: { "2025-01-15": [commit1, commit2], "2025-01-14": [commit3] }
+ * @param {string} query - GraphQL query document
+ * @param {Object} variables - Query variables
+ * @param {Object} options - Request options
+ * @param {string} options.token - GitHub authentication token (required by the GraphQL API)
+ * @param {boolean} [options.verbose=false] - Enable verbose logging
+ * @param {number} [options.retries=3] - Number of retry attempts
+ * @param {number} [options.timeout=30000] - Request timeout in milliseconds
+ * @param {string} [options.apiUrl="https://api.github.com"] - REST API base URL; the GraphQL endpoint is derived from it
+ * @param {boolean} [options.waitOnRateLimit=false] - Wait for rate limits to reset instead of failing
+ * @returns {Promise<Object>} The `data` member of the response
+ * @throws {Error} If the request fails, is rate limited (see rateLimitError) or the response
+ *   contains GraphQL errors (kept in the error's `graphqlErrors`)
  */
-function groupByDate(items) {
-  const groups = {};
+async function graphqlRequest(
+  query,
+  variables,
+  {
+    token,
+    verbose = false,
+    retries = 3,
+    timeout = 30000,
+    apiUrl = DEFAULT_API_URL,
+    waitOnRateLimit = false,
+  }
+) {
+  if (!token) {
+    throw new Error(
+      "--api graphql requires a GitHub token (--token, GITHUB_TOKEN or 'gh auth login')"
+    );
+  }
 
-  for (const item of items) {
-    if (!item.title) continue;
+  const resp = await fetchWithRetry(
+    graphqlUrlFor(apiUrl),
+    {
+      method: "POST",
+      headers: {
+        ...githubHeaders(token),
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ query, variables }),
+    },
+    retries,
+    timeout,
+    verbose
+  );
 
-    const date = item.date
-      ? new Date(item.date).toISOString().split("T")[0]
-      : "Unknown";
-    if (!groups[date]) {
-      groups[date] = [];
+  checkRateLimit(resp.headers, verbose);
+
+  let limit = null;
+  let body = null;
+  if (!resp.ok) {
+    const bodyText = await resp.text().catch(() => "");
+    limit = detectRateLimit(resp, bodyText);
+    if (!limit && resp.status === 401) {
+      throw new Error("Authentication failed: check your GitHub token");
+    }
+    if (!limit) {
+      throw new Error(
+        `GitHub GraphQL API error ${resp.status}: ${bodyText || resp.statusText}`
+      );
+    }
+  } else {
+    body = await resp.json();
+    if ((body.errors || []).some((e) => e.type === "RATE_LIMITED")) {
+      const reset = resp.headers.get("x-ratelimit-reset");
+      // One extra second so the request lands after the reset
+      const waitMs = reset
+        ? Math.max(parseInt(reset, 10) * 1000 - Date.now(), 0) + 1000
+        : 60000;
+      limit = {
+        reason: "rate limit",
+        waitMs,
+        resetAt: new Date(Date.now() + waitMs).toISOString(),
+      };
     }
-    groups[date].push(item);
   }
 
-  // Sort dates (newest first)
-  return Object.entries(groups)
-    .sort(([a], [b]) => b.localeCompare(a))
-    .reduce((acc, [date, items]) => {
-      acc[date] = items;
-      return acc;
-    }, {});
-}
+  if (limit && waitOnRateLimit) {
+    await waitForRateLimit(limit);
+    return graphqlRequest(query, variables, {
+      token,
+      verbose,
+      retries,
+      timeout,
+      apiUrl,
+      waitOnRateLimit,
+    });
+  }
+  if (limit) throw rateLimitError(limit);
 
-/**
- * Outputs commit titles as simple text (one per line)
- *
- * @param {Array} items - Array of commit objects with title property
- */
-function _outputText(items) {
-  for (const it of items) {
-    if (it.title) console.log(it.title);
+  if (body.errors && body.errors.length > 0) {
+    const error = new Error(
+      `GitHub GraphQL error: ${body.errors.map((e) => e.message).join("; ")}`
+    );
+    error.graphqlErrors = body.errors;
+    throw error;
   }
+
+  return body.data;
 }
 
 /**
- * Formats commits grouped by date with bullet points
- *
- * Groups commits by date and formats them with date headers and bullet points.
- * Returns a string suitable for display or file output.
+ * Maps a GraphQL commit node to the normalized item shape
  *
- * @param {Array} items - Array of commit objects
- * @returns {string} Formatted string with commits grouped by date
+ * Produces the same fields as normalizeCommit, plus the diff stats and
+ * associated pull requests the GraphQL query already returns.
  *
- * @example
- * const output = outputGrouped(commits);
- * // Returns: "2025-01-15 (2 commits):\n  • feat: add new feature\n  • fix: resolve bug"
+ * @param {Object} node - Commit node from GRAPHQL_HISTORY_QUERY
+ * @param {Object} [options] - Normalization options (see normalizeCommit)
+ * @returns {Object} Normalized item
  */
-function outputGrouped(items) {
-  const grouped = groupByDate(items);
-  const lines = [];
-
-  for (const [date, dateItems] of Object.entries(grouped)) {
-    lines.push(`\n${date} (${dateItems.length} commits):`);
-    for (const it of dateItems) {
-      lines.push(`  • ${it.title}`);
-    }
-  }
-
-  return lines.join("\n");
+function normalizeGraphQLCommit(node, { withBody = false } = {}) {
+  return {
+    sha: node.oid,
+    title: firstLine(node.message || ""),
+    date: node.author?.date || node.committedDate || null,
+    html_url: node.url,
+    author_login: node.author?.user?.login || null,
+    committer_login: node.committer?.user?.login || null,
+    additions: node.additions ?? null,
+    deletions: node.deletions ?? null,
+    changed_files: node.changedFilesIfAvailable ?? null,
+    pull_requests: (node.associatedPullRequests?.nodes || []).map((pr) => ({
+      number: pr.number,
+      title: pr.title,
+      url: pr.url,
+      merged_at: pr.mergedAt || null,
+      labels: (pr.labels?.nodes || []).map((l) => l.name),
+    })),
+    conventional: parseConventionalCommit(node.message),
+    ...(withBody && messageDetails(node.message)),
+  };
 }
 
 /**
- * Formats commits for timesheet entry with date and type categorization
+ * Fetches commits through the GitHub GraphQL API
  *
- * Creates a clean format optimized for copying into daily timesheets.
- * Uses DD/MM/YYYY date format and categorizes commits by type with
- * uppercase labels in brackets.
+ * Accepts the same parameters as fetchCommits but returns normalized items
+ * (see normalizeGraphQLCommit) rather than raw API commits. The author filter
+ * is resolved to a GitHub user id (or treated as an email address when no
+ * such user exists); the committer filter is applied client-side because the
+ * GraphQL history connection does not support it.
  *
- * @param {Array} items - Array of commit objects
- * @returns {string} Formatted string suitable for timesheet entry
+ * @param {Object} params - Same parameters as fetchCommits
+ * @param {boolean} [params.withBody=false] - Keep message bodies and trailers (see messageDetails)
+ * @param {Object} [params.committedDates] - Receives the committer date of each commit by sha
+ * @param {boolean} [params.waitOnRateLimit=false] - Sleep until a rate limit is lifted and continue
+ * @param {Function} [params.onPartial] - Called when a rate limit stops pagination early (see fetchCommits)
+ * @returns {Promise<Array>} Normalized commit items
+ * @throws {Error} If no token is available or the API returns an error
  *
  * @example
- * const output = outputTimesheet(commits);
- * // Returns: "15/01/2025:\n• [FEATURE] feat: add new feature\n• [BUGFIX] fix: resolve bug"
+ * const items = await fetchCommitsGraphQL({ owner: "user", repo: "repo", startISO, endISO, token });
  */
-function outputTimesheet(items) {
-  const grouped = groupByDate(items);
-  const lines = [];
+async function fetchCommitsGraphQL({
+  owner,
+  repo,
+  branch,
+  startISO,
+  endISO,
+  author,
+  committer,
+  token,
+  max,
+  verbose = false,
+  retries = 3,
+  timeout = 30000,
+  apiUrl = DEFAULT_API_URL,
+  withBody = false,
+  committedDates,
+  waitOnRateLimit = false,
+  onPartial,
+}) {
+  const requestOptions = {
+    token,
+    verbose,
+    retries,
+    timeout,
+    apiUrl,
+    waitOnRateLimit,
+  };
 
-  for (const [date, dateItems] of Object.entries(grouped)) {
-    // Format date as DD/MM/YYYY for timesheet
-    const [year, month, day] = date.split("-");
-    const formattedDate = `${day}/${month}/${year}`;
+  let authorFilter = null;
+  if (author) {
+    let user = null;
+    try {
+      ({ user } = await graphqlRequest(
+        "query ($login: String!) { user(login: $login) { id } }",
+        { login: author },
+        requestOptions
+      ));
+    } catch (_err) {
+      // Only an unknown login falls back to matching the author e-mail
+      const errors = _err.graphqlErrors || [];
+      if (!errors.some((e) => e.type === "NOT_FOUND")) throw _err;
+    }
+    authorFilter = user ? { id: user.id } : { emails: [author] };
+  }
 
-    lines.push(`${formattedDate}:`);
-    for (const it of dateItems) {
-      const type = categorizeCommit(it.title);
-      const typePrefix = `[${type.toUpperCase()}]`;
+  const all = [];
+  let cursor = null;
+  let pageCount = 0;
 
-      lines.push(`• ${typePrefix} ${it.title}`);
+  do {
+    pageCount++;
+    if (verbose) {
+      console.error(
+        `Fetching GraphQL page ${pageCount}... (${all.length} commits so far)`
+      );
     }
-    lines.push(""); // Empty line between dates
-  }
 
-  return lines.join("\n");
-}
+    let data;
+    try {
+      data = await graphqlRequest(
+        GRAPHQL_HISTORY_QUERY,
+        {
+          owner,
+          repo,
+          expression: branch || "HEAD",
+          since: startISO,
+          until: endISO,
+          author: authorFilter,
+          first: GRAPHQL_PAGE_SIZE,
+          cursor,
+        },
+        requestOptions
+      );
+    } catch (_err) {
+      // As in fetchCommits, a rate limit after the first page keeps what was fetched
+      const limit = _err.rateLimit;
+      if (!limit || all.length === 0) throw _err;
+      console.error(
+        `Warning: GitHub ${limit.reason} reached for ${owner}/${repo}; returning the ${all.length} commits fetched so far (resets at ${limit.resetAt})`
+      );
+      if (onPartial) {
+        onPartial({
+          owner,
+          repo,
+          branch: branch || null,
+          reason: limit.reason,
+          resetAt: limit.resetAt,
+          fetched: all.length,
+        });
+      }
+      break;
+    }
 
-/**
+    if (!data.repository) {
+      throw new Error(
+        `Repository not found: ${owner}/${repo} (check owner and repo names)`
+      );
+    }
+    if (!data.repository.object) {
+      throw new Error(
+        `Branch not found: ${branch || "default branch"} in ${owner}/${repo}`
+      );
+    }
+
+    const history = data.repository.object.history;
+    if (committedDates) {
+      for (const node of history.nodes) {
+        committedDates[node.oid] = node.committedDate || null;
+      }
+    }
+    all.push(
+      ...history.nodes.map((node) => normalizeGraphQLCommit(node, { withBody }))
+    );
+    cursor = history.pageInfo.hasNextPage ? history.pageInfo.endCursor : null;
+
+    if (max && all.length >= max) {
+      if (verbose) {
+        console.error(`Reached max limit of ${max} commits`);
+      }
+      break;
+    }
+  } while (cursor);
+
+  if (verbose) {
+    console.error(`Fetched ${all.length} commits from ${pageCount} pages`);
+  }
+
+  let items = all;
+  if (committer) {
+    const login = committer.toLowerCase();
+    items = all.filter(
+      (it) => (it.committer_login || "").toLowerCase() === login
+    );
+  }
+  return max ? items.slice(0, max) : items;
+}
+
+/**
+ * Extracts a GitHub login from a GitHub noreply email address
+ *
+ * @param {string} email - Commit author or committer email
+ * @returns {string|null} The login, or null for other addresses
+ *
+ * @example
+ * loginFromEmail("12345+octocat@users.noreply.github.com") // Returns "octocat"
+ * loginFromEmail("octocat@example.com") // Returns null
+ */
+function loginFromEmail(email) {
+  const match = (email || "").match(
+    /^(?:\d+\+)?([^@]+)@users\.noreply\.github\.com$/i
+  );
+  return match ? match[1] : null;
+}
+
+/**
+ * Reads commits from the local git repository with `git log`
+ *
+ * Uses the same range and filters as fetchCommits and returns normalized
+ * items, so it works offline and does not use any API rate limit. Local
+ * history has no GitHub logins, so author_login/committer_login come from
+ * GitHub noreply emails when possible and fall back to the git name; the
+ * author and committer filters are passed to git and match names or emails.
+ * html_url is built from owner/repo (and apiUrl's web host) when they are known.
+ * With `withStats`, a second `git log --numstat` adds additions, deletions
+ * and changed_files to every item (binary files count as changed files only).
+ * With `from`, the commits reachable from `to` (default: branch) but not from
+ * `from` are read instead of the date range.
+ *
+ * @param {Object} params - Same parameters as fetchCommits (token and retry options are ignored)
+ * @param {string} [params.cwd] - Repository directory (default: current working directory)
+ * @param {string} [params.from] - Tag, SHA or branch the range starts after (see resolveRefRange)
+ * @param {string} [params.to] - Tag, SHA or branch the range ends at
+ * @param {boolean} [params.withStats=false] - Add diff stats to every item
+ * @param {boolean} [params.withBody=false] - Keep message bodies and trailers (see messageDetails)
+ * @returns {Promise<Array>} Normalized commit items
+ * @throws {Error} If git fails, e.g. outside a repository or for an unknown branch
+ *
+ * @example
+ * const items = await fetchLocalCommits({ owner: "user", repo: "repo", branch: "main", startISO, endISO });
+ */
+async function fetchLocalCommits({
+  owner,
+  repo,
+  branch,
+  startISO,
+  endISO,
+  author,
+  committer,
+  max,
+  verbose = false,
+  cwd = process.cwd(),
+  apiUrl = DEFAULT_API_URL,
+  withStats = false,
+  withBody = false,
+  from,
+  to,
+}) {
+  const { execFileSync } = require("child_process");
+
+  // A ref range ("from..to") replaces the date range
+  const revision = from
+    ? `${from}..${to || branch || "HEAD"}`
+    : branch || "HEAD";
+  const filterArgs = from ? [] : [`--since=${startISO}`, `--until=${endISO}`];
+  if (author) filterArgs.push(`--author=${author}`);
+  if (committer) filterArgs.push(`--committer=${committer}`);
+  if (max) filterArgs.push(`--max-count=${max}`);
+
+  const gitLog = (formatArgs) => {
+    // --end-of-options keeps a revision starting with "-" from being read as an option
+    const gitArgs = [
+      "log",
+      ...filterArgs,
+      ...formatArgs,
+      "--end-of-options",
+      revision,
+      "--",
+    ];
+    if (verbose) {
+      console.error(`Reading local history: git ${gitArgs.join(" ")}`);
+    }
+    try {
+      return execFileSync("git", gitArgs, {
+        cwd,
+        encoding: "utf8",
+        stdio: "pipe",
+        maxBuffer: 256 * 1024 * 1024,
+      });
+    } catch (_err) {
+      const stderr = (_err.stderr || "").toString().trim();
+      throw new Error(`git log failed: ${stderr || _err.message}`);
+    }
+  };
+
+  // Fields are separated by \x1f and records start with \x1e
+  const output = gitLog([
+    "--format=%x1e%H%x1f%aI%x1f%an%x1f%ae%x1f%cn%x1f%ce%x1f%B",
+  ]);
+
+  const baseUrl =
+    owner && repo ? `${webUrlFor(apiUrl)}/${owner}/${repo}/commit/` : null;
+
+  const items = output
+    .split("\x1e")
+    .filter((record) => record.trim() !== "")
+    .map((record) => {
+      const [
+        sha,
+        date,
+        authorName,
+        authorEmail,
+        committerName,
+        committerEmail,
+        message,
+      ] = record.split("\x1f");
+      return {
+        sha,
+        title: firstLine(message || ""),
+        // Same UTC "YYYY-MM-DDTHH:mm:ssZ" form the GitHub API returns
+        date: date
+          ? new Date(date).toISOString().replace(/\.\d{3}Z$/, "Z")
+          : null,
+        html_url: baseUrl ? `${baseUrl}${sha}` : null,
+        author_login: loginFromEmail(authorEmail) || authorName || null,
+        committer_login:
+          loginFromEmail(committerEmail) || committerName || null,
+        conventional: parseConventionalCommit((message || "").trim()),
+        ...(withBody && messageDetails((message || "").trim())),
+      };
+    });
+
+  if (verbose) {
+    console.error(`Read ${items.length} commits from local git history`);
+  }
+
+  if (!withStats) return items;
+
+  const diffStats = parseNumstat(gitLog(["--format=%x1e%H", "--numstat"]));
+  return items.map((it) => ({
+    ...it,
+    ...(diffStats.get(it.sha) || {
+      additions: 0,
+      deletions: 0,
+      changed_files: 0,
+    }),
+  }));
+}
+
+/**
+ * Parses `git log --format=%x1e%H --numstat` output into diff stats per commit
+ *
+ * @param {string} output - git log output, one \x1e-prefixed record per commit
+ * @returns {Map<string, Object>} sha -> { additions, deletions, changed_files }
+ */
+function parseNumstat(output) {
+  const stats = new Map();
+  for (const record of output.split("\x1e")) {
+    const [sha, ...fileLines] = record.split("\n");
+    if (!sha.trim()) continue;
+
+    const entry = { additions: 0, deletions: 0, changed_files: 0 };
+    for (const line of fileLines) {
+      const [added, deleted] = line.split("\t");
+      if (deleted === undefined) continue;
+      // Binary files are listed as "-\t-\tpath"
+      entry.additions += parseInt(added) || 0;
+      entry.deletions += parseInt(deleted) || 0;
+      entry.changed_files++;
+    }
+    stats.set(sha.trim(), entry);
+  }
+  return stats;
+}
+
+/**
+ * Ref Ranges
+ * ==========
+ * Commits between two tags, SHAs or branches instead of two dates
+ */
+
+/**
+ * Validates a git ref given to --from or --to
+ *
+ * @param {string} ref - Tag, commit SHA or branch name
+ * @param {string} name - The parameter name for error messages
+ * @returns {string} The trimmed ref
+ * @throws {Error} If the ref is empty or could be read as a range or option
+ *
+ * @example
+ * validateRef("v1.0.7", "from") // Returns "v1.0.7"
+ * validateRef("v1..v2", "from") // Throws Error
+ */
+function validateRef(ref, name) {
+  if (!ref || typeof ref !== "string" || ref.trim() === "") {
+    throw new Error(`--${name} must be a tag, commit SHA or branch name`);
+  }
+  const trimmed = ref.trim();
+  // "a..b" would be a range of its own and "-x" an option to git
+  if (/\s|\.\./.test(trimmed) || trimmed.startsWith("-")) {
+    throw new Error(`--${name} is not a valid git ref: ${trimmed}`);
+  }
+  return trimmed;
+}
+
+/**
+ * Tag query for findLastTag, newest tagged commit first
+ */
+const GRAPHQL_TAGS_QUERY = `
+query ($owner: String!, $repo: String!, $cursor: String) {
+  repository(owner: $owner, name: $repo) {
+    refs(
+      refPrefix: "refs/tags/"
+      first: 100
+      after: $cursor
+      orderBy: { field: TAG_COMMIT_DATE, direction: DESC }
+    ) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      nodes {
+        name
+      }
+    }
+  }
+}`;
+
+/**
+ * Compares two tag names by semantic version, highest first
+ *
+ * A leading "v" is ignored and pre-releases sort below their release. Tags
+ * that are not versions sort after all versions and keep their order.
+ *
+ * @param {string} a - Tag name
+ * @param {string} b - Tag name
+ * @returns {number} Negative if a is the higher version, positive if b is
+ *
+ * @example
+ * ["v1.2.0", "v1.10.0", "v2.0.0-rc1"].sort(compareTagVersions)
+ * // Returns: ["v2.0.0-rc1", "v1.10.0", "v1.2.0"]
+ */
+function compareTagVersions(a, b) {
+  const parse = (name) => {
+    const match = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(-[0-9A-Za-z.-]+)?$/.exec(name);
+    return match
+      ? { parts: match.slice(1, 4).map((n) => parseInt(n || "0", 10)), pre: match[4] }
+      : null;
+  };
+  const va = parse(a);
+  const vb = parse(b);
+  if (!va || !vb) return (va ? 0 : 1) - (vb ? 0 : 1);
+
+  for (let i = 0; i < 3; i++) {
+    if (va.parts[i] !== vb.parts[i]) return vb.parts[i] - va.parts[i];
+  }
+  if (!va.pre || !vb.pre) return (va.pre ? 1 : 0) - (vb.pre ? 1 : 0);
+  return vb.pre.localeCompare(va.pre, undefined, { numeric: true });
+}
+
+/**
+ * Lists a GitHub repository's tags, most recent first
+ *
+ * With a token, GraphQL orders the tags by the date of the tagged commit.
+ * Without one, every page of /tags is read and sorted by compareTagVersions,
+ * since the REST API lists tags in no useful order.
+ *
+ * @param {Object} params - findLastTag parameters
+ * @returns {Promise<string[]>} Tag names
+ * @throws {Error} If the repository does not exist
+ */
+async function listTagsByRecency({ owner, repo, apiUrl, ...requestOptions }) {
+  const notFound = () =>
+    new Error(
+      `Repository not found: ${owner}/${repo} (check owner and repo names)`
+    );
+
+  const names = [];
+  if (requestOptions.token) {
+    let cursor = null;
+    do {
+      const data = await graphqlRequest(
+        GRAPHQL_TAGS_QUERY,
+        { owner, repo, cursor },
+        { ...requestOptions, apiUrl }
+      );
+      if (!data.repository) throw notFound();
+      const { nodes, pageInfo } = data.repository.refs;
+      names.push(...nodes.map((node) => node.name));
+      cursor = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+    } while (cursor);
+    return names;
+  }
+
+  let next = `${apiUrl}/repos/${owner}/${repo}/tags?per_page=100`;
+  while (next) {
+    const resp = await githubGet(next, requestOptions);
+    if (resp.status === 404) throw notFound();
+    names.push(...(await resp.json()).map((tag) => tag.name));
+    next = parseLinkHeader(resp.headers.get("link")).next || null;
+  }
+  return names.sort(compareTagVersions);
+}
+
+/**
+ * Finds the most recent tag in the history of a ref
+ *
+ * Local repositories use `git describe --tags --abbrev=0`. On GitHub the
+ * repository's tags are compared with the ref, most recent first (see
+ * listTagsByRecency), and the first one it contains is returned.
+ *
+ * @param {Object} params - Lookup parameters
+ * @param {string} params.ref - Tag, SHA or branch whose history is searched
+ * @param {string} [params.source="github"] - "github" or "local"
+ * @param {string} [params.cwd] - Repository directory for the local source
+ * @param {string} [params.owner] - GitHub owner
+ * @param {string} [params.repo] - GitHub repository name
+ * @param {string} [params.apiUrl] - API base URL
+ * @param {string} [params.token] - GitHub token; enables ordering tags by commit date
+ * @returns {Promise<string>} The tag name
+ * @throws {Error} If the history of ref contains no tag
+ */
+async function findLastTag({
+  ref,
+  source = "github",
+  cwd = process.cwd(),
+  owner,
+  repo,
+  apiUrl = DEFAULT_API_URL,
+  verbose = false,
+  ...requestOptions
+}) {
+  const notFound = () =>
+    new Error(`--since-last-tag found no tag in the history of ${ref}`);
+
+  if (source === "local") {
+    const { execFileSync } = require("child_process");
+    try {
+      // --end-of-options keeps a ref starting with "-" from being read as an option
+      return execFileSync(
+        "git",
+        ["describe", "--tags", "--abbrev=0", "--end-of-options", ref],
+        { cwd, encoding: "utf8", stdio: "pipe" }
+      ).trim();
+    } catch {
+      throw notFound();
+    }
+  }
+
+  const options = { ...requestOptions, verbose };
+  const tags = await listTagsByRecency({ ...options, owner, repo, apiUrl });
+  const base = `${apiUrl}/repos/${owner}/${repo}`;
+  for (const tag of tags) {
+    const compare = await githubGet(
+      `${base}/compare/${tag}...${ref}?per_page=1`,
+      options
+    );
+    if (compare.status === 404) continue;
+    // "ahead": ref has commits after the tag; "identical": ref is the tag
+    const { status } = await compare.json();
+    if (status === "ahead" || status === "identical") {
+      if (verbose) console.error(`Last tag before ${ref}: ${tag}`);
+      return tag;
+    }
+  }
+  throw notFound();
+}
+
+/**
+ * Resolves --from, --to and --since-last-tag into the refs to compare
+ *
+ * `to` defaults to the branch (or HEAD) and `sinceLastTag` looks up `from`
+ * with findLastTag.
+ *
+ * @param {Object} params - findLastTag parameters plus from, to, sinceLastTag and branch
+ * @returns {Promise<{from: string, to: string}|null>} The range, or null when
+ *   none of the options is set (the date range is used instead)
+ * @throws {Error} If the options conflict, a ref is invalid or no tag is found
+ *
+ * @example
+ * await resolveRefRange({ from: "v1.0.7", to: "v1.0.8" })
+ * // Returns: { from: "v1.0.7", to: "v1.0.8" }
+ */
+async function resolveRefRange({ from, to, sinceLastTag, branch, ...lookup }) {
+  if (!from && !to && !sinceLastTag) return null;
+  if (from && sinceLastTag) {
+    throw new Error("--from cannot be combined with --since-last-tag");
+  }
+
+  const head = to
+    ? validateRef(to, "to")
+    : validateRef(branch || "HEAD", "branch");
+  if (sinceLastTag) {
+    return { from: await findLastTag({ ...lookup, ref: head }), to: head };
+  }
+  if (!from) {
+    throw new Error("--to needs --from or --since-last-tag");
+  }
+  return { from: validateRef(from, "from"), to: head };
+}
+
+/**
+ * Fetches the commits between two refs with the GitHub compare API
+ *
+ * Returns commits reachable from `to` but not from `from`, newest first like
+ * fetchCommits. The compare API has no author or committer filter, so those
+ * are matched here against the GitHub login, git email or git name.
+ *
+ * @param {Object} params - fetchCommits parameters plus `from` and `to`
+ *   (`to` defaults to branch); the date range is ignored
+ * @returns {Promise<Array>} Commit objects from GitHub API
+ * @throws {Error} If the repository or one of the refs does not exist
+ *
+ * @example
+ * const commits = await fetchCommitRange({ owner: "user", repo: "repo", from: "v1.0.7", to: "v1.0.8", token });
+ */
+async function fetchCommitRange({
+  owner,
+  repo,
+  branch,
+  from,
+  to,
+  author,
+  committer,
+  token,
+  max,
+  verbose = false,
+  retries = 3,
+  timeout = 30000,
+  apiUrl = DEFAULT_API_URL,
+  waitOnRateLimit = false,
+}) {
+  const requestOptions = { token, verbose, retries, timeout, waitOnRateLimit };
+  const head = to || branch || "HEAD";
+  const url = new URL(
+    `${apiUrl}/repos/${owner}/${repo}/compare/${from}...${head}`
+  );
+  url.searchParams.set("per_page", "100");
+
+  // Pages list the range oldest first
+  const all = [];
+  let next = url.toString();
+  while (next) {
+    if (verbose) {
+      console.error(`Comparing ${from}...${head} (${all.length} commits so far)`);
+    }
+    const resp = await githubGet(next, requestOptions);
+    if (resp.status === 404) {
+      throw new Error(
+        `Not found: ${owner}/${repo} ${from}...${head} (check the repository, --from and --to)`
+      );
+    }
+    all.push(...((await resp.json()).commits || []));
+    next = parseLinkHeader(resp.headers.get("link")).next || null;
+  }
+
+  const matches = (value, user, person) => {
+    const needle = value.toLowerCase();
+    return [user?.login, person?.email, person?.name].some(
+      (candidate) => (candidate || "").toLowerCase() === needle
+    );
+  };
+  const commits = all
+    .reverse()
+    .filter((c) => !author || matches(author, c.author, c.commit?.author))
+    .filter(
+      (c) => !committer || matches(committer, c.committer, c.commit?.committer)
+    );
+
+  if (verbose) {
+    console.error(`Found ${commits.length} commits in ${from}...${head}`);
+  }
+  return max ? commits.slice(0, max) : commits;
+}
+
+/**
+ * Derives the date range covered by items fetched for a ref range
+ *
+ * Formatters and report headers expect a start and end date; for a ref range
+ * these are the dates of its oldest and newest commit.
+ *
+ * @param {Array} items - Normalized items
+ * @returns {{startISO: string, endISO: string}} The ISO range (now when no item has a date)
+ */
+function itemDateRange(items) {
+  const dates = items
+    .map((it) => it.date)
+    .filter(Boolean)
+    .map((date) => new Date(date).toISOString())
+    .sort();
+  const now = new Date().toISOString();
+  return {
+    startISO: dates[0] || now,
+    endISO: dates[dates.length - 1] || now,
+  };
+}
+
+/**
+ * Commit sources accepted by --source
+ */
+const COMMIT_SOURCES = ["github", "local"];
+
+/**
+ * Validates the --source name
+ *
+ * @param {string} [source] - Source name (default: "github")
+ * @returns {string} The lower-cased source name
+ * @throws {Error} If the source is unknown
+ */
+function validateSource(source) {
+  const name = (source || "github").toString().trim().toLowerCase();
+  if (!COMMIT_SOURCES.includes(name)) {
+    throw new Error(`--source must be one of: ${COMMIT_SOURCES.join(", ")}`);
+  }
+  return name;
+}
+
+/**
+ * API backends accepted by --api
+ */
+const API_BACKENDS = ["rest", "graphql"];
+
+/**
+ * Validates the --api backend name
+ *
+ * @param {string} [api] - Backend name (default: "rest")
+ * @returns {string} The lower-cased backend name
+ * @throws {Error} If the backend is unknown
+ */
+function validateApi(api) {
+  const name = (api || "rest").toString().trim().toLowerCase();
+  if (!API_BACKENDS.includes(name)) {
+    throw new Error(`--api must be one of: ${API_BACKENDS.join(", ")}`);
+  }
+  return name;
+}
+
+/**
+ * Fetches one repository's commits through the selected backend
+ *
+ * Dispatches to fetchLocalCommits (local git), fetchCommitsGraphQL or
+ * fetchCommits (REST) and always returns normalized items. GitHub results go
+ * through the on-disk cache when `cacheDir` is set (see fetchCommitsCached).
+ * With `mode: "prs"` merged pull requests replace the commits that came
+ * through them (see fetchPullRequestItems). With `from`, the commits between
+ * the `from` and `to` refs are fetched instead of the date range (see
+ * fetchCommitRange; always REST and uncached).
+ *
+ * @param {Object} params - fetchCommits parameters plus `source` ("github" or
+ *   "local"), `api` ("rest" or "graphql"), `mode` ("commits" or "prs"),
+ *   optional `cacheDir`, `withBody` (keep message bodies and trailers) and
+ *   `from`/`to` (a ref range from resolveRefRange)
+ * @returns {Promise<Array>} Normalized commit items
+ */
+async function fetchNormalizedCommits({
+  source = "github",
+  api = "rest",
+  mode = "commits",
+  cacheDir,
+  ...params
+}) {
+  if (mode === "prs") {
+    return fetchPullRequestItems({ ...params, source, api, cacheDir });
+  }
+  if (source === "local") {
+    return fetchLocalCommits(params);
+  }
+  // Ref ranges come from the compare API and are not cached
+  if (params.from) {
+    return (await fetchCommitRange(params)).map((commit) =>
+      normalizeCommit(commit, { withBody: params.withBody })
+    );
+  }
+  // A --max result is a truncated view of the range, so it is never cached
+  if (cacheDir && !params.max) {
+    return fetchCommitsCached({ ...params, api, cacheDir });
+  }
+  if (api === "graphql") {
+    return fetchCommitsGraphQL(params);
+  }
+  return (await fetchCommits(params)).map((commit) =>
+    normalizeCommit(commit, { withBody: params.withBody })
+  );
+}
+
+/**
+ * Cache Functions
+ * ===============
+ * On-disk cache of normalized commits with incremental refresh
+ */
+
+/**
+ * Format version of cache files; entries with another version are ignored
+ * (2: items carry `conventional`; 3: entries keep the committer dates)
+ */
+const CACHE_VERSION = 3;
+
+/**
+ * Cache file names: hex digest of the cache key
+ */
+const CACHE_FILE_PATTERN = /^[0-9a-f]{40}\.json$/;
+
+/**
+ * Returns the default cache directory
+ *
+ * Uses $XDG_CACHE_HOME/github-commit-titles, or ~/.cache/github-commit-titles.
+ *
+ * @returns {string} Absolute cache directory path
+ */
+function defaultCacheDir() {
+  const base =
+    process.env.XDG_CACHE_HOME || join(require("os").homedir(), ".cache");
+  return join(base, "github-commit-titles");
+}
+
+/**
+ * Builds the cache key for one repository branch and set of filters
+ *
+ * Commits are cached per host, owner/repo and branch. The author/committer
+ * filters, the API backend and withBody change which commits and fields come
+ * back, so they are part of the key too.
+ *
+ * @param {Object} params - fetchCommits parameters plus `api` and `withBody`
+ * @returns {string} Cache key, e.g. "github.com/user/repo@main?api=rest&author=&committer="
+ */
+function cacheKey({
+  apiUrl = DEFAULT_API_URL,
+  api = "rest",
+  owner,
+  repo,
+  branch,
+  author,
+  committer,
+  withBody,
+}) {
+  return `${webHostFor(apiUrl)}/${owner}/${repo}@${branch || "HEAD"}?api=${api}&author=${
+    author || ""
+  }&committer=${committer || ""}${withBody ? "&body=1" : ""}`;
+}
+
+/**
+ * Returns the cache file path for a cache key
+ *
+ * @param {string} cacheDir - Cache directory
+ * @param {string} key - Cache key from cacheKey
+ * @returns {string} Path of the JSON cache file
+ */
+function cacheFilePath(cacheDir, key) {
+  const digest = require("crypto").createHash("sha1").update(key).digest("hex");
+  return join(cacheDir, `${digest}.json`);
+}
+
+/**
+ * Reads a cache entry, ignoring missing, unreadable or outdated files
+ *
+ * @param {string} file - Cache file path
+ * @param {string} key - Expected cache key
+ * @param {boolean} [verbose=false] - Log why an entry was ignored
+ * @returns {Object|null} Cache entry ({ version, key, start, end, etag, items, committed }) or null
+ */
+function readCache(file, key, verbose = false) {
+  if (!existsSync(file)) return null;
+
+  try {
+    const entry = JSON.parse(readFileSync(file, "utf8"));
+    if (
+      entry.version !== CACHE_VERSION ||
+      entry.key !== key ||
+      !Array.isArray(entry.items)
+    ) {
+      if (verbose) console.error(`Ignoring outdated cache file ${file}`);
+      return null;
+    }
+    return entry;
+  } catch (err) {
+    if (verbose) {
+      console.error(`Ignoring unreadable cache file ${file}: ${err.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Writes a cache entry atomically (temporary file + rename)
+ *
+ * Failing to write the cache never fails the run; the error is only logged
+ * in verbose mode.
+ *
+ * @param {string} file - Cache file path
+ * @param {Object} entry - Cache entry
+ * @param {boolean} [verbose=false] - Log write failures
+ */
+function writeCache(file, entry, verbose = false) {
+  try {
+    mkdirSync(dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    writeFileSync(tmp, JSON.stringify(entry), "utf8");
+    renameSync(tmp, file);
+  } catch (err) {
+    if (verbose) console.error(`Could not write cache: ${err.message}`);
+  }
+}
+
+/**
+ * Removes every cache file from a cache directory
+ *
+ * Only files named like cache entries are removed, so pointing --cache-dir at
+ * the wrong directory does not delete anything else.
+ *
+ * @param {string} [cacheDir] - Cache directory (default: defaultCacheDir())
+ * @returns {number} Number of cache entries removed
+ *
+ * @example
+ * clearCache() // Returns 3
+ */
+function clearCache(cacheDir = defaultCacheDir()) {
+  if (!existsSync(cacheDir)) return 0;
+
+  let removed = 0;
+  for (const name of readdirSync(cacheDir)) {
+    if (CACHE_FILE_PATTERN.test(name)) {
+      unlinkSync(join(cacheDir, name));
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Fetches normalized commits through the on-disk cache
+ *
+ * Each cache entry holds the normalized commits of one repository branch
+ * together with the time range it fully covers. Ranges are in committer
+ * dates, as GitHub's since/until select commits by committer date, so the
+ * entry keeps each commit's committer date next to the items (which carry
+ * the author date): a rebased or cherry-picked commit with an older author
+ * date is still found and still reported. Only the parts of the
+ * requested range outside that coverage are fetched: older history before
+ * the covered start, and new commits since the newest cached commit. The
+ * latter uses an ETag conditional request with the REST backend, so an
+ * unchanged branch costs a 304 that does not count against the rate limit.
+ * A range that does not overlap the cached one replaces the entry.
+ *
+ * Coverage never extends past the time of the fetch, so ranges ending today
+ * keep picking up new commits on later runs. Results cut short by a rate
+ * limit are returned but not cached.
+ *
+ * @param {Object} params - fetchCommits parameters plus `api` ("rest" or "graphql")
+ * @param {string} params.cacheDir - Cache directory
+ * @returns {Promise<Array>} Normalized commit items in the requested range, newest first
+ */
+async function fetchCommitsCached({ cacheDir, api = "rest", ...params }) {
+  const { startISO, endISO, verbose = false } = params;
+
+  // Rate-limited (partial) results must not be recorded as covering the range
+  let partial = false;
+  const onPartial = (info) => {
+    partial = true;
+    if (params.onPartial) params.onPartial(info);
+  };
+
+  const committed = {};
+  const fetchRange = async (since, until, conditional) => {
+    const range = { ...params, startISO: since, endISO: until, onPartial };
+    if (api === "graphql") {
+      return fetchCommitsGraphQL({ ...range, committedDates: committed });
+    }
+    return (await fetchCommits({ ...range, conditional })).map((commit) => {
+      committed[commit.sha] =
+        commit?.commit?.committer?.date || commit?.commit?.author?.date || null;
+      return normalizeCommit(commit, { withBody: params.withBody });
+    });
+  };
+
+  const key = cacheKey({ ...params, api });
+  const file = cacheFilePath(cacheDir, key);
+  const start = Date.parse(startISO);
+  const end = Date.parse(endISO);
+  const covered = new Date(Math.min(end, Date.now())).toISOString();
+
+  let entry = readCache(file, key, verbose);
+  if (
+    entry &&
+    (end < Date.parse(entry.start) || start > Date.parse(entry.end))
+  ) {
+    if (verbose) console.error("Cached range does not overlap, refetching");
+    entry = null;
+  }
+
+  if (!entry) {
+    if (verbose) console.error(`No cached commits for ${key}`);
+    entry = {
+      version: CACHE_VERSION,
+      key,
+      start: startISO,
+      end: covered,
+      etag: null,
+      items: await fetchRange(startISO, endISO),
+    };
+  } else {
+    const fetched = [];
+
+    if (start < Date.parse(entry.start)) {
+      if (verbose) {
+        console.error(`Fetching older commits before ${entry.start}`);
+      }
+      fetched.push(...(await fetchRange(startISO, entry.start)));
+      entry.start = startISO;
+    }
+
+    if (end > Date.parse(entry.end)) {
+      const newest = entry.items.reduce((max, item) => {
+        const date = entry.committed?.[item.sha] || item.date;
+        return date && date > max ? date : max;
+      }, entry.start);
+      if (verbose) console.error(`Fetching new commits since ${newest}`);
+      const conditional = { etag: entry.etag };
+      fetched.push(...(await fetchRange(newest, endISO, conditional)));
+      if (!conditional.notModified) entry.etag = conditional.etag || null;
+      entry.end = covered;
+    } else if (fetched.length === 0 && verbose) {
+      console.error(`Using cached commits for ${key}`);
+    }
+
+    // Freshly fetched commits replace cached copies with the same sha
+    const bySha = new Map(entry.items.map((item) => [item.sha, item]));
+    for (const item of fetched) bySha.set(item.sha, item);
+    entry.items = [...bySha.values()];
+  }
+
+  entry.committed = { ...entry.committed, ...committed };
+  entry.items.sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0));
+  if (!partial) writeCache(file, entry, verbose);
+
+  return entry.items.filter((item) => {
+    const time = Date.parse(entry.committed[item.sha] || item.date);
+    return time >= start && time <= end;
+  });
+}
+
+/**
+ * Pull Request Functions
+ * ======================
+ * Merged pull requests for the `--mode prs` report
+ */
+
+/**
+ * Report modes accepted by --mode
+ */
+const REPORT_MODES = ["commits", "prs"];
+
+/**
+ * Validates the --mode name
+ *
+ * @param {string} [mode] - Mode name (default: "commits")
+ * @returns {string} The lower-cased mode name
+ * @throws {Error} If the mode is unknown
+ */
+function validateMode(mode) {
+  const name = (mode || "commits").toString().trim().toLowerCase();
+  if (!REPORT_MODES.includes(name)) {
+    throw new Error(`--mode must be one of: ${REPORT_MODES.join(", ")}`);
+  }
+  return name;
+}
+
+/**
+ * Extracts the issues a pull request closes from its description
+ *
+ * Recognizes GitHub's closing keywords (close, fix, resolve and their
+ * variants) followed by "#123", "owner/repo#123" or an issue URL.
+ *
+ * @param {string} [body] - Pull request description
+ * @returns {string[]} Issue references such as "#12" or "org/other#3", without duplicates
+ *
+ * @example
+ * parseLinkedIssues("Fixes #12 and resolves org/api#3") // Returns ["#12", "org/api#3"]
+ */
+function parseLinkedIssues(body) {
+  if (!body) return [];
+
+  const pattern =
+    /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?):?\s+(?:https?:\/\/[^/\s]+\/([\w.-]+\/[\w.-]+)\/issues\/|([\w.-]+\/[\w.-]+)?#)(\d+)/gi;
+  const issues = [];
+  for (const match of body.matchAll(pattern)) {
+    const reference = `${match[1] || match[2] || ""}#${match[3]}`;
+    if (!issues.includes(reference)) issues.push(reference);
+  }
+  return issues;
+}
+
+/**
+ * Maps a pull request from the REST API to the normalized item shape
+ *
+ * PR items carry the same fields as commit items, so every formatter accepts
+ * them: the title, merge time as `date`, the PR page as `html_url`, the PR
+ * author as `author_login` and the merge commit as `sha`. They add
+ * `kind: "pr"`, `number`, `labels`, `merged_at` and `linked_issues`. With
+ * withBody, the PR description is the body and its trailers are parsed.
+ *
+ * @param {Object} pr - Pull request object from GitHub API
+ * @param {Object} [options] - Normalization options (see normalizeCommit)
+ * @returns {Object} Normalized pull request item
+ */
+function normalizePullRequest(pr, { withBody = false } = {}) {
+  return {
+    sha: pr.merge_commit_sha || null,
+    title: pr.title,
+    date: pr.merged_at,
+    html_url: pr.html_url,
+    author_login: pr.user?.login || null,
+    committer_login: pr.merged_by?.login || null,
+    kind: "pr",
+    number: pr.number,
+    labels: (pr.labels || []).map((l) => l.name),
+    merged_at: pr.merged_at,
+    linked_issues: parseLinkedIssues(pr.body),
+    conventional: parseConventionalCommit(`${pr.title}\n\n${pr.body || ""}`),
+    ...(withBody && {
+      ...messageDetails(`${pr.title}\n\n${pr.body || ""}`),
+      body: (pr.body || "").trim(),
+    }),
+  };
+}
+
+/**
+ * Fetches the pull requests merged into a branch within a date range
+ *
+ * Pages through closed pull requests, most recently updated first, and stops
+ * once a page only holds pull requests last updated before the range (a
+ * pull request is always updated when it is merged). Without a branch, the
+ * repository's default branch is looked up first.
+ *
+ * @param {Object} params - Same parameters as fetchCommits; `author` matches the
+ *   pull request author and `committer` is ignored
+ * @returns {Promise<Array>} Pull request objects from GitHub API, newest merge first
+ * @throws {Error} If the repository does not exist or the API fails
+ *
+ * @example
+ * const prs = await fetchPullRequests({ owner: "user", repo: "repo", branch: "main", startISO, endISO, token });
+ */
+async function fetchPullRequests({
+  owner,
+  repo,
+  branch,
+  startISO,
+  endISO,
+  author,
+  token,
+  max,
+  verbose = false,
+  retries = 3,
+  timeout = 30000,
+  apiUrl = DEFAULT_API_URL,
+  waitOnRateLimit = false,
+}) {
+  const requestOptions = { token, verbose, retries, timeout, waitOnRateLimit };
+  const request = async (url) => {
+    const resp = await githubGet(url, requestOptions);
+    if (resp.status === 404) {
+      throw new Error(
+        `Repository not found: ${owner}/${repo} (check owner and repo names)`
+      );
+    }
+    return resp;
+  };
+
+  let base = branch;
+  if (!base) {
+    const resp = await request(`${apiUrl}/repos/${owner}/${repo}`);
+    base = (await resp.json()).default_branch;
+  }
+
+  const url = new URL(`${apiUrl}/repos/${owner}/${repo}/pulls`);
+  url.searchParams.set("state", "closed");
+  url.searchParams.set("base", base);
+  url.searchParams.set("sort", "updated");
+  url.searchParams.set("direction", "desc");
+  url.searchParams.set("per_page", "100");
+
+  const start = Date.parse(startISO);
+  const end = Date.parse(endISO);
+  const login = author ? author.toLowerCase() : null;
+  const merged = new Map(); // Keyed by number: pages can shift while paging
+  let next = url.toString();
+  let pageCount = 0;
+
+  while (next) {
+    pageCount++;
+    if (verbose) {
+      console.error(
+        `Fetching pull requests page ${pageCount}... (${merged.size} merged so far)`
+      );
+    }
+
+    const resp = await request(next);
+    const page = await resp.json();
+
+    for (const pr of page) {
+      const mergedAt = Date.parse(pr.merged_at);
+      if (!pr.merged_at || mergedAt < start || mergedAt > end) continue;
+      if (login && (pr.user?.login || "").toLowerCase() !== login) continue;
+      merged.set(pr.number, pr);
+    }
+
+    const oldest = page[page.length - 1];
+    if (!oldest || Date.parse(oldest.updated_at) < start) break;
+    if (max && merged.size >= max) break;
+    next = parseLinkHeader(resp.headers.get("link")).next || null;
+  }
+
+  const prs = [...merged.values()].sort((a, b) =>
+    b.merged_at.localeCompare(a.merged_at)
+  );
+  if (verbose) {
+    console.error(`Found ${prs.length} merged pull requests into ${base}`);
+  }
+  return max ? prs.slice(0, max) : prs;
+}
+
+/**
+ * Combines pull request items with the commits that did not come through them
+ *
+ * A commit is dropped when it is the merge commit of one of the pull requests
+ * (squash merges, merge commits, the last commit of a rebase), when its title
+ * references one of them, as in "Add login (#123)" or "Merge pull request #123",
+ * or when its `pull_requests` (see enrichWithPullRequests) include one of them,
+ * which covers the other commits of merged and rebased branches. Everything
+ * else was pushed directly and is kept.
+ *
+ * @param {Array} prItems - Items from normalizePullRequest
+ * @param {Array} commitItems - Normalized commit items for the same range
+ * @returns {Array} Pull request items and remaining commits, newest first
+ */
+function mergePullRequestItems(prItems, commitItems) {
+  const shas = new Set(prItems.map((pr) => pr.sha).filter(Boolean));
+  const numbers = new Set(prItems.map((pr) => pr.number));
+  const referencedPR = (title) => {
+    const match =
+      /\(#(\d+)\)\s*$/.exec(title || "") ||
+      /^Merge pull request #(\d+)/.exec(title || "");
+    return match ? numbers.has(Number(match[1])) : false;
+  };
+  const associatedPR = (it) =>
+    (it.pull_requests || []).some((pr) => numbers.has(pr.number));
+
+  const direct = commitItems.filter(
+    (it) => !shas.has(it.sha) && !referencedPR(it.title) && !associatedPR(it)
+  );
+
+  return [...prItems, ...direct].sort((a, b) =>
+    (b.date || "").localeCompare(a.date || "")
+  );
+}
+
+/**
+ * Fetches one repository's merged pull requests plus its direct commits
+ *
+ * Commits of rebased branches get new SHAs and keep their plain titles, so the
+ * pull requests of every commit not already matched are looked up with
+ * enrichWithPullRequests before merging: one request per commit on the REST
+ * backend (GraphQL items already carry their pull requests).
+ *
+ * @param {Object} params - fetchNormalizedCommits parameters
+ * @returns {Promise<Array>} Items from mergePullRequestItems
+ */
+async function fetchPullRequestItems(params) {
+  const [prs, commits] = await Promise.all([
+    fetchPullRequests(params),
+    fetchNormalizedCommits(params),
+  ]);
+  const prItems = prs.map((pr) =>
+    normalizePullRequest(pr, { withBody: params.withBody })
+  );
+  const unmatched = mergePullRequestItems(prItems, commits).filter(
+    (it) => it.kind !== "pr"
+  );
+  // One request per commit counts against the rate limit, so say so even
+  // without --verbose (enrichWithPullRequests logs it with --verbose)
+  const lookups = unmatched.filter((it) => !Array.isArray(it.pull_requests));
+  if (lookups.length > 0 && !params.verbose) {
+    console.error(
+      `Checking the pull requests of ${lookups.length} commits in ${params.owner}/${params.repo} (one API request each)`
+    );
+  }
+  return mergePullRequestItems(
+    prItems,
+    await enrichWithPullRequests(unmatched, params)
+  );
+}
+
+/**
+ * Maximum number of per-commit API lookups in flight at the same time
+ */
+const LOOKUP_CONCURRENCY = 8;
+
+/**
+ * Maps a pull request from the REST API to the `pull_requests` entry shape
+ * shared with the GraphQL backend (see normalizeGraphQLCommit)
+ *
+ * @param {Object} pr - Pull request object from GitHub API
+ * @returns {{number: number, title: string, url: string, merged_at: string|null, labels: string[]}} Pull request summary
+ */
+function summarizePullRequest(pr) {
+  return {
+    number: pr.number,
+    title: pr.title,
+    url: pr.html_url,
+    merged_at: pr.merged_at || null,
+    labels: (pr.labels || []).map((l) => l.name),
+  };
+}
+
+/**
+ * Attaches the pull requests each commit belongs to (--with-prs)
+ *
+ * Looks up `/repos/{owner}/{repo}/commits/{sha}/pulls` for every commit, a
+ * few at a time, and sets `pull_requests` on the item. Items that already
+ * have pull requests (GraphQL backend) and pull request items (--mode prs)
+ * are left alone. Commits GitHub does not know get an empty list.
+ *
+ * @param {Array} items - Normalized commit items
+ * @param {Object} options - Request options
+ * @param {string} [options.owner] - Repository owner for items without `repository`
+ * @param {string} [options.repo] - Repository name for items without `repository`
+ * @param {string} [options.token] - GitHub authentication token
+ * @param {boolean} [options.verbose=false] - Enable verbose logging
+ * @param {number} [options.retries=3] - Number of retry attempts
+ * @param {number} [options.timeout=30000] - Request timeout in milliseconds
+ * @param {string} [options.apiUrl="https://api.github.com"] - API base URL
+ * @param {boolean} [options.waitOnRateLimit=false] - Wait for rate limits to reset instead of failing
+ * @returns {Promise<Array>} New items with `pull_requests`, in the same order
+ *
+ * @example
+ * const enriched = await enrichWithPullRequests(items, { owner: "user", repo: "repo", token });
+ */
+async function enrichWithPullRequests(
+  items,
+  { owner, repo, apiUrl = DEFAULT_API_URL, verbose = false, ...requestOptions }
+) {
+  const pending = items.filter(
+    (it) => it.kind !== "pr" && !Array.isArray(it.pull_requests)
+  ).length;
+  if (verbose && pending > 0) {
+    console.error(`Looking up pull requests for ${pending} commits...`);
+  }
+
+  return mapWithConcurrency(items, LOOKUP_CONCURRENCY, async (it) => {
+    if (it.kind === "pr" || Array.isArray(it.pull_requests)) return it;
+
+    const repository = it.repository || `${owner}/${repo}`;
+    const resp = await githubGet(
+      `${apiUrl}/repos/${repository}/commits/${it.sha}/pulls`,
+      { ...requestOptions, verbose }
+    );
+    const prs = resp.status === 404 ? [] : await resp.json();
+    return { ...it, pull_requests: prs.map(summarizePullRequest) };
+  });
+}
+
+/**
+ * Whether an item already carries diff stats (GraphQL, local --with-stats or cache)
+ *
+ * @param {Object} item - Normalized item
+ * @returns {boolean} True when additions is a number
+ */
+function hasDiffStats(item) {
+  return typeof item.additions === "number";
+}
+
+/**
+ * Adds additions, deletions and changed_files to every item (--with-stats)
+ *
+ * Commits are looked up with `/repos/{owner}/{repo}/commits/{sha}` and pull
+ * request items (--mode prs) with `/repos/{owner}/{repo}/pulls/{number}`, a
+ * few at a time. The REST API lists at most 300 files per commit, so
+ * changed_files is capped there. Items that already have stats (GraphQL
+ * backend, local source) are left alone, and items GitHub does not know stay
+ * without stats.
+ *
+ * Stats of a commit or merged pull request never change, so with a cacheDir
+ * they are kept in one cache file per repository and only looked up once.
+ *
+ * @param {Array} items - Normalized items
+ * @param {Object} options - Request options (same as enrichWithPullRequests)
+ * @param {string} [options.cacheDir] - Cache directory for looked up stats (default: no cache)
+ * @returns {Promise<Array>} New items with diff stats, in the same order
+ *
+ * @example
+ * const enriched = await enrichWithStats(items, { owner: "user", repo: "repo", token, cacheDir });
+ */
+async function enrichWithStats(
+  items,
+  {
+    owner,
+    repo,
+    apiUrl = DEFAULT_API_URL,
+    cacheDir,
+    verbose = false,
+    ...requestOptions
+  }
+) {
+  const pending = items.filter((it) => !hasDiffStats(it));
+  if (pending.length === 0) return items;
+
+  // Cached stats per repository, keyed by sha or "#<number>" for pull requests
+  const stores = new Map();
+  const repositoryOf = (it) => it.repository || `${owner}/${repo}`;
+  const statsId = (it) => (it.kind === "pr" ? `#${it.number}` : it.sha);
+  for (const repository of new Set(pending.map(repositoryOf))) {
+    const key = `${webHostFor(apiUrl)}/${repository}#stats`;
+    const file = cacheDir ? cacheFilePath(cacheDir, key) : null;
+    const entry = file ? readCache(file, key, verbose) : null;
+    stores.set(repository, {
+      key,
+      file,
+      stats: new Map((entry?.items || []).map(({ id, ...s }) => [id, s])),
+      changed: false,
+    });
+  }
+
+  const missing = pending.filter(
+    (it) => !stores.get(repositoryOf(it)).stats.has(statsId(it))
+  ).length;
+  if (verbose && missing > 0) {
+    console.error(`Looking up diff stats for ${missing} commits...`);
+  }
+
+  const enriched = await mapWithConcurrency(
+    items,
+    LOOKUP_CONCURRENCY,
+    async (it) => {
+      if (hasDiffStats(it)) return it;
+
+      const repository = repositoryOf(it);
+      const store = stores.get(repository);
+      const id = statsId(it);
+      if (!store.stats.has(id)) {
+        const url =
+          it.kind === "pr"
+            ? `${apiUrl}/repos/${repository}/pulls/${it.number}`
+            : `${apiUrl}/repos/${repository}/commits/${it.sha}`;
+        const resp = await githubGet(url, { ...requestOptions, verbose });
+        if (resp.status === 404) return it;
+
+        const data = await resp.json();
+        store.stats.set(
+          id,
+          it.kind === "pr"
+            ? {
+              additions: data.additions || 0,
+              deletions: data.deletions || 0,
+              changed_files: data.changed_files || 0,
+            }
+            : {
+              additions: data.stats?.additions || 0,
+              deletions: data.stats?.deletions || 0,
+              changed_files: (data.files || []).length,
+            }
+        );
+        store.changed = true;
+      }
+      return { ...it, ...store.stats.get(id) };
+    }
+  );
+
+  for (const store of stores.values()) {
+    if (!store.file || !store.changed) continue;
+    writeCache(
+      store.file,
+      {
+        version: CACHE_VERSION,
+        key: store.key,
+        items: [...store.stats].map(([id, s]) => ({ id, ...s })),
+      },
+      verbose
+    );
+  }
+
+  return enriched;
+}
+
+/**
+ * Lists every repository owned by an organization or user
+ *
+ * Tries the organization endpoint first and falls back to the user endpoint
+ * when the name is not an organization. Handles pagination automatically.
+ *
+ * @param {Object} params - Parameters for the API request
+ * @param {string} params.org - Organization or user name
+ * @param {string} [params.token] - GitHub authentication token
+ * @param {boolean} [params.verbose=false] - Enable verbose logging
+ * @param {number} [params.retries=3] - Number of retry attempts
+ * @param {number} [params.timeout=30000] - Request timeout in milliseconds
+ * @param {string} [params.apiUrl="https://api.github.com"] - API base URL
+ * @param {boolean} [params.waitOnRateLimit=false] - Wait for rate limits to reset instead of failing
+ * @returns {Promise<Array>} Array of repository objects from GitHub API
+ * @throws {Error} If neither an organization nor a user with that name exists, or the API fails
+ *
+ * @example
+ * const repos = await listRepositories({ org: "my-org", token: "ghp_xxx" });
+ */
+async function listRepositories({
+  org,
+  token,
+  verbose = false,
+  retries = 3,
+  timeout = 30000,
+  apiUrl = DEFAULT_API_URL,
+  waitOnRateLimit = false,
+}) {
+  const requestOptions = { token, verbose, retries, timeout, waitOnRateLimit };
+  const endpoints = [
+    `${apiUrl}/orgs/${org}/repos?type=all&per_page=100`,
+    `${apiUrl}/users/${org}/repos?type=owner&per_page=100`,
+  ];
+
+  for (const endpoint of endpoints) {
+    const all = [];
+    let next = endpoint;
+    let notFound = false;
+
+    while (next) {
+      if (verbose) {
+        console.error(
+          `Listing repositories for ${org}... (${all.length} so far)`
+        );
+      }
+
+      const resp = await githubGet(next, requestOptions);
+      if (resp.status === 404) {
+        notFound = true;
+        break;
+      }
+
+      all.push(...(await resp.json()));
+      next = parseLinkHeader(resp.headers.get("link")).next || null;
+    }
+
+    if (!notFound) {
+      if (verbose) {
+        console.error(`Found ${all.length} repositories for ${org}`);
+      }
+      return all;
+    }
+  }
+
+  throw new Error(`Organization or user not found: ${org}`);
+}
+
+/**
+ * Converts comma-separated glob patterns ("api-*,web") into a name matcher
+ *
+ * Only `*` (any characters) and `?` (one character) are special; matching is
+ * case-insensitive and anchored to the whole name.
+ *
+ * @param {string|Array} patterns - Glob patterns
+ * @returns {Function|null} Predicate taking a name, or null if no patterns were given
+ */
+function globMatcher(patterns) {
+  const list = splitList(patterns);
+  if (list.length === 0) return null;
+
+  const regexes = list.map(
+    (p) =>
+      new RegExp(
+        `^${p
+          .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+          .replace(/\*/g, ".*")
+          .replace(/\?/g, ".")}$`,
+        "i"
+      )
+  );
+  return (name) => regexes.some((rx) => rx.test(name));
+}
+
+/**
+ * Filters an organization's repositories for org-wide runs
+ *
+ * Archived repositories and forks are skipped unless explicitly included.
+ *
+ * @param {Array} repos - Repository objects from listRepositories
+ * @param {Object} [filters] - Filters to apply
+ * @param {string|Array} [filters.includeRepos] - Only keep names matching these globs
+ * @param {string|Array} [filters.excludeRepos] - Drop names matching these globs
+ * @param {boolean} [filters.includeArchived=false] - Keep archived repositories
+ * @param {boolean} [filters.includeForks=false] - Keep forks
+ * @param {string|Array} [filters.topics] - Only keep repositories with at least one of these topics
+ * @returns {Array} The filtered repository objects
+ *
+ * @example
+ * filterRepositories(repos, { includeRepos: "api-*", topics: "backend" });
+ */
+function filterRepositories(
+  repos,
+  {
+    includeRepos,
+    excludeRepos,
+    includeArchived = false,
+    includeForks = false,
+    topics,
+  } = {}
+) {
+  const include = globMatcher(includeRepos);
+  const exclude = globMatcher(excludeRepos);
+  const wantedTopics = splitList(topics).map((t) => t.toLowerCase());
+
+  return repos.filter((r) => {
+    if (r.archived && !includeArchived) return false;
+    if (r.fork && !includeForks) return false;
+    if (include && !include(r.name)) return false;
+    if (exclude && exclude(r.name)) return false;
+    if (
+      wantedTopics.length > 0 &&
+      !(r.topics || []).some((t) => wantedTopics.includes(t.toLowerCase()))
+    ) {
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Commit Processing Functions
+ * ===========================
+ * Functions that turn raw API commits into the normalized items used by every formatter
+ */
+
+/**
+ * Maps a raw GitHub API commit down to the fields the formatters use
+ *
+ * @param {Object} commit - Commit object as returned by the GitHub commits API
+ * @param {Object} [options] - Normalization options
+ * @param {boolean} [options.withBody=false] - Also keep the message body and trailers (see messageDetails)
+ * @returns {Object} Normalized item with sha, title, date, html_url, author_login, committer_login
+ *   and conventional (see parseConventionalCommit)
+ *
+ * @example
+ * normalizeCommit(apiCommit)
+ * // Returns: { sha: "abc123", title: "feat: add feature", date: "2025-01-15T10:00:00Z", ... }
+ */
+function normalizeCommit(commit, { withBody = false } = {}) {
+  const message = commit?.commit?.message || "";
+  return {
+    sha: commit.sha,
+    title: firstLine(message),
+    date: commit?.commit?.author?.date || commit?.commit?.committer?.date || null,
+    html_url: commit?.html_url,
+    author_login: commit?.author?.login || null,
+    committer_login: commit?.committer?.login || null,
+    conventional: parseConventionalCommit(message),
+    ...(withBody && messageDetails(message)),
+  };
+}
+
+/**
+ * Trailers shown as their own CSV columns, by column name
+ */
+const CSV_TRAILER_COLUMNS = {
+  signed_off_by: "Signed-off-by",
+  reviewed_by: "Reviewed-by",
+  refs: "Refs",
+  fixes: "Fixes",
+};
+
+/**
+ * Parses the git trailers at the end of a commit message
+ *
+ * Trailers are the "Key: value" lines of the last paragraph, as written by
+ * `git commit --trailer` or `git interpret-trailers` (Co-authored-by,
+ * Signed-off-by, Reviewed-by, Refs, Fixes, ...). The paragraph only counts
+ * when every line is a trailer; indented lines continue the previous value.
+ * "Refs #12" style footers are accepted too. Keys are normalized to git's
+ * spelling ("co-authored-by" -> "Co-authored-by").
+ *
+ * @param {string} message - Full commit message
+ * @returns {Object<string, string[]>} Trailer values by key, in message order
+ *
+ * @example
+ * parseTrailers("Add login\n\nSigned-off-by: Jane <jane@example.com>")
+ * // Returns { "Signed-off-by": ["Jane <jane@example.com>"] }
+ */
+function parseTrailers(message) {
+  const paragraphs = (message || "").trim().split(/\n\s*\n/);
+  if (paragraphs.length < 2) return {};
+
+  const entries = [];
+  for (const line of paragraphs[paragraphs.length - 1].split("\n")) {
+    if (/^\s/.test(line) && entries.length > 0) {
+      entries[entries.length - 1][1] += ` ${line.trim()}`;
+      continue;
+    }
+    const match = line.match(
+      /^([A-Za-z][\w-]*|BREAKING CHANGE)(?::\s*|\s+(?=#))(\S.*)$/
+    );
+    if (!match) return {};
+    entries.push([match[1], match[2].trim()]);
+  }
+
+  const trailers = {};
+  for (const [rawKey, value] of entries) {
+    const key =
+      rawKey === "BREAKING CHANGE"
+        ? rawKey
+        : rawKey.charAt(0).toUpperCase() + rawKey.slice(1).toLowerCase();
+    if (!trailers[key]) trailers[key] = [];
+    trailers[key].push(value);
+  }
+  return trailers;
+}
+
+/**
+ * Extracts the message body, trailers and co-authors of a commit message
+ *
+ * Co-authors come from Co-authored-by trailers: the GitHub login when the
+ * address is a GitHub noreply email, otherwise the name.
+ *
+ * @param {string} message - Full commit message
+ * @returns {{body: string, trailers: Object<string, string[]>, co_authors: string[]}} Message details
+ *
+ * @example
+ * messageDetails("Pair on login\n\nCo-authored-by: Jane <1+jane@users.noreply.github.com>")
+ * // Returns { body: "Co-authored-by: ...", trailers: { ... }, co_authors: ["jane"] }
+ */
+function messageDetails(message) {
+  const trailers = parseTrailers(message);
+  const coAuthors = (trailers["Co-authored-by"] || []).map((value) => {
+    const match = value.match(/^(.*?)\s*<([^>]*)>/);
+    return match ? loginFromEmail(match[2]) || match[1] || match[2] : value;
+  });
+
+  return {
+    body: (message || "").split("\n").slice(1).join("\n").trim(),
+    trailers,
+    co_authors: [...new Set(coAuthors.filter(Boolean))],
+  };
+}
+
+/**
+ * Parses a --trailer filter
+ *
+ * @param {string} spec - "Key" (the trailer is present) or "Key=value" (a value contains value)
+ * @returns {{key: string, value: string|null}|null} Filter with a normalized key, or null without spec
+ * @throws {Error} If the key is not a valid trailer key
+ *
+ * @example
+ * parseTrailerFilter("reviewed-by=alice") // Returns { key: "Reviewed-by", value: "alice" }
+ */
+function parseTrailerFilter(spec) {
+  if (!spec) return null;
+
+  const [rawKey, ...rest] = `${spec}`.split("=");
+  const key = rawKey.trim();
+  if (!/^[A-Za-z][\w-]*$/.test(key)) {
+    throw new Error(
+      `--trailer must be a trailer key or key=value, e.g. Reviewed-by=alice (got "${spec}")`
+    );
+  }
+  const value = rest.join("=").trim();
+  return {
+    key: key.charAt(0).toUpperCase() + key.slice(1).toLowerCase(),
+    value: value || null,
+  };
+}
+
+/**
+ * Applies the merge/exclude/include title filters to normalized items
+ *
+ * @param {Array} items - Normalized commit items
+ * @param {Object} [filters] - Filters to apply
+ * @param {boolean} [filters.excludeMerges] - Drop commits whose title starts with "Merge"
+ * @param {RegExp} [filters.excludePattern] - Drop commits whose title matches
+ * @param {RegExp} [filters.includePattern] - Keep only commits whose title matches
+ * @param {Object} [filters.trailer] - Keep only commits with this trailer (see parseTrailerFilter);
+ *   items need `trailers` (withBody)
+ * @param {boolean} [filters.verbose=false] - Log how many commits each filter removed
+ * @returns {Array} The filtered items
+ */
+function filterItems(
+  items,
+  {
+    excludeMerges,
+    excludePattern,
+    includePattern,
+    trailer,
+    verbose = false,
+  } = {}
+) {
+  let result = items;
+
+  if (excludeMerges) {
+    const beforeCount = result.length;
+    result = result.filter((i) => !/^merge\b/i.test(i.title));
+    if (verbose && beforeCount !== result.length) {
+      console.error(`Excluded ${beforeCount - result.length} merge commits`);
+    }
+  }
+
+  if (excludePattern) {
+    const beforeCount = result.length;
+    result = result.filter((i) => !excludePattern.test(i.title));
+    if (verbose && beforeCount !== result.length) {
+      console.error(
+        `Excluded ${
+          beforeCount - result.length
+        } commits matching exclude pattern`
+      );
+    }
+  }
+
+  if (includePattern) {
+    const beforeCount = result.length;
+    result = result.filter((i) => includePattern.test(i.title));
+    if (verbose && beforeCount !== result.length) {
+      console.error(
+        `Included ${result.length} commits matching include pattern`
+      );
+    }
+  }
+
+  if (trailer) {
+    const beforeCount = result.length;
+    result = result.filter((i) => {
+      const values = i.trailers?.[trailer.key] || [];
+      return trailer.value
+        ? values.some((v) =>
+          v.toLowerCase().includes(trailer.value.toLowerCase())
+        )
+        : values.length > 0;
+    });
+    if (verbose && beforeCount !== result.length) {
+      console.error(
+        `Included ${result.length} commits with a ${trailer.key} trailer`
+      );
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Resolves the repositories to report on for an organization-wide run
+ *
+ * Lists the organization's (or user's) repositories, applies the name, archive,
+ * fork and topic filters, and targets each repository's default branch.
+ *
+ * @param {string} org - Organization or user name
+ * @param {Object} filters - Filters for filterRepositories
+ * @param {Object} options - Request options for listRepositories (token, verbose, retries, timeout, apiUrl, waitOnRateLimit)
+ * @returns {Promise<Array<{owner: string, repo: string, branch: string|null}>>} Targets for fetchRepositories
+ * @throws {Error} If no repositories match the filters
+ */
+async function listOrgTargets(org, filters, options) {
+  const repos = filterRepositories(
+    await listRepositories({ ...options, org }),
+    filters
+  );
+  if (repos.length === 0) {
+    throw new Error(`No repositories in ${org} match the given filters`);
+  }
+
+  return repos.map((r) => ({
+    owner: r.owner?.login || org,
+    repo: r.name,
+    branch: r.default_branch || null,
+  }));
+}
+
+/**
+ * Maximum number of repositories fetched at the same time in multi-repository runs
+ */
+const REPO_CONCURRENCY = 4;
+
+/**
+ * Maps over items with an async function, running at most `limit` at a time
+ *
+ * Results are returned in the same order as the input.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called as fn(item, index)
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from(
+    { length: Math.min(limit, items.length) },
+    worker
+  );
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Fetches commits from several repositories concurrently
+ *
+ * Each repository is fetched with fetchNormalizedCommits using the shared options, and
+ * every normalized item is tagged with a `repository` ("owner/repo") property.
+ * The merged list is sorted newest first. A repository whose first page is
+ * rate limited is reported through `options.onPartial` with `fetched: 0`
+ * rather than failing the run, so the other repositories' commits are kept.
+ *
+ * @param {Array<{owner: string, repo: string, branch: string|null}>} targets - Repositories from parseRepoList
+ * @param {Object} options - Options passed to fetchNormalizedCommits (api, startISO, endISO, token, ...)
+ * @returns {Promise<Array>} Normalized items from all repositories
+ * @throws {Error} If any repository fails other than by a rate limit, prefixed with the repository name
+ *
+ * @example
+ * const items = await fetchRepositories(parseRepoList("user/api,user/web"), { startISO, endISO, token });
+ */
+async function fetchRepositories(targets, options) {
+  const perRepo = await mapWithConcurrency(
+    targets,
+    REPO_CONCURRENCY,
+    async ({ owner, repo, branch }) => {
+      const repository = `${owner}/${repo}`;
+      try {
+        const items = await fetchNormalizedCommits({
+          ...options,
+          owner,
+          repo,
+          branch,
+        });
+        return items.map((it) => ({ ...it, repository }));
+      } catch (_err) {
+        const limit = _err.rateLimit;
+        if (!limit) throw new Error(`${repository}: ${_err.message}`);
+
+        console.error(
+          `Warning: GitHub ${limit.reason} reached for ${repository} before any commits were fetched (resets at ${limit.resetAt})`
+        );
+        if (options.onPartial) {
+          options.onPartial({
+            owner,
+            repo,
+            branch: branch || null,
+            reason: limit.reason,
+            resetAt: limit.resetAt,
+            fetched: 0,
+          });
+        }
+        return [];
+      }
+    }
+  );
+
+  return perRepo
+    .flat()
+    .sort((a, b) => (b.date || "").localeCompare(a.date || ""));
+}
+
+/**
+ * Output Formatting Functions
+ * ==========================
+ * Functions for formatting commit data into different output formats
+ */
+
+/**
+ * Groups commit items by date for organized output
+ *
+ * Takes an array of commit items and groups them by date (YYYY-MM-DD format).
+ * Returns an object with dates as keys and arrays of commits as values,
+ * sorted with newest dates first.
+ *
+ * @param {Array} items - Array of commit objects with date property
+ * @param {string} [timezone] - IANA time zone for the days (default: UTC)
+ * @returns {Object} Object with dates as keys and commit arrays as values
+ *
+ * @example
+ * const grouped = groupByDate(commits);
+ * // Returns: { "2025-01-15": [commit1, commit2], "2025-01-14": [commit3] }
+ */
+function groupByDate(items, timezone) {
+  const groups = {};
+
+  for (const item of items) {
+    if (!item.title) continue;
+
+    const date = item.date ? dayKey(item.date, timezone) : "Unknown";
+    if (!groups[date]) {
+      groups[date] = [];
+    }
+    groups[date].push(item);
+  }
+
+  // Sort dates (newest first)
+  return Object.entries(groups)
+    .sort(([a], [b]) => b.localeCompare(a))
+    .reduce((acc, [date, items]) => {
+      acc[date] = items;
+      return acc;
+    }, {});
+}
+
+/**
+ * Returns the title to display for an item
+ *
+ * Pull request items (--mode prs) get their number appended, e.g. "Add login (#123)".
+ *
+ * @param {Object} it - Normalized item
+ * @returns {string} Display title
+ */
+function displayTitle(it) {
+  return it.kind === "pr" ? `${it.title} (#${it.number})` : it.title;
+}
+
+/**
+ * Groupings accepted by --group-by for the grouped and timesheet formats
+ */
+const GROUP_BY_OPTIONS = ["date", "scope"];
+
+/**
+ * Validates the --group-by name
+ *
+ * @param {string} [groupBy] - Grouping name (default: "date")
+ * @returns {string} The lower-cased grouping name
+ * @throws {Error} If the grouping is unknown
+ */
+function validateGroupBy(groupBy) {
+  const name = (groupBy || "date").toString().trim().toLowerCase();
+  if (!GROUP_BY_OPTIONS.includes(name)) {
+    throw new Error(`--group-by must be one of: ${GROUP_BY_OPTIONS.join(", ")}`);
+  }
+  return name;
+}
+
+/**
+ * Groups items by Conventional Commits scope
+ *
+ * Scopes are sorted by name; items without a scope come last under "(no scope)".
+ *
+ * @param {Array} items - Array of normalized items
+ * @returns {Object} Object with scopes as keys and item arrays as values
+ *
+ * @example
+ * groupByScope(commits) // Returns { api: [commit1], ui: [commit2], "(no scope)": [commit3] }
+ */
+function groupByScope(items) {
+  const groups = {};
+  const unscoped = [];
+
+  for (const item of items) {
+    if (!item.title) continue;
+
+    const scope = conventionalOf(item)?.scope;
+    if (!scope) {
+      unscoped.push(item);
+      continue;
+    }
+    if (!groups[scope]) {
+      groups[scope] = [];
+    }
+    groups[scope].push(item);
+  }
+
+  const sorted = Object.fromEntries(
+    Object.entries(groups).sort(([a], [b]) => a.localeCompare(b))
+  );
+  if (unscoped.length > 0) sorted["(no scope)"] = unscoped;
+  return sorted;
+}
+
+/**
+ * Returns the marker shown before breaking changes in text reports
+ *
+ * @param {Object} it - Normalized item
+ * @returns {string} "[BREAKING] " for breaking changes, otherwise ""
+ */
+function breakingMarker(it) {
+  return conventionalOf(it)?.breaking ? "[BREAKING] " : "";
+}
+
+/**
+ * Checks whether items include pull requests (--mode prs)
+ *
+ * @param {Array} items - Array of normalized items
+ * @returns {boolean} True if any item is a pull request
+ */
+function hasPullRequests(items) {
+  return items.some((it) => it.kind === "pr");
+}
+
+/**
+ * Checks whether items come from a multi-repository run
+ *
+ * @param {Array} items - Array of commit objects
+ * @returns {boolean} True if any item is tagged with a repository
+ */
+function hasRepositories(items) {
+  return items.some((it) => it.repository);
+}
+
+/**
+ * Groups commit items by their `repository` tag, sorted by repository name
+ *
+ * @param {Array} items - Array of commit objects with repository property
+ * @returns {Object} Object with "owner/repo" keys and commit arrays as values
+ *
+ * @example
+ * const byRepo = groupByRepository(commits);
+ * // Returns: { "user/api": [commit1], "user/web": [commit2, commit3] }
+ */
+function groupByRepository(items) {
+  const groups = {};
+
+  for (const item of items) {
+    const repository = item.repository || "Unknown";
+    if (!groups[repository]) {
+      groups[repository] = [];
+    }
+    groups[repository].push(item);
+  }
+
+  return Object.fromEntries(
+    Object.entries(groups).sort(([a], [b]) => a.localeCompare(b))
+  );
+}
+
+/**
+ * Formats a repository target as "owner/repo" or "owner/repo (branch)"
+ *
+ * @param {Object} target - Repository with owner, repo and optional branch
+ * @returns {string} Display label
+ */
+function repositoryLabel({ owner, repo, branch }) {
+  // Local history may have no GitHub remote to take owner/repo from
+  const name = [owner, repo].filter(Boolean).join("/") || "local repository";
+  return branch ? `${name} (${branch})` : name;
+}
+
+/**
+ * Describes why a run's results are incomplete, for report headers
+ *
+ * @param {Object} args - Run metadata; args.partial lists repositories cut short by rate limits
+ * @returns {string|null} Notice text, or null when the results are complete
+ */
+function describePartial(args) {
+  if (!args.partial || args.partial.length === 0) return null;
+
+  const details = args.partial
+    .map(
+      (p) =>
+        `${p.owner}/${p.repo} after ${p.fetched} commits (resets at ${p.resetAt})`
+    )
+    .join(", ");
+  return `Partial results: GitHub rate limit reached for ${details}. Re-run with --wait-on-rate-limit for complete data.`;
+}
+
+/**
+ * Builds the report title and metadata label for the repositories in a run
+ *
+ * @param {Object} args - Run metadata; multi-repository runs set args.repositories
+ * @returns {{title: string, label: string, value: string}} Title text plus the
+ *   "Branch"/"Repositories" metadata line used by report headers
+ */
+function describeRepositories(args) {
+  const repositories = args.repositories || [];
+  if (repositories.length === 0) {
+    return {
+      title: repositoryLabel({ owner: args.owner, repo: args.repo }),
+      label: "Branch",
+      value: args.branch,
+    };
+  }
+
+  let title = `${repositories.length} repositories`;
+  if (args.org) {
+    title = `${args.org} (${title})`;
+  } else if (repositories.length === 1) {
+    title = `${repositories[0].owner}/${repositories[0].repo}`;
+  }
+
+  return {
+    title,
+    label: "Repositories",
+    value: repositories.map(repositoryLabel).join(", "),
+  };
+}
+
+/**
+ * Formats commit titles as simple text (one per line)
+ *
+ * @param {Array} items - Array of commit objects with title property
+ * @returns {string} Newline-separated commit titles
+ */
+function outputText(items) {
+  return items
+    .filter((it) => it.title)
+    .map(displayTitle)
+    .join("\n");
+}
+
+/**
+ * Formats commits grouped by date with bullet points
+ *
+ * Groups commits by date (or by Conventional Commits scope with
+ * `--group-by scope`) and formats them with headers and bullet points.
+ * Breaking changes are marked with "[BREAKING]". Items from a
+ * multi-repository run are sectioned by repository first.
+ * Returns a string suitable for display or file output.
+ *
+ * @param {Array} items - Array of commit objects
+ * @param {Object} [args] - Command line arguments; args.groupBy selects "date" or "scope"
+ * @returns {string} Formatted string with commits grouped by date or scope
+ *
+ * @example
+ * const output = outputGrouped(commits);
+ * // Returns: "2025-01-15 (2 commits):\n  • feat: add new feature\n  • fix: resolve bug"
+ */
+function outputGrouped(items, args = {}) {
+  const lines = [];
+  const groupItems =
+    args.groupBy === "scope"
+      ? groupByScope
+      : (dayItems) => groupByDate(dayItems, args.timezone);
+
+  const pushDateGroups = (sectionItems) => {
+    for (const [group, itemsInGroup] of Object.entries(
+      groupItems(sectionItems)
+    )) {
+      lines.push(`\n${group} (${itemsInGroup.length} commits):`);
+      for (const it of itemsInGroup) {
+        lines.push(`  • ${breakingMarker(it)}${displayTitle(it)}`);
+      }
+    }
+  };
+
+  if (hasRepositories(items)) {
+    for (const [repository, repoItems] of Object.entries(
+      groupByRepository(items)
+    )) {
+      lines.push(`\n=== ${repository} (${repoItems.length} commits) ===`);
+      pushDateGroups(repoItems);
+    }
+  } else {
+    pushDateGroups(items);
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Formats commits for timesheet entry with date and type categorization
+ *
+ * Creates a clean format optimized for copying into daily timesheets.
+ * Uses DD/MM/YYYY date format and categorizes commits by type with
+ * uppercase labels in brackets (or the labels of the `categories` rules);
+ * breaking changes also get "[BREAKING]".
+ * With `--group-by scope`, each day's commits are listed under their scope.
+ * With `--estimate-hours`, each day shows the hours estimated from its
+ * commit timestamps (see estimateHours), optionally broken down by
+ * repository and type, followed by weekly and overall totals.
+ *
+ * @param {Array} items - Array of commit objects
+ * @param {Object} [args] - Command line arguments; args.groupBy selects "date" or "scope",
+ *   args.categories holds the category rules, args.estimateHours adds hours
+ *   (tuned by args.sessionGap, args.sessionPadding, args.workingHours and args.hoursBy)
+ * @returns {string} Formatted string suitable for timesheet entry
+ *
+ * @example
+ * const output = outputTimesheet(commits);
+ * // Returns: "15/01/2025:\n• [FEATURE] feat: add new feature\n• [BUGFIX] fix: resolve bug"
+ *
+ * outputTimesheet(commits, { estimateHours: true });
+ * // Returns: "15/01/2025 (1.5h):\n• [FEATURE] ...\n\nWeek 2025-W03: 1.5h\n\nTotal: 1.5h ..."
+ */
+function outputTimesheet(items, args = {}) {
+  const grouped = groupByDate(items, args.timezone);
+  const lines = [];
+  const options = args.estimateHours ? hoursOptions(args) : null;
+  const hours = options ? estimateHours(items, options) : null;
+  const breakdown = (label, byKey, name) => {
+    const parts = Object.entries(byKey)
+      .sort((a, b) => b[1] - a[1])
+      .map(([key, value]) => `${name(key)} ${formatHours(value)}`);
+    if (parts.length > 0) {
+      lines.push(`  Hours by ${label}: ${parts.join(", ")}`);
+    }
+  };
+
+  const pushItems = (dateItems, indent) => {
+    for (const it of dateItems) {
+      const type = categorizeCommit(it.title, args.categories);
+      const typePrefix = `[${categoryLabel(type, args.categories)}]`;
+
+      lines.push(
+        `${indent}• ${typePrefix} ${breakingMarker(it)}${displayTitle(it)}`
+      );
+    }
+  };
+
+  for (const [date, dateItems] of Object.entries(grouped)) {
+    // Format date as DD/MM/YYYY for timesheet
+    const [year, month, day] = date.split("-");
+    const formattedDate = `${day}/${month}/${year}`;
+
+    const dayHours = hours && hours.byDay[date];
+    lines.push(
+      hours
+        ? `${formattedDate} (${formatHours(dayHours ? dayHours.hours : 0)}):`
+        : `${formattedDate}:`
+    );
+    if (dayHours && options.hoursBy.includes("type")) {
+      breakdown("type", dayHours.byType, (type) =>
+        categoryLabel(type, args.categories)
+      );
+    }
+    if (dayHours && options.hoursBy.includes("repository")) {
+      breakdown("repository", dayHours.byRepository, (name) => name);
+    }
+    if (args.groupBy === "scope") {
+      for (const [scope, scopeItems] of Object.entries(
+        groupByScope(dateItems)
+      )) {
+        lines.push(`  ${scope}:`);
+        pushItems(scopeItems, "  ");
+      }
+    } else {
+      pushItems(dateItems, "");
+    }
+    lines.push(""); // Empty line between dates
+  }
+
+  if (hours) {
+    for (const [week, weekHours] of Object.entries(hours.byWeek).sort()) {
+      lines.push(`Week ${week}: ${formatHours(weekHours)}`);
+    }
+    lines.push(
+      `Total: ${formatHours(hours.total)} (estimated from commit times)`
+    );
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Formats a number of hours with one decimal, e.g. "3.5h"
+ *
+ * @param {number} hours - Hours
+ * @returns {string} Rounded hours
+ */
+function formatHours(hours) {
+  return `${hours.toFixed(1)}h`;
+}
+
+/**
  * Generates a comprehensive markdown summary of commit statistics
  *
- * Creates a detailed markdown report with commit statistics including:
- * - Total commits and average per day
- * - Breakdown by commit type with percentages
- * - Top contributors with commit counts
- * - Recent activity by date
+ * Creates a detailed markdown report with commit statistics including:
+ * - Total commits and average per day
+ * - Commits per repository (for multi-repository runs)
+ * - Breakdown by commit type with percentages
+ * - Commits per Conventional Commits scope, and the breaking changes
+ * - Top contributors with commit counts
+ * - Recent activity by date
+ * - Lines changed per author, type and day, and the largest commits (with diff stats)
+ *
+ * @param {Array} items - Array of commit objects
+ * @param {Object} args - Command line arguments for metadata
+ * @param {string} startISO - Start date in ISO format
+ * @param {string} endISO - End date in ISO format
+ * @returns {string} Markdown formatted summary report
+ *
+ * @example
+ * const summary = outputSummary(commits, args, "2025-01-01T00:00:00Z", "2025-01-31T23:59:59Z");
+ * // Returns markdown formatted summary with statistics
+ */
+function outputSummary(items, args, startISO, endISO) {
+  const stats = generateStats(items, args);
+  const heading = describeRepositories(args);
+  const lines = [
+    `# Commit Summary: ${heading.title}`,
+    "",
+    `**${heading.label}:** ${heading.value}`,
+    `**Date Range:** ${formatTimestamp(
+      startISO,
+      args.timezone
+    )} to ${formatTimestamp(endISO, args.timezone)}`,
+    ...(args.from ? [`**Commit Range:** ${args.from}..${args.to}`] : []),
+    `**Total Commits:** ${stats.total}`,
+    `**Average per Day:** ${stats.averagePerDay}`,
+  ];
+
+  if (hasPullRequests(items)) {
+    const prCount = items.filter((it) => it.kind === "pr").length;
+    lines.push(
+      `**Merged Pull Requests:** ${prCount} (plus ${
+        items.length - prCount
+      } direct commits)`
+    );
+  }
+  lines.push("");
+
+  const partialNotice = describePartial(args);
+  if (partialNotice) lines.push(`> **${partialNotice}**`, "");
+
+  if (Object.keys(stats.byRepository).length > 0) {
+    lines.push("## Repositories", "");
+
+    const sortedRepositories = Object.entries(stats.byRepository).sort(
+      ([, a], [, b]) => b - a
+    );
+    for (const [repository, count] of sortedRepositories) {
+      const percentage = ((count / stats.total) * 100).toFixed(1);
+      lines.push(`- **${repository}**: ${count} commits (${percentage}%)`);
+    }
+
+    lines.push("");
+  }
+
+  if (Object.keys(stats.byLabel).length > 0) {
+    lines.push("## Pull Request Labels", "");
+
+    const sortedLabels = Object.entries(stats.byLabel).sort(
+      ([, a], [, b]) => b - a
+    );
+    for (const [label, count] of sortedLabels) {
+      lines.push(`- **${label}**: ${count} commits`);
+    }
+
+    lines.push("");
+  }
+
+  lines.push("## Commit Types", "");
+
+  // Sort commit types by count
+  const sortedTypes = Object.entries(stats.byType).sort(
+    ([, a], [, b]) => b - a
+  );
+
+  for (const [type, count] of sortedTypes) {
+    const percentage = ((count / stats.total) * 100).toFixed(1);
+    lines.push(
+      `- **${categoryLabel(type, args.categories)}**: ${count} (${percentage}%)`
+    );
+  }
+
+  if (Object.keys(stats.byScope).length > 0) {
+    lines.push("", "## Scopes", "");
+
+    const sortedScopes = Object.entries(stats.byScope).sort(
+      ([, a], [, b]) => b - a
+    );
+    for (const [scope, count] of sortedScopes) {
+      lines.push(`- **${scope}**: ${count} commits`);
+    }
+  }
+
+  if (stats.breaking > 0) {
+    lines.push("", `## Breaking Changes (${stats.breaking})`, "");
+
+    for (const it of items.filter((i) => conventionalOf(i)?.breaking)) {
+      const title = it.html_url
+        ? `[${displayTitle(it)}](${it.html_url})`
+        : displayTitle(it);
+      lines.push(`- ${title} (${it.author_login || "Unknown"})`);
+    }
+  }
+
+  lines.push("", "## Top Contributors", "");
+
+  // Sort authors by count
+  const sortedAuthors = Object.entries(stats.byAuthor)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, 5); // Top 5
+
+  for (const [author, count] of sortedAuthors) {
+    const percentage = ((count / stats.total) * 100).toFixed(1);
+    lines.push(`- **${author}**: ${count} commits (${percentage}%)`);
+  }
+
+  lines.push("", "## Recent Activity", "");
+
+  // Show last 5 days with activity
+  const sortedDates = Object.entries(stats.byDate)
+    .sort(([a], [b]) => b.localeCompare(a))
+    .slice(0, 5);
+
+  for (const [date, count] of sortedDates) {
+    lines.push(`- **${date}**: ${count} commits`);
+  }
+
+  if (stats.diff) {
+    const { diff } = stats;
+    const changed = ({ additions, deletions }) =>
+      `+${additions} / -${deletions}`;
+    const bySize = (table) =>
+      Object.entries(table).sort(
+        ([, a], [, b]) => b.additions + b.deletions - (a.additions + a.deletions)
+      );
+
+    lines.push(
+      "",
+      "## Lines Changed",
+      "",
+      `**Total:** ${changed(diff)} in ${diff.changedFiles} files`,
+      "",
+      "### By Author",
+      ""
+    );
+    for (const [author, entry] of bySize(diff.byAuthor)) {
+      lines.push(`- **${author}**: ${changed(entry)}`);
+    }
+
+    lines.push("", "### By Type", "");
+    for (const [type, entry] of bySize(diff.byType)) {
+      lines.push(
+        `- **${categoryLabel(type, args.categories)}**: ${changed(entry)}`
+      );
+    }
+
+    lines.push("", "### By Day", "");
+    const days = Object.entries(diff.byDate).sort(([a], [b]) =>
+      b.localeCompare(a)
+    );
+    for (const [date, entry] of days) {
+      lines.push(`- **${date}**: ${changed(entry)}`);
+    }
+
+    lines.push("", "## Largest Commits", "");
+    for (const it of diff.largest) {
+      const title = it.html_url
+        ? `[${displayTitle(it)}](${it.html_url})`
+        : displayTitle(it);
+      lines.push(
+        `- ${title}: ${changed(it)} in ${it.changed_files || 0} files (${
+          it.author_login || "Unknown"
+        })`
+      );
+    }
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Shows an item's date and merged_at in a time zone, like the csv columns
+ *
+ * @param {Object} item - Normalized item
+ * @param {string} [timezone] - IANA time zone; without one the item is returned as is
+ * @returns {Object} The item, or a copy with converted timestamps
+ */
+function localizeItemDates(item, timezone) {
+  if (!timezone) return item;
+  return {
+    ...item,
+    date: formatTimestamp(item.date, timezone),
+    ...(item.merged_at && {
+      merged_at: formatTimestamp(item.merged_at, timezone),
+    }),
+  };
+}
+
+function outputJSON(items, args, startISO, endISO) {
+  const output = {
+    owner: args.owner,
+    repo: args.repo,
+    branch: args.branch,
+    start: formatTimestamp(startISO, args.timezone),
+    end: formatTimestamp(endISO, args.timezone),
+    ...(args.timezone && { timezone: args.timezone }),
+    ...(args.from && { from: args.from, to: args.to }),
+    author: args.author ?? null,
+    committer: args.committer ?? null,
+    excludeMerges: !!args.excludeMerges,
+    ...(args.repositories && { repositories: args.repositories }),
+    ...(args.partial && { partial: args.partial }),
+    count: items.length,
+    titles: items.map((i) => i.title).filter(Boolean),
+    // bonus data if you need it later:
+    commits: items.map((it) => localizeItemDates(it, args.timezone)),
+  };
+
+  return JSON.stringify(output, null, 2);
+}
+
+function outputNDJSON(items, args = {}) {
+  return items
+    .map((it) => JSON.stringify(localizeItemDates(it, args.timezone)))
+    .join("\n");
+}
+
+function outputCSV(items, args = {}) {
+  const columns = [
+    "sha",
+    "date",
+    "author_login",
+    "committer_login",
+    "title",
+    "html_url",
+  ];
+  // Multi-repository runs get a leading repository column
+  if (hasRepositories(items)) columns.unshift("repository");
+  // --mode prs adds the pull request details
+  if (hasPullRequests(items)) {
+    columns.push("kind", "number", "labels", "merged_at", "linked_issues");
+  }
+  // --with-prs (or the GraphQL backend) adds the associated pull requests
+  const withPRs = items.some((it) => Array.isArray(it.pull_requests));
+  if (withPRs) columns.push("pr_numbers", "pr_labels");
+  // --with-stats (or the GraphQL backend) adds diff stats
+  if (items.some(hasDiffStats)) {
+    columns.push("additions", "deletions", "changed_files");
+  }
+  // --with-body adds the message body and the common trailers
+  const withBody = items.some((it) => it.trailers);
+  if (withBody) {
+    columns.push("body", "co_authors", ...Object.keys(CSV_TRAILER_COLUMNS));
+  }
+
+  const header = columns.map(toCSVCell).join(",");
+  const rows = items.map((it) =>
+    columns
+      .map((column) => {
+        if (column === "kind") return it.kind || "commit";
+        if (CSV_TRAILER_COLUMNS[column]) {
+          const values = it.trailers?.[CSV_TRAILER_COLUMNS[column]] || [];
+          return toCSVCell(values.join(";"));
+        }
+        const prs = it.pull_requests || [];
+        if (column === "pr_numbers") {
+          return toCSVCell(prs.map((pr) => pr.number).join(";"));
+        }
+        if (column === "pr_labels") {
+          const labels = new Set(prs.flatMap((pr) => pr.labels || []));
+          return toCSVCell([...labels].join(";"));
+        }
+        if (column === "date" || column === "merged_at") {
+          return toCSVCell(formatTimestamp(it[column], args.timezone));
+        }
+        const value = it[column];
+        return toCSVCell(Array.isArray(value) ? value.join(";") : value);
+      })
+      .join(",")
+  );
+
+  return [header, ...rows].join("\n");
+}
+
+function outputMarkdown(items, args, startISO, endISO) {
+  const heading = describeRepositories(args);
+  const lines = [
+    `# Commit History: ${heading.title}`,
+    "",
+    `**${heading.label}:** ${heading.value}`,
+    `**Date Range:** ${formatTimestamp(
+      startISO,
+      args.timezone
+    )} to ${formatTimestamp(endISO, args.timezone)}`,
+    ...(args.from ? [`**Commit Range:** ${args.from}..${args.to}`] : []),
+    `**Total Commits:** ${items.length}`,
+    "",
+  ];
+
+  const partialNotice = describePartial(args);
+  if (partialNotice) lines.push(`> **${partialNotice}**`, "");
+
+  const pushDateGroups = (groupItems) => {
+    for (const [date, dateItems] of Object.entries(
+      groupByDate(groupItems, args.timezone)
+    )) {
+      lines.push(`### ${date} (${dateItems.length} commits)`);
+      lines.push("");
+
+      for (const it of dateItems) {
+        const author = it.author_login || "Unknown";
+        const title = it.html_url
+          ? `[${displayTitle(it)}](${it.html_url})`
+          : displayTitle(it);
+        const prLinks = (it.pull_requests || [])
+          .map((pr) => ` ([#${pr.number}](${pr.url}))`)
+          .join("");
+        lines.push(`- ${title}${prLinks} (${author})`);
+      }
+      lines.push("");
+    }
+  };
+
+  if (hasRepositories(items)) {
+    for (const [repository, repoItems] of Object.entries(
+      groupByRepository(items)
+    )) {
+      lines.push(`## ${repository} (${repoItems.length} commits)`, "");
+      pushDateGroups(repoItems);
+    }
+  } else {
+    lines.push("## Commits by Date", "");
+    pushDateGroups(items);
+  }
+
+  return lines.join("\n");
+}
+
+function outputHTML(items, args, startISO, endISO) {
+  const heading = describeRepositories(args);
+  const partialNotice = describePartial(args);
+  const html = [
+    "<!DOCTYPE html>",
+    "<html>",
+    "<head>",
+    "<title>Commit History</title>",
+    "<style>",
+    'body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; }',
+    ".header { background: #f6f8fa; padding: 20px; border-radius: 6px; margin-bottom: 20px; }",
+    ".date-group { margin-bottom: 30px; }",
+    ".date-header { background: #f1f3f4; padding: 10px 15px; border-radius: 4px; margin-bottom: 15px; font-weight: 600; color: #24292e; }",
+    ".commit { border-bottom: 1px solid #e1e4e8; padding: 10px 0; }",
+    ".commit:last-child { border-bottom: none; }",
+    ".date { color: #586069; font-size: 0.9em; }",
+    ".author { color: #0366d6; font-weight: 500; }",
+    ".title { font-weight: 500; margin: 5px 0; }",
+    ".repository-header { border-bottom: 2px solid #e1e4e8; padding-bottom: 8px; margin-top: 40px; }",
+    ".partial { color: #b08800; }",
+    "a { color: #0366d6; text-decoration: none; }",
+    "a:hover { text-decoration: underline; }",
+    "</style>",
+    "</head>",
+    "<body>",
+    '<div class="header">',
+    `<h1>Commit History: ${heading.title}</h1>`,
+    `<p><strong>${heading.label}:</strong> ${heading.value}</p>`,
+    `<p><strong>Date Range:</strong> ${formatTimestamp(
+      startISO,
+      args.timezone
+    )} to ${formatTimestamp(endISO, args.timezone)}</p>`,
+    ...(args.from
+      ? [`<p><strong>Commit Range:</strong> ${args.from}..${args.to}</p>`]
+      : []),
+    `<p><strong>Total Commits:</strong> ${items.length}</p>`,
+    ...(partialNotice
+      ? [`<p class="partial"><strong>${partialNotice}</strong></p>`]
+      : []),
+    "</div>",
+    '<div class="commits">',
+  ];
+
+  const pushDateGroups = (groupItems) => {
+    for (const [date, dateItems] of Object.entries(
+      groupByDate(groupItems, args.timezone)
+    )) {
+      html.push(
+        '<div class="date-group">',
+        `<div class="date-header">${date} (${dateItems.length} commits)</div>`
+      );
+
+      for (const it of dateItems) {
+        const author = it.author_login || "Unknown";
+        html.push(
+          '<div class="commit">',
+          it.html_url
+            ? `<div class="title"><a href="${it.html_url}" target="_blank">${displayTitle(it)}</a></div>`
+            : `<div class="title">${displayTitle(it)}</div>`,
+          `<div class="author">${author}</div>`,
+          "</div>"
+        );
+      }
+
+      html.push("</div>");
+    }
+  };
+
+  if (hasRepositories(items)) {
+    for (const [repository, repoItems] of Object.entries(
+      groupByRepository(items)
+    )) {
+      html.push(
+        `<h2 class="repository-header">${repository} (${repoItems.length} commits)</h2>`
+      );
+      pushDateGroups(repoItems);
+    }
+  } else {
+    pushDateGroups(items);
+  }
+
+  html.push("</div>", "</body>", "</html>");
+  return html.join("\n");
+}
+
+/**
+ * Changelog sections by commit category, in output order
+ */
+const CHANGELOG_SECTIONS = [
+  ["feature", "Features"],
+  ["bugfix", "Bug Fixes"],
+  ["performance", "Performance"],
+];
+
+/**
+ * Formats one changelog entry: "**scope:** description" plus commit and PR links
+ *
+ * @param {Object} it - Normalized item
+ * @returns {string} Markdown list item
+ */
+function changelogEntry(it) {
+  const conventional = conventionalOf(it);
+  const scope = conventional?.scope ? `**${conventional.scope}:** ` : "";
+  const description = conventional?.description || it.title;
+
+  const links = [];
+  if (it.kind === "pr") {
+    links.push(`[#${it.number}](${it.html_url})`);
+  } else if (it.sha) {
+    const sha = it.sha.slice(0, 7);
+    links.push(it.html_url ? `[${sha}](${it.html_url})` : sha);
+  }
+  for (const pr of it.pull_requests || []) {
+    links.push(`[#${pr.number}](${pr.url})`);
+  }
+
+  const suffix = links.map((link) => ` (${link})`).join("");
+  return `- ${scope}${description}${suffix}`;
+}
+
+/**
+ * Formats a release section for a CHANGELOG.md
+ *
+ * Produces a "## [version] - YYYY-MM-DD" section (version from --release,
+ * date from the end of the range), or "## [Unreleased]" without a date as
+ * Keep a Changelog suggests when no --release is given, with Breaking
+ * Changes, Features, Bug Fixes and Performance subsections built from the
+ * Conventional Commits types, followed by the contributors (co-authors
+ * included). Breaking changes are listed once, under Breaking Changes; other
+ * commit types are left out. Entries link their commits and pull requests.
+ *
+ * With --output, the section is merged into the existing file rather than
+ * overwriting it (see mergeChangelog).
+ *
+ * @param {Array} items - Array of commit objects
+ * @param {Object} args - Command line arguments; args.release names the version
+ * @param {string} startISO - Start date in ISO format
+ * @param {string} endISO - End date in ISO format
+ * @returns {string} Markdown release section
+ *
+ * @example
+ * outputChangelog(commits, { release: "1.2.0" }, startISO, endISO)
+ * // Returns "## [1.2.0] - 2025-01-31\n\n### Features\n\n- **api:** add search (abc1234)..."
+ */
+function outputChangelog(items, args, startISO, endISO) {
+  const lines = [
+    args.release
+      ? `## [${args.release}] - ${dayKey(endISO, args.timezone)}`
+      : "## [Unreleased]",
+    "",
+  ];
+
+  const partialNotice = describePartial(args);
+  if (partialNotice) lines.push(`> **${partialNotice}**`, "");
+
+  const entries = items.filter((it) => it.title);
+  const breaking = entries.filter((it) => conventionalOf(it)?.breaking);
+  const sections = [["Breaking Changes", breaking]];
+  for (const [category, heading] of CHANGELOG_SECTIONS) {
+    sections.push([
+      heading,
+      entries.filter(
+        (it) =>
+          !conventionalOf(it)?.breaking &&
+          categorizeCommit(it.title, args.categories) === category
+      ),
+    ]);
+  }
+
+  const listed = sections.filter(([, sectionItems]) => sectionItems.length);
+  if (listed.length === 0) lines.push("No notable changes.", "");
+
+  const multiRepo = hasRepositories(entries);
+  for (const [heading, sectionItems] of listed) {
+    lines.push(`### ${heading}`, "");
+    for (const it of sectionItems) {
+      const entry = changelogEntry(it);
+      lines.push(
+        multiRepo ? entry.replace(/^- /, `- ${it.repository}: `) : entry
+      );
+    }
+    lines.push("");
+  }
+
+  const contributors = Object.entries(generateStats(entries).byAuthor)
+    .filter(([name]) => name !== "Unknown")
+    .sort(([a, x], [b, y]) => y - x || a.localeCompare(b));
+  if (contributors.length > 0) {
+    lines.push("### Contributors", "");
+    for (const [name, count] of contributors) {
+      const who = /\s/.test(name) ? name : `@${name}`;
+      lines.push(`- ${who} (${count} ${count === 1 ? "commit" : "commits"})`);
+    }
+    lines.push("");
+  }
+
+  return lines.join("\n").trimEnd();
+}
+
+/**
+ * Merges a release section into an existing changelog
+ *
+ * A section for the same version replaces the old one, so re-running for a
+ * release updates it; otherwise the section is inserted above the newest
+ * release, below the file's title and introduction. An empty changelog gets
+ * a "# Changelog" title.
+ *
+ * @param {string} existing - Current changelog content ("" when there is none)
+ * @param {string} section - Release section from outputChangelog
+ * @returns {string} Updated changelog content
+ *
+ * @example
+ * mergeChangelog("# Changelog\n\n## [1.0.0] - 2025-01-01\n...", "## [1.1.0] - 2025-02-01\n...")
+ * // Returns "# Changelog\n\n## [1.1.0] - 2025-02-01\n...\n\n## [1.0.0] - 2025-01-01\n..."
+ */
+function mergeChangelog(existing, section) {
+  if (!existing.trim()) return `# Changelog\n\n${section}\n`;
+
+  const lines = existing.replace(/\s+$/, "").split("\n");
+  const version = section.match(/^## \[([^\]]+)\]/)?.[1];
+  const isRelease = (line) => /^## /.test(line);
+  const sameVersion = lines.findIndex(
+    (line) => version && line.startsWith(`## [${version}]`)
+  );
+
+  let start = sameVersion;
+  let end = sameVersion;
+  if (sameVersion >= 0) {
+    end = lines.findIndex((line, i) => i > sameVersion && isRelease(line));
+    if (end < 0) end = lines.length;
+  } else {
+    start = lines.findIndex(isRelease);
+    if (start < 0) start = lines.length;
+    end = start;
+  }
+
+  const before = lines.slice(0, start).join("\n").replace(/\s+$/, "");
+  const after = lines.slice(end).join("\n").replace(/\s+$/, "");
+  return [before, section, after].filter(Boolean).join("\n\n") + "\n";
+}
+
+/**
+ * Formats a standup report: what was done on the last working day
+ *
+ * Commits are listed per repository, oldest first. Commits of the same pull
+ * request (--with-prs or --api graphql) become one entry with the pull
+ * request's title and number, and --mode prs items are listed as they are.
+ * The text uses Slack formatting (*bold* and • bullets), which also reads
+ * well in plain text. Without --start/--end the CLI picks the range from the
+ * start of the last working day until now (see lastWorkday).
+ *
+ * @param {Array} items - Normalized items, usually filtered with --author
+ * @param {Object} args - Run metadata; args.author names the person, args.timezone
+ *   sets the zone of the dates (default: the system zone)
+ * @param {string} startISO - Start date in ISO format
+ * @param {string} endISO - End date in ISO format
+ * @returns {string} Standup text
+ *
+ * @example
+ * outputStandup(commits, { owner: "acme", repo: "web", author: "alice" }, startISO, endISO)
+ * // Returns "*Standup for alice* (Fri 10 Jan – Mon 13 Jan)\n*acme/web*\n• Add search (#42)\n• fix: ..."
+ */
+function outputStandup(items, args, startISO, endISO) {
+  const zone = args.timezone || validateTimezone("local");
+  const day = (iso) => formatDatePattern(iso, "ddd DD MMM", zone);
+  const range =
+    dayKey(startISO, zone) === dayKey(endISO, zone)
+      ? day(startISO)
+      : `${day(startISO)} – ${day(endISO)}`;
+  const lines = [
+    `*Standup${args.author ? ` for ${args.author}` : ""}* (${range})`,
+  ];
+
+  const partialNotice = describePartial(args);
+  if (partialNotice) lines.push(`_${partialNotice}_`);
+
+  const entries = items.filter((it) => it.title);
+  if (entries.length === 0) {
+    lines.push("• No commits");
+    return lines.join("\n");
+  }
+
+  const fallback = repositoryLabel({ owner: args.owner, repo: args.repo });
+  const tagged = entries.map((it) => ({
+    ...it,
+    repository: it.repository || fallback,
+  }));
+  for (const [repository, repoItems] of Object.entries(
+    groupByRepository(tagged)
+  )) {
+    lines.push(`*${repository}*`);
+    const listed = new Set();
+    for (const it of [...repoItems].reverse()) {
+      const pr = it.kind === "pr" ? null : it.pull_requests?.[0];
+      const text = pr ? `${pr.title} (#${pr.number})` : displayTitle(it);
+      // One entry per pull request; commits with the same title stay apart
+      const key = pr ? `#${pr.number}` : it.kind === "pr" ? `#${it.number}` : it.sha;
+      if (listed.has(key)) continue;
+      listed.add(key);
+      lines.push(`• ${breakingMarker(it)}${text}`);
+    }
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Time-Tracking Exports
+ * =====================
+ * Per-day, per-project time entries in the import formats of Harvest,
+ * Toggl Track and Tempo, with hours from estimateHours
+ */
+
+/**
+ * Default task for time entries without one in the project mapping
+ */
+const DEFAULT_TIME_TASK = "Development";
+
+/**
+ * Parses the repository to project mapping of the time-tracking exports
+ *
+ * On the command line the mapping is a list of repo=project pairs; in a
+ * configuration file `projects` is an object whose values are a project name
+ * or `{ project, client, task, issue, issueId }`. Keys are "owner/repo" or just "repo".
+ *
+ * @param {string|Object} [projects] - Mapping from --projects or the configuration
+ * @returns {Object<string, {project?: string, client?: string, task?: string, issue?: string,
+ *   issueId?: string|number}>} Mapping by repository
+ * @throws {Error} If a pair or value is malformed
+ *
+ * @example
+ * parseProjects("acme/web=Website,api=Backend")
+ * // Returns { "acme/web": { project: "Website" }, api: { project: "Backend" } }
+ */
+function parseProjects(projects) {
+  if (!projects) return {};
+  const invalid = () =>
+    new Error(
+      "--projects must map repositories to projects, e.g. owner/repo=Website"
+    );
+
+  const pairs =
+    typeof projects === "object" && !Array.isArray(projects)
+      ? Object.entries(projects)
+      : splitList(projects).map((pair) => {
+        const [repository, ...project] = pair.split("=");
+        if (project.length === 0) throw invalid();
+        return [repository, project.join("=")];
+      });
+
+  const mapping = {};
+  for (const [repository, value] of pairs) {
+    const target =
+      typeof value === "string" ? { project: value.trim() } : value;
+    if (!repository.trim() || !target || typeof target !== "object") {
+      throw invalid();
+    }
+    mapping[repository.trim().toLowerCase()] = target;
+  }
+  return mapping;
+}
+
+/**
+ * Parses the GitHub login to Jira account ID mapping of the tempo format
+ *
+ * On the command line the mapping is a list of login=accountId pairs; in a
+ * configuration file `authors` is an object. Logins are matched case-insensitively.
+ *
+ * @param {string|Object} [authors] - Mapping from --authors or the configuration
+ * @returns {Object<string, string>} Jira account ID by lower-cased login
+ * @throws {Error} If a pair or value is malformed
+ *
+ * @example
+ * parseAuthors("octocat=5b10a2844c20165700ede21g")
+ * // Returns { octocat: "5b10a2844c20165700ede21g" }
+ */
+function parseAuthors(authors) {
+  if (!authors) return {};
+  const invalid = () =>
+    new Error(
+      "--authors must map GitHub logins to Jira account IDs, e.g. octocat=5b10a2844c20165700ede21g"
+    );
+
+  const pairs =
+    typeof authors === "object" && !Array.isArray(authors)
+      ? Object.entries(authors)
+      : splitList(authors).map((pair) => pair.split("="));
+
+  const mapping = {};
+  for (const [login, accountId, ...rest] of pairs) {
+    if (
+      rest.length > 0 ||
+      typeof accountId !== "string" ||
+      !login.trim() ||
+      !accountId.trim()
+    ) {
+      throw invalid();
+    }
+    mapping[login.trim().toLowerCase()] = accountId.trim();
+  }
+  return mapping;
+}
+
+/**
+ * Builds the time entries of the time-tracking exports
+ *
+ * Commits are grouped per day (in `args.timezone`, UTC when not set) and
+ * repository. Each entry's hours are the hours estimated for that day and
+ * repository (see estimateHours, tuned with the same options as
+ * `--estimate-hours`), its description lists the commit titles of the day
+ * oldest first, and it starts `sessionPadding` minutes before the first
+ * commit (at the earliest at midnight). Entries without estimated hours, such
+ * as days outside `--working-hours`, are left out.
+ *
+ * @param {Array} items - Normalized items
+ * @param {Object} [args] - Run arguments (owner, repo, projects, timezone and the hours options)
+ * @returns {Array<{date: string, start: Date, repository: string, project: string,
+ *   client: string, task: string, issue?: string, issueId?: string, authors: string[],
+ *   description: string, hours: number}>}
+ *   Entries sorted by day and project
+ *
+ * @example
+ * timesheetEntries(commits, { owner: "acme", repo: "web", projects: "acme/web=Website" })
+ * // Returns [{ date: "2025-01-15", project: "Website", client: "acme", hours: 2.5, description: "feat: add search; fix: ...", ... }]
+ */
+function timesheetEntries(items, args = {}) {
+  const projects = parseProjects(args.projects);
+  const options = hoursOptions(args);
+  const zone = args.timezone || "UTC";
+  // Single-repository runs do not tag their items with a repository
+  const fallback =
+    [args.owner, args.repo].filter(Boolean).join("/") || "repository";
+  const tagged = items
+    .filter((it) => it.date)
+    .map((it) => ({ ...it, repository: it.repository || fallback }))
+    .sort((a, b) => Date.parse(a.date) - Date.parse(b.date));
+  const { byDay } = estimateHours(tagged, options);
+
+  const entries = new Map();
+  for (const it of tagged) {
+    const date = dayKey(it.date, args.timezone);
+    const key = `${date} ${it.repository}`;
+    if (!entries.has(key)) {
+      const [owner, name] = it.repository.includes("/")
+        ? it.repository.split("/")
+        : [args.owner, it.repository];
+      const mapped =
+        projects[it.repository.toLowerCase()] ||
+        projects[name.toLowerCase()] ||
+        {};
+      const earliest = startOfDay(new Date(it.date), 0, zone);
+      entries.set(key, {
+        date,
+        start: new Date(
+          Math.max(
+            Date.parse(it.date) - options.sessionPadding * 60000,
+            earliest.getTime()
+          )
+        ),
+        repository: it.repository,
+        project: mapped.project || name,
+        client: mapped.client || owner || "",
+        task: mapped.task || DEFAULT_TIME_TASK,
+        ...(mapped.issue ? { issue: mapped.issue } : {}),
+        ...(mapped.issueId ? { issueId: `${mapped.issueId}` } : {}),
+        authors: [],
+        titles: [],
+        hours: byDay[date]?.byRepository[it.repository] || 0,
+      });
+    }
+    const { titles, authors } = entries.get(key);
+    if (!titles.includes(displayTitle(it))) titles.push(displayTitle(it));
+    const login = it.author_login || "Unknown";
+    if (!authors.includes(login)) authors.push(login);
+  }
+
+  return [...entries.values()]
+    .filter((entry) => entry.hours > 0)
+    .map(({ titles, ...entry }) => ({ ...entry, description: titles.join("; ") }))
+    .sort(
+      (a, b) =>
+        a.date.localeCompare(b.date) || a.project.localeCompare(b.project)
+    );
+}
+
+/**
+ * Formats the wall-clock time of a moment as HH:MM:SS
+ *
+ * @param {Date} date - The moment
+ * @param {string} timezone - IANA time zone
+ * @returns {string} Time of day
+ */
+function timeOfDay(date, timezone) {
+  const { hour, minute, second } = calendarFields(date, timezone);
+  return [hour, minute, second]
+    .map((part) => String(part).padStart(2, "0"))
+    .join(":");
+}
+
+/**
+ * Formats a number of hours as a duration HH:MM:SS, rounded to the second
+ *
+ * @param {number} hours - Hours
+ * @returns {string} Duration
+ */
+function formatClockDuration(hours) {
+  const seconds = Math.round(hours * 3600);
+  const parts = [
+    Math.floor(seconds / 3600),
+    Math.floor(seconds / 60) % 60,
+    seconds % 60,
+  ];
+  return parts
+    .map((part) => String(part).padStart(2, "0"))
+    .join(":");
+}
+
+/**
+ * Formats time entries as a Harvest time import CSV
+ *
+ * Columns: Date, Client, Project, Task, Notes, Hours (decimal). Client,
+ * project and task default to the repository owner, the repository name and
+ * "Development"; map them with `projects`.
+ *
+ * @param {Array} items - Normalized items
+ * @param {Object} [args] - Run arguments (see timesheetEntries)
+ * @returns {string} CSV with a header row
+ *
+ * @example
+ * outputHarvest(commits, { owner: "acme", repo: "web" })
+ * // Returns "Date,Client,Project,Task,Notes,Hours\n2025-01-15,acme,web,Development,feat: add search,2.50"
+ */
+function outputHarvest(items, args = {}) {
+  const rows = timesheetEntries(items, args).map((entry) =>
+    [
+      entry.date,
+      entry.client,
+      entry.project,
+      entry.task,
+      entry.description,
+      entry.hours.toFixed(2),
+    ]
+      .map(toCSVCell)
+      .join(",")
+  );
+  return ["Date,Client,Project,Task,Notes,Hours", ...rows].join("\n");
+}
+
+/**
+ * Formats time entries as a Toggl Track CSV import
+ *
+ * Columns: Start date, Start time, Duration (HH:MM:SS), Project, Client,
+ * Task, Description. Times are in `args.timezone` (UTC when not set).
+ *
+ * @param {Array} items - Normalized items
+ * @param {Object} [args] - Run arguments (see timesheetEntries)
+ * @returns {string} CSV with a header row
+ *
+ * @example
+ * outputToggl(commits, { owner: "acme", repo: "web" })
+ * // Returns "Start date,Start time,Duration,...\n2025-01-15,08:30:00,02:30:00,web,acme,Development,feat: add search"
+ */
+function outputToggl(items, args = {}) {
+  const zone = args.timezone || "UTC";
+  const rows = timesheetEntries(items, args).map((entry) =>
+    [
+      entry.date,
+      timeOfDay(entry.start, zone),
+      formatClockDuration(entry.hours),
+      entry.project,
+      entry.client,
+      entry.task,
+      entry.description,
+    ]
+      .map(toCSVCell)
+      .join(",")
+  );
+  return [
+    "Start date,Start time,Duration,Project,Client,Task,Description",
+    ...rows,
+  ].join("\n");
+}
+
+/**
+ * Formats time entries as Tempo worklogs (JSON)
+ *
+ * Each worklog has the fields of Tempo's worklog API: issueKey (API v3) or
+ * issueId (v4), authorAccountId, startDate, startTime, timeSpentSeconds and
+ * description. Tempo logs time against Jira issues, so every repository needs
+ * an `issue` or `issueId` in `projects`; a project name that is an issue key
+ * (e.g. "WEB-12") is used as one. Worklogs belong to one person, so every
+ * commit author needs a Jira account ID in `authors`.
+ *
+ * @param {Array} items - Normalized items
+ * @param {Object} [args] - Run arguments (see timesheetEntries); args.authors
+ *   maps logins to Jira account IDs (see parseAuthors)
+ * @returns {string} JSON array of worklogs
+ * @throws {Error} If a repository is not mapped to a Jira issue, an author is
+ *   not mapped to a Jira account or one entry holds the commits of several accounts
+ *
+ * @example
+ * outputTempo(commits, { owner: "acme", repo: "web", projects: "web=WEB-12", authors: "dev=5b10a2844c20165700ede21g" })
+ * // Returns '[{ "issueKey": "WEB-12", "authorAccountId": "5b10a2844c20165700ede21g", "startDate": "2025-01-15", ... }]'
+ */
+function outputTempo(items, args = {}) {
+  const zone = args.timezone || "UTC";
+  const accounts = parseAuthors(args.authors);
+  const worklogs = timesheetEntries(items, args).map((entry) => {
+    const issueKey =
+      entry.issue ||
+      (/^[A-Z][A-Z0-9_]*-\d+$/.test(entry.project) ? entry.project : null);
+    if (!issueKey && !entry.issueId) {
+      throw new Error(
+        `--format tempo needs a Jira issue for ${entry.repository}; map it with --projects, e.g. ${entry.repository}=PROJ-123`
+      );
+    }
+
+    const unmapped = entry.authors.find(
+      (login) => !accounts[login.toLowerCase()]
+    );
+    if (unmapped) {
+      throw new Error(
+        `--format tempo needs a Jira account ID for ${unmapped}; map it with --authors, e.g. ${unmapped}=5b10a2844c20165700ede21g`
+      );
+    }
+    const accountIds = [
+      ...new Set(entry.authors.map((login) => accounts[login.toLowerCase()])),
+    ];
+    if (accountIds.length > 1) {
+      throw new Error(
+        `--format tempo logs each worklog for one person, but ${entry.repository} on ${entry.date} has commits by ${entry.authors.join(", ")}; pick one with --author`
+      );
+    }
+
+    return {
+      ...(entry.issueId ? { issueId: entry.issueId } : { issueKey }),
+      authorAccountId: accountIds[0],
+      startDate: entry.date,
+      startTime: timeOfDay(entry.start, zone),
+      timeSpentSeconds: Math.round(entry.hours * 3600),
+      description: entry.description,
+    };
+  });
+  return JSON.stringify(worklogs, null, 2);
+}
+
+/**
+ * Chat Messages
+ * =============
+ * Slack and Microsoft Teams messages for webhooks, built from the statistics
+ * of the summary format and the commit groups of the grouped format
+ */
+
+/**
+ * Limits of one chat message: bytes of text in one block, blocks per message
+ * and bytes of the whole JSON payload. Slack allows 3000 characters per
+ * section (never more than 3000 bytes) and 50 blocks; Teams cards must stay
+ * under 28 KB.
+ */
+const CHAT_LIMITS = {
+  slack: { text: 3000, blocks: 50, message: 40000 },
+  teams: { text: 10000, blocks: Infinity, message: 28000 },
+};
+
+/**
+ * Text markup of each chat platform
+ */
+const CHAT_MARKUP = {
+  slack: {
+    escape: (text) =>
+      `${text}`
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;"),
+    bold: (text) => `*${text}*`,
+    link: (text, url) => `<${url}|${text}>`,
+    bullet: "• ",
+  },
+  teams: {
+    // Backslashes keep titles such as "fix *all* the_things" from rendering as markdown
+    escape: (text) => `${text}`.replace(/[\\`*_~[\]]/g, "\\$&"),
+    bold: (text) => `**${text}**`,
+    link: (text, url) => `[${text}](${url})`,
+    bullet: "- ",
+  },
+};
+
+/**
+ * Measures chat text in bytes as it is written into the JSON payload
+ *
+ * @param {string} text - Block text
+ * @returns {number} UTF-8 bytes of the JSON-escaped text, without quotes
+ */
+function chatTextBytes(text) {
+  return Buffer.byteLength(JSON.stringify(text)) - 2;
+}
+
+/**
+ * Shortens raw text until its rendered form fits a number of bytes
+ *
+ * The text is cut (ending in "…") before render escapes it and adds markup,
+ * so entities such as "&amp;" and links are never cut in half.
+ *
+ * @param {string} text - Raw text
+ * @param {number} maxBytes - Bytes allowed for the rendered text (see chatTextBytes)
+ * @param {Function} render - Builds the rendered text from raw text
+ * @returns {string} The rendered text
+ */
+function fitChatText(text, maxBytes, render) {
+  const rendered = render(`${text}`);
+  if (chatTextBytes(rendered) <= maxBytes) return rendered;
+
+  // Escaping makes some characters longer, so search for the longest prefix
+  const chars = Array.from(`${text}`);
+  const shortened = (count) => render(`${chars.slice(0, count).join("")}…`);
+  let low = 0;
+  let high = chars.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (chatTextBytes(shortened(mid)) <= maxBytes) low = mid;
+    else high = mid - 1;
+  }
+  return shortened(low);
+}
+
+/**
+ * Resolves the limits of a chat format, applying --message-limit
+ *
+ * The text limit of a block never exceeds half a message, so long commit
+ * groups still split across messages with a small --message-limit. Both are
+ * counted in bytes (see chatTextBytes).
+ *
+ * @param {string} platform - "slack" or "teams"
+ * @param {Object} [args] - Run arguments; args.messageLimit overrides the payload size
+ * @returns {{text: number, blocks: number, message: number}} Limits
+ * @throws {Error} If --message-limit is not a number of bytes of at least 1000
+ */
+function chatLimits(platform, args = {}) {
+  const limits = { ...CHAT_LIMITS[platform] };
+  if (args.messageLimit !== undefined) {
+    const bytes = Number(args.messageLimit);
+    if (!Number.isInteger(bytes) || bytes < 1000) {
+      throw new Error(
+        `--message-limit must be a number of bytes of at least 1000 (got ${args.messageLimit})`
+      );
+    }
+    limits.message = bytes;
+  }
+  limits.text = Math.min(limits.text, Math.floor(limits.message / 2));
+  return limits;
+}
+
+/**
+ * Collects the content of a chat digest
+ *
+ * Facts and statistics follow outputSummary (repositories, commit types and
+ * the top 5 contributors); the commit list follows outputGrouped, grouped by
+ * repository and date (or scope with --group-by scope), with links to the
+ * commits and their pull requests.
  *
  * @param {Array} items - Array of commit objects
  * @param {Object} args - Command line arguments for metadata
  * @param {string} startISO - Start date in ISO format
  * @param {string} endISO - End date in ISO format
- * @returns {string} Markdown formatted summary report
+ * @param {Object} markup - Text markup from CHAT_MARKUP
+ * @param {Object} limits - Limits from chatLimits; commit lines are kept to
+ *   half a block by shortening their titles
+ * @returns {{title: string, facts: Array, notice: string|null, sections: Array}}
+ *   Digest; sections are {heading, lines} with lines already in the markup
+ */
+function chatDigest(items, args, startISO, endISO, markup, limits) {
+  const stats = generateStats(items, args);
+  const heading = describeRepositories(args);
+  const { escape } = markup;
+  const percent = (count) => ((count / stats.total) * 100).toFixed(1);
+  const byCount = (table) =>
+    Object.entries(table).sort(([, a], [, b]) => b - a);
+
+  const facts = [
+    { title: heading.label, value: heading.value },
+    {
+      title: "Date Range",
+      value: `${formatTimestamp(startISO, args.timezone)} to ${formatTimestamp(
+        endISO,
+        args.timezone
+      )}`,
+    },
+    ...(args.from
+      ? [{ title: "Commit Range", value: `${args.from}..${args.to}` }]
+      : []),
+    { title: "Total Commits", value: `${stats.total}` },
+    { title: "Average per Day", value: `${stats.averagePerDay}` },
+  ].filter((fact) => fact.value);
+
+  const sections = [];
+  if (Object.keys(stats.byRepository).length > 0) {
+    sections.push({
+      heading: "Repositories",
+      lines: byCount(stats.byRepository).map(
+        ([repository, count]) =>
+          `${escape(repository)}: ${count} commits (${percent(count)}%)`
+      ),
+    });
+  }
+  if (stats.total > 0) {
+    sections.push(
+      {
+        heading: "Commit Types",
+        lines: byCount(stats.byType).map(
+          ([type, count]) =>
+            `${escape(categoryLabel(type, args.categories))}: ${count} (${percent(
+              count
+            )}%)`
+        ),
+      },
+      {
+        heading: "Top Contributors",
+        lines: byCount(stats.byAuthor)
+          .slice(0, 5)
+          .map(
+            ([author, count]) =>
+              `${escape(author)}: ${count} commits (${percent(count)}%)`
+          ),
+      }
+    );
+  }
+
+  const commitLine = (it) => {
+    const prLinks = (it.pull_requests || [])
+      .map((pr) => ` (${markup.link(`#${pr.number}`, pr.url)})`)
+      .join("");
+    const render = (rawTitle) => {
+      const title = escape(rawTitle);
+      return `${breakingMarker(it)}${
+        it.html_url ? markup.link(title, it.html_url) : title
+      }${prLinks} (${escape(it.author_login || "Unknown")})`;
+    };
+    // Room for the bullet splitChatSection adds
+    const maxBytes =
+      Math.floor(limits.text / 2) - chatTextBytes(markup.bullet);
+    return fitChatText(displayTitle(it), maxBytes, render);
+  };
+  const groupItems =
+    args.groupBy === "scope"
+      ? groupByScope
+      : (groupedItems) => groupByDate(groupedItems, args.timezone);
+  const pushGroups = (sectionItems, prefix) => {
+    for (const [group, itemsInGroup] of Object.entries(
+      groupItems(sectionItems)
+    )) {
+      sections.push({
+        heading: `${prefix}${escape(group)} (${itemsInGroup.length} commits)`,
+        lines: itemsInGroup.filter((it) => it.title).map(commitLine),
+      });
+    }
+  };
+
+  if (hasRepositories(items)) {
+    for (const [repository, repoItems] of Object.entries(
+      groupByRepository(items)
+    )) {
+      pushGroups(repoItems, `${escape(repository)} · `);
+    }
+  } else {
+    pushGroups(items, "");
+  }
+
+  return {
+    title: `Commit Summary: ${heading.title}`,
+    facts,
+    notice: describePartial(args),
+    sections,
+  };
+}
+
+/**
+ * Splits a section into parts whose text fits the text limit of a block
+ *
+ * Continued parts repeat the heading with "(continued)". Lines are measured
+ * with chatTextBytes; chatDigest already keeps each one to half a block.
+ *
+ * @param {{heading: string, lines: Array<string>}} section - Digest section
+ * @param {number} limit - Bytes allowed in one block
+ * @param {Object} markup - Text markup from CHAT_MARKUP
+ * @returns {Array<{heading: string, lines: Array<string>}>} Parts of the section
+ */
+function splitChatSection(section, limit, markup) {
+  const parts = [];
+  let part = null;
+
+  for (const text of section.lines) {
+    const line = `${markup.bullet}${text}`;
+    const size = part
+      ? chatTextBytes([markup.bold(part.heading), ...part.lines, line].join("\n"))
+      : Infinity;
+    if (size > limit) {
+      part = {
+        heading:
+          parts.length === 0
+            ? section.heading
+            : `${section.heading} (continued)`,
+        lines: [],
+      };
+      parts.push(part);
+    }
+    part.lines.push(line);
+  }
+
+  return parts.length > 0 ? parts : [{ heading: section.heading, lines: [] }];
+}
+
+/**
+ * Packs blocks into as few messages as the limits allow
+ *
+ * Blocks are added in order; a block group (the blocks of one part of a
+ * digest section, see splitChatSection) is never split across messages. When there is more than one
+ * message, each title gets a "(1/3)"-style counter.
+ *
+ * @param {string} title - Message title
+ * @param {Array<Array>} blockGroups - Groups of platform blocks
+ * @param {Object} limits - Limits from chatLimits
+ * @param {Function} payload - Builds a message from (title, blocks)
+ * @returns {Array<Object>} Message payloads
+ */
+function packChatMessages(title, blockGroups, limits, payload) {
+  // Leave room for the counter added to the titles afterwards
+  const counted = `${title} (999/999)`;
+  const fits = (blocks) =>
+    blocks.length + 1 <= limits.blocks &&
+    Buffer.byteLength(JSON.stringify(payload(counted, blocks))) <=
+      limits.message;
+
+  const pages = [];
+  let page = [];
+  for (const group of blockGroups) {
+    const candidate = [...page, ...group];
+    if (page.length > 0 && !fits(candidate)) {
+      pages.push(page);
+      page = group;
+    } else {
+      page = candidate;
+    }
+  }
+  pages.push(page);
+
+  return pages.map((blocks, index) =>
+    payload(
+      pages.length > 1 ? `${title} (${index + 1}/${pages.length})` : title,
+      blocks
+    )
+  );
+}
+
+/**
+ * Formats a commit digest as Slack messages (Block Kit with mrkdwn text)
+ *
+ * Each line of the output is one message payload for a Slack incoming
+ * webhook or chat.postMessage: a header, the run's facts, the commit types
+ * and top contributors, then the commits per day with links. Digests that
+ * exceed Slack's limits (3000 characters per section, 50 blocks, or
+ * --message-limit bytes) continue in further messages.
+ *
+ * @param {Array} items - Array of commit objects
+ * @param {Object} args - Command line arguments for metadata; args.messageLimit
+ *   caps the bytes of each payload (default: 40000)
+ * @param {string} startISO - Start date in ISO format
+ * @param {string} endISO - End date in ISO format
+ * @returns {string} One JSON payload per line
  *
  * @example
- * const summary = outputSummary(commits, args, "2025-01-01T00:00:00Z", "2025-01-31T23:59:59Z");
- * // Returns markdown formatted summary with statistics
+ * outputSlack(commits, args, startISO, endISO)
+ * // Returns '{"text":"Commit Summary: acme/web","blocks":[{"type":"header",...}]}'
  */
-function outputSummary(items, args, startISO, endISO) {
-  const stats = generateStats(items);
-  const lines = [
-    `# Commit Summary: ${args.owner}/${args.repo}`,
-    "",
-    `**Branch:** ${args.branch}`,
-    `**Date Range:** ${startISO} to ${endISO}`,
-    `**Total Commits:** ${stats.total}`,
-    `**Average per Day:** ${stats.averagePerDay}`,
-    "",
-    "## Commit Types",
-    "",
+function outputSlack(items, args, startISO, endISO) {
+  const limits = chatLimits("slack", args);
+  const markup = CHAT_MARKUP.slack;
+  const digest = chatDigest(items, args, startISO, endISO, markup, limits);
+  const mrkdwn = (text) => ({ type: "mrkdwn", text });
+
+  const blockGroups = [
+    [
+      {
+        type: "section",
+        // Section fields take up to 2000 characters each
+        fields: digest.facts.map((fact) =>
+          mrkdwn(
+            fitChatText(
+              fact.value,
+              2000,
+              (value) => `*${fact.title}*\n${markup.escape(value)}`
+            )
+          )
+        ),
+      },
+    ],
   ];
+  if (digest.notice) {
+    blockGroups.push([
+      {
+        type: "context",
+        elements: [mrkdwn(`:warning: ${markup.escape(digest.notice)}`)],
+      },
+    ]);
+  }
+  for (const section of digest.sections) {
+    for (const part of splitChatSection(section, limits.text, markup)) {
+      blockGroups.push([
+        {
+          type: "section",
+          text: mrkdwn([markup.bold(part.heading), ...part.lines].join("\n")),
+        },
+      ]);
+    }
+  }
 
-  // Sort commit types by count
-  const sortedTypes = Object.entries(stats.byType).sort(
-    ([, a], [, b]) => b - a
-  );
+  const payload = (title, blocks) => ({
+    text: title,
+    blocks: [
+      {
+        type: "header",
+        // Header blocks take up to 150 characters of plain text
+        text: { type: "plain_text", text: title.slice(0, 150), emoji: true },
+      },
+      ...blocks,
+    ],
+  });
+  return packChatMessages(digest.title, blockGroups, limits, payload)
+    .map((message) => JSON.stringify(message))
+    .join("\n");
+}
 
-  for (const [type, count] of sortedTypes) {
-    const percentage = ((count / stats.total) * 100).toFixed(1);
-    lines.push(`- **${type}**: ${count} (${percentage}%)`);
+/**
+ * Formats a commit digest as Microsoft Teams messages (Adaptive Cards)
+ *
+ * Each line of the output is one message payload for a Teams incoming
+ * webhook or Workflows "post to a channel when a webhook request is
+ * received" flow, with the same content as outputSlack: the run's facts as a
+ * FactSet, the statistics and the commits per day. Cards larger than 28 KB
+ * (or --message-limit bytes) continue in further messages.
+ *
+ * @param {Array} items - Array of commit objects
+ * @param {Object} args - Command line arguments for metadata; args.messageLimit
+ *   caps the bytes of each payload (default: 28000)
+ * @param {string} startISO - Start date in ISO format
+ * @param {string} endISO - End date in ISO format
+ * @returns {string} One JSON payload per line
+ *
+ * @example
+ * outputTeams(commits, args, startISO, endISO)
+ * // Returns '{"type":"message","attachments":[{"contentType":"application/vnd.microsoft.card.adaptive",...}]}'
+ */
+function outputTeams(items, args, startISO, endISO) {
+  const limits = chatLimits("teams", args);
+  const markup = CHAT_MARKUP.teams;
+  const digest = chatDigest(items, args, startISO, endISO, markup, limits);
+  const textBlock = (text, extra = {}) => ({
+    type: "TextBlock",
+    text,
+    wrap: true,
+    ...extra,
+  });
+
+  const blockGroups = [
+    [
+      {
+        type: "FactSet",
+        facts: digest.facts.map((fact) => ({
+          title: fact.title,
+          value: markup.escape(fact.value),
+        })),
+      },
+    ],
+  ];
+  if (digest.notice) {
+    blockGroups.push([
+      textBlock(markup.escape(digest.notice), { color: "Warning" }),
+    ]);
+  }
+  for (const section of digest.sections) {
+    for (const part of splitChatSection(section, limits.text, markup)) {
+      blockGroups.push([
+        textBlock(part.heading, { weight: "Bolder", spacing: "Medium" }),
+        // Adaptive Cards only render list items separated by "\r"
+        ...(part.lines.length > 0 ? [textBlock(part.lines.join("\r"))] : []),
+      ]);
+    }
   }
 
-  lines.push("", "## Top Contributors", "");
+  const payload = (title, body) => ({
+    type: "message",
+    attachments: [
+      {
+        contentType: "application/vnd.microsoft.card.adaptive",
+        contentUrl: null,
+        content: {
+          $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+          type: "AdaptiveCard",
+          version: "1.4",
+          msteams: { width: "Full" },
+          body: [
+            textBlock(markup.escape(title), { size: "Large", weight: "Bolder" }),
+            ...body,
+          ],
+        },
+      },
+    ],
+  });
+  return packChatMessages(digest.title, blockGroups, limits, payload)
+    .map((message) => JSON.stringify(message))
+    .join("\n");
+}
 
-  // Sort authors by count
-  const sortedAuthors = Object.entries(stats.byAuthor)
-    .sort(([, a], [, b]) => b - a)
-    .slice(0, 5); // Top 5
+/**
+ * Output Templates
+ * ================
+ * User-defined layouts (--template) in a small logic-less template language
+ */
 
-  for (const [author, count] of sortedAuthors) {
-    const percentage = ((count / stats.total) * 100).toFixed(1);
-    lines.push(`- **${author}**: ${count} commits (${percentage}%)`);
-  }
+/**
+ * Month and weekday names for the `date` template helper
+ */
+const MONTH_NAMES = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
 
-  lines.push("", "## Recent Activity", "");
+/**
+ * Formats a moment with a date pattern
+ *
+ * Tokens: YYYY, MM, MMM (Jan), DD, ddd (Mon), HH, mm and ss; any other text
+ * is kept.
+ *
+ * @param {Date|string} date - The moment
+ * @param {string} pattern - Date pattern
+ * @param {string} [timezone] - IANA time zone (default: UTC)
+ * @returns {string} Formatted date, or "" when the date is missing or invalid
+ *
+ * @example
+ * formatDatePattern("2025-01-15T10:30:00Z", "ddd DD/MM/YYYY HH:mm") // Returns "Wed 15/01/2025 10:30"
+ */
+function formatDatePattern(date, pattern, timezone) {
+  if (!date || isNaN(new Date(date).getTime())) return "";
+  const f = calendarFields(date, timezone || "UTC");
+  const two = (n) => String(n).padStart(2, "0");
+  const tokens = {
+    YYYY: String(f.year),
+    MMM: MONTH_NAMES[f.month],
+    MM: two(f.month + 1),
+    DD: two(f.day),
+    ddd: WEEKDAY_NAMES[f.weekday],
+    HH: two(f.hour),
+    mm: two(f.minute),
+    ss: two(f.second),
+  };
+  return `${pattern}`.replace(/YYYY|MMM|MM|DD|ddd|HH|mm|ss/g, (t) => tokens[t]);
+}
 
-  // Show last 5 days with activity
-  const sortedDates = Object.entries(stats.byDate)
-    .sort(([a], [b]) => b.localeCompare(a))
-    .slice(0, 5);
+/**
+ * Helpers available in templates as {{helper value arg...}}
+ *
+ * Each helper receives the template's root context first (for the time
+ * zone), then the evaluated arguments.
+ */
+const TEMPLATE_HELPERS = {
+  date: (root, value, pattern = "YYYY-MM-DD") =>
+    formatDatePattern(value, pattern, root.timezone),
+  truncate: (root, value, length = 72) => {
+    const text = templateText(value);
+    return text.length > length
+      ? `${text.slice(0, Math.max(length - 1, 0)).trimEnd()}…`
+      : text;
+  },
+  upper: (root, value) => templateText(value).toUpperCase(),
+  lower: (root, value) => templateText(value).toLowerCase(),
+  join: (root, value, separator = ", ") =>
+    [].concat(value ?? []).map(templateText).join(separator),
+};
 
-  for (const [date, count] of sortedDates) {
-    lines.push(`- **${date}**: ${count} commits`);
+/**
+ * Converts a template value to the text inserted for it
+ *
+ * @param {*} value - Any value
+ * @returns {string} Text; null and undefined become "", lists are joined with ", "
+ */
+function templateText(value) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.map(templateText).join(", ");
+  return `${value}`;
+}
+
+/**
+ * Parses a template into text, variable and section nodes
+ *
+ * The syntax is a subset of Mustache:
+ * - `{{name}}` or `{{stats.total}}` inserts a value (as is, without escaping)
+ * - `{{helper value arg...}}` calls a helper (date, truncate, upper, lower,
+ *   join); arguments are names, numbers or "quoted text"
+ * - `{{#name}}...{{/name}}` repeats for every entry of a list, or renders once
+ *   when the value is set; inside, the entry's fields come first and `{{.}}`
+ *   is the entry itself
+ * - `{{^name}}...{{/name}}` renders when the value is empty or not set
+ * - `{{! comment }}` is left out
+ *
+ * Section and comment tags on a line of their own leave no blank line.
+ *
+ * @param {string} source - Template text
+ * @returns {Array} Nodes for renderTemplate
+ * @throws {Error} If sections are not closed in order or a helper is unknown
+ */
+function parseTemplate(source) {
+  const text = `${source}`.replace(
+    /^[ \t]*(\{\{\s*[#^/!][^}]*\}\})[ \t]*(?:\r?\n|$)/gm,
+    "$1"
+  );
+  const root = { children: [] };
+  const stack = [root];
+  const tagPattern = /\{\{\s*([#^/!]?)\s*([\s\S]*?)\s*\}\}/g;
+  let last = 0;
+  let match;
+
+  while ((match = tagPattern.exec(text))) {
+    const [, kind, body] = match;
+    const parent = stack[stack.length - 1];
+    if (match.index > last) {
+      parent.children.push(text.slice(last, match.index));
+    }
+    last = tagPattern.lastIndex;
+
+    if (kind === "!") continue;
+    if (kind === "#" || kind === "^") {
+      const section = { name: body, inverted: kind === "^", children: [] };
+      parent.children.push(section);
+      stack.push(section);
+    } else if (kind === "/") {
+      if (stack.length === 1 || parent.name !== body) {
+        throw new Error(`Template error: unexpected {{/${body}}}`);
+      }
+      stack.pop();
+    } else {
+      const args = [...body.matchAll(/"([^"]*)"|(\S+)/g)];
+      const helper = args.length > 1 ? args[0][2] : null;
+      if (helper !== null && !Object.hasOwn(TEMPLATE_HELPERS, helper)) {
+        throw new Error(
+          `Template error: unknown helper "${helper}" in {{${body}}}`
+        );
+      }
+      parent.children.push({ args, helper });
+    }
+  }
+  if (stack.length > 1) {
+    throw new Error(
+      `Template error: unclosed section {{#${stack[stack.length - 1].name}}}`
+    );
   }
+  if (last < text.length) root.children.push(text.slice(last));
 
-  return lines.join("\n");
+  return root.children;
 }
 
-function outputJSON(items, args, startISO, endISO) {
-  const output = {
+/**
+ * Looks up a dotted name in a stack of template contexts, innermost first
+ *
+ * @param {string} name - Name such as "title", "stats.total" or "."
+ * @param {Array} stack - Contexts, the root first
+ * @returns {*} The value, or undefined when not found
+ */
+function lookupTemplateValue(name, stack) {
+  if (name === ".") return stack[stack.length - 1];
+
+  const [first, ...rest] = name.split(".");
+  const context = [...stack]
+    .reverse()
+    .find((ctx) => ctx !== null && typeof ctx === "object" && first in ctx);
+  if (!context) return undefined;
+  return rest.reduce((value, key) => value?.[key], context[first]);
+}
+
+/**
+ * Renders a template with a context
+ *
+ * @param {string} source - Template text (see parseTemplate for the syntax)
+ * @param {Object} context - Values available to the template (see templateContext)
+ * @returns {string} Rendered text
+ * @throws {Error} If the template is malformed (see parseTemplate)
+ *
+ * @example
+ * renderTemplate("{{#days}}{{date}}: {{count}}\n{{/days}}", { days: [{ date: "2025-01-15", count: 3 }] })
+ * // Returns "2025-01-15: 3\n"
+ */
+function renderTemplate(source, context) {
+  const evaluate = ({ args, helper }, stack) => {
+    const value = ([, quoted, word]) => {
+      if (quoted !== undefined) return quoted;
+      if (/^-?\d+(\.\d+)?$/.test(word)) return Number(word);
+      return lookupTemplateValue(word, stack);
+    };
+    if (!helper) return args.length > 0 ? value(args[0]) : "";
+    return TEMPLATE_HELPERS[helper](context, ...args.slice(1).map(value));
+  };
+
+  const render = (nodes, stack) =>
+    nodes
+      .map((node) => {
+        if (typeof node === "string") return node;
+        if (node.args) return templateText(evaluate(node, stack));
+
+        const value = lookupTemplateValue(node.name, stack);
+        const empty = !value || (Array.isArray(value) && value.length === 0);
+        if (node.inverted || empty) {
+          return node.inverted && empty ? render(node.children, stack) : "";
+        }
+        if (Array.isArray(value)) {
+          return value
+            .map((entry) => render(node.children, [...stack, entry]))
+            .join("");
+        }
+        return render(
+          node.children,
+          typeof value === "object" ? [...stack, value] : stack
+        );
+      })
+      .join("");
+
+  return render(parseTemplate(source), [context]);
+}
+
+/**
+ * Describes a run for output templates and formatter plugins
+ *
+ * @param {Object} args - Run metadata
+ * @param {string} startISO - Start date in ISO format
+ * @param {string} endISO - End date in ISO format
+ * @returns {Object} title, owner, repo, branch, repositories ("owner/repo"
+ *   labels of multi-repository runs), start, end (in args.timezone), timezone,
+ *   from, to, author, committer, release, partial (notice or null) and generated
+ */
+function runMetadata(args, startISO, endISO) {
+  return {
+    title: describeRepositories(args).title,
     owner: args.owner,
     repo: args.repo,
     branch: args.branch,
-    start: startISO,
-    end: endISO,
+    repositories: (args.repositories || []).map(
+      ({ owner, repo }) => `${owner}/${repo}`
+    ),
+    start: formatTimestamp(startISO, args.timezone),
+    end: formatTimestamp(endISO, args.timezone),
+    timezone: args.timezone || null,
+    from: args.from || null,
+    to: args.to || null,
     author: args.author ?? null,
     committer: args.committer ?? null,
-    excludeMerges: !!args.excludeMerges,
-    count: items.length,
-    titles: items.map((i) => i.title).filter(Boolean),
-    // bonus data if you need it later:
-    commits: items,
+    release: args.release || null,
+    partial: describePartial(args),
+    generated: new Date().toISOString(),
   };
+}
 
-  return JSON.stringify(output, null, 2);
+/**
+ * Builds the values available to output templates
+ *
+ * - Metadata: title, owner, repo, branch, start, end, timezone, from, to,
+ *   author, committer, release, partial (notice or null), generated
+ * - total and stats (see generateStats)
+ * - commits: every item plus short_sha, author, url, type, label, scope,
+ *   breaking and day
+ * - days: { date, count, commits } newest first
+ * - authors, types, repositories: { name, count, commits } by count (types
+ *   also have type and label; repositories only in multi-repository runs)
+ *
+ * @param {Array} items - Normalized items
+ * @param {Object} args - Run metadata
+ * @param {string} startISO - Start date in ISO format
+ * @param {string} endISO - End date in ISO format
+ * @returns {Object} Template context
+ */
+function templateContext(items, args, startISO, endISO) {
+  const commits = items
+    .filter((it) => it.title)
+    .map((it) => {
+      const type = categorizeCommit(it.title, args.categories);
+      const conventional = conventionalOf(it);
+      return {
+        ...it,
+        title: displayTitle(it),
+        short_sha: (it.sha || "").slice(0, 7),
+        author: it.author_login || "Unknown",
+        url: it.html_url,
+        type,
+        label: categoryLabel(type, args.categories),
+        scope: conventional?.scope || null,
+        breaking: Boolean(conventional?.breaking),
+        day: it.date ? dayKey(it.date, args.timezone) : "Unknown",
+      };
+    });
+
+  const countBy = (keysOf) => {
+    const groups = new Map();
+    for (const commit of commits) {
+      for (const key of keysOf(commit)) {
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(commit);
+      }
+    }
+    return [...groups.entries()]
+      .map(([name, list]) => ({ name, count: list.length, commits: list }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  };
+
+  // The repository labels are replaced by the per-repository groups
+  const { repositories: _labels, ...metadata } = runMetadata(
+    args,
+    startISO,
+    endISO
+  );
+  return {
+    ...metadata,
+    total: commits.length,
+    stats: generateStats(items, args),
+    commits,
+    days: Object.entries(groupByDate(commits, args.timezone)).map(
+      ([date, list]) => ({ date, count: list.length, commits: list })
+    ),
+    authors: countBy((c) => new Set([c.author, ...(c.co_authors || [])])),
+    types: countBy((c) => [c.type]).map((type) => ({
+      ...type,
+      type: type.name,
+      label: categoryLabel(type.name, args.categories),
+    })),
+    repositories: countBy((c) => (c.repository ? [c.repository] : [])),
+  };
 }
 
-function outputNDJSON(items) {
-  return items.map((it) => JSON.stringify(it)).join("\n");
+/**
+ * Reads and checks an output template file (--template)
+ *
+ * @param {string} templatePath - Path to the template
+ * @returns {string} Template text
+ * @throws {Error} If the file is missing or the template is malformed
+ */
+function loadTemplate(templatePath) {
+  const fullPath = resolve(templatePath);
+  if (!existsSync(fullPath)) {
+    throw new Error(`Template file not found: ${templatePath}`);
+  }
+  const source = readFileSync(fullPath, "utf8");
+  try {
+    parseTemplate(source);
+  } catch (_err) {
+    throw new Error(`${_err.message} (in ${templatePath})`);
+  }
+  return source;
 }
 
-function outputCSV(items) {
-  const header = [
-    "sha",
-    "date",
-    "author_login",
-    "committer_login",
-    "title",
-    "html_url",
-  ]
-    .map(toCSVCell)
-    .join(",");
+/**
+ * Formatter Registry
+ * ==================
+ * Output formats accepted by --format: the built-in ones and plugins loaded
+ * from JavaScript modules
+ */
 
-  const rows = items.map((it) =>
-    [
-      it.sha,
-      it.date,
-      it.author_login,
-      it.committer_login,
-      it.title,
-      it.html_url,
-    ]
-      .map(toCSVCell)
-      .join(",")
-  );
+/**
+ * Output formats by name
+ *
+ * Every formatter is called as (items, args, startISO, endISO) and returns a
+ * string, a readable stream, or a promise of either. Formats are added with
+ * registerFormatter.
+ */
+const FORMATTERS = {};
 
-  return [header, ...rows].join("\n");
+/**
+ * Help text of each registered format, by name
+ */
+const FORMATTER_DESCRIPTIONS = {};
+
+/**
+ * Adds an output format to the registry
+ *
+ * @param {string} name - Format name for --format (letters, digits, - and _)
+ * @param {Function} formatter - Called as (items, args, startISO, endISO)
+ * @param {Object} [options]
+ * @param {string} [options.description] - Help text; lines after the first are indented under it
+ * @throws {Error} If the name is invalid or taken, or the formatter is not a function
+ *
+ * @example
+ * registerFormatter("titles-only", (items) => items.map((it) => it.title).join("\n"), {
+ *   description: "Commit titles without anything else",
+ * });
+ */
+function registerFormatter(name, formatter, { description = "" } = {}) {
+  const key = `${name}`.toLowerCase();
+  if (!/^[a-z][a-z0-9_-]*$/.test(key)) {
+    throw new Error(
+      `Format names must start with a letter and use letters, digits, - or _ (got ${name})`
+    );
+  }
+  if (FORMATTERS[key]) {
+    throw new Error(`Format "${key}" is already registered`);
+  }
+  if (typeof formatter !== "function") {
+    throw new Error(`Format "${key}" needs a formatter function`);
+  }
+  FORMATTERS[key] = formatter;
+  FORMATTER_DESCRIPTIONS[key] = `${description}`;
 }
 
-function outputMarkdown(items, args, startISO, endISO) {
-  const lines = [
-    `# Commit History: ${args.owner}/${args.repo}`,
-    "",
-    `**Branch:** ${args.branch}`,
-    `**Date Range:** ${startISO} to ${endISO}`,
-    `**Total Commits:** ${items.length}`,
-    "",
-    "## Commits by Date",
-    "",
-  ];
+registerFormatter("text", outputText, {
+  description: "Simple list of commit titles",
+});
+registerFormatter("grouped", outputGrouped, {
+  description: "Commits grouped by date with emojis",
+});
+registerFormatter("timesheet", outputTimesheet, {
+  description:
+    "Clean format optimized for copying to timesheets (DD/MM/YYYY format)",
+});
+registerFormatter("summary", outputSummary, {
+  description: "Statistical summary with commit types and contributors",
+});
+registerFormatter("json", outputJSON, {
+  description: "Structured JSON with metadata",
+});
+registerFormatter("ndjson", outputNDJSON, {
+  description: "Newline-delimited JSON",
+});
+registerFormatter("csv", outputCSV, { description: "Comma-separated values" });
+registerFormatter("markdown", outputMarkdown, {
+  description: "Formatted markdown with links",
+});
+registerFormatter("html", outputHTML, { description: "Styled HTML page" });
+registerFormatter("changelog", outputChangelog, {
+  description: [
+    "Release notes (Breaking Changes, Features, Bug Fixes, Performance, Contributors); with",
+    "--output, the section is added to the top of an existing CHANGELOG.md",
+  ].join("\n"),
+});
+registerFormatter("standup", outputStandup, {
+  description: [
+    "Slack-friendly standup: the last working day's commits and pull requests per repository;",
+    "without --start/--end it covers the last working day (skipping weekends and --holidays) until now",
+  ].join("\n"),
+});
+registerFormatter("harvest", outputHarvest, {
+  description: [
+    "Harvest time import CSV: one entry per day and project, hours estimated from commit",
+    "times (as --estimate-hours) and the day's commit titles as notes",
+  ].join("\n"),
+});
+registerFormatter("toggl", outputToggl, {
+  description: "Toggl Track CSV import, with the same entries",
+});
+registerFormatter("tempo", outputTempo, {
+  description: [
+    "Tempo worklogs (JSON) against the Jira issue mapped to each repository in --projects,",
+    "by the Jira account mapped to each author in --authors",
+  ].join("\n"),
+});
+registerFormatter("slack", outputSlack, {
+  description: [
+    "Slack messages (Block Kit JSON, one webhook payload per line): summary statistics and",
+    "the commits per day, split into several messages when too long",
+  ].join("\n"),
+});
+registerFormatter("teams", outputTeams, {
+  description:
+    "Microsoft Teams messages (Adaptive Card JSON, one webhook payload per line), as slack",
+});
 
-  const grouped = groupByDate(items);
+/**
+ * Tells whether a --format value names a module file rather than a format
+ *
+ * @param {string} format - The --format value
+ * @returns {boolean} True for paths such as "./my-format.js"
+ */
+function isFormatterModule(format) {
+  return /[\\/]/.test(format) || /\.c?js$/i.test(format);
+}
 
-  for (const [date, dateItems] of Object.entries(grouped)) {
-    lines.push(`### ${date} (${dateItems.length} commits)`);
-    lines.push("");
+/**
+ * Loads a formatter plugin from a CommonJS module
+ *
+ * The module exports either a function or an object with a `format`
+ * function (and optionally a `description`). It is called as
+ * format(items, { args, stats, metadata, startISO, endISO }), where stats
+ * come from generateStats and metadata describes the run (see
+ * runMetadata), and returns a string, a readable stream or a promise of
+ * either.
+ *
+ * @param {string} modulePath - Path to the module
+ * @param {string} [baseDir] - Directory relative paths start from (default: the working directory)
+ * @returns {{format: Function, description: string}} Formatter called as
+ *   (items, args, startISO, endISO), plus its description
+ * @throws {Error} If the module is missing, fails to load or exports no formatter
+ *
+ * @example
+ * // my-format.js
+ * module.exports = (items, { metadata }) =>
+ *   `${metadata.title}: ${items.length} commits`;
+ *
+ * const { format } = loadFormatterModule("./my-format.js");
+ */
+function loadFormatterModule(modulePath, baseDir = process.cwd()) {
+  const fullPath = resolve(baseDir, modulePath);
+  if (!existsSync(fullPath)) {
+    throw new Error(`Formatter module not found: ${modulePath}`);
+  }
 
-    for (const it of dateItems) {
-      const author = it.author_login || "Unknown";
-      lines.push(`- [${it.title}](${it.html_url}) (${author})`);
-    }
-    lines.push("");
+  let exported;
+  try {
+    exported = require(fullPath);
+  } catch (_err) {
+    const reason =
+      _err.code === "ERR_REQUIRE_ESM"
+        ? "it is an ES module; export the formatter with module.exports"
+        : _err.message;
+    throw new Error(`Failed to load formatter module ${modulePath}: ${reason}`);
+  }
+
+  const plugin = typeof exported === "function" ? exported : exported?.format;
+  if (typeof plugin !== "function") {
+    throw new Error(
+      `Formatter module ${modulePath} must export a function or an object with a format function`
+    );
   }
 
-  return lines.join("\n");
+  return {
+    format: (items, args, startISO, endISO) =>
+      plugin(items, {
+        args,
+        stats: generateStats(items, args),
+        metadata: runMetadata(args, startISO, endISO),
+        startISO,
+        endISO,
+      }),
+    description: exported.description
+      ? `${exported.description}`
+      : `Plugin (${modulePath})`,
+  };
 }
 
-function outputHTML(items, args, startISO, endISO) {
-  const html = [
-    "<!DOCTYPE html>",
-    "<html>",
-    "<head>",
-    "<title>Commit History</title>",
-    "<style>",
-    'body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; }',
-    ".header { background: #f6f8fa; padding: 20px; border-radius: 6px; margin-bottom: 20px; }",
-    ".date-group { margin-bottom: 30px; }",
-    ".date-header { background: #f1f3f4; padding: 10px 15px; border-radius: 4px; margin-bottom: 15px; font-weight: 600; color: #24292e; }",
-    ".commit { border-bottom: 1px solid #e1e4e8; padding: 10px 0; }",
-    ".commit:last-child { border-bottom: none; }",
-    ".date { color: #586069; font-size: 0.9em; }",
-    ".author { color: #0366d6; font-weight: 500; }",
-    ".title { font-weight: 500; margin: 5px 0; }",
-    "a { color: #0366d6; text-decoration: none; }",
-    "a:hover { text-decoration: underline; }",
-    "</style>",
-    "</head>",
-    "<body>",
-    '<div class="header">',
-    `<h1>Commit History: ${args.owner}/${args.repo}</h1>`,
-    `<p><strong>Branch:</strong> ${args.branch}</p>`,
-    `<p><strong>Date Range:</strong> ${startISO} to ${endISO}</p>`,
-    `<p><strong>Total Commits:</strong> ${items.length}</p>`,
-    "</div>",
-    '<div class="commits">',
-  ];
+/**
+ * Registers the formatter plugins of the `formatters` configuration map
+ *
+ * @param {Object<string, string>} [formatters] - Format names mapped to module paths
+ * @param {string} [baseDir] - Directory of the configuration file, for relative paths
+ * @throws {Error} If the map is malformed or a module cannot be loaded
+ *
+ * @example
+ * registerFormatterModules({ jira: "./formatters/jira.js" }, "/home/me/project");
+ * // --format jira now uses /home/me/project/formatters/jira.js
+ */
+function registerFormatterModules(formatters, baseDir) {
+  if (!formatters) return;
+  if (typeof formatters !== "object" || Array.isArray(formatters)) {
+    throw new Error("formatters must map format names to module paths");
+  }
+  for (const [name, modulePath] of Object.entries(formatters)) {
+    if (typeof modulePath !== "string" || !modulePath.trim()) {
+      throw new Error(`formatters.${name} must be a module path`);
+    }
+    const { format, description } = loadFormatterModule(modulePath, baseDir);
+    registerFormatter(name, format, { description });
+  }
+}
 
-  const grouped = groupByDate(items);
+/**
+ * Looks up the formatter for a --format value
+ *
+ * @param {string} [format] - A registered format name (case-insensitive) or a module path
+ * @returns {Function} Formatter called as (items, args, startISO, endISO)
+ * @throws {Error} If the format is unknown or the module cannot be loaded
+ */
+function resolveFormatter(format = "text") {
+  if (isFormatterModule(format)) return loadFormatterModule(format).format;
 
-  for (const [date, dateItems] of Object.entries(grouped)) {
-    html.push(
-      '<div class="date-group">',
-      `<div class="date-header">${date} (${dateItems.length} commits)</div>`
+  const formatter = FORMATTERS[`${format}`.toLowerCase()];
+  if (!formatter) {
+    throw new Error(
+      `Unknown --format ${format}. Use ${Object.keys(FORMATTERS).join("|")}.`
     );
+  }
+  return formatter;
+}
 
-    for (const it of dateItems) {
-      const author = it.author_login || "Unknown";
-      html.push(
-        '<div class="commit">',
-        `<div class="title"><a href="${it.html_url}" target="_blank">${it.title}</a></div>`,
-        `<div class="author">${author}</div>`,
-        "</div>"
-      );
-    }
+/**
+ * Lists the registered formats for --help
+ *
+ * @returns {string} One entry per format, descriptions aligned
+ */
+function describeFormatters() {
+  const width = Math.max(...Object.keys(FORMATTERS).map((n) => n.length));
+  return Object.entries(FORMATTER_DESCRIPTIONS)
+    .map(([name, description]) =>
+      description
+        .split("\n")
+        .map((line, i) =>
+          i === 0
+            ? `  ${name.padEnd(width)} - ${line}`
+            : `  ${" ".repeat(width)}   ${line}`
+        )
+        .join("\n")
+    )
+    .join("\n");
+}
 
-    html.push("</div>");
-  }
+/**
+ * Returns the --help text, listing every registered format
+ *
+ * @returns {string} Help text
+ */
+function helpText() {
+  return HELP.trim().replace(
+    "Output formats:\n",
+    `Output formats:\n${describeFormatters()}\n`
+  );
+}
 
-  html.push("</div>", "</body>", "</html>");
-  return html.join("\n");
+/**
+ * Renders items in one of the registered output formats
+ *
+ * @param {string} format - A key of FORMATTERS (case-insensitive) or a formatter module path
+ * @param {Array} items - Normalized commit items
+ * @param {Object} args - Run metadata (owner, repo, branch, author, ...)
+ * @param {string} startISO - Start date in ISO format
+ * @param {string} endISO - End date in ISO format
+ * @returns {string|Object|Promise} The rendered output (plugins may return a stream or a promise)
+ * @throws {Error} If the format is unknown
+ *
+ * @example
+ * const output = formatOutput("markdown", items, { owner: "user", repo: "repo", branch: "main" }, startISO, endISO);
+ */
+function formatOutput(format, items, args, startISO, endISO) {
+  return resolveFormatter(format || "text")(items, args, startISO, endISO);
 }
 
 function writeOutput(content, outputPath) {
@@ -1365,12 +7297,75 @@ function writeOutput(content, outputPath) {
   }
 }
 
+/**
+ * Tells whether a formatter returned a readable stream instead of a string
+ *
+ * @param {*} output - Formatter result
+ * @returns {boolean} True for Node.js readable streams
+ */
+function isReadableStream(output) {
+  return (
+    output !== null &&
+    typeof output === "object" &&
+    typeof output.pipe === "function" &&
+    typeof output[Symbol.asyncIterator] === "function"
+  );
+}
+
+/**
+ * Writes a formatter's stream to a file or stdout
+ *
+ * @param {Object} stream - Readable stream
+ * @param {string} [outputPath] - File to write; stdout when not set or "-"
+ * @returns {Promise<void>} Resolves once everything is written
+ * @throws {Error} If the stream or the file fails
+ */
+async function writeOutputStream(stream, outputPath) {
+  if (!outputPath || outputPath === "-") {
+    for await (const chunk of stream) process.stdout.write(chunk);
+    return;
+  }
+  try {
+    await pipeline(stream, createWriteStream(outputPath));
+    console.error(`Output written to: ${outputPath}`);
+  } catch (_err) {
+    throw new Error(`Failed to write output file: ${_err.message}`);
+  }
+}
+
 /**
  * Main Application Entry Point
  * ===========================
  * Orchestrates the entire application flow from argument parsing to output generation
  */
 
+/**
+ * Runs the `cache` command
+ *
+ * `cache clear [--cache-dir <dir>]` removes every cached commit entry.
+ *
+ * @param {string[]} argv - Arguments after "cache"
+ * @throws {Error} If the subcommand is unknown
+ *
+ * @example
+ * runCacheCommand(["clear", "--cache-dir", ".cache"]);
+ */
+function runCacheCommand(argv) {
+  const [command, ...rest] = argv;
+  if (command !== "clear") {
+    throw new Error(
+      `Unknown cache command: ${command || "(none)"}. Use: cache clear [--cache-dir <dir>]`
+    );
+  }
+
+  const args = parseArgs(rest);
+  const cacheDir = resolve(args.cacheDir || defaultCacheDir());
+  const removed = clearCache(cacheDir);
+  console.log(
+    `Removed ${removed} cached ${removed === 1 ? "entry" : "entries"} from ${cacheDir}`
+  );
+}
+
 /**
  * Main function that coordinates the entire application
  *
@@ -1395,22 +7390,42 @@ function writeOutput(content, outputPath) {
  */
 async function main() {
   try {
-    const args = parseArgs(process.argv.slice(2));
-    if (args.help) {
-      console.log(HELP.trim());
+    let argv = process.argv.slice(2);
+    if (argv[0] === "cache") {
+      runCacheCommand(argv.slice(1));
       process.exit(0);
     }
+    if (argv[0] === "standup") argv = ["--format", "standup", ...argv.slice(1)];
+
+    const args = parseArgs(argv);
 
     // Load configuration file if specified
     let config = {};
     if (args.config) {
       config = loadConfig(args.config);
     }
+    // Formatter plugins of the configuration also show up in --help
+    registerFormatterModules(
+      config.formatters,
+      args.config ? dirname(resolve(args.config)) : undefined
+    );
+    if (args.help) {
+      console.log(helpText());
+      process.exit(0);
+    }
+
+    const source = validateSource(args.source || config.source);
+    const apiUrl = resolveApiUrl(
+      args.apiUrl || config.apiUrl,
+      process.env.GH_HOST
+    );
+    const host = webHostFor(apiUrl);
 
     // Auto-detect git repository information if --auto flag is used
     let gitInfo = {};
+    let localDefaults = {};
     if (args.auto) {
-      gitInfo = autoDetectGitInfo();
+      gitInfo = autoDetectGitInfo(host);
 
       if (!gitInfo.isGitRepo) {
         throw new Error(
@@ -1436,196 +7451,156 @@ async function main() {
           );
         }
       }
+    } else if (source === "local") {
+      const detected = autoDetectGitInfo(host);
+      if (!detected.isGitRepo) {
+        throw new Error(
+          "--source local requires being run from within a git repository"
+        );
+      }
+
+      // Detected values only fill in what the config file and command line leave out
+      for (const key of ["owner", "repo", "branch"]) {
+        if (detected[key]) localDefaults[key] = detected[key];
+      }
     }
 
     // Merge config with git auto-detection and command line args (CLI args take precedence)
-    const finalArgs = { ...config, ...gitInfo, ...args };
+    const finalArgs = { ...localDefaults, ...config, ...gitInfo, ...args };
+
+    // --period sets both dates; --start/--end on the command line win over a
+    // period from the configuration file
+    const period =
+      args.period || (!args.start && !args.end ? finalArgs.period : undefined);
+    const usesRefRange = Boolean(
+      finalArgs.from || finalArgs.to || finalArgs.sinceLastTag
+    );
+    // A standup covers the last working day up to now unless dates are given
+    const standup = `${finalArgs.format || ""}`.toLowerCase() === "standup";
+    if (
+      standup &&
+      !usesRefRange &&
+      !period &&
+      !finalArgs.start &&
+      !finalArgs.end
+    ) {
+      finalArgs.start = "last workday";
+      finalArgs.end = "now";
+    }
 
-    // Validate required arguments
-    const required = ["owner", "repo", "branch", "start", "end"];
+    // Validate required arguments (--repos/--org replace --owner/--repo/--branch;
+    // local history only needs a branch, owner/repo are used for commit links;
+    // a period or ref range replaces the dates)
+    let required = ["owner", "repo", "branch", "start", "end"];
+    if (finalArgs.repos || finalArgs.org) {
+      required = ["start", "end"];
+    } else if (source === "local") {
+      required = ["branch", "start", "end"];
+    }
+    if (usesRefRange || period) {
+      required = required.filter((k) => k !== "start" && k !== "end");
+    }
     for (const k of required) {
       if (!finalArgs[k]) {
         console.error(`Missing --${k}\n`);
-        console.error(HELP.trim());
+        console.error(helpText());
         process.exit(1);
       }
     }
 
-    // Validate and sanitize inputs
-    const owner = validateOwner(finalArgs.owner);
-    const repo = validateRepo(finalArgs.repo);
-    const branch = validateBranch(finalArgs.branch);
-    const startDate = validateDate(finalArgs.start, "start");
-    const endDate = validateDate(finalArgs.end, "end");
-    const max = validateMax(finalArgs.max);
-    const token = validateToken(
-      finalArgs.token || process.env.GITHUB_TOKEN || getGitHubCLIToken() || ""
-    );
-    const retries = finalArgs.retry ? parseInt(finalArgs.retry) : 3;
-    const timeout = finalArgs.timeout ? parseInt(finalArgs.timeout) : 30000;
-    const excludePattern = validateRegex(
-      finalArgs.excludePattern,
-      "exclude-pattern"
-    );
-    const includePattern = validateRegex(
-      finalArgs.includePattern,
-      "include-pattern"
-    );
-
-    // Validate date range (allow same day for start/end)
-    if (startDate > endDate) {
-      throw new Error("--start date must be before or equal to --end date");
-    }
-
-    // Handle special case for same-day ranges
-    let startISO = startDate.toISOString();
-    let endISO = endDate.toISOString();
-
-    // If both dates are the same day, set end to end of that day
-    if (startDate.toDateString() === endDate.toDateString()) {
-      const endOfDay = new Date(endDate);
-      endOfDay.setHours(23, 59, 59, 999);
-      endISO = endOfDay.toISOString();
-    }
+    // Options that only affect the output are checked before fetching
+    finalArgs.groupBy = validateGroupBy(finalArgs.groupBy);
+    if (finalArgs.estimateHours) hoursOptions(finalArgs);
+    if (finalArgs.messageLimit !== undefined) chatLimits("slack", finalArgs);
 
     // Ensure output directory exists
     ensureOutputDirectory(finalArgs.output);
-
-    if (finalArgs.verbose) {
-      console.error(`Fetching commits from ${owner}/${repo} (${branch})`);
-      console.error(`Date range: ${startISO} to ${endISO}`);
-      if (max) console.error(`Max commits: ${max}`);
-      if (token) {
-        if (finalArgs.token) {
-          console.error("Using GitHub token from command line");
-        } else if (process.env.GITHUB_TOKEN) {
-          console.error("Using GitHub token from environment variable");
-        } else {
-          console.error("Using GitHub token from GitHub CLI");
-        }
-      } else {
-        console.error("Warning: No GitHub token provided (rate limit: 60/hr)");
-        console.error(
-          "  Use --token, GITHUB_TOKEN env var, or 'gh auth login'"
-        );
+    const template = finalArgs.template
+      ? loadTemplate(finalArgs.template)
+      : null;
+    const format = `${finalArgs.format || "text"}`;
+    let formatter = null;
+    if (!template) {
+      try {
+        formatter = resolveFormatter(format);
+      } catch (_err) {
+        if (!_err.message.startsWith("Unknown --format")) throw _err;
+        console.error(_err.message);
+        process.exit(2);
       }
-      if (excludePattern)
-        console.error(`Exclude pattern: ${excludePattern.source}`);
-      if (includePattern)
-        console.error(`Include pattern: ${includePattern.source}`);
     }
 
-    const commits = await fetchCommits({
-      owner,
-      repo,
-      branch,
-      startISO,
-      endISO,
-      author: finalArgs.author,
-      committer: finalArgs.committer,
-      token,
-      max,
-      verbose: finalArgs.verbose,
-      retries,
-      timeout,
+    const partial = [];
+    const report = await runCommitQuery({
+      ...finalArgs,
+      period,
+      // A period from the configuration file gives way to --start/--end
+      start: args.start || (period ? undefined : finalArgs.start),
+      end: args.end || (period ? undefined : finalArgs.end),
+      source,
+      apiUrl,
+      retries: finalArgs.retry ? parseInt(finalArgs.retry) : undefined,
+      timeout: finalArgs.timeout ? parseInt(finalArgs.timeout) : undefined,
+      cacheDir:
+        finalArgs.noCache || finalArgs.cache === false
+          ? null
+          : finalArgs.cacheDir || defaultCacheDir(),
+      waitOnRateLimit: Boolean(finalArgs.waitOnRateLimit),
+      verbose: Boolean(finalArgs.verbose),
+      onPartial: (info) => partial.push(info),
     });
-
-    if (commits.length === 0) {
-      if (finalArgs.verbose) {
-        console.error("No commits found in the specified date range");
-      }
-      process.exit(0);
-    }
-
-    // Map down to fields we may want
-    let items = commits.map((c) => ({
-      sha: c.sha,
-      title: firstLine(c?.commit?.message || ""),
-      date: c?.commit?.author?.date || c?.commit?.committer?.date || null,
-      html_url: c?.html_url,
-      author_login: c?.author?.login || null,
-      committer_login: c?.committer?.login || null,
-    }));
-
-    // Apply filters
-    if (finalArgs.excludeMerges) {
-      const beforeCount = items.length;
-      items = items.filter((i) => !/^merge\b/i.test(i.title));
-      if (finalArgs.verbose && beforeCount !== items.length) {
-        console.error(`Excluded ${beforeCount - items.length} merge commits`);
-      }
+    if (partial.length > 0) {
+      finalArgs.partial = partial;
+      console.error(
+        "Warning: results are incomplete because of GitHub rate limits; re-run with --wait-on-rate-limit for complete data"
+      );
     }
 
-    if (excludePattern) {
-      const beforeCount = items.length;
-      items = items.filter((i) => !excludePattern.test(i.title));
-      if (finalArgs.verbose && beforeCount !== items.length) {
+    if (report.fetched === 0) {
+      if (finalArgs.verbose) {
         console.error(
-          `Excluded ${
-            beforeCount - items.length
-          } commits matching exclude pattern`
+          `No commits found in the specified ${report.refRange ? "range" : "date range"}`
         );
       }
+      process.exit(0);
     }
 
-    if (includePattern) {
-      const beforeCount = items.length;
-      items = items.filter((i) => includePattern.test(i.title));
-      if (finalArgs.verbose && beforeCount !== items.length) {
-        console.error(
-          `Included ${items.length} commits matching include pattern`
-        );
-      }
+    // Formatters group and render dates in the zone of the query
+    finalArgs.timezone = report.timezone;
+    if (report.refRange) Object.assign(finalArgs, report.refRange);
+    if (report.repositories) finalArgs.repositories = report.repositories;
+    const { items, startISO, endISO } = report;
+
+    let output = template
+      ? renderTemplate(
+        template,
+        templateContext(items, finalArgs, startISO, endISO)
+      )
+      : await formatter(items, finalArgs, startISO, endISO);
+    // A changelog file is updated in place instead of being overwritten
+    const toFile = finalArgs.output && finalArgs.output !== "-";
+    if (!template && format.toLowerCase() === "changelog" && toFile) {
+      const existing = existsSync(finalArgs.output)
+        ? readFileSync(finalArgs.output, "utf8")
+        : "";
+      output = mergeChangelog(existing, output);
     }
 
-    const format = (finalArgs.format || "text").toLowerCase();
-    let output;
-
-    switch (format) {
-      case "text":
-        output = items
-          .map((it) => it.title)
-          .filter(Boolean)
-          .join("\n");
-        break;
-      case "grouped":
-        output = outputGrouped(items);
-        break;
-      case "timesheet":
-        output = outputTimesheet(items);
-        break;
-      case "summary":
-        output = outputSummary(items, finalArgs, startISO, endISO);
-        break;
-      case "json":
-        output = outputJSON(items, finalArgs, startISO, endISO);
-        break;
-      case "ndjson":
-        output = outputNDJSON(items);
-        break;
-      case "csv":
-        output = outputCSV(items);
-        break;
-      case "markdown":
-        output = outputMarkdown(items, finalArgs, startISO, endISO);
-        break;
-      case "html":
-        output = outputHTML(items, finalArgs, startISO, endISO);
-        break;
-      default:
-        console.error(
-          `Unknown --format ${finalArgs.format}. Use text|grouped|timesheet|summary|json|ndjson|csv|markdown|html.`
-        );
-        process.exit(2);
+    if (isReadableStream(output)) {
+      await writeOutputStream(output, finalArgs.output);
+    } else {
+      writeOutput(output, finalArgs.output);
     }
 
-    writeOutput(output, finalArgs.output);
-
     if (finalArgs.verbose) {
-      console.error(`Output ${items.length} commits in ${format} format`);
+      console.error(
+        template
+          ? `Output ${items.length} commits with template ${finalArgs.template}`
+          : `Output ${items.length} commits in ${format} format`
+      );
 
       if (finalArgs.stats && items.length > 0) {
-        const stats = generateStats(items);
+        const stats = generateStats(items, finalArgs);
         console.error("\nCommit Statistics:");
         console.error(`   Total commits: ${stats.total}`);
         console.error(`   Average per day: ${stats.averagePerDay}`);
@@ -1635,6 +7610,11 @@ async function main() {
         console.error(
           `   Days with activity: ${Object.keys(stats.byDate).length}`
         );
+        if (stats.diff) {
+          console.error(
+            `   Lines changed: +${stats.diff.additions} / -${stats.diff.deletions}`
+          );
+        }
 
         // Show top commit types
         const topTypes = Object.entries(stats.byType)
@@ -1655,5 +7635,472 @@ async function main() {
   }
 }
 
-// Execute the main function
-main();
+/**
+ * Library API
+ * ===========
+ * Programmatic entry points for using the tool as a module
+ */
+
+/**
+ * Fetches, normalizes and filters commits in one call
+ *
+ * This is the programmatic equivalent of running the CLI without a --format:
+ * inputs are validated the same way, the token falls back to GITHUB_TOKEN and
+ * the GitHub CLI, and the result is the array of normalized items that every
+ * formatter accepts. The CLI runs the same query (see runCommitQuery).
+ *
+ * @param {Object} options - Query options
+ * @param {string} options.owner - GitHub owner (username or organization)
+ * @param {string} options.repo - GitHub repository name
+ * @param {string} options.branch - Branch name to fetch commits from
+ * @param {string|Array} [options.repos] - Repositories to fetch instead of owner/repo
+ *   (see parseRepoList); items are then tagged with `repository`
+ * @param {string} [options.org] - Fetch every repository of this organization or user
+ *   instead; accepts the filterRepositories options (includeRepos, excludeRepos,
+ *   includeArchived, includeForks, topics)
+ * @param {string|Date} options.start - Range start (ISO, YYYY-MM-DD, relative or Date)
+ * @param {string|Date} options.end - Range end (ISO, YYYY-MM-DD, relative or Date)
+ * @param {string} [options.period] - Named period replacing start and end, e.g. "last-week"
+ *   (see resolvePeriod)
+ * @param {number} [options.sprintLength=14] - Sprint length in days for "this/last sprint"
+ * @param {string} [options.sprintAnchor="2024-01-01"] - A day on which a sprint started
+ * @param {string} [options.timezone] - IANA time zone for relative dates, plain dates and
+ *   day boundaries (default: the system zone); pass it to the formatters as args.timezone too
+ * @param {string|Array} [options.holidays] - Days (YYYY-MM-DD) skipped by "last workday"
+ * @param {string} [options.from] - Fetch the commits after this tag, SHA or branch instead
+ *   of the date range (see resolveRefRange); single repository only
+ * @param {string} [options.to] - End of the ref range (default: branch)
+ * @param {boolean} [options.sinceLastTag=false] - Start the ref range at the most recent tag
+ * @param {string} [options.author] - Filter by commit author
+ * @param {string} [options.committer] - Filter by committer
+ * @param {string} [options.token] - GitHub token; defaults to GITHUB_TOKEN or the GitHub CLI token
+ * @param {number} [options.max] - Maximum number of commits to fetch
+ * @param {boolean} [options.excludeMerges] - Skip commits whose title starts with "Merge"
+ * @param {string|RegExp} [options.excludePattern] - Skip commits matching this pattern
+ * @param {string|RegExp} [options.includePattern] - Only include commits matching this pattern
+ * @param {string} [options.trailer] - Only include commits with this trailer ("Key" or "Key=value");
+ *   implies withBody
+ * @param {string} [options.source="github"] - "github", or "local" to read `git log` in options.cwd
+ * @param {string} [options.cwd] - Repository directory for the local source (default: current directory)
+ * @param {string} [options.api="rest"] - Backend: "rest" or "graphql" (adds diff stats and pull requests)
+ * @param {string} [options.mode="commits"] - "prs" to return merged pull requests plus direct commits
+ * @param {boolean} [options.withPrs=false] - Attach each commit's pull requests (see enrichWithPullRequests)
+ * @param {boolean} [options.withStats=false] - Add diff stats to each item (see enrichWithStats);
+ *   they are cached in options.cacheDir when one is given
+ * @param {boolean} [options.withBody=false] - Keep message bodies, trailers and co-authors (see messageDetails)
+ * @param {string} [options.apiUrl] - API base URL for GitHub Enterprise Server
+ *   (default: derived from GH_HOST, else https://api.github.com)
+ * @param {string} [options.cacheDir] - Cache fetched commits in this directory and only fetch
+ *   what is missing on later calls (default: no cache)
+ * @param {boolean} [options.waitOnRateLimit=false] - Wait for rate limits to reset instead of stopping early
+ * @param {Function} [options.onPartial] - Called when a rate limit cuts a repository's results short (see fetchCommits)
+ * @param {boolean} [options.verbose=false] - Log progress to stderr
+ * @param {number} [options.retries=3] - Number of retry attempts
+ * @param {number} [options.timeout=30000] - Request timeout in milliseconds
+ * @returns {Promise<Array>} Normalized commit items
+ * @throws {Error} If validation fails or the API request fails
+ *
+ * @example
+ * const { getCommits, outputSummary } = require("github-commit-titles");
+ * const items = await getCommits({ owner: "user", repo: "repo", branch: "main", start: "7 days ago", end: "today" });
+ */
+async function getCommits(options) {
+  return (await runCommitQuery(options)).items;
+}
+
+/**
+ * Runs the commit query behind getCommits and the CLI
+ *
+ * Validates the options, resolves the date or ref range and the
+ * repositories, fetches through fetchRepositories or fetchNormalizedCommits,
+ * then filters and enriches the items. Besides the items it returns what the
+ * formatters need to describe the run.
+ *
+ * @param {Object} [options] - getCommits options
+ * @returns {Promise<{items: Array, fetched: number, startISO: string, endISO: string,
+ *   timezone: string, refRange: ({from: string, to: string}|null), repositories: (Array|undefined)}>}
+ *   The filtered items, the number of items fetched before filtering, the range (taken
+ *   from the fetched items for a ref range), the time zone, the resolved ref range and,
+ *   for --repos and --org, the repositories
+ * @throws {Error} If validation fails or the API request fails
+ */
+async function runCommitQuery({
+  owner,
+  repo,
+  branch,
+  repos,
+  org,
+  includeRepos,
+  excludeRepos,
+  includeArchived,
+  includeForks,
+  topics,
+  start,
+  end,
+  period,
+  sprintLength,
+  sprintAnchor,
+  timezone,
+  holidays,
+  from,
+  to,
+  sinceLastTag = false,
+  author,
+  committer,
+  token,
+  max,
+  excludeMerges,
+  excludePattern,
+  includePattern,
+  trailer,
+  source,
+  cwd,
+  api,
+  mode,
+  withPrs = false,
+  withStats = false,
+  withBody = false,
+  apiUrl,
+  cacheDir,
+  waitOnRateLimit = false,
+  onPartial,
+  verbose = false,
+  retries = 3,
+  timeout = 30000,
+} = {}) {
+  const local = validateSource(source) === "local";
+  const multiRepo = Boolean(org || repos);
+  const usesRefRange = Boolean(from || to || sinceLastTag);
+  if (local && multiRepo) {
+    throw new Error("--source local cannot be combined with --repos or --org");
+  }
+  if (period && (start || end)) {
+    throw new Error("--period cannot be combined with --start or --end");
+  }
+  if (usesRefRange && multiRepo) {
+    throw new Error(
+      "--from, --to and --since-last-tag cannot be combined with --repos or --org"
+    );
+  }
+
+  const dateExpressionOptions = dateOptions({
+    sprintLength,
+    sprintAnchor,
+    timezone,
+    holidays,
+  });
+  const range = period
+    ? resolvePeriod(period, dateExpressionOptions)
+    : { start, end };
+  // For a ref range the dates are taken from the fetched commits
+  let { startISO, endISO } = usesRefRange
+    ? {}
+    : resolveDateRange(range.start, range.end, dateExpressionOptions);
+
+  const resolvedApiUrl = resolveApiUrl(apiUrl, process.env.GH_HOST);
+  const host = webHostFor(resolvedApiUrl);
+  const toPattern = (pattern, name) =>
+    typeof pattern === "string" ? validateRegex(pattern, name) : pattern;
+  const filters = {
+    excludeMerges,
+    excludePattern: toPattern(excludePattern, "exclude-pattern"),
+    includePattern: toPattern(includePattern, "include-pattern"),
+    trailer: parseTrailerFilter(trailer),
+    verbose,
+  };
+
+  const backend = validateApi(api);
+  const reportMode = validateMode(mode);
+  if (reportMode === "prs" && local) {
+    throw new Error("--mode prs needs GitHub and cannot use --source local");
+  }
+  if (reportMode === "prs" && usesRefRange) {
+    throw new Error(
+      "--mode prs cannot be combined with --from, --to or --since-last-tag; use --with-prs"
+    );
+  }
+  if (withPrs && local) {
+    throw new Error("--with-prs needs GitHub and cannot use --source local");
+  }
+
+  // Local history needs no authentication
+  const envToken = local ? "" : getEnvToken(host);
+  const fetchOptions = {
+    source: local ? "local" : "github",
+    api: backend,
+    mode: reportMode,
+    startISO,
+    endISO,
+    author,
+    committer,
+    token: local
+      ? ""
+      : validateToken(token ?? (envToken || getGitHubCLIToken(host) || "")),
+    max: validateMax(max),
+    verbose,
+    retries,
+    timeout,
+    apiUrl: resolvedApiUrl,
+    cacheDir: cacheDir && !local ? resolve(cacheDir) : null,
+    cwd,
+    withStats,
+    // The trailer filter needs the parsed trailers
+    withBody: Boolean(withBody || filters.trailer),
+    waitOnRateLimit,
+    onPartial,
+  };
+
+  let targets;
+  if (org) {
+    targets = await listOrgTargets(
+      validateOwner(org),
+      { includeRepos, excludeRepos, includeArchived, includeForks, topics },
+      fetchOptions
+    );
+  } else if (repos) {
+    targets = parseRepoList(repos, branch);
+  } else {
+    // Local history reads HEAD without a branch and only uses owner/repo for links
+    const optional = (value, validate) =>
+      local && !value ? null : validate(value);
+    targets = [
+      {
+        owner: optional(owner, validateOwner),
+        repo: optional(repo, validateRepo),
+        branch: optional(branch, validateBranch),
+      },
+    ];
+  }
+
+  const refRange = await resolveRefRange({
+    ...fetchOptions,
+    ...targets[0],
+    from,
+    to,
+    sinceLastTag,
+  });
+
+  if (verbose) {
+    logQuery({
+      targets,
+      refRange,
+      startISO,
+      endISO,
+      timezone: dateExpressionOptions.timezone,
+      token: fetchOptions.token,
+      tokenSource: token ? "options" : envToken ? "environment" : "cli",
+      ...fetchOptions,
+      filters,
+    });
+  }
+
+  const fetched = multiRepo
+    ? await fetchRepositories(targets, { ...fetchOptions, ...refRange })
+    : await fetchNormalizedCommits({
+      ...fetchOptions,
+      ...targets[0],
+      ...refRange,
+    });
+  if (refRange && fetched.length > 0) {
+    ({ startISO, endISO } = itemDateRange(fetched));
+  }
+
+  let items = filterItems(fetched, filters);
+  const lookup = { ...fetchOptions, ...(multiRepo ? {} : targets[0]) };
+  if (withPrs) items = await enrichWithPullRequests(items, lookup);
+  if (withStats) items = await enrichWithStats(items, lookup);
+
+  return {
+    items,
+    fetched: fetched.length,
+    startISO,
+    endISO,
+    timezone: dateExpressionOptions.timezone,
+    refRange,
+    repositories: multiRepo ? targets : undefined,
+  };
+}
+
+/**
+ * Logs the resolved query of runCommitQuery (--verbose)
+ *
+ * @param {Object} query - Targets, ranges, fetch options and filters of the query
+ */
+function logQuery({
+  targets,
+  refRange,
+  startISO,
+  endISO,
+  timezone,
+  token,
+  tokenSource,
+  source,
+  api,
+  mode,
+  max,
+  apiUrl,
+  cacheDir,
+  filters,
+}) {
+  console.error(
+    `Fetching commits from ${targets.map(repositoryLabel).join(", ")}`
+  );
+  if (refRange) {
+    console.error(`Commit range: ${refRange.from}..${refRange.to}`);
+  } else {
+    console.error(
+      `Date range: ${formatTimestamp(startISO, timezone)} to ${formatTimestamp(
+        endISO,
+        timezone
+      )}`
+    );
+  }
+  if (max) console.error(`Max commits: ${max}`);
+  if (api !== "rest") console.error(`API backend: ${api}`);
+  if (mode === "prs") console.error("Report mode: merged pull requests");
+  if (apiUrl !== DEFAULT_API_URL) console.error(`GitHub API: ${apiUrl}`);
+  if (source === "local") {
+    console.error("Reading commits from the local git repository");
+  } else {
+    console.error(cacheDir ? `Cache: ${cacheDir}` : "Cache: disabled");
+    if (!token) {
+      console.error("Warning: No GitHub token provided (rate limit: 60/hr)");
+      console.error("  Use --token, GITHUB_TOKEN env var, or 'gh auth login'");
+    } else if (tokenSource === "options") {
+      console.error("Using GitHub token from --token or the configuration");
+    } else if (tokenSource === "environment") {
+      console.error("Using GitHub token from environment variable");
+    } else {
+      console.error("Using GitHub token from GitHub CLI");
+    }
+  }
+  if (filters.excludePattern) {
+    console.error(`Exclude pattern: ${filters.excludePattern.source}`);
+  }
+  if (filters.includePattern) {
+    console.error(`Include pattern: ${filters.includePattern.source}`);
+  }
+  if (filters.trailer) {
+    console.error(
+      `Trailer filter: ${filters.trailer.key}${
+        filters.trailer.value ? ` containing "${filters.trailer.value}"` : ""
+      }`
+    );
+  }
+}
+
+module.exports = {
+  // Library API
+  getCommits,
+  fetchCommits,
+  fetchCommitsGraphQL,
+  fetchLocalCommits,
+  fetchCommitRange,
+  findLastTag,
+  compareTagVersions,
+  resolveRefRange,
+  fetchNormalizedCommits,
+  fetchRepositories,
+  listRepositories,
+  filterRepositories,
+  normalizeCommit,
+  normalizeGraphQLCommit,
+  filterItems,
+  parseTrailers,
+  messageDetails,
+  parseTrailerFilter,
+  parseRepoList,
+  fetchPullRequests,
+  normalizePullRequest,
+  mergePullRequestItems,
+  parseLinkedIssues,
+  enrichWithPullRequests,
+  enrichWithStats,
+  // Formatters
+  FORMATTERS,
+  registerFormatter,
+  registerFormatterModules,
+  loadFormatterModule,
+  resolveFormatter,
+  helpText,
+  runMetadata,
+  formatOutput,
+  writeOutputStream,
+  groupByDate,
+  groupByRepository,
+  groupByScope,
+  outputText,
+  outputGrouped,
+  outputTimesheet,
+  outputSummary,
+  outputJSON,
+  outputNDJSON,
+  outputCSV,
+  outputMarkdown,
+  outputHTML,
+  outputChangelog,
+  mergeChangelog,
+  // Analysis
+  categorizeCommit,
+  categoryLabel,
+  compileCategoryRules,
+  parseConventionalCommit,
+  generateStats,
+  estimateHours,
+  hoursOptions,
+  parseWorkingHours,
+  parseProjects,
+  parseAuthors,
+  timesheetEntries,
+  outputHarvest,
+  outputToggl,
+  outputTempo,
+  outputStandup,
+  outputSlack,
+  outputTeams,
+  chatLimits,
+  validateHolidays,
+  renderTemplate,
+  templateContext,
+  formatDatePattern,
+  loadTemplate,
+  // Dates
+  parseRelativeDate,
+  resolvePeriod,
+  formatTimestamp,
+  resolveDateRange,
+  itemDateRange,
+  // Validators
+  validateOwner,
+  validateRepo,
+  validateBranch,
+  validateDate,
+  validateTimezone,
+  validateRef,
+  validateMax,
+  validateToken,
+  validateRegex,
+  validateApi,
+  validateSource,
+  validateMode,
+  validateGroupBy,
+  detectRateLimit,
+  // Cache
+  fetchCommitsCached,
+  clearCache,
+  defaultCacheDir,
+  // Configuration and git helpers
+  parseArgs,
+  loadConfig,
+  parseGitRemote,
+  resolveApiUrl,
+  autoDetectGitInfo,
+  getGitHubCLIToken,
+  getEnvToken,
+  main,
+};
+
+// Only run the CLI when executed directly (node titles.js / github-commits bin)
+if (require.main === module) {
+  main();
+}